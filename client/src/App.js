@@ -1,6 +1,16 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import * as Tone from 'tone';
 import './App.css';
+import { getApiUrl } from './api';
+import { saveArchiveCompletion } from './Archive';
+
+// Warmer/colder indicators for offered words, by how their distance to the target compares with the current word's
+const TEMPERATURE_ICONS = { closer: '🔥', same: '〰️', further: '❄️' };
+const TEMPERATURE_LABELS = {
+  closer: 'Warmer - closer to the target',
+  same: 'Same distance from the target',
+  further: 'Colder - further from the target'
+};
 
 // Timer component to display countdown to next puzzle or a button when time is up
 function NewPuzzleTimer({ nextGameTime, onLoadNewPuzzle }) {
@@ -77,18 +87,21 @@ function NewPuzzleTimer({ nextGameTime, onLoadNewPuzzle }) {
   );
 }
 
-function App() {
+// Plays the current puzzle, or a past puzzle from the archive when archivePuzzleId is given
+function App({ archivePuzzleId }) {
   const [game, setGame] = useState(null);
   const [loading, setLoading] = useState(true);
   const [currentWord, setCurrentWord] = useState('');
   const [associations, setAssociations] = useState([]);
   const [detailedAssociations, setDetailedAssociations] = useState([]);
+  const [bands, setBands] = useState({}); // Warmer/colder band of each offered word, for puzzles that have it on
   const [path, setPath] = useState([]);
   const [backSteps, setBackSteps] = useState(0); // Track number of back steps
   const [totalSteps, setTotalSteps] = useState(0); // Track total steps including backs
   const [gameComplete, setGameComplete] = useState(false);
   const [error, setError] = useState('');
   const [hint, setHint] = useState('');
+  const [hintLevel, setHintLevel] = useState(null); // Level, label and cost of the last hint taken, if it was a level hint
   const [showHints, setShowHints] = useState(false);
   const [loadingAssociations, setLoadingAssociations] = useState(false);
   const [isRestoringProgress, setIsRestoringProgress] = useState(false); // Flag for restoring progress
@@ -96,29 +109,12 @@ function App() {
   const [musicEnabled, setMusicEnabled] = useState(false); // Always start muted, regardless of localStorage
   const [showAnswer, setShowAnswer] = useState(false); // State to control showing the answer
   const [solution, setSolution] = useState(null); // Store the solution path when requested
+  const [sessionToken, setSessionToken] = useState(null); // Server-issued token that records our moves
   const synthRef = useRef(null); // Reference to synth object
   const sequenceRef = useRef(null); // Reference to sequence
-
-  // Get base API URL based on environment 
-  // eslint-disable-next-line react-hooks/exhaustive-deps
-  const getApiUrl = useCallback(() => {
-    const hostname = window.location.hostname;
-    
-    // If we're running locally (localhost or 127.0.0.1)
-    if (hostname === 'localhost' || hostname === '127.0.0.1') {
-      // In development mode, the proxy in package.json will handle redirecting '/api' to the server
-      if (process.env.NODE_ENV === 'development') {
-        return '/api';
-      } else {
-        // If running in production mode locally, explicit port is needed
-        // The proxy in package.json points to port 5050
-        return 'http://localhost:5050/api';
-      }
-    }
-    
-    // For Heroku or other production environments, use relative URL
-    return '/api';
-  }, []);
+  
+  // Archive puzzles keep their progress apart from the live game
+  const progressKey = archivePuzzleId ? `archiveProgress_${archivePuzzleId}` : 'wordGameProgress';
 
   // Function to save progress to localStorage
   const saveProgress = (gameData, currentPath, currBackSteps, currTotalSteps) => {
@@ -128,14 +124,16 @@ function App() {
     const sanitizedPath = currentPath.map(word => word.trim().toLowerCase());
 
     const progressData = {
+      puzzleId: gameData.id,
       gameDate: gameData.gameDate,
       path: sanitizedPath,
       backSteps: currBackSteps,
       totalSteps: currTotalSteps,
+      sessionToken: sessionToken,
       timestamp: new Date().toISOString()
     };
     
-    localStorage.setItem('wordGameProgress', JSON.stringify(progressData));
+    localStorage.setItem(progressKey, JSON.stringify(progressData));
     
     // Show a subtle notification that progress is saved
     if (!isRestoringProgress) {
@@ -145,9 +143,31 @@ function App() {
   
   // Function to clear saved progress
   const clearSavedProgress = () => {
-    localStorage.removeItem('wordGameProgress');
+    localStorage.removeItem(progressKey);
+  };
+  
+  // Start a new game session for a puzzle on the server and remember its token
+  const startSession = (puzzleId) => {
+    return fetch(`${getApiUrl()}/session`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ puzzleId })
+    })
+      .then(response => {
+        if (!response.ok) {
+          throw new Error('Failed to start game session');
+        }
+        return response.json();
+      })
+      .then(data => {
+        setSessionToken(data.token);
+        return data.token;
+      });
   };
   
+  // Headers that attach the session token to a request
+  const sessionHeaders = (token) => (token ? { 'X-Session-Token': token } : {});
+  
   // Function to show a temporary notification
   const showNotification = (message, duration = 3000) => {
     setNotification(message);
@@ -508,6 +528,7 @@ function App() {
     setCurrentWord('');
     setAssociations([]);
     setDetailedAssociations([]);
+    setBands({});
     setPath([]);
     setBackSteps(0);
     setTotalSteps(0);
@@ -517,7 +538,8 @@ function App() {
     setShowHints(false);
     setLoadingAssociations(false);
     setIsRestoringProgress(false);
-    localStorage.removeItem('wordGameProgress'); // Directly clear saved progress
+    setSessionToken(null);
+    localStorage.removeItem(progressKey); // Directly clear saved progress
   };
   
   // Load or reload game data (wrapped in useCallback to avoid recreating on every render)
@@ -531,7 +553,12 @@ function App() {
     setLoading(true);
     setError('');
     
-    fetch(`${getApiUrl()}/game`)
+    // Archive puzzles are loaded by ID, otherwise load the current puzzle
+    const gameUrl = archivePuzzleId
+      ? `${getApiUrl()}/puzzles/${encodeURIComponent(archivePuzzleId)}`
+      : `${getApiUrl()}/game`;
+    
+    fetch(gameUrl)
       .then(response => {
         if (!response.ok) {
           // If the response indicates an error (like 503 when puzzle is generating)
@@ -543,7 +570,7 @@ function App() {
       })
       .then(data => {
         // Check if we received a new game (different from current game)
-        const isNewGame = !game || data.gameDate !== game.gameDate;
+        const isNewGame = !game || data.id !== game.id;
         
         // Log game data for debugging
         console.log("Game data received from server:", {
@@ -559,19 +586,19 @@ function App() {
         // If it's a new game, clear any saved progress
         if (isNewGame) {
           console.log('New game detected - resetting progress');
-          localStorage.removeItem('wordGameProgress');
+          localStorage.removeItem(progressKey);
           setGameComplete(false);
         }
         
         // Check if there's saved progress for this game
-        const savedProgress = localStorage.getItem('wordGameProgress');
+        const savedProgress = localStorage.getItem(progressKey);
         
         if (savedProgress) {
           try {
             const progressData = JSON.parse(savedProgress);
             
-            // Only restore if it's for the current day's puzzle
-            if (progressData.gameDate === data.gameDate && progressData.path.length > 1) {
+            // Only restore if it's for the current puzzle
+            if (progressData.puzzleId === data.id && progressData.path.length > 1 && progressData.sessionToken) {
               console.log('Restoring saved progress');
               // Show notification that progress was restored
               showNotification('Progress restored', 3000);
@@ -588,8 +615,24 @@ function App() {
               const lastWord = sanitizedPath[sanitizedPath.length - 1];
               setLoading(false);
               
-              // Get associations for the current word
-              return fetch(`${getApiUrl()}/associations/${lastWord}?detailed=true`);
+              // Get associations for the current word, continuing the saved session
+              setSessionToken(progressData.sessionToken);
+              return fetch(`${getApiUrl()}/associations/${lastWord}?detailed=true&bands=true`, {
+                headers: sessionHeaders(progressData.sessionToken)
+              }).then(response => {
+                if (response.status !== 401) return response;
+                
+                // The server no longer knows this session, so start the puzzle over
+                clearSavedProgress();
+                showNotification('Saved progress expired - starting over', 3000);
+                setCurrentWord(data.startWord);
+                setPath([data.startWord]);
+                setBackSteps(0);
+                setTotalSteps(0);
+                return startSession(data.id).then(token => 
+                  fetch(`${getApiUrl()}/associations/${data.startWord}?detailed=true&bands=true`, { headers: sessionHeaders(token) })
+                );
+              });
             } else {
               // If the saved progress is for a different game or just the start, clear it
               clearSavedProgress();
@@ -599,8 +642,10 @@ function App() {
               setTotalSteps(0);
               setLoading(false);
               
-              // Fetch associations for the starting word
-              return fetch(`${getApiUrl()}/associations/${data.startWord}?detailed=true`);
+              // Start a session and fetch associations for the starting word
+              return startSession(data.id).then(token => 
+                fetch(`${getApiUrl()}/associations/${data.startWord}?detailed=true&bands=true`, { headers: sessionHeaders(token) })
+              );
             }
           } catch (e) {
             console.error('Error parsing saved progress:', e);
@@ -611,8 +656,10 @@ function App() {
             setTotalSteps(0);
             setLoading(false);
             
-            // Fetch associations for the starting word
-            return fetch(`${getApiUrl()}/associations/${data.startWord}?detailed=true`);
+            // Start a session and fetch associations for the starting word
+            return startSession(data.id).then(token => 
+              fetch(`${getApiUrl()}/associations/${data.startWord}?detailed=true&bands=true`, { headers: sessionHeaders(token) })
+            );
           }
         } else {
           // No saved progress, start fresh
@@ -622,8 +669,10 @@ function App() {
           setTotalSteps(0);
           setLoading(false);
           
-          // Fetch associations for the starting word
-          return fetch(`${getApiUrl()}/associations/${data.startWord}?detailed=true`);
+          // Start a session and fetch associations for the starting word
+          return startSession(data.id).then(token => 
+            fetch(`${getApiUrl()}/associations/${data.startWord}?detailed=true&bands=true`, { headers: sessionHeaders(token) })
+          );
         }
       })
       .then(response => {
@@ -636,12 +685,15 @@ function App() {
         if (data.detailed) {
           setDetailedAssociations(data.detailed);
         }
+        setBands(data.bands || {});
         setIsRestoringProgress(false);
       })
       .catch(err => {
         console.error('Error fetching data:', err);
         if (err.message && err.message.includes('No game has been generated yet')) {
           setError('Please wait - new puzzle coming soon...');
+        } else if (archivePuzzleId) {
+          setError('Failed to load this archive puzzle. It may no longer be available.');
         } else {
           setError('Failed to load game data. Please try again later.');
         }
@@ -649,7 +701,7 @@ function App() {
         setIsRestoringProgress(false);
       });
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [getApiUrl]);
+  }, [archivePuzzleId]);
   
   // Initial game load on component mount
   // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -687,17 +739,21 @@ function App() {
       setLoadingAssociations(false); // Reset loading state
       
       // Clear saved progress when the game is completed
-      localStorage.removeItem('wordGameProgress');
+      localStorage.removeItem(progressKey);
       
-      // Submit result to server with path and step stats for verification
+      // Archive completions are remembered separately from the live game
+      if (archivePuzzleId) {
+        saveArchiveCompletion(game.id, {
+          pathLength: newPath.length - 1,
+          backSteps: backSteps,
+          totalSteps: newTotalSteps
+        });
+      }
+      
+      // Submit result to server - the path and step stats are replayed from our session's move log
       fetch(`${getApiUrl()}/verify`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          path: newPath, // The complete path including start and target
-          backSteps: backSteps, // Number of back steps
-          totalSteps: newTotalSteps // Total steps including forward and back
-        })
+        headers: sessionHeaders(sessionToken)
       })
         .then(response => response.json())
         .then(data => {
@@ -711,14 +767,15 @@ function App() {
           setLoadingAssociations(false);
         });
     } else {
-      // Get new associations with detailed info
-      fetch(`${getApiUrl()}/associations/${sanitizedWord}?detailed=true`)
+      // Get new associations with detailed info (the session records the move)
+      fetch(`${getApiUrl()}/associations/${sanitizedWord}?detailed=true&bands=true`, { headers: sessionHeaders(sessionToken) })
         .then(response => response.json())
         .then(data => {
           setAssociations(data.associations);
           if (data.detailed) {
             setDetailedAssociations(data.detailed);
           }
+          setBands(data.bands || {});
           setHint(''); // Clear any existing hint
           setLoadingAssociations(false); // Reset loading state
           
@@ -734,7 +791,9 @@ function App() {
   };
   
   // Request a hint from the API
-  const getHint = () => {
+  // Each hint at the same word goes up a level and adds to the score; kind "distance" asks how many moves are left instead
+  // (adding 1 to the score the first time at each word)
+  const getHint = (kind) => {
     // Don't allow hint request if already loading
     if (loadingAssociations) return;
     
@@ -752,11 +811,16 @@ function App() {
     // Sanitize input before sending to API
     const sanitizedCurrentWord = currentWord.trim().toLowerCase();
     
-    // Get hint for the current word
-    fetch(`${getApiUrl()}/hint/${sanitizedCurrentWord}`)
+    // Get hint for the current word (on warmer/colder puzzles, a distance hint also says whether the last move got warmer or colder)
+    let hintUrl = `${getApiUrl()}/hint/${sanitizedCurrentWord}?puzzleId=${encodeURIComponent(game.id)}`;
+    if (kind === 'distance') {
+      hintUrl += '&kind=distance';
+    }
+    fetch(hintUrl, { headers: sessionHeaders(sessionToken) })
       .then(response => response.json())
       .then(data => {
-        setHint(data.hint);
+        setHint(data.hint || data.message || 'Unable to get a hint right now. Try again later.');
+        setHintLevel(data.level ? data : null);
         setLoadingAssociations(false); // Reset loading state
       })
       .catch(err => {
@@ -782,7 +846,7 @@ function App() {
     // Otherwise, request the solution if we don't have it yet
     if (!solution) {
       setLoadingAssociations(true);
-      fetch(`${getApiUrl()}/solution?moves=${totalSteps}`)
+      fetch(`${getApiUrl()}/solution?moves=${totalSteps}&puzzleId=${encodeURIComponent(game.id)}`)
         .then(response => {
           if (!response.ok) {
             throw new Error('Failed to fetch solution');
@@ -836,14 +900,15 @@ function App() {
     setBackSteps(backSteps + 1);
     setTotalSteps(totalSteps + 1);
     
-    // Get associations for the previous word with detailed info
-    fetch(`${getApiUrl()}/associations/${previousWord}?detailed=true`)
+    // Get associations for the previous word with detailed info (the session records the back step)
+    fetch(`${getApiUrl()}/associations/${previousWord}?detailed=true&bands=true`, { headers: sessionHeaders(sessionToken) })
       .then(response => response.json())
       .then(data => {
         setAssociations(data.associations);
         if (data.detailed) {
           setDetailedAssociations(data.detailed);
         }
+        setBands(data.bands || {});
         setHint(''); // Clear any existing hint
         setLoadingAssociations(false); // Reset loading state
         
@@ -914,6 +979,9 @@ function App() {
     );
   }
 
+  // The shortest route through the association graph, or the generated path's length for puzzles saved before par was measured
+  const par = game.par ?? game.minExpectedSteps;
+
   return (
     <div className="App">
       <header className="App-header">
@@ -923,11 +991,16 @@ function App() {
           </div>
         )}
         <h1>Word Association Game</h1>
+        {archivePuzzleId && (
+          <p className="archive-banner">
+            Archive puzzle from {game.gameDate} · <a href="/archive">Back to archive</a>
+          </p>
+        )}
         <p>Find your way from <strong style={{color: '#ffcc00'}}>{game.startWord}</strong> to <strong style={{color: '#ffcc00'}}>{game.targetWord}</strong> using word associations!</p>
         <div className="game-info">
           <div className="game-theme">
-            {(game.minExpectedSteps !== undefined && game.minExpectedSteps !== null) && 
-              <span className="min-steps">Par: {game.minExpectedSteps}</span>
+            {(par !== undefined && par !== null) && 
+              <span className="min-steps">Par: {par}</span>
             }
           </div>
           <div className="refresh-timer">
@@ -950,17 +1023,17 @@ function App() {
                 <div className="solution-theme">
                   <strong>Theme:</strong> {game.theme}
                 </div>
-                {(game.minExpectedSteps !== undefined && game.minExpectedSteps !== null) && (
+                {(par !== undefined && par !== null) && (
                   <div className="solution-steps">
-                    <strong>Par:</strong> {game.minExpectedSteps}
-                    {path.length - 1 < game.minExpectedSteps && (
-                      <span className="optimal-solution"> (You beat par by {game.minExpectedSteps - (path.length - 1)}!)</span>
+                    <strong>Par:</strong> {par}
+                    {path.length - 1 < par && (
+                      <span className="optimal-solution"> (You beat par by {par - (path.length - 1)}!)</span>
                     )}
-                    {path.length - 1 === game.minExpectedSteps && (
+                    {path.length - 1 === par && (
                       <span className="optimal-solution"> (You matched par!)</span>
                     )}
-                    {path.length - 1 > game.minExpectedSteps && (
-                      <span className="over-par"> (Over par by {(path.length - 1) - game.minExpectedSteps})</span>
+                    {path.length - 1 > par && (
+                      <span className="over-par"> (Over par by {(path.length - 1) - par})</span>
                     )}
                   </div>
                 )}
@@ -1002,11 +1075,19 @@ function App() {
                     <div className="stat-value">
                       {game.stats.totalPlays || 1}
                     </div>
-                    <div className="stat-label">today</div>
+                    <div className="stat-label">{archivePuzzleId ? 'all time' : 'today'}</div>
                   </div>
                 </div>
               </>
             )}
+            {game.stats && game.stats.score !== undefined && (
+              <div className="score-display">
+                <strong>Your score:</strong> {game.stats.score}
+                {game.stats.hintsUsed > 0
+                  ? ` (${game.stats.stepsUsed} steps + ${game.stats.hintPenalty} for ${game.stats.hintsUsed} ${game.stats.hintsUsed === 1 ? 'hint' : 'hints'}${game.stats.highestHintLevel > 0 ? `, up to level ${game.stats.highestHintLevel}` : ''})`
+                  : ' (no hints used)'}
+              </div>
+            )}
             <div className="path-display">
               Your path: {path.join(' → ')}
             </div>
@@ -1014,10 +1095,17 @@ function App() {
               <button onClick={() => window.location.reload()} className="play-again-button">
                 Play Again
               </button>
+              {archivePuzzleId && (
+                <button onClick={() => window.location.href = '/archive'} className="play-again-button">
+                  More Puzzles
+                </button>
+              )}
             </div>
             <div className="win-footer">
               <a href="/about">About</a>
               <span>|</span>
+              <a href="/archive">Archive</a>
+              <span>|</span>
               <a href="https://github.com/Ltrares/ai_assoc" target="_blank" rel="noopener noreferrer">GitHub</a>
             </div>
           </div>
@@ -1048,13 +1136,21 @@ function App() {
                 </button>
               )}
               <button
-                onClick={getHint}
+                onClick={() => getHint()}
                 className="hint-button"
                 disabled={loadingAssociations}
-                title="Get a subtle hint to help you move forward"
+                title="Get a hint - each hint at the same word gives more away and adds to your score"
               >
                 💡 Get Hint
               </button>
+              <button
+                onClick={() => getHint('distance')}
+                className="hint-button"
+                disabled={loadingAssociations}
+                title="Find out how many moves you are from the target (adds 1 to your score)"
+              >
+                📍 How Far?
+              </button>
               <button
                 onClick={toggleHints}
                 className={`detail-toggle ${showHints ? 'active' : ''}`}
@@ -1085,7 +1181,11 @@ function App() {
             
             {hint && (
               <div className="hint-display">
-                <h3>Hint:</h3>
+                <h3>
+                  {hintLevel
+                    ? `Hint ${hintLevel.level} of ${hintLevel.maxLevel} - ${hintLevel.label}${hintLevel.cost ? ` (+${hintLevel.cost})` : ''}:`
+                    : 'Hint:'}
+                </h3>
                 <p>{hint}</p>
               </div>
             )}
@@ -1126,6 +1226,11 @@ function App() {
                               // No need for 'used' class since we filter them out entirely
                             >
                               {word}
+                              {bands[word] && (
+                                <span className={`temperature temperature-${bands[word]}`} title={TEMPERATURE_LABELS[bands[word]]}>
+                                  {TEMPERATURE_ICONS[bands[word]]}
+                                </span>
+                              )}
                             </button>
                             {showHints && details && details.hint && (
                               <div className="word-details">
@@ -1152,6 +1257,8 @@ function App() {
         <div className="footer">
           <a href="/about">About</a>
           <span>|</span>
+          <a href="/archive">Archive</a>
+          <span>|</span>
           <a href="https://github.com/Ltrares/ai_assoc" target="_blank" rel="noopener noreferrer">GitHub</a>
         </div>
       </header>
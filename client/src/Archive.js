@@ -0,0 +1,154 @@
+import { useState, useEffect } from 'react';
+import './App.css';
+import { getApiUrl } from './api';
+
+// localStorage key for archive puzzles the player has solved (kept apart from the live game)
+const ARCHIVE_COMPLETIONS_KEY = 'archiveCompletions';
+
+// Number of puzzles shown per archive page
+const PAGE_SIZE = 10;
+
+// How long to wait after the player stops typing a theme before searching
+const THEME_FILTER_DELAY = 300;
+
+// Get the archive puzzles the player has solved, keyed by puzzle ID
+export function getArchiveCompletions() {
+  try {
+    return JSON.parse(localStorage.getItem(ARCHIVE_COMPLETIONS_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// Remember that the player solved an archive puzzle (keeps their best path length)
+export function saveArchiveCompletion(puzzleId, result) {
+  const completions = getArchiveCompletions();
+  const previous = completions[puzzleId];
+  
+  if (!previous || result.pathLength < previous.pathLength) {
+    completions[puzzleId] = { ...result, completedAt: new Date().toISOString() };
+    localStorage.setItem(ARCHIVE_COMPLETIONS_KEY, JSON.stringify(completions));
+  }
+}
+
+// Browse past puzzles and pick one to play
+function Archive() {
+  const [puzzles, setPuzzles] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [date, setDate] = useState('');
+  const [theme, setTheme] = useState('');
+  const [themeFilter, setThemeFilter] = useState('');
+  const [difficulty, setDifficulty] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const completions = getArchiveCompletions();
+  
+  // Only search by theme once the player stops typing, rather than on every keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => setThemeFilter(theme.trim()), THEME_FILTER_DELAY);
+    return () => clearTimeout(timer);
+  }, [theme]);
+  
+  // Load the current page whenever the page or filters change
+  useEffect(() => {
+    const params = new URLSearchParams({ page, pageSize: PAGE_SIZE });
+    if (date) params.set('date', date);
+    if (themeFilter) params.set('theme', themeFilter);
+    if (difficulty) params.set('difficulty', difficulty);
+    
+    setLoading(true);
+    setError('');
+    
+    fetch(`${getApiUrl()}/archive?${params}`)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error('Failed to load archive');
+        }
+        return response.json();
+      })
+      .then(data => {
+        setPuzzles(data.puzzles);
+        setTotalPages(data.totalPages);
+        setLoading(false);
+      })
+      .catch(err => {
+        console.error('Error loading archive:', err);
+        setError('Failed to load the archive. Please try again later.');
+        setLoading(false);
+      });
+  }, [page, date, themeFilter, difficulty]);
+  
+  // Changing a filter starts again from the first page
+  const updateFilter = (setter) => (event) => {
+    setter(event.target.value);
+    setPage(1);
+  };
+  
+  return (
+    <div className="App">
+      <header className="App-header">
+        <h1>Puzzle Archive</h1>
+        <p>Play any past puzzle. Archive results don't affect your progress on the current puzzle.</p>
+        
+        <div className="archive-filters">
+          <input type="date" value={date} onChange={updateFilter(setDate)} title="Puzzle date" />
+          <input type="text" value={theme} onChange={updateFilter(setTheme)} placeholder="Theme" maxLength={50} />
+          <select value={difficulty} onChange={updateFilter(setDifficulty)}>
+            <option value="">Any difficulty</option>
+            <option value="easy">Easy</option>
+            <option value="medium">Medium</option>
+            <option value="hard">Hard</option>
+            <option value="expert">Expert</option>
+          </select>
+        </div>
+        
+        {loading ? (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading archive...</p>
+          </div>
+        ) : error ? (
+          <p className="error">{error}</p>
+        ) : puzzles.length === 0 ? (
+          <p>No puzzles match these filters.</p>
+        ) : (
+          <ul className="archive-list">
+            {puzzles.map(puzzle => {
+              const completion = completions[puzzle.id];
+              const par = puzzle.par ?? puzzle.minExpectedSteps;
+              return (
+                <li key={puzzle.id} className={`archive-item ${completion ? 'completed' : ''}`}>
+                  <a href={`/archive/${encodeURIComponent(puzzle.id)}`}>
+                    <span className="archive-words">{puzzle.startWord} → {puzzle.targetWord}</span>
+                    <span className="archive-meta">
+                      {puzzle.gameDate} · {puzzle.theme || 'No theme'} · {puzzle.difficulty || 'unknown'}
+                      {par != null && ` · Par ${par}`}
+                    </span>
+                    {completion && (
+                      <span className="archive-completed">✓ Solved in {completion.pathLength} steps</span>
+                    )}
+                  </a>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        
+        {totalPages > 1 && (
+          <div className="archive-pagination">
+            <button onClick={() => setPage(page - 1)} disabled={page <= 1}>← Newer</button>
+            <span>Page {page} of {totalPages}</span>
+            <button onClick={() => setPage(page + 1)} disabled={page >= totalPages}>Older →</button>
+          </div>
+        )}
+        
+        <div className="back-to-game">
+          <button onClick={() => window.location.href = '/'}>Back to Today's Puzzle</button>
+        </div>
+      </header>
+    </div>
+  );
+}
+
+export default Archive;
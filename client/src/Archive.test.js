@@ -0,0 +1,55 @@
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import Archive from './Archive';
+
+// One archive page with a puzzle that has a saved par and one that only has its generated path length
+const archivePage = {
+  puzzles: [
+    { id: 'a1', startWord: 'ocean', targetWord: 'sand', gameDate: '2026-10-01', theme: 'Seaside', difficulty: 'easy', par: 2, minExpectedSteps: 3 },
+    { id: 'b2', startWord: 'forest', targetWord: 'honey', gameDate: '2026-10-02', theme: 'Woods', difficulty: 'medium', minExpectedSteps: 4 }
+  ],
+  totalPages: 1
+};
+
+// The theme each archive request asked for
+const requestedThemes = () => global.fetch.mock.calls.map(([url]) => new URL(url, 'http://localhost').searchParams.get('theme'));
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(archivePage) }));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete global.fetch;
+});
+
+test('shows the saved par, or the generated path length for puzzles without one', async () => {
+  render(<Archive />);
+
+  expect(await screen.findByText(/Seaside · easy · Par 2/)).toBeInTheDocument();
+  expect(screen.getByText(/Woods · medium · Par 4/)).toBeInTheDocument();
+});
+
+test('only searches by theme once typing stops', async () => {
+  render(<Archive />);
+  await screen.findByText(/Seaside/);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+
+  const themeInput = screen.getByPlaceholderText('Theme');
+  fireEvent.change(themeInput, { target: { value: 'Se' } });
+  act(() => {
+    jest.advanceTimersByTime(100);
+  });
+  fireEvent.change(themeInput, { target: { value: 'Sea' } });
+  act(() => {
+    jest.advanceTimersByTime(299);
+  });
+  expect(requestedThemes()).not.toContain('Se');
+  expect(requestedThemes()).not.toContain('Sea');
+
+  act(() => {
+    jest.advanceTimersByTime(1);
+  });
+  await screen.findByText(/Seaside/);
+  expect(requestedThemes().filter(theme => theme !== null)).toEqual(['Sea']);
+});
@@ -0,0 +1,19 @@
+// Get base API URL based on environment 
+export function getApiUrl() {
+  const hostname = window.location.hostname;
+  
+  // If we're running locally (localhost or 127.0.0.1)
+  if (hostname === 'localhost' || hostname === '127.0.0.1') {
+    // In development mode, the proxy in package.json will handle redirecting '/api' to the server
+    if (process.env.NODE_ENV === 'development') {
+      return '/api';
+    } else {
+      // If running in production mode locally, explicit port is needed
+      // The proxy in package.json points to port 5050
+      return 'http://localhost:5050/api';
+    }
+  }
+  
+  // For Heroku or other production environments, use relative URL
+  return '/api';
+}
@@ -2,12 +2,34 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import About from './About';
+import Archive from './Archive';
 import reportWebVitals from './reportWebVitals';
 
+// Pick the page from the URL: /about, /archive, /archive/<puzzleId> or the current puzzle
+function getPage() {
+  const pathname = window.location.pathname.replace(/\/+$/, '');
+  
+  if (pathname === '/about') {
+    return <About />;
+  }
+  
+  if (pathname === '/archive') {
+    return <Archive />;
+  }
+  
+  const archiveMatch = pathname.match(/^\/archive\/([^/]+)$/);
+  if (archiveMatch) {
+    return <App archivePuzzleId={decodeURIComponent(archiveMatch[1])} />;
+  }
+  
+  return <App />;
+}
+
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    {getPage()}
   </React.StrictMode>
 );
 
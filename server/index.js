@@ -1,29 +1,46 @@
+// Load environment variables before the modules that read them
+require('dotenv').config();
+
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const { promisify } = require('util');
 const cors = require('cors');
-const Anthropic = require('@anthropic-ai/sdk');
 
 // Import shared puzzle generator module and puzzle repository
 const puzzleGenerator = require('./lib/puzzle-generator');
 const puzzleRepository = require('./lib/puzzle-repository');
 const { sanitizeInput } = require('./lib/input-sanitizer');
+const gameSessions = require('./lib/game-sessions');
+const puzzleSchedule = require('./lib/puzzle-schedule');
+const { createPregenerationWorker } = require('./lib/pregeneration-worker');
+const { createCacheRefresher } = require('./lib/cache-refresher');
+const { getStorage } = require('./lib/storage');
+const { getProvider, createModeratedProvider } = require('./lib/providers');
+const { createAssociationCache } = require('./lib/association-cache');
+const { createHintCache } = require('./lib/hint-cache');
+const { getPuzzleOracle } = require('./lib/path-oracle');
+const { MAX_HINT_LEVEL } = require('./lib/hint-levels');
+const { DIFFICULTY_LEVELS, isValidDifficulty } = require('./lib/difficulty');
+const { MIN_QUALITY, evaluatePuzzle, isAcceptable } = require('./lib/puzzle-evaluator');
+const { createModerator } = require('./lib/moderation');
+const { QUARANTINE_KINDS, createQuarantine } = require('./lib/quarantine');
 
-// Get environment variables
-require('dotenv').config();
+// Moderation of provider answers - flagged content is kept in the quarantine for admins to review
+const moderator = createModerator();
+let quarantine = createQuarantine();
 
-// Initialize API keys securely
-if (!process.env.ANTHROPIC_API_KEY) {
-  console.error("ERROR: ANTHROPIC_API_KEY is not set - required for word associations");
+// Initialize the association provider (selected with ASSOCIATION_PROVIDER), moderating everything it answers
+let provider;
+try {
+  provider = createModeratedProvider(getProvider(), moderator, {
+    onFlagged: flagged => quarantine.add(flagged)
+  });
+} catch (error) {
+  console.error(`ERROR: ${error.message}`);
   process.exit(1);
 }
 
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
-
 // Initialize Express
 const app = express();
 // Use port 5050 as the local default (to match client proxy),
@@ -36,24 +53,27 @@ let currentGame = {
   targetWord: null,
   associationGraph: {},
   gameDate: null,
-  stats: { 
-    totalPlays: 0, 
-    completions: [], 
-    averageSteps: 0,
-    backSteps: [],
-    averageBackSteps: 0, 
-    totalSteps: [],
-    averageTotalSteps: 0
-  }
+  stats: puzzleRepository.createEmptyStats()
 };
 
-// Track when the next game will be generated
-let nextGameTime = new Date();
-nextGameTime.setHours(nextGameTime.getHours() + 1);
-nextGameTime.setMinutes(0);
+// Track when the next game will go live (the end of the current schedule slot)
+let nextGameTime = puzzleSchedule.getSlotEnd(puzzleSchedule.getSlotKey());
 
 // Cache for word associations
-let associationCache = {};
+let associationCache = createAssociationCache();
+
+// Set once the caches have been loaded from storage (until then there is nothing to save)
+let cachesLoaded = false;
+
+// Shutdown state - the signal aborts puzzle generation in progress when the server stops
+let isShuttingDown = false;
+const shutdownController = new AbortController();
+
+// Background timers, cleared on shutdown
+let cacheSaveTimer = null;
+let rotationTimer = null;
+let scheduleSyncTimer = null;
+let sessionPruneTimer = null;
 
 // Promisify fs functions
 const writeFileAsync = promisify(fs.writeFile);
@@ -66,8 +86,7 @@ const apiLimits = {
   lastReset: new Date(),
   userRateLimit: {}, // Track per IP for rate limiting
   ipThrottling: parseInt(process.env.IP_RATE_LIMIT || 50), // Requests per IP per hour
-  gameGenerationPerDay: parseInt(process.env.GAMES_PER_DAY || 24), // How many new games to generate per day
-  gamesGenerated: 0
+  gameGenerationPerDay: parseInt(process.env.GAMES_PER_DAY || 24) // How many new games to generate per day
 };
 
 // Track cache hits and misses for monitoring
@@ -75,13 +94,11 @@ const cacheStats = {
   hits: 0,
   misses: 0,
   lastCleared: new Date(),
-  hintHits: 0,
-  hintMisses: 0,
   lastSaved: null
 };
 
-// Cache for hint responses to avoid repeated API calls
-const hintCache = {}; // Format: 'startWord-targetWord-currentWord': 'hint'
+// Cache for hint responses to avoid repeated API calls (persisted next to the association cache)
+let hintCache = createHintCache();
 
 // API call tracker for server implementation
 function onApiCallMade() {
@@ -109,11 +126,184 @@ function onApiCallMade() {
   }
 }
 
+// Load a puzzle's own stats - stats are never carried over from another puzzle
+async function loadPuzzleStats(puzzle) {
+  if (!puzzle.id) {
+    return puzzleRepository.createEmptyStats();
+  }
+  return puzzleRepository.getPuzzleStats(puzzle.id);
+}
+
+// Add a completed play to a puzzle's stats
+function addCompletion(stats, summary) {
+  // Track plays
+  stats.totalPlays++;
+  
+  // Track path lengths (completions)
+  stats.completions.push(summary.pathLength); // Number of steps (not including start)
+  const completionsSum = stats.completions.reduce((a, b) => a + b, 0);
+  stats.averageSteps = (completionsSum / stats.completions.length).toFixed(1);
+  
+  // Track back steps and total moves from the move log
+  stats.backSteps.push(summary.backSteps);
+  const backStepsSum = stats.backSteps.reduce((a, b) => a + b, 0);
+  stats.averageBackSteps = (backStepsSum / stats.backSteps.length).toFixed(1);
+  
+  stats.totalSteps.push(summary.totalSteps);
+  const totalStepsSum = stats.totalSteps.reduce((a, b) => a + b, 0);
+  stats.averageTotalSteps = (totalStepsSum / stats.totalSteps.length).toFixed(1);
+}
+
+// Record a completed play in a puzzle's stats and persist them next to the puzzle
+// Saved stats are updated in the repository one completion at a time, so concurrent completions (including
+// other instances' ones) aren't lost - the current game's copy in memory is refreshed from the result
+async function recordCompletion(puzzle, summary) {
+  if (!puzzle.id) {
+    const stats = puzzle === currentGame ? currentGame.stats : puzzleRepository.createEmptyStats();
+    addCompletion(stats, summary);
+    console.warn('Puzzle has no ID (not saved to repository) - stats kept in memory only');
+    return stats;
+  }
+  
+  const stats = await puzzleRepository.updatePuzzleStats(puzzle.id, saved => addCompletion(saved, summary));
+  if (currentGame.id === puzzle.id) {
+    currentGame.stats = stats;
+  }
+  return stats;
+}
+
+// Get the puzzle ID a request asks for (query string or JSON body), if any
+function getRequestedPuzzleId(req) {
+  return req.query.puzzleId || (req.body && req.body.puzzleId) || undefined;
+}
+
+// Get the puzzle ID for a request that may belong to a game session
+// A session's moves are all made in its own puzzle, so that puzzle is used whatever the request asks for
+// Returns undefined for the current game, and null when the request asks for a different puzzle than its session's
+function getSessionPuzzleId(req, session) {
+  const puzzleId = getRequestedPuzzleId(req);
+  const sessionPuzzleId = session && session.puzzleId;
+  
+  if (puzzleId && sessionPuzzleId && puzzleId !== sessionPuzzleId) {
+    return null;
+  }
+  return sessionPuzzleId || puzzleId;
+}
+
+// Find the puzzle with the given ID, or the current game when no ID is given
+// Returns null if the puzzle doesn't exist, is queued for an upcoming slot, or the current game isn't ready yet
+async function resolvePuzzle(puzzleId) {
+  if (!puzzleId || puzzleId === currentGame.id) {
+    return currentGame && currentGame.startWord && currentGame.targetWord ? currentGame : null;
+  }
+  
+  // Puzzles waiting in the schedule can't be played before they go live
+  if ((await puzzleSchedule.getScheduledPuzzleIds()).includes(puzzleId)) {
+    return null;
+  }
+  
+  return puzzleRepository.getPuzzleById(puzzleId);
+}
+
+// Respond to a request for a puzzle that couldn't be found
+function sendPuzzleUnavailable(res, puzzleId) {
+  if (puzzleId) {
+    return res.status(404).json({ 
+      error: 'Puzzle not found', 
+      message: `No puzzle with ID "${puzzleId}"`
+    });
+  }
+  
+  // Status code 503 - Service Unavailable
+  return res.status(503).json({ 
+    error: 'Game not ready', 
+    message: 'The game is being initialized. Please try again in a few moments.'
+  });
+}
+
+// Respond to a request for a different puzzle than its game session's
+function sendPuzzleMismatch(res) {
+  return res.status(409).json({ 
+    error: 'Puzzle mismatch', 
+    message: 'This session belongs to a different puzzle'
+  });
+}
+
+// Puzzle data that is safe to send to players (NOT including the solution!)
+function toPublicPuzzle(puzzle) {
+  return {
+    id: puzzle.id,
+    startWord: puzzle.startWord,
+    targetWord: puzzle.targetWord,
+    theme: puzzle.theme,
+    description: puzzle.description,
+    difficulty: puzzle.difficulty,
+    gameDate: puzzle.gameDate,
+    minExpectedSteps: puzzle.minExpectedSteps,
+    par: getPar(puzzle),
+    warmerColder: Boolean(puzzle.warmerColder)
+  };
+}
+
+// Whether players can be offered a cached association - the path oracle's graph leaves out what the blocklist hides,
+// as getAssociations does, so routes, par and hints never go through words players can't be shown
+// (a moderator with a different blocklist brings a different filter, so memoized oracles are rebuilt)
+function isOfferedAssociation(association) {
+  return !moderator.checkBlocklist(association);
+}
+
+// Get the oracle for a puzzle's target over the associations players can be offered
+function getOracle(puzzle) {
+  return getPuzzleOracle(associationCache, puzzle, isOfferedAssociation);
+}
+
+// Get the fewest moves from a puzzle's start word to its target through the cached association graph
+// Falls back to the par stored with the puzzle (or its generated path's length) if no route is cached
+function getPar(puzzle) {
+  const distance = getOracle(puzzle).distanceFrom(puzzle.startWord);
+  if (distance !== null) {
+    return distance;
+  }
+  return puzzle.par !== undefined ? puzzle.par : puzzle.minExpectedSteps;
+}
+
+// Get the par saved with a puzzle, working it out and saving it with the puzzle if it has none
+// (so listing the archive doesn't build a path oracle for every puzzle on the page each time)
+async function getSavedPar(puzzle) {
+  if (puzzle.par !== undefined && puzzle.par !== null) {
+    return puzzle.par;
+  }
+  
+  const par = getPar(puzzle);
+  await puzzleRepository.updatePuzzle(puzzle.id, { par });
+  return par;
+}
+
+// Say whether each offered word is 'closer' to the puzzle's target than the current word, the 'same' distance
+// or 'further' away (null when a word's distance isn't known yet, e.g. its associations aren't cached)
+// Distances come from the puzzle's memoized path oracle, so this doesn't search the graph on every move
+function getTemperatureBands(puzzle, currentWord, offeredWords) {
+  const oracle = getOracle(puzzle);
+  const bands = {};
+  offeredWords.forEach(word => {
+    bands[word] = oracle.compare(currentWord, word);
+  });
+  return bands;
+}
+
+// Get a shortest path through a puzzle, falling back to the path it was generated with
+// (or null if that goes through words the blocklist now flags)
+function getOptimalPath(puzzle) {
+  const path = getOracle(puzzle).shortestPath(puzzle.startWord) || puzzle.hiddenSolution;
+  return path && path.every(word => isOfferedAssociation(word)) ? path : null;
+}
+
 // Flag to track if game generation is in progress
 let isGeneratingGame = false;
 
 // Generate a new puzzle using the shared module
-async function generatePuzzle(useRepository = false) {
+// difficulty picks the difficulty profile (default PUZZLE_DIFFICULTY or medium)
+async function generatePuzzle(useRepository = false, difficulty = undefined, seed = undefined) {
   // If already generating a game, don't start another one
   if (isGeneratingGame) {
     console.log("Game generation already in progress, skipping new request");
@@ -131,31 +321,18 @@ async function generatePuzzle(useRepository = false) {
       if (savedPuzzle) {
         console.log(`Using saved puzzle: ${savedPuzzle.startWord} → ${savedPuzzle.targetWord}`);
         
-        // Check if we already have a game - if not, create stats object
-        const existingStats = (currentGame && currentGame.stats) ? { ...currentGame.stats } : {
-          totalPlays: 0,
-          completions: [],
-          averageSteps: 0,
-          backSteps: [],
-          averageBackSteps: 0,
-          totalSteps: [],
-          averageTotalSteps: 0
-        };
-        
         // Update game date to today
         const today = new Date().toISOString().split('T')[0];
         
-        // Update the daily game state, preserving stats if they exist
+        // Update the daily game state with the saved puzzle's own stats
         currentGame = {
           ...savedPuzzle,
           gameDate: today,
-          stats: existingStats
+          stats: await loadPuzzleStats(savedPuzzle)
         };
         
         // Update next game time
-        nextGameTime = new Date();
-        nextGameTime.setHours(nextGameTime.getHours() + 1);
-        nextGameTime.setMinutes(0);
+        nextGameTime = puzzleSchedule.getSlotEnd(puzzleSchedule.getSlotKey());
         
         console.log(`Loaded saved puzzle: ${currentGame.startWord} → ${currentGame.targetWord}`);
         console.log(`Theme: ${currentGame.theme} (${currentGame.difficulty})`);
@@ -171,46 +348,40 @@ async function generatePuzzle(useRepository = false) {
     console.log("Generating new puzzle using shared module...");
     
     // Use the shared puzzle generator
-    const puzzle = await puzzleGenerator.generatePuzzle(associationCache, anthropic, onApiCallMade);
-    
-    // Check if we already have a game - if not, create stats object
-    const existingStats = (currentGame && currentGame.stats) ? { ...currentGame.stats } : {
-      totalPlays: 0,
-      completions: [],
-      averageSteps: 0,
-      backSteps: [],
-      averageBackSteps: 0,
-      totalSteps: [],
-      averageTotalSteps: 0
-    };
+    const puzzle = await puzzleGenerator.generatePuzzle(associationCache, provider, onApiCallMade, shutdownController.signal, { difficulty, seed, moderator });
+    
+    // Save the newly generated puzzle to the repository for future use
+    // (saved first so the game has an ID to key its stats by)
+    const saveResult = await puzzleRepository.savePuzzle(puzzle);
+    if (saveResult.success) {
+      console.log(`Puzzle saved to repository for future use: ${saveResult.filename}`);
+    }
     
-    // Update the daily game state, preserving stats if they exist
+    // Update the daily game state - a new puzzle starts with empty stats
     currentGame = {
+      id: saveResult.success ? saveResult.id : null,
       startWord: puzzle.startWord,
       targetWord: puzzle.targetWord,
       theme: puzzle.theme,
       description: puzzle.description,
       difficulty: puzzle.difficulty,
       hiddenSolution: puzzle.hiddenSolution,
+      minExpectedSteps: puzzle.minExpectedSteps,
+      par: puzzle.par,
+      warmerColder: puzzle.warmerColder,
+      quality: puzzle.quality,
+      seed: puzzle.seed,
       gameDate: puzzle.gameDate || new Date().toISOString().split('T')[0],
-      stats: existingStats
+      stats: puzzleRepository.createEmptyStats()
     };
     
     // Update next game time
-    nextGameTime = new Date();
-    nextGameTime.setHours(nextGameTime.getHours() + 1);
-    nextGameTime.setMinutes(0);
+    nextGameTime = puzzleSchedule.getSlotEnd(puzzleSchedule.getSlotKey());
     
     console.log(`New game generated: ${currentGame.startWord} → ${currentGame.targetWord}`);
     console.log(`Theme: ${currentGame.theme} (${currentGame.difficulty})`);
     console.log(`Hidden path: ${currentGame.hiddenSolution.join(' → ')}`);
     
-    // Save the newly generated puzzle to the repository for future use
-    const saveResult = await puzzleRepository.savePuzzle(puzzle);
-    if (saveResult.success) {
-      console.log(`Puzzle saved to repository for future use: ${saveResult.filename}`);
-    }
-    
     return currentGame;
   } catch (error) {
     console.error('Error generating puzzle:', error);
@@ -225,11 +396,60 @@ async function generatePuzzle(useRepository = false) {
   }
 }
 
+// Put the current game in the current schedule slot so every instance serves it
+async function scheduleCurrentGame(source) {
+  if (!currentGame.id) {
+    console.warn('Current puzzle has no ID (not saved to repository) - it cannot be scheduled');
+    return;
+  }
+  await puzzleSchedule.assignSlot(puzzleSchedule.getSlotKey(), currentGame.id, source);
+}
+
+// Make the puzzle scheduled for the current slot the current game
+// Returns the current game, or null if there is no saved puzzle to schedule
+async function syncLivePuzzle() {
+  const slotKey = puzzleSchedule.getSlotKey();
+  const entry = await puzzleSchedule.resolveSlot(slotKey);
+  
+  nextGameTime = puzzleSchedule.getSlotEnd(slotKey);
+  
+  if (!entry) {
+    return null;
+  }
+  
+  // Already live
+  if (entry.puzzleId === currentGame.id) {
+    return currentGame;
+  }
+  
+  const puzzle = await puzzleRepository.getPuzzleById(entry.puzzleId);
+  if (!puzzle) {
+    console.error(`Puzzle ${entry.puzzleId} scheduled for ${slotKey} was not found - keeping the current game`);
+    return currentGame.startWord ? currentGame : null;
+  }
+  
+  // The game date is the UTC date of the slot, the same on every instance
+  currentGame = {
+    ...puzzle,
+    gameDate: slotKey.split('T')[0],
+    stats: await loadPuzzleStats(puzzle)
+  };
+  
+  console.log(`Puzzle for slot ${slotKey} (${entry.source}): ${currentGame.startWord} → ${currentGame.targetWord}`);
+  console.log(`Theme: ${currentGame.theme} (${currentGame.difficulty})`);
+  console.log(`Next game at ${nextGameTime.toISOString()}`);
+  
+  return currentGame;
+}
+
 // Get associations with cache fallback and API limiting
+// Associations the blocklist flags are left out (and quarantined) - new answers are moderated by the provider,
+// but ones cached before moderation, or before a term was added to the blocklist, are only checked here
 async function getAssociations(word) {
   try {
     // Use the shared function
-    return await puzzleGenerator.getAssociations(associationCache, word, anthropic, onApiCallMade);
+    const associations = await puzzleGenerator.getAssociations(associationCache, word, provider, onApiCallMade);
+    return associations.filter(association => !isBlockedText('association', association, { word }));
   } catch (error) {
     console.error('Error in getAssociations:', error);
     // Throw the error instead of returning a fallback
@@ -237,62 +457,124 @@ async function getAssociations(word) {
   }
 }
 
+// Get a word's associations from the cache only, never asking the provider (so checking costs no API calls)
+// Returns an empty list for words that aren't cached; blocklisted associations are left out, as in getAssociations
+function getCachedAssociations(word) {
+  const associations = associationCache.get(word) || [];
+  return associations.filter(association => !isBlockedText('association', association, { word }));
+}
+
+// Find the first hop in a puzzle's path that is not backed by the cached association graph
+// Returns null when every word is an association of the word before it
+function findInvalidStep(sanitizedPath) {
+  for (let i = 0; i < sanitizedPath.length - 1; i++) {
+    const from = sanitizedPath[i];
+    const to = sanitizedPath[i + 1];
+    
+    const isLinked = getCachedAssociations(from).some(word => sanitizeInput(word) === to);
+    
+    if (!isLinked) {
+      return { index: i + 1, from, to };
+    }
+  }
+  
+  return null;
+}
+
+// Background worker that keeps puzzles queued for upcoming schedule slots
+const pregenerationWorker = createPregenerationWorker({
+  generatePuzzle: (onApiCall) => puzzleGenerator.generatePuzzle(associationCache, provider, onApiCall, shutdownController.signal, { moderator }),
+  onApiCallMade,
+  maxPuzzlesPerDay: apiLimits.gameGenerationPerDay,
+  // Every hop of the hidden solution must be a cached association, and the puzzle must still score
+  // well enough on the cache as it is now (other requests may have added associations since it was generated)
+  validatePuzzle: async (puzzle) => {
+    const invalidStep = findInvalidStep(puzzle.hiddenSolution.map(word => sanitizeInput(word)));
+    if (invalidStep) {
+      return `"${invalidStep.to}" is not an association of "${invalidStep.from}"`;
+    }
+    const quality = evaluatePuzzle(associationCache, puzzle);
+    return isAcceptable(quality) ? null : `quality score ${quality.score} is below ${MIN_QUALITY}`;
+  }
+});
+
+// Re-fetches stale association cache entries on request, within the daily API budget
+const cacheRefresher = createCacheRefresher({
+  getCache: () => associationCache,
+  fetchAssociations: (word, onApiCall) => puzzleGenerator.getAssociationsFromProvider(provider, word, onApiCall),
+  saveCache: (cache) => puzzleGenerator.saveAssociationCache(cache),
+  onApiCallMade,
+  getRemainingBudget: () => apiLimits.dailyLimit - apiLimits.dailyCount,
+  promptVersions: provider.promptVersions,
+  // Saved puzzles (scheduled ones included) and the live game, which may not have been saved
+  getPuzzlePaths: async () => [
+    ...await puzzleRepository.getHiddenSolutions(),
+    ...(currentGame.hiddenSolution ? [currentGame.hiddenSolution] : [])
+  ]
+});
+
+// Get the game session for a request from the X-Session-Token header
+// Returns undefined when no token was sent and null when the token is invalid or expired
+function getRequestSession(req) {
+  const token = req.get('X-Session-Token');
+  if (!token) {
+    return undefined;
+  }
+  return gameSessions.getSession(token);
+}
+
+// Check cached content against the moderation blocklist, quarantining it if it's flagged
+// Cached content is checked on every request, so content already in the quarantine isn't added again
+function isBlockedText(kind, text, context) {
+  const flag = moderator.checkBlocklist(text);
+  if (flag && !quarantine.has(kind, text, context)) {
+    quarantine.add({ kind, text, context, reason: flag.reason, source: flag.source });
+  }
+  return Boolean(flag);
+}
+
+// Save the quarantine, marking it saved only once the save has succeeded
+async function saveQuarantine() {
+  const saving = quarantine;
+  const revision = saving.revision;
+  await getStorage().saveQuarantine(saving.toJSON());
+  saving.markSaved(revision);
+}
+
 // Function to get a hint for the player
-async function getHintFromAI(startWord, targetWord, currentWord) {
+// puzzleId (if known) is stored with the hint so a puzzle's hints can be invalidated together
+async function getHintFromAI(startWord, targetWord, currentWord, puzzleId) {
   try {
-    // Check if we're over API limit
-    if (apiLimits.dailyCount >= apiLimits.dailyLimit) {
-      throw new Error('API daily limit reached - unable to generate hint');
-    }
-    
     // Sanitize input for secure usage
     const sanitizedStart = sanitizeInput(startWord);
     const sanitizedTarget = sanitizeInput(targetWord);
     const sanitizedCurrent = sanitizeInput(currentWord);
     
-    // Create a cache key
-    const cacheKey = `${sanitizedStart}-${sanitizedTarget}-${sanitizedCurrent}`;
-    
-    // Check hint cache first
-    if (hintCache[cacheKey]) {
-      cacheStats.hintHits++;
-      console.log(`Hint cache HIT for ${cacheKey}`);
-      return hintCache[cacheKey];
+    // Check hint cache first (cached hints are served even over the API limit)
+    // (a cached hint the blocklist now flags is replaced)
+    const cachedHint = hintCache.get(sanitizedStart, sanitizedTarget, sanitizedCurrent);
+    if (cachedHint && !isBlockedText('hint', cachedHint, { startWord: sanitizedStart, targetWord: sanitizedTarget, currentWord: sanitizedCurrent })) {
+      console.log(`Hint cache HIT for ${sanitizedStart} → ${sanitizedTarget} at ${sanitizedCurrent}`);
+      return cachedHint;
     }
     
-    cacheStats.hintMisses++;
-    console.log(`Hint cache MISS for ${cacheKey}`);
+    console.log(`Hint cache MISS for ${sanitizedStart} → ${sanitizedTarget} at ${sanitizedCurrent}`);
     
-    // Make API call
-    apiLimits.dailyCount++;
-    console.log(`API call for hint (${apiLimits.dailyCount}/${apiLimits.dailyLimit} today)`);
+    // Check if we're over API limit
+    if (apiLimits.dailyCount >= apiLimits.dailyLimit) {
+      throw new Error('API daily limit reached - unable to generate hint');
+    }
     
-    const message = await anthropic.messages.create({
-      model: "claude-3-5-sonnet-20240620",
-      max_tokens: 150,
-      messages: [
-        {
-          role: "user",
-          content: `I am playing a word association game. I need to find a path from "${sanitizedStart}" to "${sanitizedTarget}" by finding words that are associated with each other. I'm currently at "${sanitizedCurrent}".
-
-Give me a subtle hint for a word that's associated with "${sanitizedCurrent}" and will help me move toward "${sanitizedTarget}". 
-
-Your hint should:
-1. NOT directly reveal any next words
-2. Be short (1-2 sentences max)
-3. Nudge me in the right direction
-4. Not be too obvious
-
-Return ONLY the hint text with no extra explanations or formatting.`
-        }
-      ]
+    // Ask the provider, counting any API call it makes
+    const hint = await provider.getHint(sanitizedStart, sanitizedTarget, sanitizedCurrent, {
+      onApiCallMade: () => {
+        apiLimits.dailyCount++;
+        console.log(`API call for hint (${apiLimits.dailyCount}/${apiLimits.dailyLimit} today)`);
+      }
     });
     
-    // Extract the AI's hint
-    const hint = message.content[0].text.trim();
-    
     // Cache the hint
-    hintCache[cacheKey] = hint;
+    hintCache.set(sanitizedStart, sanitizedTarget, sanitizedCurrent, hint, { puzzleId, provider: provider.name });
     
     return hint;
   } catch (error) {
@@ -305,6 +587,15 @@ Return ONLY the hint text with no extra explanations or formatting.`
 app.use(cors());
 app.use(express.json());
 
+// Turn away requests that arrive while the server is shutting down
+app.use((req, res, next) => {
+  if (isShuttingDown) {
+    res.set('Connection', 'close');
+    return res.status(503).json({ error: 'Server is restarting', message: 'Please try again in a moment' });
+  }
+  next();
+});
+
 // Static files
 app.use(express.static(path.join(__dirname, '..', 'client/build')));
 
@@ -315,7 +606,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // Get cache stats (for monitoring)
-app.get('/api/admin/cache-stats', (req, res) => {
+app.get('/api/admin/cache-stats', async (req, res) => {
   try {
     // Check for admin auth in production
     if (process.env.NODE_ENV === 'production') {
@@ -333,57 +624,67 @@ app.get('/api/admin/cache-stats', (req, res) => {
       }
     }
     
-    const cacheSize = Object.keys(associationCache).length;
-    const hintCacheSize = Object.keys(hintCache).length;
+    const cacheSize = associationCache.size;
+    const hintStats = hintCache.getStats();
     
     const wordHitRate = cacheStats.hits + cacheStats.misses > 0 
       ? (cacheStats.hits / (cacheStats.hits + cacheStats.misses) * 100).toFixed(2) 
       : 0;
       
-    const hintHitRate = cacheStats.hintHits + cacheStats.hintMisses > 0 
-      ? (cacheStats.hintHits / (cacheStats.hintHits + cacheStats.hintMisses) * 100).toFixed(2) 
-      : 0;
+    const hintHitRate = (hintStats.hitRate * 100).toFixed(2);
     
     // Calculate API calls saved by caching
-    const totalCacheSavings = cacheStats.hits + cacheStats.hintHits;
+    const totalCacheSavings = cacheStats.hits + hintStats.hits;
     
-    // Check if cache file exists and get its stats
-    let cacheFileInfo = {
-      exists: false,
-      size: 0,
-      lastModified: null,
+    // Get details of where the cache is stored
+    let storageInfo = {
+      backend: 'unknown',
+      location: null,
+      cacheFile: { exists: false, size: 0, lastModified: null }
     };
     
     try {
-      if (fs.existsSync(puzzleGenerator.CACHE_FILE_PATH)) {
-        const stats = fs.statSync(puzzleGenerator.CACHE_FILE_PATH);
-        cacheFileInfo = {
-          exists: true,
-          size: (stats.size / 1024 / 1024).toFixed(2) + ' MB',
-          lastModified: stats.mtime
-        };
-      }
+      storageInfo = await getStorage().getInfo();
     } catch (error) {
-      console.error('Error checking cache file:', error);
+      console.error('Error checking cache storage:', error);
     }
     
     res.json({
       uniqueWords: cacheSize,
-      hintCacheSize,
+      hintCacheSize: hintStats.size,
+      hintCache: {
+        hits: hintStats.hits,
+        misses: hintStats.misses,
+        evictions: hintStats.evictions,
+        invalidations: hintStats.invalidations,
+        maxEntries: hintStats.maxEntries
+      },
       apiCallsToday: apiLimits.dailyCount,
       apiDailyLimit: apiLimits.dailyLimit,
       hitRate: wordHitRate + '%',
       hintHitRate: hintHitRate + '%',
       apiCallsSaved: totalCacheSavings,
-      cacheFile: cacheFileInfo,
+      cacheFile: storageInfo.cacheFile,
+      storage: {
+        backend: storageInfo.backend,
+        location: storageInfo.location
+      },
+      provider: provider.getInfo(),
+      quarantineSize: quarantine.size,
+      responseParsing: {
+        ...puzzleGenerator.cacheStats.parse,
+        failureRate: (puzzleGenerator.getParseFailureRate() * 100).toFixed(2) + '%'
+      },
       lastSaved: cacheStats.lastSaved,
       currentGame: {
+        id: currentGame.id,
         startWord: currentGame.startWord,
         targetWord: currentGame.targetWord,
         theme: currentGame.theme,
         gameDate: currentGame.gameDate,
         nextGameTime: nextGameTime,
-        gamesGenerated: apiLimits.gamesGenerated
+        gamesGenerated: pregenerationWorker.getStatus().puzzlesGeneratedToday,
+        stats: summarizeStats(currentGame.stats)
       }
     });
   } catch (error) {
@@ -392,6 +693,16 @@ app.get('/api/admin/cache-stats', (req, res) => {
   }
 });
 
+// Summarize a puzzle's stats for admin responses
+function summarizeStats(stats) {
+  return {
+    totalPlays: stats.totalPlays,
+    averageSteps: stats.averageSteps,
+    averageBackSteps: stats.averageBackSteps,
+    averageTotalSteps: stats.averageTotalSteps
+  };
+}
+
 // Get the current game
 app.get('/api/game', (req, res) => {
   try {
@@ -450,14 +761,8 @@ app.get('/api/game', (req, res) => {
     // Return only the necessary game data to the client
     // NOT including the solution!
     res.json({
-      startWord: currentGame.startWord,
-      targetWord: currentGame.targetWord,
-      theme: currentGame.theme,
-      description: currentGame.description,
-      difficulty: currentGame.difficulty,
-      gameDate: currentGame.gameDate,
-      nextGameTime: nextGameTime,
-      minExpectedSteps: currentGame.minExpectedSteps,
+      ...toPublicPuzzle(currentGame),
+      nextGameTime: nextGameTime
       // NO SOLUTION SENT TO CLIENT
     });
   } catch (error) {
@@ -466,29 +771,166 @@ app.get('/api/game', (req, res) => {
   }
 });
 
+// Get a puzzle by ID, so a puzzle can still be played after the current game rotates
+app.get('/api/puzzles/:id', async (req, res) => {
+  try {
+    const puzzle = await resolvePuzzle(req.params.id);
+    if (!puzzle) {
+      return sendPuzzleUnavailable(res, req.params.id);
+    }
+    
+    // NO SOLUTION SENT TO CLIENT
+    res.json(toPublicPuzzle(puzzle));
+  } catch (error) {
+    console.error('Error getting puzzle:', error);
+    res.status(500).json({ error: 'Failed to get puzzle' });
+  }
+});
+
+// List past puzzles for the archive, newest first
+// Query: page, pageSize (max 50), date (YYYY-MM-DD), theme, difficulty (easy, medium, hard or expert)
+app.get('/api/archive', async (req, res) => {
+  try {
+    const page = req.query.page ? parseInt(req.query.page) : 1;
+    const pageSize = req.query.pageSize ? parseInt(req.query.pageSize) : 20;
+    const date = req.query.date;
+    const theme = req.query.theme ? sanitizeInput(req.query.theme) : undefined;
+    const difficulty = req.query.difficulty ? sanitizeInput(req.query.difficulty) : undefined;
+    
+    // Validate the query
+    if (isNaN(page) || page < 1) {
+      return res.status(400).json({ error: 'Invalid page parameter' });
+    }
+    if (isNaN(pageSize) || pageSize < 1 || pageSize > 50) {
+      return res.status(400).json({ error: 'Invalid pageSize parameter', message: 'pageSize must be between 1 and 50' });
+    }
+    if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'Invalid date parameter', message: 'date must be in YYYY-MM-DD format' });
+    }
+    if (difficulty !== undefined && !isValidDifficulty(difficulty)) {
+      return res.status(400).json({ error: 'Invalid difficulty parameter', message: `difficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}` });
+    }
+    if (theme !== undefined && theme.length > 50) {
+      return res.status(400).json({ error: 'Invalid theme parameter' });
+    }
+    
+    // The puzzle currently being played and puzzles queued in the schedule aren't part of the archive yet
+    const excludeIds = await puzzleSchedule.getScheduledPuzzleIds();
+    if (currentGame.id) {
+      excludeIds.push(currentGame.id);
+    }
+    
+    const archive = await puzzleRepository.getArchivePuzzles({
+      page,
+      pageSize,
+      date,
+      theme,
+      difficulty,
+      excludeIds
+    });
+    
+    // Load the stats for the puzzles on this page
+    const puzzleStats = await Promise.all(
+      archive.puzzles.map(puzzle => puzzleRepository.getPuzzleStats(puzzle.id))
+    );
+    
+    // Par is the one saved with each puzzle - puzzles saved without one get it worked out once
+    const pars = [];
+    for (const puzzle of archive.puzzles) {
+      pars.push(await getSavedPar(puzzle));
+    }
+    
+    res.json({
+      ...archive,
+      puzzles: archive.puzzles.map((puzzle, index) => ({
+        ...puzzle,
+        par: pars[index],
+        stats: summarizeStats(puzzleStats[index])
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing archive:', error);
+    res.status(500).json({ error: 'Failed to list archive' });
+  }
+});
+
+// Start a game session for a puzzle (the current puzzle unless a puzzle ID is given)
+// The session token is sent back with every move so the server can record the move log
+app.post('/api/session', async (req, res) => {
+  try {
+    const puzzleId = getRequestedPuzzleId(req);
+    const puzzle = await resolvePuzzle(puzzleId);
+    if (!puzzle) {
+      return sendPuzzleUnavailable(res, puzzleId);
+    }
+    
+    const { token, session } = gameSessions.createSession(puzzle);
+    
+    res.json({
+      token,
+      puzzleId: session.puzzleId,
+      startWord: session.startWord,
+      targetWord: session.targetWord,
+      gameDate: session.gameDate
+    });
+  } catch (error) {
+    console.error('Error creating session:', error);
+    res.status(500).json({ error: 'Failed to create session' });
+  }
+});
+
 // Get word associations
 app.get('/api/associations/:word', async (req, res) => {
   try {
-    // If no game generated yet, return error
-    if (!currentGame || !currentGame.startWord) {
-      // Status code 503 - Service Unavailable
-      return res.status(503).json({ 
-        error: 'Game not ready', 
-        message: 'The game is being initialized. Please try again in a few moments.'
+    const session = getRequestSession(req);
+    if (session === null) {
+      return res.status(401).json({ 
+        error: 'Invalid session', 
+        message: 'Your game session has expired. Please start the puzzle again.'
       });
     }
     
+    // If the requested puzzle doesn't exist (or no game generated yet), return error
+    const puzzleId = getSessionPuzzleId(req, session);
+    if (puzzleId === null) {
+      return sendPuzzleMismatch(res);
+    }
+    const puzzle = await resolvePuzzle(puzzleId);
+    if (!puzzle) {
+      return sendPuzzleUnavailable(res, puzzleId);
+    }
+    
     // Sanitize input parameters
     const word = sanitizeInput(req.params.word);
     const wantDetailed = req.query.detailed === 'true';
+    const wantBands = req.query.bands === 'true';
     
     // Validate input
     if (!word || word.length < 1) {
       return res.status(400).json({ error: 'Invalid word parameter' });
     }
     
+    // Record the move if the request belongs to a game session, checking it against what the player was offered
+    if (session) {
+      const currentWord = session.path[session.path.length - 1];
+      const offered = gameSessions.getOffered(session, currentWord) || await getAssociations(currentWord);
+      const move = gameSessions.recordMove(session, word, offered);
+      
+      if (!move) {
+        return res.status(409).json({ 
+          error: 'Invalid move', 
+          message: session.path.includes(word)
+            ? `"${word}" is already on your path - go back to it instead`
+            : `"${word}" is not an association of "${currentWord}"`
+        });
+      }
+    }
+    
     // Get associations 
     const associations = await getAssociations(word);
+    if (session) {
+      gameSessions.recordOffered(session, word, associations);
+    }
     
     // Randomize the order of associations to encourage exploration of different paths
     const randomizedAssociations = [...associations].sort(() => Math.random() - 0.5);
@@ -497,10 +939,9 @@ app.get('/api/associations/:word', async (req, res) => {
     let detailed = null;
     if (wantDetailed) {
       // Check if detailed info exists in cache
-      const detailedKey = `${word.toLowerCase().trim()}_detailed`;
-      if (associationCache[detailedKey]) {
+      const originalDetailed = associationCache.getDetailed(word);
+      if (originalDetailed) {
         // If we have detailed info, we need to randomize it in the same order as the words
-        const originalDetailed = associationCache[detailedKey];
         if (Array.isArray(originalDetailed)) {
           // Create a map from word to detailed info for consistent randomization
           const detailMap = {};
@@ -510,10 +951,12 @@ app.get('/api/associations/:word', async (req, res) => {
             }
           });
           
-          // Reorder detailed info to match randomized associations
-          detailed = randomizedAssociations.map(word => {
-            const normalizedWord = word.toLowerCase().trim();
-            return detailMap[normalizedWord] || { word, hint: "" };
+          // Reorder detailed info to match randomized associations (leaving out hints the blocklist flags)
+          detailed = randomizedAssociations.map(association => {
+            const item = detailMap[association.toLowerCase().trim()];
+            return item && !isBlockedText('association', item.hint, { word, association })
+              ? item
+              : { word: association, hint: "" };
           });
         } else {
           detailed = originalDetailed;
@@ -521,11 +964,17 @@ app.get('/api/associations/:word', async (req, res) => {
       }
     }
     
+    // Warmer/colder feedback is only given for puzzles that have it turned on
+    const bands = wantBands && puzzle.warmerColder
+      ? getTemperatureBands(puzzle, word, randomizedAssociations)
+      : null;
+    
     // Return the randomized associations
     res.json({
       word,
       associations: randomizedAssociations,
-      detailed: detailed
+      detailed: detailed,
+      bands
     });
   } catch (error) {
     console.error('Error getting associations:', error);
@@ -534,66 +983,98 @@ app.get('/api/associations/:word', async (req, res) => {
 });
 
 // Submit a solution for verification
-app.post('/api/verify', (req, res) => {
+// The path and step counts are replayed from the session's move log, not taken from the request body
+app.post('/api/verify', async (req, res) => {
   try {
-    const { path } = req.body;
-    
-    // Validate the input
-    if (!path || !Array.isArray(path) || path.length < 2) {
-      return res.status(400).json({ error: 'Invalid path submitted' });
+    const session = getRequestSession(req);
+    if (!session) {
+      return res.status(401).json({ 
+        error: 'Invalid session', 
+        message: 'A valid game session is required to submit a solution'
+      });
     }
     
-    // Sanitize each word in the path
-    const sanitizedPath = path.map(word => sanitizeInput(word));
+    if (session.completed) {
+      return res.status(409).json({ error: 'Session already submitted' });
+    }
     
-    // Verify path starts with the correct start word and ends with the target
-    if (sanitizedPath[0] !== sanitizeInput(currentGame.startWord)) {
-      return res.status(400).json({ error: 'Path must start with the start word' });
+    // The session decides which puzzle is being verified, so it can be finished after the puzzle rotates
+    const puzzleId = getSessionPuzzleId(req, session);
+    if (puzzleId === null) {
+      return sendPuzzleMismatch(res);
     }
     
-    if (sanitizedPath[sanitizedPath.length - 1] !== sanitizeInput(currentGame.targetWord)) {
-      return res.status(400).json({ error: 'Path must end with the target word' });
+    const puzzle = await resolvePuzzle(puzzleId);
+    if (!puzzle) {
+      return sendPuzzleUnavailable(res, puzzleId);
     }
     
-    // TODO: Full path validation by checking each association step
-    // For now we just look at the start and end
+    if (session.startWord !== sanitizeInput(puzzle.startWord) ||
+        session.targetWord !== sanitizeInput(puzzle.targetWord)) {
+      return res.status(409).json({ 
+        error: 'Puzzle changed', 
+        message: 'This session belongs to a previous puzzle'
+      });
+    }
     
-    // Update stats
-    // Track plays
-    currentGame.stats.totalPlays++;
+    // The final step onto the target word is recorded here, since no associations are fetched for it
+    // Every earlier hop was checked against what the player was offered when it was made, so the path isn't
+    // checked again against the cache, which may have changed since (e.g. refreshed or cleared)
+    const currentWord = session.path[session.path.length - 1];
+    if (currentWord !== session.targetWord) {
+      const finalMove = gameSessions.recordMove(session, session.targetWord,
+        gameSessions.getOffered(session, currentWord) || getCachedAssociations(currentWord));
+      if (!finalMove) {
+        return res.status(400).json({
+          error: 'Invalid path',
+          message: `"${session.targetWord}" is not an association of "${currentWord}"`,
+          invalidStep: { index: session.path.length, from: currentWord, to: session.targetWord }
+        });
+      }
+    }
     
-    // Track path lengths (completions)
-    currentGame.stats.completions.push(path.length - 1); // Number of steps (not including start)
-    const completionsSum = currentGame.stats.completions.reduce((a, b) => a + b, 0);
-    currentGame.stats.averageSteps = (completionsSum / currentGame.stats.completions.length).toFixed(1);
+    // Replay the move log
+    const summary = gameSessions.summarizeSession(session);
+    const sanitizedPath = summary.path;
     
-    // Get back steps and total steps from request body if available
-    if (req.body.backSteps !== undefined) {
-      currentGame.stats.backSteps.push(req.body.backSteps);
-      const backStepsSum = currentGame.stats.backSteps.reduce((a, b) => a + b, 0);
-      currentGame.stats.averageBackSteps = (backStepsSum / currentGame.stats.backSteps.length).toFixed(1);
+    // Verify path starts with the correct start word and ends with the target
+    if (sanitizedPath[0] !== sanitizeInput(puzzle.startWord)) {
+      return res.status(400).json({ error: 'Path must start with the start word' });
     }
     
-    if (req.body.totalSteps !== undefined) {
-      currentGame.stats.totalSteps.push(req.body.totalSteps);
-      const totalStepsSum = currentGame.stats.totalSteps.reduce((a, b) => a + b, 0);
-      currentGame.stats.averageTotalSteps = (totalStepsSum / currentGame.stats.totalSteps.length).toFixed(1);
+    if (sanitizedPath[sanitizedPath.length - 1] !== sanitizeInput(puzzle.targetWord)) {
+      return res.status(400).json({ error: 'Path must end with the target word' });
     }
     
+    // Session can only be counted once
+    gameSessions.completeSession(session);
+    
+    // Update the puzzle's stats
+    const stats = await recordCompletion(puzzle, summary);
+    
     // Success response with complete stats
     res.json({
       success: true,
       path: sanitizedPath,
       stats: {
-        stepsUsed: sanitizedPath.length - 1,
-        totalPlays: currentGame.stats.totalPlays,
-        completions: currentGame.stats.completions,
-        averageSteps: currentGame.stats.averageSteps,
-        backSteps: currentGame.stats.backSteps,
-        averageBackSteps: currentGame.stats.averageBackSteps,
-        totalSteps: currentGame.stats.totalSteps,
-        averageTotalSteps: currentGame.stats.averageTotalSteps,
-        optimalPath: currentGame.hiddenSolution
+        puzzleId: puzzle.id,
+        stepsUsed: summary.pathLength,
+        backStepsUsed: summary.backSteps,
+        totalStepsUsed: summary.totalSteps,
+        hintsUsed: summary.hintsUsed,
+        distanceHintsUsed: summary.distanceHintsUsed,
+        highestHintLevel: summary.highestHintLevel,
+        hintPenalty: summary.hintPenalty,
+        score: summary.score,
+        totalPlays: stats.totalPlays,
+        completions: stats.completions,
+        averageSteps: stats.averageSteps,
+        backSteps: stats.backSteps,
+        averageBackSteps: stats.averageBackSteps,
+        totalSteps: stats.totalSteps,
+        averageTotalSteps: stats.averageTotalSteps,
+        par: getPar(puzzle),
+        optimalPath: getOptimalPath(puzzle)
       }
     });
   } catch (error) {
@@ -603,14 +1084,13 @@ app.post('/api/verify', (req, res) => {
 });
 
 // Get the solution path (only when requested after 20+ moves)
-app.get('/api/solution', (req, res) => {
+app.get('/api/solution', async (req, res) => {
   try {
-    // If no game generated yet, return error
-    if (!currentGame || !currentGame.startWord) {
-      return res.status(503).json({ 
-        error: 'Game not ready', 
-        message: 'The game is being initialized. Please try again in a few moments.'
-      });
+    // If the requested puzzle doesn't exist (or no game generated yet), return error
+    const puzzleId = getRequestedPuzzleId(req);
+    const puzzle = await resolvePuzzle(puzzleId);
+    if (!puzzle) {
+      return sendPuzzleUnavailable(res, puzzleId);
     }
     
     // Verify that the request includes a valid move count parameter
@@ -623,9 +1103,14 @@ app.get('/api/solution', (req, res) => {
     }
     
     // Return the solution path if conditions are met
-    res.json({
-      solution: currentGame.hiddenSolution
-    });
+    const solution = getOptimalPath(puzzle);
+    if (!solution) {
+      return res.status(404).json({
+        error: 'No solution available',
+        message: 'No route to the target can be shown for this puzzle'
+      });
+    }
+    res.json({ solution });
     
   } catch (error) {
     console.error('Error getting solution:', error);
@@ -633,15 +1118,88 @@ app.get('/api/solution', (req, res) => {
   }
 });
 
+// Kinds of hint: the next of the escalating hint levels (see lib/hint-levels.js), or how far the target is
+const HINT_KINDS = ['level', 'distance'];
+
+// Say how many moves are left from a word, and whether the last move got warmer or colder when previousWord is given
+// Distance hints come from the puzzle's path oracle
+function getDistanceHint(puzzle, currentWord, previousWord) {
+  const oracle = getOracle(puzzle);
+  const distance = oracle.distanceFrom(currentWord);
+  
+  if (distance === null) {
+    return {
+      distance,
+      hint: `There's no known route from "${currentWord}" to the target - try going back.`
+    };
+  }
+  
+  if (distance === 0) {
+    return { distance, hint: "You're already at the target!" };
+  }
+  
+  const hint = `You are ${distance} ${distance === 1 ? 'step' : 'steps'} away from the target.`;
+  if (!previousWord) {
+    return { distance, hint };
+  }
+  
+  const trend = oracle.compare(previousWord, currentWord);
+  const trendText = {
+    closer: ' Warmer - that move got you closer.',
+    same: ' Same distance as before.',
+    further: ' Colder - that move took you further away.'
+  };
+  return {
+    distance,
+    trend,
+    hint: `${hint}${trend ? trendText[trend] : ''}`
+  };
+}
+
+// Build the hint for a hint level at the player's current word
+// Levels past the theme are about the next word on a shortest path; without a known route, the provider's hint is given instead
+async function getLevelHint(puzzle, level, currentWord) {
+  if (level.name === 'theme') {
+    return puzzle.theme
+      ? `Think about the theme: ${puzzle.theme}.${puzzle.description ? ` ${puzzle.description}.` : ''}`
+      : `Think about what "${puzzle.startWord}" and "${puzzle.targetWord}" have in common.`;
+  }
+  
+  // The oracle's graph already leaves out words the blocklist flags
+  const nextWord = getOracle(puzzle).nextSteps(currentWord)[0];
+  if (!nextWord) {
+    return getHintFromAI(puzzle.startWord, puzzle.targetWord, currentWord, puzzle.id);
+  }
+  
+  if (level.name === 'category') {
+    const details = (associationCache.getDetailed(currentWord) || []).find(item => item.word === nextWord);
+    return details && details.hint && !isBlockedText('association', details.hint, { word: currentWord, association: nextWord })
+      ? `The next word on the shortest route is linked by: ${details.hint}`
+      : getHintFromAI(puzzle.startWord, puzzle.targetWord, currentWord, puzzle.id);
+  }
+  
+  if (level.name === 'first-letter') {
+    return `The next word on the shortest route starts with "${nextWord.charAt(0).toUpperCase()}".`;
+  }
+  
+  return `Try "${nextWord}" next.`;
+}
+
 // Get a hint
+// Each hint at the same word goes up a level and adds its cost to the player's score, so a game session is needed.
+// ?kind=distance gives the number of moves left instead (see getDistanceHint), charged once per word. It only says
+// whether the last move got warmer or colder on puzzles with warmer/colder feedback turned on.
 app.get('/api/hint/:currentWord', async (req, res) => {
   try {
-    // If no game generated yet, return error
-    if (!currentGame || !currentGame.startWord) {
-      return res.status(503).json({ 
-        error: 'Game not ready', 
-        message: 'The game is being initialized. Please try again in a few moments.'
-      });
+    // If the requested puzzle doesn't exist (or no game generated yet), return error
+    const session = getRequestSession(req);
+    const puzzleId = getSessionPuzzleId(req, session);
+    if (puzzleId === null) {
+      return sendPuzzleMismatch(res);
+    }
+    const puzzle = await resolvePuzzle(puzzleId);
+    if (!puzzle) {
+      return sendPuzzleUnavailable(res, puzzleId);
     }
     
     // Sanitize input parameter
@@ -652,12 +1210,68 @@ app.get('/api/hint/:currentWord', async (req, res) => {
       return res.status(400).json({ error: 'Invalid word parameter' });
     }
     
-    // Get hint
-    const hint = await getHintFromAI(currentGame.startWord, currentGame.targetWord, currentWord);
+    const kind = req.query.kind || 'level';
+    if (!HINT_KINDS.includes(kind)) {
+      return res.status(400).json({
+        error: 'Invalid hint kind',
+        message: `Hint kind must be one of: ${HINT_KINDS.join(', ')}`
+      });
+    }
+    
+    // Hints are tracked per player, in their game session
+    if (!session) {
+      return res.status(401).json({ 
+        error: 'Invalid session', 
+        message: 'A valid game session is required to get a hint'
+      });
+    }
+    
+    if (session.completed) {
+      return res.status(409).json({ error: 'Session already submitted' });
+    }
+    
+    const sessionWord = session.path[session.path.length - 1];
+    if (currentWord !== sessionWord) {
+      return res.status(409).json({ 
+        error: 'Word mismatch', 
+        message: `Your game is at "${sessionWord}", not "${currentWord}"`
+      });
+    }
+    
+    // The last move is taken from the session, so the trend can't be asked about other words
+    if (kind === 'distance') {
+      const previousWord = puzzle.warmerColder && session.path.length > 1 ? session.path[session.path.length - 2] : null;
+      const distanceHint = getDistanceHint(puzzle, currentWord, previousWord);
+      const cost = gameSessions.recordDistanceHint(session);
+      const summary = gameSessions.summarizeSession(session);
+      return res.json({
+        kind,
+        ...distanceHint,
+        cost,
+        hintsUsed: summary.hintsUsed,
+        hintPenalty: summary.hintPenalty
+      });
+    }
+    
+    // The hint is only recorded once it has been built, so a failed hint isn't charged
+    const nextHint = gameSessions.getNextHint(session);
+    const { level, charged } = nextHint;
+    const hint = await getLevelHint(puzzle, level, currentWord);
+    gameSessions.recordHint(session, nextHint);
+    
+    const summary = gameSessions.summarizeSession(session);
     
     // Return the hint
     res.json({
-      hint
+      kind,
+      hint,
+      level: level.level,
+      name: level.name,
+      label: level.label,
+      cost: charged ? level.cost : 0,
+      maxLevel: MAX_HINT_LEVEL,
+      hintsUsed: summary.hintsUsed,
+      hintPenalty: summary.hintPenalty
     });
   } catch (error) {
     console.error('Error getting hint:', error);
@@ -676,13 +1290,33 @@ app.post('/api/admin/new-game', async (req, res) => {
       }
     }
     
-    // Generate new game
-    await generatePuzzle();
+    // An optional { "difficulty": "hard" } body picks the difficulty profile
+    const difficulty = req.body && req.body.difficulty;
+    if (difficulty !== undefined && !isValidDifficulty(difficulty)) {
+      return res.status(400).json({
+        error: 'Invalid difficulty',
+        message: `difficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}`
+      });
+    }
+    
+    // An optional { "seed": "2026-10-19" } body makes generation reproducible
+    const seed = req.body && req.body.seed;
+    if (seed !== undefined && (typeof seed !== 'string' || seed.length === 0 || seed.length > 100)) {
+      return res.status(400).json({
+        error: 'Invalid seed',
+        message: 'seed must be a string of 1 to 100 characters'
+      });
+    }
+    
+    // Generate new game and make it live on every instance
+    await generatePuzzle(false, difficulty, seed);
+    await scheduleCurrentGame('admin');
     
     // Return success
     res.json({
       success: true,
       game: {
+        id: currentGame.id,
         startWord: currentGame.startWord,
         targetWord: currentGame.targetWord,
         theme: currentGame.theme,
@@ -708,14 +1342,12 @@ app.post('/api/admin/clear-cache', async (req, res) => {
     }
     
     // Clear caches
-    associationCache = {};
-    hintCache = {};
+    associationCache.clear();
+    hintCache.clear();
     
     // Reset stats
     cacheStats.hits = 0;
     cacheStats.misses = 0;
-    cacheStats.hintHits = 0;
-    cacheStats.hintMisses = 0;
     cacheStats.lastCleared = new Date();
     
     // Return success
@@ -740,6 +1372,14 @@ app.post('/api/admin/save-cache', async (req, res) => {
       }
     }
     
+    // Not before the saved cache has loaded, which it would overwrite
+    if (!cachesLoaded) {
+      return res.status(503).json({
+        error: 'Cache not loaded',
+        message: 'The association cache is still loading - try again shortly'
+      });
+    }
+    
     // Save cache
     await puzzleGenerator.saveAssociationCache(associationCache);
     
@@ -747,7 +1387,7 @@ app.post('/api/admin/save-cache', async (req, res) => {
     res.json({
       success: true,
       message: 'Cache saved successfully',
-      size: Object.keys(associationCache).length
+      size: associationCache.size
     });
   } catch (error) {
     console.error('Error saving cache:', error);
@@ -755,6 +1395,93 @@ app.post('/api/admin/save-cache', async (req, res) => {
   }
 });
 
+// Remove the cached hints for one puzzle (e.g. after its hints turned out to be misleading)
+app.delete('/api/admin/hint-cache/:puzzleId', async (req, res) => {
+  try {
+    // Check for admin auth in production
+    if (process.env.NODE_ENV === 'production') {
+      const authHeader = req.headers.authorization;
+      if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_SECRET}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+    }
+    
+    const puzzleId = req.params.puzzleId;
+    const puzzle = puzzleId === currentGame.id
+      ? currentGame
+      : puzzleRepository.isValidPuzzleId(puzzleId) && await puzzleRepository.getPuzzleById(puzzleId);
+    if (!puzzle) {
+      return res.status(404).json({ error: 'Puzzle not found', message: `No puzzle with ID "${puzzleId}"` });
+    }
+    
+    const removed = hintCache.invalidatePuzzle(puzzle);
+    await getStorage().saveHintCache(hintCache.toJSON());
+    
+    res.json({ success: true, puzzleId, hintsRemoved: removed });
+  } catch (error) {
+    console.error('Error invalidating hints:', error);
+    res.status(500).json({ error: 'Failed to invalidate hints' });
+  }
+});
+
+// List content flagged by moderation, most recently flagged first
+// Query: kind - association, hint or theme (default all); limit - number of entries (default 100)
+app.get('/api/admin/quarantine', (req, res) => {
+  try {
+    // Check for admin auth in production
+    if (process.env.NODE_ENV === 'production') {
+      const authHeader = req.headers.authorization;
+      if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_SECRET}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+    }
+    
+    const kind = req.query.kind || null;
+    if (kind && !QUARANTINE_KINDS.includes(kind)) {
+      return res.status(400).json({
+        error: 'Invalid kind',
+        message: `kind must be one of: ${QUARANTINE_KINDS.join(', ')}`
+      });
+    }
+    const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+    if (isNaN(limit) || limit < 1) {
+      return res.status(400).json({ error: 'Invalid limit', message: 'limit must be a positive number' });
+    }
+    
+    res.json({
+      total: quarantine.size,
+      moderation: moderator.getInfo(),
+      entries: quarantine.list(kind, limit)
+    });
+  } catch (error) {
+    console.error('Error listing quarantine:', error);
+    res.status(500).json({ error: 'Failed to list quarantine' });
+  }
+});
+
+// Dismiss a quarantined entry once it has been reviewed
+app.delete('/api/admin/quarantine/:id', async (req, res) => {
+  try {
+    // Check for admin auth in production
+    if (process.env.NODE_ENV === 'production') {
+      const authHeader = req.headers.authorization;
+      if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_SECRET}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+    }
+    
+    if (!quarantine.remove(req.params.id)) {
+      return res.status(404).json({ error: 'Entry not found', message: `No quarantined entry with ID "${req.params.id}"` });
+    }
+    await saveQuarantine();
+    
+    res.json({ success: true, id: req.params.id, remaining: quarantine.size });
+  } catch (error) {
+    console.error('Error dismissing quarantined entry:', error);
+    res.status(500).json({ error: 'Failed to dismiss quarantined entry' });
+  }
+});
+
 // List all saved puzzles (admin only)
 app.get('/api/admin/puzzles', async (req, res) => {
   try {
@@ -780,6 +1507,41 @@ app.get('/api/admin/puzzles', async (req, res) => {
   }
 });
 
+// Change a puzzle's settings - { "warmerColder": true } turns on warmer/colder feedback for each offered word
+app.put('/api/admin/puzzles/:id/settings', async (req, res) => {
+  try {
+    // Check for admin auth in production
+    if (process.env.NODE_ENV === 'production') {
+      const authHeader = req.headers.authorization;
+      if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_SECRET}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+    }
+    
+    const puzzleId = req.params.id;
+    const warmerColder = req.body && req.body.warmerColder;
+    
+    if (typeof warmerColder !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid settings', message: 'warmerColder must be true or false' });
+    }
+    
+    const puzzle = await puzzleRepository.updatePuzzle(puzzleId, { warmerColder });
+    if (!puzzle) {
+      return res.status(404).json({ error: 'Puzzle not found', message: `No puzzle with ID "${puzzleId}"` });
+    }
+    
+    // The live puzzle is kept in memory, so change it there too
+    if (currentGame.id === puzzleId) {
+      currentGame.warmerColder = warmerColder;
+    }
+    
+    res.json({ success: true, puzzleId, warmerColder });
+  } catch (error) {
+    console.error('Error updating puzzle settings:', error);
+    res.status(500).json({ error: 'Failed to update puzzle settings' });
+  }
+});
+
 // Get recent puzzles with details (admin only)
 app.get('/api/admin/recent-puzzles', async (req, res) => {
   try {
@@ -797,16 +1559,25 @@ app.get('/api/admin/recent-puzzles', async (req, res) => {
     // Get recent puzzles
     const recentPuzzles = await puzzleRepository.getRecentPuzzles(limit);
     
+    // Load each puzzle's own stats
+    const puzzleStats = await Promise.all(
+      recentPuzzles.map(item => puzzleRepository.getPuzzleStats(item.puzzle.id))
+    );
+    
     // Return the list with summarized details
     res.json({
       count: recentPuzzles.length,
-      puzzles: recentPuzzles.map(item => ({
+      puzzles: recentPuzzles.map((item, index) => ({
+        id: item.puzzle.id,
         filename: item.filename,
         startWord: item.puzzle.startWord,
         targetWord: item.puzzle.targetWord,
         theme: item.puzzle.theme,
         pathLength: item.puzzle.hiddenSolution?.length,
-        generatedAt: item.puzzle.generatedAt || 'unknown'
+        difficulty: item.puzzle.difficulty || null,
+        qualityScore: item.puzzle.quality ? item.puzzle.quality.score : null,
+        generatedAt: item.puzzle.generatedAt || 'unknown',
+        stats: summarizeStats(puzzleStats[index])
       }))
     });
   } catch (error) {
@@ -826,14 +1597,16 @@ app.post('/api/admin/use-saved-puzzle', async (req, res) => {
       }
     }
     
-    // Generate new game using the repository
+    // Generate new game using the repository and make it live on every instance
     await generatePuzzle(true);
+    await scheduleCurrentGame('admin');
     
     // Return success with the new game
     res.json({
       success: true,
       message: 'Loaded puzzle from repository',
       game: {
+        id: currentGame.id,
         startWord: currentGame.startWord,
         targetWord: currentGame.targetWord,
         theme: currentGame.theme,
@@ -847,81 +1620,246 @@ app.post('/api/admin/use-saved-puzzle', async (req, res) => {
   }
 });
 
+// Get the status of the puzzle pre-generation worker
+app.get('/api/admin/pregeneration', (req, res) => {
+  try {
+    // Check for admin auth in production
+    if (process.env.NODE_ENV === 'production') {
+      const authHeader = req.headers.authorization;
+      if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_SECRET}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+    }
+    
+    res.json(pregenerationWorker.getStatus());
+  } catch (error) {
+    console.error('Error getting pre-generation status:', error);
+    res.status(500).json({ error: 'Failed to get pre-generation status' });
+  }
+});
+
+// Get the schedule for the current and upcoming slots
+// Query: count - number of slots to show (default 24, max 168)
+app.get('/api/admin/schedule', async (req, res) => {
+  try {
+    // Check for admin auth in production
+    if (process.env.NODE_ENV === 'production') {
+      const authHeader = req.headers.authorization;
+      if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_SECRET}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+    }
+    
+    const count = req.query.count ? parseInt(req.query.count) : 24;
+    if (isNaN(count) || count < 1 || count > 168) {
+      return res.status(400).json({ error: 'Invalid count parameter', message: 'count must be between 1 and 168' });
+    }
+    
+    const schedule = await puzzleSchedule.loadSchedule();
+    const slotKeys = puzzleSchedule.getUpcomingSlotKeys(count);
+    
+    // Describe each slot with the puzzle assigned to it
+    const slots = await Promise.all(slotKeys.map(async slotKey => {
+      const entry = schedule[slotKey] || null;
+      const puzzle = entry ? await puzzleRepository.getPuzzleById(entry.puzzleId) : null;
+      
+      return {
+        slot: slotKey,
+        endsAt: puzzleSchedule.getSlotEnd(slotKey),
+        live: slotKey === slotKeys[0],
+        puzzleId: entry ? entry.puzzleId : null,
+        source: entry ? entry.source : null,
+        assignedAt: entry ? entry.assignedAt : null,
+        puzzle: puzzle ? {
+          startWord: puzzle.startWord,
+          targetWord: puzzle.targetWord,
+          theme: puzzle.theme,
+          difficulty: puzzle.difficulty
+        } : null
+      };
+    }));
+    
+    res.json({
+      rotationPeriodMinutes: puzzleSchedule.ROTATION_PERIOD_MS / 60000,
+      currentSlot: slotKeys[0],
+      currentPuzzleId: currentGame.id || null,
+      slots
+    });
+  } catch (error) {
+    console.error('Error getting schedule:', error);
+    res.status(500).json({ error: 'Failed to get schedule' });
+  }
+});
+
+// Assign a saved puzzle to the current or an upcoming slot
+// Body: { puzzleId }
+app.put('/api/admin/schedule/:slot', async (req, res) => {
+  try {
+    // Check for admin auth in production
+    if (process.env.NODE_ENV === 'production') {
+      const authHeader = req.headers.authorization;
+      if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_SECRET}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+    }
+    
+    const slotKey = req.params.slot;
+    const puzzleId = req.body && req.body.puzzleId;
+    const currentSlotKey = puzzleSchedule.getSlotKey();
+    
+    if (!puzzleSchedule.isValidSlotKey(slotKey)) {
+      return res.status(400).json({ error: 'Invalid slot', message: 'slot must be the start time of a slot as an ISO string' });
+    }
+    if (slotKey < currentSlotKey) {
+      return res.status(400).json({ error: 'Invalid slot', message: 'Past slots cannot be changed' });
+    }
+    if (!puzzleRepository.isValidPuzzleId(puzzleId) || !(await puzzleRepository.getPuzzleById(puzzleId))) {
+      return res.status(404).json({ error: 'Puzzle not found', message: `No puzzle with ID "${puzzleId}"` });
+    }
+    
+    const entry = await puzzleSchedule.assignSlot(slotKey, puzzleId, 'admin');
+    
+    // Changing the current slot changes the live puzzle right away
+    if (slotKey === currentSlotKey) {
+      await syncLivePuzzle();
+    }
+    
+    res.json({ success: true, slot: slotKey, ...entry });
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+// Remove the puzzle assigned to an upcoming slot
+// The slot will be filled by the next generated puzzle, or a saved puzzle when it goes live
+app.delete('/api/admin/schedule/:slot', async (req, res) => {
+  try {
+    // Check for admin auth in production
+    if (process.env.NODE_ENV === 'production') {
+      const authHeader = req.headers.authorization;
+      if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_SECRET}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+    }
+    
+    const slotKey = req.params.slot;
+    
+    if (!puzzleSchedule.isValidSlotKey(slotKey)) {
+      return res.status(400).json({ error: 'Invalid slot', message: 'slot must be the start time of a slot as an ISO string' });
+    }
+    if (slotKey <= puzzleSchedule.getSlotKey()) {
+      return res.status(400).json({ error: 'Invalid slot', message: 'Only upcoming slots can be cleared' });
+    }
+    
+    const cleared = await puzzleSchedule.clearSlot(slotKey);
+    if (!cleared) {
+      return res.status(404).json({ error: 'Slot not scheduled', message: `No puzzle is scheduled for ${slotKey}` });
+    }
+    
+    res.json({ success: true, slot: slotKey });
+  } catch (error) {
+    console.error('Error clearing schedule slot:', error);
+    res.status(500).json({ error: 'Failed to clear schedule slot' });
+  }
+});
+
+// Get the stale association cache entries and the status of the last refresh
+app.get('/api/admin/cache-refresh', (req, res) => {
+  try {
+    // Check for admin auth in production
+    if (process.env.NODE_ENV === 'production') {
+      const authHeader = req.headers.authorization;
+      if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_SECRET}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+    }
+    
+    const staleEntries = cacheRefresher.findStale();
+    
+    // Count the stale entries by reason
+    const staleByReason = {};
+    staleEntries.forEach(item => {
+      staleByReason[item.reason] = (staleByReason[item.reason] || 0) + 1;
+    });
+    
+    res.json({
+      cacheSize: associationCache.size,
+      staleCount: staleEntries.length,
+      staleByReason,
+      nextToRefresh: staleEntries.slice(0, 20),
+      refresh: cacheRefresher.getStatus()
+    });
+  } catch (error) {
+    console.error('Error getting cache refresh status:', error);
+    res.status(500).json({ error: 'Failed to get cache refresh status' });
+  }
+});
+
+// Start refreshing stale association cache entries in the background
+// Body: { limit } - most entries to refresh (default 50, max 1000)
+app.post('/api/admin/cache-refresh', (req, res) => {
+  try {
+    // Check for admin auth in production
+    if (process.env.NODE_ENV === 'production') {
+      const authHeader = req.headers.authorization;
+      if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_SECRET}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+    }
+    
+    const limit = req.body && req.body.limit !== undefined ? parseInt(req.body.limit) : undefined;
+    if (limit !== undefined && (isNaN(limit) || limit < 1 || limit > 1000)) {
+      return res.status(400).json({ error: 'Invalid limit', message: 'limit must be between 1 and 1000' });
+    }
+    
+    if (!cacheRefresher.refresh({ limit })) {
+      return res.status(409).json({ error: 'Refresh in progress', message: 'A cache refresh is already running' });
+    }
+    
+    res.status(202).json({ success: true, refresh: cacheRefresher.getStatus() });
+  } catch (error) {
+    console.error('Error starting cache refresh:', error);
+    res.status(500).json({ error: 'Failed to start cache refresh' });
+  }
+});
+
 // Serve React app for any other route
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'client/build/index.html'));
 });
 
-// On server start - initialize
-if (process.env.NODE_ENV !== 'test') {
-  // Load the association cache first
-  puzzleGenerator.loadAssociationCache()
-    .then(loadedCache => {
-      // Store the loaded cache
-      associationCache = loadedCache;
-      console.log(`Cache loaded with ${Object.keys(associationCache).length} entries`);
-      
-      // Check for a puzzle from the current hour
-      return puzzleRepository.getPuzzleFromCurrentHour();
-    })
-    .then(hourlyPuzzle => {
-      if (hourlyPuzzle) {
-        // Use the puzzle from the current hour
-        console.log(`Using existing puzzle from current hour: ${hourlyPuzzle.startWord} → ${hourlyPuzzle.targetWord}`);
-        
-        // Log the puzzle data for debugging
-        console.log("Loaded hourly puzzle at startup:", {
-          startWord: hourlyPuzzle.startWord,
-          targetWord: hourlyPuzzle.targetWord,
-          minExpectedSteps: hourlyPuzzle.minExpectedSteps,
-          hiddenSolutionLength: hourlyPuzzle.hiddenSolution ? hourlyPuzzle.hiddenSolution.length : 'N/A'
-        });
-        
-        const today = new Date().toISOString().split('T')[0];
-        
-        // Calculate minExpectedSteps if needed
-        let calculatedMinSteps = hourlyPuzzle.minExpectedSteps;
-        if (calculatedMinSteps === undefined && hourlyPuzzle.hiddenSolution) {
-          calculatedMinSteps = hourlyPuzzle.hiddenSolution.length - 1;
-          console.log(`Calculated minExpectedSteps: ${calculatedMinSteps} from hiddenSolution length: ${hourlyPuzzle.hiddenSolution.length}`);
-        }
-        
-        // Update the current game state with the found puzzle
-        currentGame = {
-          ...hourlyPuzzle,
-          gameDate: today,
-          minExpectedSteps: calculatedMinSteps,
-          stats: {
-            totalPlays: 0, 
-            completions: [], 
-            averageSteps: 0,
-            backSteps: [],
-            averageBackSteps: 0, 
-            totalSteps: [],
-            averageTotalSteps: 0
-          }
-        };
-        
-        // Log the current game data after update
-        console.log("Updated current game at startup:", {
-          startWord: currentGame.startWord,
-          targetWord: currentGame.targetWord,
-          minExpectedSteps: currentGame.minExpectedSteps
-        });
-        
-        // Update next game time to the next hour
-        nextGameTime = new Date();
-        nextGameTime.setHours(nextGameTime.getHours() + 1);
-        nextGameTime.setMinutes(0);
-        nextGameTime.setSeconds(0);
-        
-        console.log(`Game loaded from existing hourly puzzle. Next game at ${nextGameTime.toISOString()}`);
-        return currentGame;
-      } else {
-        // No puzzle found for current hour, generate a new one
-        console.log('No puzzle found for current hour, generating a new one...');
-        return generatePuzzle();
+// Load the caches saved before the last restart: associations, hints and quarantined content
+async function loadCaches() {
+  associationCache = await puzzleGenerator.loadAssociationCache();
+  console.log(`Cache loaded with ${associationCache.size} words`);
+  
+  // Restore hints saved before the last restart
+  hintCache = createHintCache(await getStorage().loadHintCache());
+  
+  // Restore content flagged before the last restart (keeping anything flagged while loading)
+  const loadedQuarantine = await getStorage().loadQuarantine();
+  const flaggedWhileLoading = quarantine.list().reverse();
+  quarantine = createQuarantine(loadedQuarantine);
+  flaggedWhileLoading.forEach(entry => quarantine.add(entry));
+  cachesLoaded = true;
+}
+
+// On server start - initialize (not when the app is required by tests)
+if (require.main === module && process.env.NODE_ENV !== 'test') {
+  // Load the caches first, then use the puzzle scheduled for the current slot
+  loadCaches()
+    .then(() => syncLivePuzzle())
+    .then(async scheduledGame => {
+      if (scheduledGame) {
+        return scheduledGame;
       }
+      
+      // No saved puzzles to schedule yet, generate one for the current slot
+      console.log('No puzzle available for the current slot, generating a new one...');
+      await generatePuzzle();
+      await scheduleCurrentGame('generated');
+      return currentGame;
     })
     .then(game => {
       console.log(`Game ready: ${game.startWord} → ${game.targetWord}`);
@@ -938,123 +1876,153 @@ if (process.env.NODE_ENV !== 'test') {
         targetWord: null,
         associationGraph: {},
         gameDate: null,
-        stats: { 
-          totalPlays: 0, 
-          completions: [], 
-          averageSteps: 0,
-          backSteps: [],
-          averageBackSteps: 0, 
-          totalSteps: [],
-          averageTotalSteps: 0
-        }
+        stats: puzzleRepository.createEmptyStats()
       };
     });
   
   // Set up periodic cache saving (every 5 minutes)
   const CACHE_SAVE_INTERVAL = 5 * 60 * 1000; // 5 minutes in milliseconds
-  setInterval(() => {
+  cacheSaveTimer = setInterval(() => {
+    // Not until the saved caches have loaded, so a failed load can't overwrite them with empty ones
+    // (each association cache save rotates a backup, so empty saves would push every good backup out)
+    if (!cachesLoaded) {
+      return;
+    }
+    
     puzzleGenerator.saveAssociationCache(associationCache)
       .then(saved => {
         if (saved) {
-          console.log(`Cache automatically saved. Current size: ${Object.keys(associationCache).length} entries`);
+          console.log(`Cache automatically saved. Current size: ${associationCache.size} words`);
           cacheStats.lastSaved = new Date();
         }
       })
       .catch(err => console.error('Failed to auto-save cache:', err));
+    
+    getStorage().saveHintCache(hintCache.toJSON())
+      .catch(err => console.error('Failed to auto-save hint cache:', err));
+    
+    if (quarantine.dirty) {
+      saveQuarantine()
+        .catch(err => console.error('Failed to auto-save quarantine:', err));
+    }
   }, CACHE_SAVE_INTERVAL);
   
-  // Function to schedule game generation for the next hour
-  function scheduleNextHourGeneration() {
-    // Calculate time until the next hour
+  // Rotate to the next slot's puzzle when the current slot ends
+  function scheduleNextRotation() {
     const now = new Date();
-    const nextHour = new Date(now);
-    nextHour.setHours(nextHour.getHours() + 1);
-    nextHour.setMinutes(0);
-    nextHour.setSeconds(0);
-    nextHour.setMilliseconds(0);
+    const slotEnd = puzzleSchedule.getSlotEnd(puzzleSchedule.getSlotKey(now));
     
-    const timeUntilNextHour = nextHour.getTime() - now.getTime();
+    // Wait an extra second so the new slot has definitely started
+    const timeUntilNextSlot = slotEnd.getTime() - now.getTime() + 1000;
     
-    console.log(`Scheduling next game generation at ${nextHour.toISOString()} (in ${Math.round(timeUntilNextHour/1000/60)} minutes)`);
+    console.log(`Scheduling next puzzle rotation at ${slotEnd.toISOString()} (in ${Math.round(timeUntilNextSlot/1000/60)} minutes)`);
     
-    // Set timeout to generate puzzle at the next hour
-    setTimeout(async () => {
+    rotationTimer = setTimeout(async () => {
       try {
-        // Get current date and hour
-        const now = new Date();
-        const currentDate = now.toISOString().split('T')[0]; // Get YYYY-MM-DD format
-        const currentHour = now.getHours();
-        
-        // Reset game generation counter if it's a new day
-        if (currentGame.gameDate !== currentDate) {
-          console.log(`New day detected, resetting game generation counter`);
-          apiLimits.gamesGenerated = 0;
-          currentGame.gameDate = currentDate;
-        }
-        
-        console.log(`Hourly scheduler running at hour ${currentHour}...`);
-        
-        // First check if we already have a puzzle from the current hour
-        const hourlyPuzzle = await puzzleRepository.getPuzzleFromCurrentHour();
-        
-        if (hourlyPuzzle) {
-          console.log(`Using existing puzzle for hour ${currentHour}: ${hourlyPuzzle.startWord} → ${hourlyPuzzle.targetWord}`);
-          
-          // Puzzle data loaded successfully
-          
-          // Calculate minExpectedSteps if needed
-          let calculatedMinSteps = hourlyPuzzle.minExpectedSteps;
-          if (calculatedMinSteps === undefined && hourlyPuzzle.hiddenSolution) {
-            calculatedMinSteps = hourlyPuzzle.hiddenSolution.length - 1;
-            // Calculate minExpectedSteps based on solution path length
-          }
-          
-          // Update the current game state with the found puzzle
-          currentGame = {
-            ...hourlyPuzzle,
-            gameDate: currentDate,
-            minExpectedSteps: calculatedMinSteps,
-            stats: currentGame.stats // Preserve existing stats
-          };
-          
-          // Game state updated with hourly puzzle
-        } else {
-          // No existing puzzle for this hour, generate a new one
-          console.log("No puzzle found for current hour, generating a new one...");
-          await generatePuzzle();
-          apiLimits.gamesGenerated++;
-          console.log(`New game generated by scheduler (${apiLimits.gamesGenerated}/${apiLimits.gameGenerationPerDay} today)`);
-        }
-        
-        // Update next game time
-        nextGameTime = new Date();
-        nextGameTime.setHours(nextGameTime.getHours() + 1);
-        nextGameTime.setMinutes(0);
-        nextGameTime.setSeconds(0);
-        
+        await syncLivePuzzle();
         console.log(`Next game scheduled for ${nextGameTime.toISOString()}`);
         
-        // Schedule the next generation
-        scheduleNextHourGeneration();
+        // A queued puzzle just went live, so refill the buffer
+        pregenerationWorker.poke();
       } catch (error) {
-        console.error('Scheduler failed to generate game:', error);
-        // No fallback - if game generation fails, we won't have a game
-        console.log('No game available until next successful generation attempt');
-        
-        // Even if we fail, schedule the next attempt
-        scheduleNextHourGeneration();
+        console.error('Scheduler failed to rotate puzzle:', error);
+        console.log('Keeping the current game until the next rotation');
+      } finally {
+        // Even if we fail, schedule the next rotation
+        scheduleNextRotation();
       }
-    }, timeUntilNextHour);
+    }, timeUntilNextSlot);
   }
   
-  // Start the hourly scheduling
-  scheduleNextHourGeneration();
+  // Start the slot rotation
+  scheduleNextRotation();
+  
+  // Keep puzzles ready for upcoming slots
+  pregenerationWorker.start();
+  
+  // Pick up schedule changes made by other instances (e.g. an admin replacing the live puzzle)
+  const SCHEDULE_SYNC_INTERVAL = 60 * 1000; // 1 minute in milliseconds
+  scheduleSyncTimer = setInterval(() => {
+    syncLivePuzzle().catch(err => console.error('Failed to sync live puzzle with schedule:', err));
+  }, SCHEDULE_SYNC_INTERVAL);
+  
+  // Drop expired game sessions, so abandoned ones don't wait for new sessions to clear them out
+  const SESSION_PRUNE_INTERVAL = 10 * 60 * 1000; // 10 minutes in milliseconds
+  sessionPruneTimer = setInterval(() => {
+    const removed = gameSessions.pruneExpiredSessions();
+    if (removed > 0) {
+      console.log(`Removed ${removed} expired game sessions (${gameSessions.getSessionCount()} active)`);
+    }
+  }, SESSION_PRUNE_INTERVAL);
 }
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// Start the server when run directly - tests require the app and listen on a port of their own
+let server = null;
+if (require.main === module) {
+  server = app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+  
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+// How long to wait for open requests before saving and exiting anyway
+// (Heroku stops a dyno 30 seconds after SIGTERM)
+const SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || 20 * 1000);
+
+// Save everything kept in memory: the association cache, the hint cache and the quarantine
+// (stats are saved as each completion is recorded, so they aren't written again here)
+// Returns whether everything was saved (the association cache save reports failure by returning false)
+async function flushState() {
+  const tasks = [];
+  
+  if (cachesLoaded) {
+    tasks.push(puzzleGenerator.saveAssociationCache(associationCache));
+    tasks.push(getStorage().saveHintCache(hintCache.toJSON()));
+    tasks.push(saveQuarantine());
+  }
+  
+  const results = await Promise.allSettled(tasks);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Failed to save state during shutdown:', result.reason));
+  
+  return results.every(result => result.status === 'fulfilled' && result.value !== false);
+}
+
+// Stop taking requests, stop background work and save state before exiting
+async function shutdown(signal) {
+  if (isShuttingDown) {
+    return;
+  }
+  isShuttingDown = true;
+  console.log(`${signal} received - shutting down`);
+  
+  // Exit even if open requests or saving hang
+  setTimeout(() => {
+    console.error(`Shutdown took longer than ${SHUTDOWN_TIMEOUT / 1000}s - exiting without waiting`);
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT).unref();
+  
+  // Stop background work and abort puzzle generation in progress
+  clearInterval(cacheSaveTimer);
+  clearTimeout(rotationTimer);
+  clearInterval(scheduleSyncTimer);
+  clearInterval(sessionPruneTimer);
+  pregenerationWorker.stop();
+  cacheRefresher.stop();
+  shutdownController.abort();
+  
+  // Stop accepting connections and wait for open requests to finish
+  const closed = new Promise(resolve => server.close(resolve));
+  server.closeIdleConnections();
+  await closed;
+  
+  const saved = await flushState();
+  console.log(saved ? 'State saved - exiting' : 'Exiting with unsaved state');
+  process.exit(saved ? 0 : 1);
+}
 
-// Export app for testing
-module.exports = { app, generatePuzzle };
\ No newline at end of file
+// Export the app, generation and saving for testing
+module.exports = { app, generatePuzzle, loadCaches, flushState };
\ No newline at end of file
@@ -0,0 +1,364 @@
+/**
+ * Association cache module - in-memory cache of word associations with normalized keys
+ *
+ * Every lookup goes through canonicalKey, so "Balloons", " balloon " and "balloon" share one
+ * entry, and lookups are a single Map access however large the cache grows.
+ *
+ * The cache is stored in a versioned format, keyed by canonical key:
+ *   {
+ *     "version": 2,
+ *     "entries": {
+ *       "balloon": {
+ *         "words": ["party", ...], "hints": ["decoration", ...],
+ *         "provider": "anthropic", "model": "claude-...", "createdAt": "2025-04-19T13:00:00.000Z", "promptVersion": 1
+ *       }
+ *     }
+ *   }
+ * Entries past ASSOCIATION_MAX_AGE_DAYS, from an older associations prompt or of low quality are
+ * due for a refresh (see getStaleReason and lib/cache-refresher.js), but are served until then.
+ *
+ * Older stored caches are upgraded when they are loaded - see upgradeStoredCache and
+ * scripts/migrate-association-cache.js. Version 1 is the original flat format:
+ *   { "Balloons": ["party", ...], "Balloons_detailed": [{ "word": "party", "hint": "..." }, ...] }
+ */
+
+// Current stored format version
+const CACHE_FORMAT_VERSION = 2;
+
+// Default maximum age of an entry before it is due for a refresh
+const DEFAULT_MAX_AGE_DAYS = 90;
+
+// Fewest associations an entry should have (the associations prompt asks for 5-10)
+const MIN_QUALITY_WORDS = 5;
+
+// Suffix of the detailed entries in the original flat format
+const DETAILED_SUFFIX = '_detailed';
+
+// Irregular plurals
+const IRREGULAR_PLURALS = {
+  children: 'child',
+  people: 'person',
+  men: 'man',
+  women: 'woman',
+  mice: 'mouse',
+  geese: 'goose',
+  feet: 'foot',
+  teeth: 'tooth',
+  oxen: 'ox'
+};
+
+// Words that end in "s" but aren't plurals, or whose plural means something else than the singular
+// (dice aren't a die, goods aren't a good)
+const SINGULAR_S_WORDS = new Set([
+  'news', 'series', 'species', 'physics', 'mathematics', 'economics', 'politics',
+  'athletics', 'gymnastics', 'chess', 'billiards', 'means', 'lens', 'canvas', 'atlas',
+  'gas', 'yes', 'bias', 'alias', 'christmas', 'pants', 'scissors', 'glasses', 'jeans', 'clothes',
+  'dice', 'goods', 'arms', 'odds', 'thanks', 'manners', 'savings', 'earnings', 'remains', 'customs',
+  'outskirts', 'belongings', 'surroundings', 'premises'
+]);
+
+// Singular words ending in "ie", whose plurals end in "ies" but don't become "-y" (movies -> movie, not movy)
+const IE_SINGULARS = new Set([
+  'movie', 'cookie', 'zombie', 'calorie', 'rookie', 'hippie', 'brownie', 'selfie', 'pixie', 'genie',
+  'prairie', 'collie', 'smoothie', 'hoodie', 'goalie', 'veggie', 'birdie', 'auntie', 'sweetie', 'magpie',
+  'necktie', 'bowtie', 'freebie', 'newbie', 'techie', 'groupie', 'yuppie', 'budgie', 'bookie', 'junkie', 'cutie'
+]);
+
+// Reduce a single lowercase word to its singular form
+function singularize(word) {
+  if (IRREGULAR_PLURALS[word]) {
+    return IRREGULAR_PLURALS[word];
+  }
+
+  if (word.length <= 3 || SINGULAR_S_WORDS.has(word) || !word.endsWith('s')) {
+    return word;
+  }
+
+  // Endings of singular words (glass, bus, analysis)
+  if (/(ss|us|is)$/.test(word)) {
+    return word;
+  }
+
+  if (/ies$/.test(word) && IE_SINGULARS.has(word.slice(0, -1))) {
+    return word.slice(0, -1); // movies -> movie
+  }
+
+  if (/[^aeiou]ies$/.test(word) && word.length > 4) {
+    return word.slice(0, -3) + 'y'; // berries -> berry
+  }
+
+  if (/(ches|shes|xes|zes|sses)$/.test(word)) {
+    return word.slice(0, -2); // beaches -> beach
+  }
+
+  return word.slice(0, -1); // balloons -> balloon
+}
+
+/**
+ * Gets the canonical cache key for a word or phrase
+ * Lowercases, trims, collapses inner whitespace and singularizes the last word
+ * @param {string} word - The word
+ * @returns {string} - The canonical key ('' for an empty word)
+ */
+function canonicalKey(word) {
+  const words = String(word || '').toLowerCase().trim().split(/\s+/).filter(part => part !== '');
+  if (words.length === 0) {
+    return '';
+  }
+
+  words[words.length - 1] = singularize(words[words.length - 1]);
+  return words.join(' ');
+}
+
+// Build an entry from the original flat format's word list and detailed list
+function entryFromFlat(words, detailed) {
+  const hintsByWord = {};
+  (Array.isArray(detailed) ? detailed : []).forEach(item => {
+    if (item && typeof item.word === 'string') {
+      hintsByWord[item.word] = typeof item.hint === 'string' ? item.hint : '';
+    }
+  });
+
+  return {
+    words,
+    hints: words.map(word => hintsByWord[word] || ''),
+    provider: null,
+    model: null,
+    createdAt: null,
+    promptVersion: null
+  };
+}
+
+// Check that a stored entry has a word list and matching hints
+function isValidEntry(entry) {
+  return entry && Array.isArray(entry.words) && entry.words.every(word => typeof word === 'string') &&
+    (entry.hints === undefined || Array.isArray(entry.hints));
+}
+
+/**
+ * Upgrades a stored cache to the current format, with canonical keys
+ * Accepts the original flat format (version 1) and the versioned format. When several stored
+ * keys share a canonical key, the one already in canonical form is kept, otherwise the first one
+ * @param {object} stored - The cache as loaded from storage
+ * @returns {object} - { entries: Map(key -> entry), fromVersion, renamed, merged, dropped }
+ */
+function upgradeStoredCache(stored) {
+  const entries = new Map();
+  const result = { entries, fromVersion: CACHE_FORMAT_VERSION, renamed: 0, merged: 0, dropped: 0 };
+
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+    return result;
+  }
+
+  // Add an entry under its canonical key
+  function addEntry(storedKey, entry) {
+    const key = canonicalKey(storedKey);
+    if (!key || !isValidEntry(entry)) {
+      result.dropped++;
+      return;
+    }
+
+    if (entries.has(key)) {
+      result.merged++;
+      // Keep the entry whose stored key was already canonical
+      if (storedKey !== key) {
+        return;
+      }
+    } else if (storedKey !== key) {
+      result.renamed++;
+    }
+
+    entries.set(key, {
+      words: entry.words,
+      hints: entry.words.map((word, index) => (entry.hints && typeof entry.hints[index] === 'string' ? entry.hints[index] : '')),
+      provider: entry.provider || null,
+      model: entry.model || null,
+      createdAt: entry.createdAt || null,
+      promptVersion: entry.promptVersion !== undefined ? entry.promptVersion : null
+    });
+  }
+
+  if (stored.version === undefined) {
+    // Original flat format - word lists with a separate detailed list per word
+    result.fromVersion = 1;
+
+    Object.keys(stored).forEach(storedKey => {
+      if (storedKey.endsWith(DETAILED_SUFFIX) && Array.isArray(stored[storedKey.slice(0, -DETAILED_SUFFIX.length)])) {
+        return;
+      }
+      if (storedKey.endsWith(DETAILED_SUFFIX) && !(storedKey.slice(0, -DETAILED_SUFFIX.length) in stored)) {
+        result.dropped++; // Detailed list without a word list
+        return;
+      }
+
+      const words = stored[storedKey];
+      addEntry(storedKey, Array.isArray(words) ? entryFromFlat(words, stored[`${storedKey}${DETAILED_SUFFIX}`]) : null);
+    });
+
+    return result;
+  }
+
+  if (stored.version > CACHE_FORMAT_VERSION) {
+    throw new Error(`Association cache format version ${stored.version} is newer than this server supports (${CACHE_FORMAT_VERSION})`);
+  }
+
+  result.fromVersion = stored.version;
+  Object.entries(stored.entries || {}).forEach(([storedKey, entry]) => addEntry(storedKey, entry));
+
+  return result;
+}
+
+/**
+ * Gets the reason an entry is due for a refresh
+ * Entries past their maximum age are still served until they are refreshed
+ * @param {object} entry - A cache entry
+ * @param {object} [policy]
+ * @param {number} [policy.maxAgeMs] - Maximum age (default ASSOCIATION_MAX_AGE_DAYS or 90 days)
+ * @param {object} [policy.promptVersions] - Current prompt version by provider name (see provider.promptVersions)
+ * @param {Date} [policy.now] - Current time
+ * @returns {string|null} - 'low-quality', 'outdated-prompt', 'unknown-age' or 'expired', or null if it is fresh
+ */
+function getStaleReason(entry, policy = {}) {
+  const maxAgeMs = policy.maxAgeMs ||
+    parseFloat(process.env.ASSOCIATION_MAX_AGE_DAYS || DEFAULT_MAX_AGE_DAYS) * 24 * 60 * 60 * 1000;
+  const promptVersions = policy.promptVersions || {};
+  const now = policy.now || new Date();
+
+  const missingHints = entry.hints.filter(hint => !hint).length;
+  if (entry.words.length < MIN_QUALITY_WORDS || missingHints > entry.words.length / 2) {
+    return 'low-quality';
+  }
+
+  if (entry.provider && promptVersions[entry.provider] !== undefined &&
+      entry.promptVersion !== promptVersions[entry.provider]) {
+    return 'outdated-prompt';
+  }
+
+  const createdAt = Date.parse(entry.createdAt);
+  if (isNaN(createdAt)) {
+    return 'unknown-age';
+  }
+
+  return now.getTime() - createdAt > maxAgeMs ? 'expired' : null;
+}
+
+/**
+ * Creates an association cache
+ * @param {object} [stored] - A stored cache to start from (upgraded to the current format)
+ * @returns {object} - The cache
+ */
+function createAssociationCache(stored = {}) {
+  const { entries, fromVersion, renamed, merged, dropped } = upgradeStoredCache(stored);
+
+  if (fromVersion < CACHE_FORMAT_VERSION && entries.size > 0) {
+    console.log(`Upgraded association cache from format version ${fromVersion} to ${CACHE_FORMAT_VERSION}`);
+  }
+  if (renamed + merged + dropped > 0) {
+    console.log(`Migrated association cache keys: ${renamed} renamed, ${merged} duplicates merged, ${dropped} invalid entries dropped`);
+  }
+
+  // Bumped on every change, so anything derived from the cache (such as path distances) knows to rebuild
+  let revision = 0;
+
+  return {
+    // Get the association words for a word, or null if it isn't cached
+    get(word) {
+      const entry = entries.get(canonicalKey(word));
+      return entry ? entry.words : null;
+    },
+
+    // Get the detailed associations (word and hint) for a word, or null if it isn't cached
+    getDetailed(word) {
+      const entry = entries.get(canonicalKey(word));
+      return entry ? entry.words.map((item, index) => ({ word: item, hint: entry.hints[index] })) : null;
+    },
+
+    // Get a word's whole entry (words, hints and where they came from), or null if it isn't cached
+    getEntry(word) {
+      const entry = entries.get(canonicalKey(word));
+      return entry ? { ...entry } : null;
+    },
+
+    has(word) {
+      return entries.has(canonicalKey(word));
+    },
+
+    /**
+     * Caches a word's associations
+     * @param {string} word - The word
+     * @param {string[]} words - Its associations
+     * @param {object[]} [detailed] - The associations with hints ({ word, hint })
+     * @param {object} [source] - Where they came from: { provider, model, promptVersion }
+     */
+    set(word, words, detailed, source = {}) {
+      const key = canonicalKey(word);
+      if (!key) {
+        throw new Error('Cannot cache associations for an empty word');
+      }
+
+      entries.set(key, {
+        ...entryFromFlat(words, detailed),
+        provider: source.provider || null,
+        model: source.model || null,
+        createdAt: new Date().toISOString(),
+        promptVersion: source.promptVersion !== undefined ? source.promptVersion : null
+      });
+      revision++;
+    },
+
+    delete(word) {
+      const deleted = entries.delete(canonicalKey(word));
+      if (deleted) {
+        revision++;
+      }
+      return deleted;
+    },
+
+    clear() {
+      entries.clear();
+      revision++;
+    },
+
+    // Get the canonical keys of every cached word
+    words() {
+      return [...entries.keys()];
+    },
+
+    // List the entries due for a refresh, as { word, reason, createdAt } (see getStaleReason for the policy)
+    // Ordered by urgency: low quality first, then outdated prompts, unknown ages and the oldest expired entries
+    findStale(policy) {
+      const urgency = ['low-quality', 'outdated-prompt', 'unknown-age', 'expired'];
+
+      return [...entries]
+        .map(([word, entry]) => ({ word, reason: getStaleReason(entry, policy), createdAt: entry.createdAt }))
+        .filter(item => item.reason !== null)
+        .sort((a, b) => urgency.indexOf(a.reason) - urgency.indexOf(b.reason) ||
+          String(a.createdAt).localeCompare(String(b.createdAt)));
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    get revision() {
+      return revision;
+    },
+
+    // Convert to the stored format
+    toJSON() {
+      return {
+        version: CACHE_FORMAT_VERSION,
+        entries: Object.fromEntries(entries)
+      };
+    }
+  };
+}
+
+module.exports = {
+  CACHE_FORMAT_VERSION,
+  DEFAULT_MAX_AGE_DAYS,
+  canonicalKey,
+  getStaleReason,
+  upgradeStoredCache,
+  createAssociationCache
+};
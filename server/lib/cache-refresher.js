@@ -0,0 +1,240 @@
+/**
+ * Cache refresher - re-fetches stale association cache entries in the background
+ *
+ * An entry is stale when it is low quality, came from an older associations prompt, has no
+ * creation time or is older than the maximum age (see getStaleReason in association-cache.js).
+ * A refresh run works through the stale entries most urgent first, one at a time, and stops
+ * early when the API budget runs low, so refreshing never uses up the calls puzzles and hints need.
+ * An entry whose refresh fails is kept as it is.
+ *
+ * Entries of unknown age (everything upgraded from the flat format) are only refreshed a few per run,
+ * so the cache is renewed gradually rather than replaced wholesale. Refreshed words keep the associations
+ * saved puzzles' hidden solutions go through, so a refresh can't strand a puzzle's path.
+ */
+
+const { canonicalKey } = require('./association-cache');
+
+// Default number of daily API calls left untouched by refreshes
+const DEFAULT_BUDGET_RESERVE = 100;
+
+// Default number of entries refreshed per run
+const DEFAULT_REFRESH_LIMIT = 50;
+
+// Default number of entries of unknown age refreshed per run
+const DEFAULT_UNKNOWN_AGE_LIMIT = 5;
+
+// Save the cache after this many refreshed entries (and at the end of a run)
+const SAVE_EVERY = 10;
+
+/**
+ * Creates a cache refresher
+ * @param {object} options
+ * @param {function} options.getCache - Returns the association cache to refresh
+ * @param {function} options.fetchAssociations - Gets fresh associations: (word, onApiCallMade) => Promise<{ wordArray, detailedArray, source }>
+ * @param {function} options.saveCache - Persists the cache: (cache) => Promise
+ * @param {function} [options.onApiCallMade] - Called for every API call the refresher makes (e.g. to enforce limits)
+ * @param {function} [options.getRemainingBudget] - Returns the number of API calls left today (default unlimited)
+ * @param {number} [options.budgetReserve] - API calls to leave for everything else (default CACHE_REFRESH_RESERVE or 100)
+ * @param {object} [options.promptVersions] - Current prompt version by provider name (see provider.promptVersions)
+ * @param {number} [options.maxAgeMs] - Maximum entry age (default ASSOCIATION_MAX_AGE_DAYS or 90 days)
+ * @param {number} [options.unknownAgeLimit] - Most entries of unknown age refreshed per run (default CACHE_REFRESH_UNKNOWN_AGE_LIMIT or 5)
+ * @param {function} [options.getPuzzlePaths] - Returns the hidden solutions of saved and live puzzles: () => Promise<string[][]>
+ * @returns {object} - The refresher: findStale(), refresh(), stop() and getStatus()
+ */
+function createCacheRefresher(options) {
+  const budgetReserve = options.budgetReserve !== undefined
+    ? options.budgetReserve
+    : parseInt(process.env.CACHE_REFRESH_RESERVE || DEFAULT_BUDGET_RESERVE);
+  const getRemainingBudget = options.getRemainingBudget || (() => Infinity);
+  const unknownAgeLimit = options.unknownAgeLimit !== undefined
+    ? options.unknownAgeLimit
+    : parseInt(process.env.CACHE_REFRESH_UNKNOWN_AGE_LIMIT || DEFAULT_UNKNOWN_AGE_LIMIT);
+
+  const status = {
+    running: false,
+    startedAt: null,
+    finishedAt: null,
+    candidates: 0,
+    refreshed: 0,
+    failed: 0,
+    keptLinks: 0, // Associations kept because a puzzle's hidden solution goes through them
+    apiCallsSpent: 0,
+    stoppedReason: null, // 'done', 'limit', 'budget' or 'stopped'
+    lastFailure: null // Format: { word, message, at }
+  };
+
+  let stopRequested = false;
+
+  // Staleness policy for the cache
+  function getPolicy() {
+    return { maxAgeMs: options.maxAgeMs, promptVersions: options.promptVersions };
+  }
+
+  // List the entries due for a refresh, most urgent first
+  function findStale() {
+    return options.getCache().findStale(getPolicy());
+  }
+
+  // Count an API call made while refreshing
+  function trackApiCall() {
+    status.apiCallsSpent++;
+    if (options.onApiCallMade) {
+      options.onApiCallMade();
+    }
+  }
+
+  // Pick a run's entries: the most urgent first, with only a few of unknown age
+  function selectEntries(staleEntries, limit) {
+    let unknownAge = 0;
+    return staleEntries
+      .filter(item => item.reason !== 'unknown-age' || unknownAge++ < unknownAgeLimit)
+      .slice(0, limit);
+  }
+
+  // Map each word on a puzzle's hidden solution to the associations the solution moves on to from it
+  async function loadPuzzleLinks() {
+    const links = new Map();
+    const paths = options.getPuzzlePaths ? await options.getPuzzlePaths() : [];
+    paths.forEach(path => {
+      path.slice(0, -1).forEach((word, index) => {
+        const key = canonicalKey(word);
+        if (!links.has(key)) {
+          links.set(key, new Set());
+        }
+        links.get(key).add(canonicalKey(path[index + 1]));
+      });
+    });
+    return links;
+  }
+
+  // Add back the word's current associations that puzzles go through but the fresh ones leave out
+  function keepPuzzleLinks(cache, word, result, links) {
+    const linked = links.get(canonicalKey(word));
+    if (!linked) {
+      return result;
+    }
+
+    const fresh = new Set(result.wordArray.map(canonicalKey));
+    const kept = (cache.getDetailed(word) || [])
+      .filter(item => linked.has(canonicalKey(item.word)) && !fresh.has(canonicalKey(item.word)));
+    if (kept.length === 0) {
+      return result;
+    }
+
+    status.keptLinks += kept.length;
+    return {
+      ...result,
+      wordArray: [...result.wordArray, ...kept.map(item => item.word)],
+      detailedArray: [...(result.detailedArray || []), ...kept]
+    };
+  }
+
+  // Refresh the given stale entries in order, stopping early when asked to or out of budget
+  async function runRefresh(staleEntries) {
+    const cache = options.getCache();
+    let unsaved = 0;
+
+    try {
+      const links = await loadPuzzleLinks();
+
+      for (const item of staleEntries) {
+        if (stopRequested) {
+          status.stoppedReason = 'stopped';
+          break;
+        }
+        if (getRemainingBudget() <= budgetReserve) {
+          console.log(`Cache refresh paused - API budget reserve reached (${budgetReserve} calls left for other work)`);
+          status.stoppedReason = 'budget';
+          break;
+        }
+
+        try {
+          const result = keepPuzzleLinks(cache, item.word, await options.fetchAssociations(item.word, trackApiCall), links);
+          cache.set(item.word, result.wordArray, result.detailedArray, result.source);
+          status.refreshed++;
+          unsaved++;
+          console.log(`Refreshed associations for '${item.word}' (${item.reason})`);
+        } catch (error) {
+          status.failed++;
+          status.lastFailure = { word: item.word, message: error.message, at: new Date() };
+
+          // Don't keep asking once the daily limit has been hit
+          if (error.message && error.message.includes('API daily limit')) {
+            status.stoppedReason = 'budget';
+            break;
+          }
+          console.error(`Failed to refresh associations for '${item.word}' - keeping the cached entry:`, error.message);
+        }
+
+        if (unsaved >= SAVE_EVERY) {
+          await options.saveCache(cache);
+          unsaved = 0;
+        }
+      }
+
+      if (unsaved > 0) {
+        await options.saveCache(cache);
+      }
+    } finally {
+      status.running = false;
+      status.finishedAt = new Date();
+      status.stoppedReason = status.stoppedReason || (staleEntries.length < status.candidates ? 'limit' : 'done');
+      console.log(`Cache refresh finished (${status.stoppedReason}): ${status.refreshed} refreshed, ${status.failed} failed, ${status.apiCallsSpent} API calls`);
+    }
+  }
+
+  return {
+    findStale,
+
+    /**
+     * Starts refreshing stale entries in the background
+     * @param {object} [refreshOptions]
+     * @param {number} [refreshOptions.limit] - Most entries to refresh in this run (default 50)
+     * @returns {Promise|null} - Settles when the run finishes, or null if a run is already in progress
+     */
+    refresh(refreshOptions = {}) {
+      if (status.running) {
+        return null;
+      }
+
+      const staleEntries = findStale();
+      const limit = refreshOptions.limit || DEFAULT_REFRESH_LIMIT;
+      const selected = selectEntries(staleEntries, limit);
+
+      Object.assign(status, {
+        running: true,
+        startedAt: new Date(),
+        finishedAt: null,
+        candidates: staleEntries.length,
+        refreshed: 0,
+        failed: 0,
+        keptLinks: 0,
+        apiCallsSpent: 0,
+        stoppedReason: null,
+        lastFailure: null
+      });
+      stopRequested = false;
+
+      console.log(`Refreshing ${selected.length} of ${staleEntries.length} stale association cache entries`);
+      return runRefresh(selected).catch(error => {
+        console.error('Cache refresh failed:', error);
+      });
+    },
+
+    // Stop the current run after the entry in progress
+    stop() {
+      stopRequested = true;
+    },
+
+    // Get the status of the current or last run (for the admin dashboard)
+    getStatus() {
+      return { ...status, budgetReserve, unknownAgeLimit };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_REFRESH_LIMIT,
+  DEFAULT_UNKNOWN_AGE_LIMIT,
+  createCacheRefresher
+};
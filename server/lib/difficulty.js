@@ -0,0 +1,131 @@
+/**
+ * Difficulty module - difficulty profiles for puzzle generation, measured from the association graph
+ *
+ * A puzzle's difficulty comes from three things the cached graph can tell us:
+ *   - steps:     the fewest moves from the start word to the target (its par)
+ *   - branching: the average number of associations offered at each word of a shortest route
+ *                (more choices means more ways to go wrong)
+ *   - routes:    how many different shortest routes there are (a single route is hardest to find)
+ *
+ * Each profile bounds all three, plus how deep the generator may search for a target. A generated
+ * puzzle is labelled with the hardest profile its measurements fit, rather than a label guessed by
+ * the provider along with the theme.
+ */
+
+const { canonicalKey } = require('./association-cache');
+const { createPathOracle } = require('./path-oracle');
+
+// Profiles from easiest to hardest
+// minSteps/maxSteps bound the par, min/maxBranching the average associations per word on a shortest route,
+// min/maxRoutes the number of shortest routes, and maxDepth the longest path (in words) the generator explores
+const DIFFICULTY_PROFILES = {
+  easy: { minSteps: 3, maxSteps: 4, minBranching: 0, maxBranching: 8, minRoutes: 2, maxRoutes: Infinity, maxDepth: 7 },
+  medium: { minSteps: 4, maxSteps: 6, minBranching: 0, maxBranching: Infinity, minRoutes: 1, maxRoutes: Infinity, maxDepth: 10 },
+  hard: { minSteps: 6, maxSteps: 8, minBranching: 6, maxBranching: Infinity, minRoutes: 1, maxRoutes: 4, maxDepth: 12 },
+  expert: { minSteps: 8, maxSteps: 12, minBranching: 7, maxBranching: Infinity, minRoutes: 1, maxRoutes: 2, maxDepth: 14 }
+};
+
+// Profile names from easiest to hardest
+const DIFFICULTY_LEVELS = Object.keys(DIFFICULTY_PROFILES);
+
+// Profile used when none is asked for and PUZZLE_DIFFICULTY isn't set
+const DEFAULT_DIFFICULTY = 'medium';
+
+// Routes are only counted up to this many (beyond it, the number doesn't change the difficulty)
+const MAX_COUNTED_ROUTES = 1000;
+
+// Check that a string names a difficulty profile
+function isValidDifficulty(difficulty) {
+  return Object.prototype.hasOwnProperty.call(DIFFICULTY_PROFILES, difficulty);
+}
+
+// Difficulty generated when none is asked for (unknown PUZZLE_DIFFICULTY values fall back to the default)
+const PUZZLE_DIFFICULTY = isValidDifficulty((process.env.PUZZLE_DIFFICULTY || '').toLowerCase())
+  ? process.env.PUZZLE_DIFFICULTY.toLowerCase()
+  : DEFAULT_DIFFICULTY;
+
+/**
+ * Measures how hard a puzzle is from the cached association graph
+ * @param {object} associationCache - The association cache
+ * @param {string} startWord - The puzzle's start word
+ * @param {string} targetWord - The puzzle's target word
+ * @param {object} [oracle] - A path oracle for the target, if one has already been built
+ * @returns {object|null} - { steps, branching, routes }, or null if no route from start to target is cached
+ */
+function measureDifficulty(associationCache, startWord, targetWord, oracle = createPathOracle(associationCache, targetWord)) {
+  const steps = oracle.distanceFrom(startWord);
+  if (steps === null) {
+    return null;
+  }
+
+  // Count the shortest routes from each word, following only moves that get one step closer
+  const routeCounts = new Map();
+  function countRoutes(word) {
+    const key = canonicalKey(word);
+    if (oracle.distanceFrom(key) === 0) {
+      return 1;
+    }
+    if (!routeCounts.has(key)) {
+      const nextWords = new Set(oracle.nextSteps(key).map(canonicalKey));
+      let count = 0;
+      nextWords.forEach(next => {
+        count = Math.min(count + countRoutes(next), MAX_COUNTED_ROUTES);
+      });
+      routeCounts.set(key, count);
+    }
+    return routeCounts.get(key);
+  }
+
+  // Average the choices offered along a shortest route (the target offers none - the game is over)
+  const route = oracle.shortestPath(startWord).slice(0, -1);
+  const choices = route.map(word => (associationCache.get(word) || []).length);
+  const branching = choices.length > 0 ? choices.reduce((sum, count) => sum + count, 0) / choices.length : 0;
+
+  return {
+    steps,
+    branching: Math.round(branching * 10) / 10,
+    routes: countRoutes(startWord)
+  };
+}
+
+// Check whether measurements fit a difficulty profile
+function fitsProfile(metrics, difficulty) {
+  const profile = DIFFICULTY_PROFILES[difficulty];
+  return Boolean(metrics && profile) &&
+    metrics.steps >= profile.minSteps && metrics.steps <= profile.maxSteps &&
+    metrics.branching >= profile.minBranching && metrics.branching <= profile.maxBranching &&
+    metrics.routes >= profile.minRoutes && metrics.routes <= profile.maxRoutes;
+}
+
+// Get the difficulty of a puzzle from its measurements: the hardest profile they fit,
+// or the profile whose step range is nearest when they fit none
+function rateDifficulty(metrics) {
+  if (!metrics) {
+    return null;
+  }
+
+  const fitting = [...DIFFICULTY_LEVELS].reverse().find(difficulty => fitsProfile(metrics, difficulty));
+  if (fitting) {
+    return fitting;
+  }
+
+  return DIFFICULTY_LEVELS.reduce((nearest, difficulty) =>
+    (stepsOutside(metrics, difficulty) < stepsOutside(metrics, nearest) ? difficulty : nearest));
+}
+
+// How many steps a puzzle's par is outside a profile's range (0 if inside)
+function stepsOutside(metrics, difficulty) {
+  const profile = DIFFICULTY_PROFILES[difficulty];
+  return Math.max(profile.minSteps - metrics.steps, metrics.steps - profile.maxSteps, 0);
+}
+
+module.exports = {
+  DIFFICULTY_PROFILES,
+  DIFFICULTY_LEVELS,
+  isValidDifficulty,
+  PUZZLE_DIFFICULTY,
+  measureDifficulty,
+  fitsProfile,
+  rateDifficulty,
+  stepsOutside
+};
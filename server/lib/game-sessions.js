@@ -0,0 +1,269 @@
+/**
+ * Game session module - issues signed session tokens and records each player move
+ * so that solutions can be verified by replaying the move log on the server
+ *
+ * Sessions are kept in memory by each server instance: a restart ends them, and instances behind a
+ * load balancer need sticky sessions. At most MAX_GAME_SESSIONS are kept (the oldest are dropped
+ * first), and expired ones are removed by pruneExpiredSessions.
+ */
+
+const crypto = require('crypto');
+const { sanitizeInput } = require('./input-sanitizer');
+const { MAX_HINT_LEVEL, DISTANCE_HINT_COST, getHintLevel, getHintPenalty } = require('./hint-levels');
+
+// Sessions expire a day after they were created
+const SESSION_TTL = 24 * 60 * 60 * 1000;
+
+// Default number of sessions kept when MAX_GAME_SESSIONS is not set
+const DEFAULT_MAX_SESSIONS = 10000;
+
+// Active sessions, keyed by session ID (oldest first)
+const sessions = new Map();
+
+// Most sessions kept
+const MAX_SESSIONS = parseInt(process.env.MAX_GAME_SESSIONS || DEFAULT_MAX_SESSIONS);
+
+// Secret used to sign session tokens (without SESSION_SECRET, a random one - tokens won't survive a restart)
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET is not set - using a random secret for this process');
+}
+
+// Sign a session ID
+function sign(sessionId) {
+  return crypto
+    .createHmac('sha256', SESSION_SECRET)
+    .update(sessionId)
+    .digest('base64url');
+}
+
+// Remove sessions that have expired, returning how many were removed
+function pruneExpiredSessions() {
+  const now = Date.now();
+  let removed = 0;
+  for (const [id, session] of sessions) {
+    if (now - session.createdAt > SESSION_TTL) {
+      sessions.delete(id);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+// Get the number of sessions kept
+function getSessionCount() {
+  return sessions.size;
+}
+
+/**
+ * Creates a new session for a puzzle
+ * @param {object} game - The puzzle being played (needs id, startWord and targetWord)
+ * @returns {{token: string, session: object}} - The signed token and the session record
+ */
+function createSession(game) {
+  pruneExpiredSessions();
+
+  // Make room by dropping the oldest sessions (sessions are kept in the order they were created)
+  while (sessions.size >= MAX_SESSIONS) {
+    sessions.delete(sessions.keys().next().value);
+  }
+
+  const id = crypto.randomBytes(16).toString('hex');
+  const startWord = sanitizeInput(game.startWord);
+
+  const session = {
+    id,
+    puzzleId: game.id || null,
+    startWord,
+    targetWord: sanitizeInput(game.targetWord),
+    gameDate: game.gameDate,
+    path: [startWord],
+    moves: [], // Format: { type: 'forward' | 'back', word, at }
+    hints: [], // Format: { word, level, at }
+    distanceHints: [], // Format: { word, at }
+    offered: {}, // Associations offered at each word, keyed by word
+    createdAt: Date.now(),
+    completed: false
+  };
+
+  sessions.set(id, session);
+
+  return { token: `${id}.${sign(id)}`, session };
+}
+
+/**
+ * Looks up the session for a token
+ * @param {string} token - Token previously returned by createSession
+ * @returns {object|null} - The session, or null if the token is invalid or expired
+ */
+function getSession(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [id, signature] = token.split('.');
+  if (!id || !signature) {
+    return null;
+  }
+
+  // Constant-time comparison of the signature
+  const expected = Buffer.from(sign(id));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  const session = sessions.get(id);
+  if (!session) {
+    return null;
+  }
+  if (Date.now() - session.createdAt > SESSION_TTL) {
+    sessions.delete(id);
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * Records the associations offered to the player at a word
+ * Moves from the word are checked against these, rather than the association cache as it is by then
+ * (a refresh, a cleared cache or a blocklist change may have changed the word's associations since)
+ * @param {object} session - The session to update
+ * @param {string} word - Sanitized word the associations were offered at
+ * @param {string[]} associations - The associations sent to the player
+ */
+function recordOffered(session, word, associations) {
+  session.offered[word] = associations.map(association => sanitizeInput(association));
+}
+
+// Get the associations offered to the player at a word, or null if none were recorded
+function getOffered(session, word) {
+  return session.offered[word] || null;
+}
+
+/**
+ * Records a move to a word in the session's move log
+ * Moving to the previous word counts as a back step, moving to the current word is a no-op.
+ * Moving forward to a word already on the path isn't allowed, so paths never loop: the game hides
+ * words already on the path, and a loop never makes a route shorter - go back to the word instead.
+ * @param {object} session - The session to update
+ * @param {string} word - Sanitized word the player moved to
+ * @param {string[]} currentAssociations - Associations offered at the player's current word (see getOffered)
+ * @returns {string|null} - 'forward', 'back' or 'stay', or null if the move is not allowed
+ */
+function recordMove(session, word, currentAssociations) {
+  const currentWord = session.path[session.path.length - 1];
+
+  // Re-requesting the current word (e.g. after a page reload) is not a move
+  if (word === currentWord) {
+    return 'stay';
+  }
+
+  // Returning to the previous word is a back step
+  if (session.path.length > 1 && word === session.path[session.path.length - 2]) {
+    session.path.pop();
+    session.moves.push({ type: 'back', word, at: Date.now() });
+    return 'back';
+  }
+
+  // Otherwise the word must be one of the current word's associations, and not already on the path
+  const isAssociated = currentAssociations.some(association => sanitizeInput(association) === word);
+  if (!isAssociated || session.path.includes(word)) {
+    return null;
+  }
+
+  session.path.push(word);
+  session.moves.push({ type: 'forward', word, at: Date.now() });
+  return 'forward';
+}
+
+/**
+ * Gets the next hint level at the player's current word, one above the last hint taken there
+ * Once every level has been taken at a word, the top level is given again without being charged
+ * @param {object} session - The session
+ * @returns {{level: object, charged: boolean}} - The hint level (see lib/hint-levels.js) and whether taking it costs anything
+ */
+function getNextHint(session) {
+  const currentWord = session.path[session.path.length - 1];
+  const levelsTaken = session.hints.filter(hint => hint.word === currentWord).map(hint => hint.level);
+  const nextLevel = levelsTaken.length > 0 ? Math.max(...levelsTaken) + 1 : 1;
+
+  if (nextLevel > MAX_HINT_LEVEL) {
+    return { level: getHintLevel(MAX_HINT_LEVEL), charged: false };
+  }
+  return { level: getHintLevel(nextLevel), charged: true };
+}
+
+/**
+ * Records a hint taken at the player's current word (hints that aren't charged are not recorded)
+ * @param {object} session - The session to update
+ * @param {{level: object, charged: boolean}} hint - The hint returned by getNextHint
+ */
+function recordHint(session, hint) {
+  if (hint.charged) {
+    session.hints.push({ word: session.path[session.path.length - 1], level: hint.level.level, at: Date.now() });
+  }
+}
+
+/**
+ * Records a distance hint taken at the player's current word
+ * Only the first at each word is charged - asking again there gives nothing new
+ * @param {object} session - The session to update
+ * @returns {number} - What the hint costs (DISTANCE_HINT_COST, or 0 if one was already taken at this word)
+ */
+function recordDistanceHint(session) {
+  const currentWord = session.path[session.path.length - 1];
+  if (session.distanceHints.some(hint => hint.word === currentWord)) {
+    return 0;
+  }
+
+  session.distanceHints.push({ word: currentWord, at: Date.now() });
+  return DISTANCE_HINT_COST;
+}
+
+/**
+ * Computes the path and step counts from a session's move log
+ * @param {object} session - The session to summarize
+ * The score is the path length plus the cost of every hint taken (distance hints included)
+ * @returns {{path: string[], pathLength: number, backSteps: number, totalSteps: number, hintsUsed: number,
+ *   distanceHintsUsed: number, highestHintLevel: number, hintPenalty: number, score: number}}
+ */
+function summarizeSession(session) {
+  const hintLevels = session.hints.map(hint => hint.level);
+  const hintPenalty = getHintPenalty(hintLevels) + session.distanceHints.length * DISTANCE_HINT_COST;
+
+  return {
+    path: [...session.path],
+    pathLength: session.path.length - 1,
+    backSteps: session.moves.filter(move => move.type === 'back').length,
+    totalSteps: session.moves.length,
+    hintsUsed: hintLevels.length + session.distanceHints.length,
+    distanceHintsUsed: session.distanceHints.length,
+    highestHintLevel: hintLevels.length > 0 ? Math.max(...hintLevels) : 0,
+    hintPenalty,
+    score: session.path.length - 1 + hintPenalty
+  };
+}
+
+// Mark a session as submitted so it can't be counted twice
+function completeSession(session) {
+  session.completed = true;
+  session.completedAt = Date.now();
+}
+
+module.exports = {
+  SESSION_TTL,
+  pruneExpiredSessions,
+  getSessionCount,
+  createSession,
+  getSession,
+  recordOffered,
+  getOffered,
+  recordMove,
+  getNextHint,
+  recordHint,
+  recordDistanceHint,
+  summarizeSession,
+  completeSession
+};
@@ -0,0 +1,236 @@
+/**
+ * Hint cache module - remembers hints by (start word, target word, current word)
+ *
+ * Hints are persisted through the storage backend next to the association cache, in the same
+ * kind of versioned format:
+ *   {
+ *     "version": 2,
+ *     "entries": {
+ *       "scandal|swan|celebrity": {
+ *         "startWord": "scandal", "targetWord": "swan", "currentWord": "celebrity", "hint": "...",
+ *         "puzzleId": "...", "provider": "anthropic", "createdAt": "...", "lastUsedAt": "..."
+ *       }
+ *     }
+ *   }
+ * Caches stored in the original flat format ({ "scandal-swan-celebrity": "hint" }) are upgraded when
+ * loaded. Once the cache holds HINT_CACHE_MAX_ENTRIES hints, the least recently used ones are evicted.
+ */
+
+// Current stored format version
+const HINT_CACHE_FORMAT_VERSION = 2;
+
+// Default number of hints kept when HINT_CACHE_MAX_ENTRIES is not set
+const DEFAULT_MAX_ENTRIES = 5000;
+
+// Normalize a word for the cache key
+function normalizeWord(word) {
+  return String(word || '').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Gets the cache key for a hint
+ * @param {string} startWord - The puzzle's start word
+ * @param {string} targetWord - The puzzle's target word
+ * @param {string} currentWord - The word the player is on
+ * @returns {string} - The key
+ */
+function hintKey(startWord, targetWord, currentWord) {
+  return [startWord, targetWord, currentWord].map(normalizeWord).join('|');
+}
+
+// Build an entry, filling in unknown details
+function createEntry(startWord, targetWord, currentWord, hint, details = {}) {
+  return {
+    startWord: normalizeWord(startWord),
+    targetWord: normalizeWord(targetWord),
+    currentWord: normalizeWord(currentWord),
+    hint,
+    puzzleId: details.puzzleId || null,
+    provider: details.provider || null,
+    createdAt: details.createdAt || null,
+    lastUsedAt: details.lastUsedAt || null
+  };
+}
+
+/**
+ * Upgrades a stored hint cache to the current format
+ * Flat keys that don't split into exactly three words (e.g. words with hyphens) can't be upgraded and are dropped
+ * @param {object} stored - The hint cache as loaded from storage
+ * @returns {object} - { entries: Map(key -> entry), fromVersion, dropped }
+ */
+function upgradeStoredHints(stored) {
+  const entries = new Map();
+  const result = { entries, fromVersion: HINT_CACHE_FORMAT_VERSION, dropped: 0 };
+
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+    return result;
+  }
+
+  if (stored.version === undefined) {
+    // Original flat format - "start-target-current": "hint"
+    result.fromVersion = 1;
+
+    Object.entries(stored).forEach(([storedKey, hint]) => {
+      const words = storedKey.split('-');
+      if (words.length !== 3 || typeof hint !== 'string' || hint === '') {
+        result.dropped++;
+        return;
+      }
+      entries.set(hintKey(...words), createEntry(...words, hint));
+    });
+
+    return result;
+  }
+
+  if (stored.version > HINT_CACHE_FORMAT_VERSION) {
+    throw new Error(`Hint cache format version ${stored.version} is newer than this server supports (${HINT_CACHE_FORMAT_VERSION})`);
+  }
+
+  result.fromVersion = stored.version;
+  Object.values(stored.entries || {}).forEach(entry => {
+    if (!entry || typeof entry.hint !== 'string' || entry.hint === '') {
+      result.dropped++;
+      return;
+    }
+    entries.set(hintKey(entry.startWord, entry.targetWord, entry.currentWord),
+      createEntry(entry.startWord, entry.targetWord, entry.currentWord, entry.hint, entry));
+  });
+
+  return result;
+}
+
+/**
+ * Creates a hint cache
+ * @param {object} [stored] - A stored hint cache to start from (upgraded to the current format)
+ * @param {object} [options]
+ * @param {number} [options.maxEntries] - Most hints kept (default HINT_CACHE_MAX_ENTRIES or 5000)
+ * @returns {object} - The cache
+ */
+function createHintCache(stored = {}, options = {}) {
+  const maxEntries = options.maxEntries ||
+    parseInt(process.env.HINT_CACHE_MAX_ENTRIES || DEFAULT_MAX_ENTRIES);
+  const { entries, fromVersion, dropped } = upgradeStoredHints(stored);
+
+  if (fromVersion < HINT_CACHE_FORMAT_VERSION && entries.size > 0) {
+    console.log(`Upgraded hint cache from format version ${fromVersion} to ${HINT_CACHE_FORMAT_VERSION}`);
+  }
+  if (dropped > 0) {
+    console.log(`Dropped ${dropped} hint cache entries that could not be upgraded`);
+  }
+
+  const stats = {
+    hits: 0,
+    misses: 0,
+    evictions: 0,
+    invalidations: 0
+  };
+
+  // Drop the least recently used hints (the Map is kept in order of use) until there is room
+  function evict() {
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      stats.evictions++;
+    }
+  }
+
+  evict();
+
+  return {
+    // Get a cached hint, or null if there isn't one
+    get(startWord, targetWord, currentWord) {
+      const key = hintKey(startWord, targetWord, currentWord);
+      const entry = entries.get(key);
+
+      if (!entry) {
+        stats.misses++;
+        return null;
+      }
+
+      // Move to the most recently used end
+      entries.delete(key);
+      entries.set(key, { ...entry, lastUsedAt: new Date().toISOString() });
+      stats.hits++;
+      return entry.hint;
+    },
+
+    /**
+     * Caches a hint
+     * @param {string} startWord - The puzzle's start word
+     * @param {string} targetWord - The puzzle's target word
+     * @param {string} currentWord - The word the player is on
+     * @param {string} hint - The hint
+     * @param {object} [details] - { puzzleId, provider }
+     */
+    set(startWord, targetWord, currentWord, hint, details = {}) {
+      const key = hintKey(startWord, targetWord, currentWord);
+      const now = new Date().toISOString();
+
+      entries.delete(key);
+      entries.set(key, createEntry(startWord, targetWord, currentWord, hint, { ...details, createdAt: now, lastUsedAt: now }));
+      evict();
+    },
+
+    /**
+     * Removes the hints for one puzzle
+     * Hints cached before puzzle IDs were recorded are matched by start and target word
+     * @param {object} puzzle - { id, startWord, targetWord }
+     * @returns {number} - Number of hints removed
+     */
+    invalidatePuzzle(puzzle) {
+      const startWord = normalizeWord(puzzle.startWord);
+      const targetWord = normalizeWord(puzzle.targetWord);
+      let removed = 0;
+
+      for (const [key, entry] of entries) {
+        const samePuzzle = entry.puzzleId
+          ? entry.puzzleId === puzzle.id
+          : entry.startWord === startWord && entry.targetWord === targetWord;
+        if (samePuzzle) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+
+      stats.invalidations += removed;
+      return removed;
+    },
+
+    clear() {
+      entries.clear();
+      stats.hits = 0;
+      stats.misses = 0;
+      stats.evictions = 0;
+      stats.invalidations = 0;
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    // Get hit, miss, eviction and invalidation counts since the cache was created or cleared
+    getStats() {
+      const lookups = stats.hits + stats.misses;
+      return {
+        ...stats,
+        size: entries.size,
+        maxEntries,
+        hitRate: lookups > 0 ? stats.hits / lookups : 0
+      };
+    },
+
+    // Convert to the stored format
+    toJSON() {
+      return {
+        version: HINT_CACHE_FORMAT_VERSION,
+        entries: Object.fromEntries(entries)
+      };
+    }
+  };
+}
+
+module.exports = {
+  HINT_CACHE_FORMAT_VERSION,
+  hintKey,
+  upgradeStoredHints,
+  createHintCache
+};
@@ -0,0 +1,45 @@
+/**
+ * Hint levels - each hint a player asks for at the same word gives more away, and costs more
+ *
+ *   1. theme        - a nudge towards the puzzle's theme
+ *   2. category     - how the next word on a shortest path connects to the current word
+ *   3. first-letter - the first letter of that next word
+ *   4. next-step    - the next word itself
+ *
+ * The cost of every hint taken is added to the player's score (steps used plus hint costs, lower is better).
+ * Moving to another word starts again from level 1.
+ *
+ * A distance hint (how many moves are left) costs DISTANCE_HINT_COST the first time it is taken at a word,
+ * so it can't be used to try every offered word for free.
+ */
+
+const HINT_LEVELS = [
+  { level: 1, name: 'theme', label: 'Theme nudge', cost: 1 },
+  { level: 2, name: 'category', label: 'Category of the next word', cost: 2 },
+  { level: 3, name: 'first-letter', label: 'First letter of the next word', cost: 3 },
+  { level: 4, name: 'next-step', label: 'Next word', cost: 4 }
+];
+
+// Highest hint level
+const MAX_HINT_LEVEL = HINT_LEVELS.length;
+
+// Cost of a distance hint
+const DISTANCE_HINT_COST = 1;
+
+// Get a hint level by number, or null if there is no such level
+function getHintLevel(level) {
+  return HINT_LEVELS[level - 1] || null;
+}
+
+// Get the total cost of a list of hint levels taken
+function getHintPenalty(levels) {
+  return levels.reduce((total, level) => total + (getHintLevel(level) ? getHintLevel(level).cost : 0), 0);
+}
+
+module.exports = {
+  HINT_LEVELS,
+  MAX_HINT_LEVEL,
+  DISTANCE_HINT_COST,
+  getHintLevel,
+  getHintPenalty
+};
@@ -0,0 +1,134 @@
+/**
+ * Content moderation - checks associations, hints and themes before they reach players
+ *
+ * Text is checked against a local blocklist (whole words or phrases, any case) and then, if one is
+ * configured, a classifier. The blocklist is DEFAULT_BLOCKLIST plus MODERATION_BLOCKLIST
+ * (comma-separated). A classifier is any async function (text, kind) -> { flagged, reason }, where kind
+ * is 'association', 'hint' or 'theme'; MODERATION_CLASSIFIER_URL plugs in an HTTP one (see
+ * createHttpClassifier). A classifier that fails or times out lets the text through, so an outage
+ * can't stop the game - the blocklist still applies.
+ */
+
+// Words and phrases always blocked
+const DEFAULT_BLOCKLIST = [
+  'fuck', 'fucking', 'shit', 'bullshit', 'bitch', 'bastard', 'cunt', 'pussy', 'whore', 'slut',
+  'porn', 'pornography', 'orgasm', 'masturbation', 'rape', 'molest', 'pedophile',
+  'nazi', 'hitler', 'kkk', 'white power', 'retard', 'retarded', 'faggot', 'tranny', 'nigger', 'nigga',
+  'kill yourself', 'suicide', 'self harm'
+];
+
+// Default time allowed for each classifier request
+const DEFAULT_CLASSIFIER_TIMEOUT = 5000;
+
+// Escape a string for use in a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The blocklist: the defaults plus MODERATION_BLOCKLIST
+const BLOCKLIST = [...new Set([
+  ...DEFAULT_BLOCKLIST,
+  ...String(process.env.MODERATION_BLOCKLIST || '')
+    .split(',')
+    .map(term => term.trim().toLowerCase())
+    .filter(term => term !== '')
+])];
+
+/**
+ * Creates a classifier that asks an HTTP service
+ * The service is sent { text, kind } as JSON and answers { flagged: boolean, reason?: string }
+ * @param {string} url - The service's URL
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Time allowed for each request (default MODERATION_TIMEOUT_MS or 5 seconds)
+ * @returns {function} - The classifier
+ */
+function createHttpClassifier(url, options = {}) {
+  const timeoutMs = options.timeoutMs || parseInt(process.env.MODERATION_TIMEOUT_MS || DEFAULT_CLASSIFIER_TIMEOUT);
+
+  return async (text, kind) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, kind }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`Moderation classifier returned ${response.status}`);
+    }
+    const result = await response.json();
+    return { flagged: Boolean(result.flagged), reason: result.reason || null };
+  };
+}
+
+/**
+ * Creates a moderator
+ * @param {object} [options]
+ * @param {string[]} [options.blocklist] - Blocked words and phrases (default BLOCKLIST)
+ * @param {function} [options.classifier] - async (text, kind) -> { flagged, reason } (default: the
+ *   MODERATION_CLASSIFIER_URL service if set, otherwise none)
+ * @returns {object} - The moderator: checkBlocklist(text), check(text, kind) and getInfo()
+ */
+function createModerator(options = {}) {
+  const blocklist = (options.blocklist || BLOCKLIST).map(term => term.toLowerCase());
+  const classifier = options.classifier !== undefined
+    ? options.classifier
+    : (process.env.MODERATION_CLASSIFIER_URL ? createHttpClassifier(process.env.MODERATION_CLASSIFIER_URL) : null);
+
+  // One pattern for the whole list, matching whole words only (so "grape" doesn't match "rape")
+  const pattern = blocklist.length > 0
+    ? new RegExp(`(^|[^a-z0-9])(${blocklist.map(escapeRegExp).join('|')})(?=$|[^a-z0-9])`, 'i')
+    : null;
+
+  const stats = { checked: 0, flagged: 0, classifierErrors: 0 };
+
+  // Check text against the blocklist only (no I/O, so cheap enough for every request)
+  // Returns { reason, source: 'blocklist' }, or null if the text is fine
+  function checkBlocklist(text) {
+    const match = pattern && String(text || '').match(pattern);
+    return match ? { reason: `contains the blocked term "${match[2].toLowerCase()}"`, source: 'blocklist' } : null;
+  }
+
+  // Check text against the blocklist, then the classifier
+  // Returns { reason, source: 'blocklist' | 'classifier' }, or null if the text is fine
+  async function check(text, kind) {
+    stats.checked++;
+
+    const blocked = checkBlocklist(text);
+    if (blocked) {
+      stats.flagged++;
+      return blocked;
+    }
+
+    if (classifier) {
+      try {
+        const result = await classifier(String(text || ''), kind);
+        if (result && result.flagged) {
+          stats.flagged++;
+          return { reason: result.reason || 'flagged by the classifier', source: 'classifier' };
+        }
+      } catch (error) {
+        stats.classifierErrors++;
+        console.error(`Moderation classifier failed, letting ${kind} through: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  return {
+    checkBlocklist,
+    check,
+
+    // Describe the moderator (for the admin dashboard)
+    getInfo() {
+      return { blocklistSize: blocklist.length, classifier: Boolean(classifier), ...stats };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_BLOCKLIST,
+  BLOCKLIST,
+  createHttpClassifier,
+  createModerator
+};
@@ -0,0 +1,188 @@
+/**
+ * Path oracle module - true shortest distances to a puzzle's target through the cached association graph
+ *
+ * Every cached word is a node with an edge to each of its associations. A breadth-first search
+ * backwards from the target gives the fewest moves from every word that can reach it, so the
+ * server can report a real par (the DFS that builds puzzles keeps the first good path it finds,
+ * not the shortest), tell players how far they are from the target and hand out graded hints
+ * (warmer/colder, the next word on a shortest path) without calling the API.
+ *
+ * Words are compared by canonicalKey, like the association cache. Distances only cover words
+ * whose associations are cached - a word that hasn't been fetched yet has an unknown distance.
+ * Oracles are memoized per target and rebuilt when the cache changes (see its revision).
+ *
+ * An isOffered filter can leave associations out of the graph - the server passes one that drops
+ * what the moderation blocklist hides from players, so routes, par and hints only use words players
+ * can actually be offered. Oracles built with a different filter (e.g. another blocklist) are rebuilt.
+ */
+
+const { canonicalKey } = require('./association-cache');
+
+// Most oracles kept in memory (one per target word)
+const MAX_CACHED_ORACLES = 20;
+
+// Memoized oracles: canonical target -> { cache, revision, isOffered, oracle }
+const oracles = new Map();
+
+// Get a cached word's associations that pass the filter
+function getOfferedAssociations(associationCache, word, isOffered) {
+  const associations = associationCache.get(word) || [];
+  return isOffered ? associations.filter(association => isOffered(association, word)) : associations;
+}
+
+/**
+ * Computes the fewest moves from every cached word to a target word
+ * @param {object} associationCache - The association cache
+ * @param {string} targetWord - The target word
+ * @param {function} [isOffered] - (association, word) -> whether the association is part of the graph (default: all are)
+ * @returns {Map} - Canonical word -> number of moves (the target itself is 0)
+ */
+function computeDistances(associationCache, targetWord, isOffered = null) {
+  const target = canonicalKey(targetWord);
+  const distances = new Map();
+  if (!target) {
+    return distances;
+  }
+
+  // Reverse the graph: association -> the cached words that offer it
+  const offeredBy = new Map();
+  associationCache.words().forEach(word => {
+    getOfferedAssociations(associationCache, word, isOffered).forEach(association => {
+      const key = canonicalKey(association);
+      if (!key || key === word) {
+        return;
+      }
+      if (!offeredBy.has(key)) {
+        offeredBy.set(key, []);
+      }
+      offeredBy.get(key).push(word);
+    });
+  });
+
+  // Breadth-first search out from the target
+  distances.set(target, 0);
+  const queue = [target];
+  for (let index = 0; index < queue.length; index++) {
+    const word = queue[index];
+    const distance = distances.get(word);
+
+    (offeredBy.get(word) || []).forEach(previous => {
+      if (!distances.has(previous)) {
+        distances.set(previous, distance + 1);
+        queue.push(previous);
+      }
+    });
+  }
+
+  return distances;
+}
+
+/**
+ * Creates an oracle for one target word from the cache as it is now
+ * @param {object} associationCache - The association cache
+ * @param {string} targetWord - The target word
+ * @param {function} [isOffered] - (association, word) -> whether the association is part of the graph (default: all are)
+ * @returns {object} - The oracle
+ */
+function createPathOracle(associationCache, targetWord, isOffered = null) {
+  const distances = computeDistances(associationCache, targetWord, isOffered);
+  const target = canonicalKey(targetWord);
+
+  // Get the fewest moves from a word to the target, or null if no route is known
+  function distanceFrom(word) {
+    const distance = distances.get(canonicalKey(word));
+    return distance === undefined ? null : distance;
+  }
+
+  // Get the associations of a word that are one move closer to the target
+  function nextSteps(word) {
+    const distance = distanceFrom(word);
+    if (distance === null || distance === 0) {
+      return [];
+    }
+
+    return getOfferedAssociations(associationCache, word, isOffered)
+      .filter(association => distanceFrom(association) === distance - 1);
+  }
+
+  // Get a shortest path from a word to the target (ending with the target word as given), or null
+  function shortestPath(word) {
+    if (distanceFrom(word) === null) {
+      return null;
+    }
+
+    const path = [word];
+    let current = word;
+    while (distanceFrom(current) > 0) {
+      current = nextSteps(current)[0];
+      path.push(current);
+    }
+
+    // The last association matched the target by canonical key, so show the target's own spelling
+    if (path.length > 1) {
+      path[path.length - 1] = targetWord;
+    }
+    return path;
+  }
+
+  // Say whether moving from one word to another gets closer to the target: 'closer', 'same' or 'further'
+  // Returns null if either distance is unknown
+  function compare(fromWord, toWord) {
+    const from = distanceFrom(fromWord);
+    const to = distanceFrom(toWord);
+    if (from === null || to === null) {
+      return null;
+    }
+    if (to < from) {
+      return 'closer';
+    }
+    return to === from ? 'same' : 'further';
+  }
+
+  return {
+    targetWord,
+    get reachableWords() {
+      return Math.max(distances.size - 1, 0);
+    },
+    distanceFrom,
+    nextSteps,
+    shortestPath,
+    compare,
+    isTarget: (word) => canonicalKey(word) === target
+  };
+}
+
+/**
+ * Gets the oracle for a puzzle's target, reusing the last one built unless the cache or the filter has changed since
+ * @param {object} associationCache - The association cache
+ * @param {object} puzzle - { targetWord }
+ * @param {function} [isOffered] - (association, word) -> whether the association is part of the graph (default: all are)
+ * @returns {object} - The oracle
+ */
+function getPuzzleOracle(associationCache, puzzle, isOffered = null) {
+  const key = canonicalKey(puzzle.targetWord);
+  const memo = oracles.get(key);
+
+  if (memo && memo.cache === associationCache && memo.revision === associationCache.revision && memo.isOffered === isOffered) {
+    // Move to the most recently used end
+    oracles.delete(key);
+    oracles.set(key, memo);
+    return memo.oracle;
+  }
+
+  const oracle = createPathOracle(associationCache, puzzle.targetWord, isOffered);
+  oracles.delete(key);
+  oracles.set(key, { cache: associationCache, revision: associationCache.revision, isOffered, oracle });
+
+  while (oracles.size > MAX_CACHED_ORACLES) {
+    oracles.delete(oracles.keys().next().value);
+  }
+
+  return oracle;
+}
+
+module.exports = {
+  computeDistances,
+  createPathOracle,
+  getPuzzleOracle
+};
@@ -0,0 +1,222 @@
+/**
+ * Pre-generation worker - keeps a buffer of validated puzzles queued for upcoming schedule slots
+ *
+ * The worker generates puzzles in the background until PREGENERATE_BUFFER upcoming slots have one.
+ * Each puzzle is dated by the slot it is queued for, so the archive lists it under the day it is played.
+ * Failed attempts are retried with exponential backoff, so a bad run of API errors doesn't
+ * leave the schedule empty - and if it does, the schedule falls back to a saved puzzle.
+ */
+
+const puzzleRepository = require('./puzzle-repository');
+const puzzleSchedule = require('./puzzle-schedule');
+const { sanitizeInput } = require('./input-sanitizer');
+const { MIN_QUALITY, isAcceptable } = require('./puzzle-evaluator');
+
+// Default number of upcoming slots to keep filled
+const DEFAULT_BUFFER_TARGET = 3;
+
+// Retry delays after a failed attempt (doubling up to the maximum)
+const BASE_RETRY_DELAY = 30 * 1000; // 30 seconds
+const MAX_RETRY_DELAY = 30 * 60 * 1000; // 30 minutes
+
+// How often to check the buffer when it is full
+const CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+// Check that a generated puzzle is complete before it is queued
+// Returns a description of the problem, or null if the puzzle is valid
+function findPuzzleProblem(puzzle) {
+  if (!puzzle || !puzzle.startWord || !puzzle.targetWord) {
+    return 'missing start or target word';
+  }
+
+  const path = puzzle.hiddenSolution;
+  if (!Array.isArray(path) || path.length < 3) {
+    return 'hidden solution is missing or too short';
+  }
+
+  const words = path.map(word => sanitizeInput(word));
+  if (words[0] !== sanitizeInput(puzzle.startWord) || words[words.length - 1] !== sanitizeInput(puzzle.targetWord)) {
+    return 'hidden solution does not connect the start and target words';
+  }
+
+  if (new Set(words).size !== words.length) {
+    return 'hidden solution repeats a word';
+  }
+
+  // Quality is scored by the generator (see lib/puzzle-evaluator.js)
+  if (puzzle.quality && !isAcceptable(puzzle.quality)) {
+    return `quality score ${puzzle.quality.score} is below ${MIN_QUALITY}`;
+  }
+
+  return null;
+}
+
+// Get the delay before retrying after a number of failed attempts in a row (doubling up to the maximum)
+function getRetryDelay(consecutiveFailures) {
+  return Math.min(BASE_RETRY_DELAY * Math.pow(2, consecutiveFailures - 1), MAX_RETRY_DELAY);
+}
+
+/**
+ * Creates a pre-generation worker
+ * @param {object} options
+ * @param {function} options.generatePuzzle - Generates a puzzle: (onApiCallMade) => Promise<puzzle>
+ * @param {function} [options.onApiCallMade] - Called for every API call the worker makes (e.g. to enforce limits)
+ * @param {function} [options.validatePuzzle] - Extra async check, returns a problem description or null
+ * @param {number} [options.bufferTarget] - Number of upcoming slots to keep filled (default PREGENERATE_BUFFER or 3)
+ * @param {number} [options.maxPuzzlesPerDay] - Stop generating for the rest of the (UTC) day after this many puzzles
+ * @returns {object} - The worker: start(), stop(), poke() and getStatus()
+ */
+function createPregenerationWorker(options) {
+  const bufferTarget = options.bufferTarget ||
+    parseInt(process.env.PREGENERATE_BUFFER || DEFAULT_BUFFER_TARGET);
+  const maxPuzzlesPerDay = options.maxPuzzlesPerDay || Infinity;
+
+  const status = {
+    running: false,
+    generating: false,
+    bufferTarget,
+    bufferDepth: null,
+    puzzlesGenerated: 0,
+    puzzlesGeneratedToday: 0,
+    generatedDate: new Date().toISOString().split('T')[0],
+    apiCallsSpent: 0,
+    consecutiveFailures: 0,
+    lastSuccess: null,
+    lastFailure: null, // Format: { message, at }
+    nextAttemptAt: null
+  };
+
+  let timer = null;
+
+  // Run the next attempt after a delay
+  function scheduleAttempt(delay) {
+    clearTimeout(timer);
+    if (!status.running) {
+      return;
+    }
+    status.nextAttemptAt = new Date(Date.now() + delay);
+    timer = setTimeout(runAttempt, delay);
+  }
+
+  // Count an API call made while generating
+  function trackApiCall() {
+    status.apiCallsSpent++;
+    if (options.onApiCallMade) {
+      options.onApiCallMade();
+    }
+  }
+
+  // Generate, validate and queue one puzzle
+  async function generateAndQueue() {
+    const puzzle = await options.generatePuzzle(trackApiCall);
+
+    const problem = findPuzzleProblem(puzzle) ||
+      (options.validatePuzzle ? await options.validatePuzzle(puzzle) : null);
+    if (problem) {
+      throw new Error(`Generated puzzle is invalid: ${problem}`);
+    }
+
+    const saveResult = await puzzleRepository.savePuzzle(puzzle);
+    if (!saveResult.success) {
+      throw new Error(`Failed to save generated puzzle: ${saveResult.error}`);
+    }
+
+    const slotKey = await puzzleSchedule.queuePuzzle(saveResult.id);
+
+    // The game date is the UTC date of the slot it fills, not the day it was generated
+    await puzzleRepository.updatePuzzle(saveResult.id, { gameDate: slotKey.split('T')[0] });
+    console.log(`Pre-generated ${puzzle.startWord} → ${puzzle.targetWord} for ${slotKey}`);
+  }
+
+  // Fill one more slot if the buffer isn't full, then schedule the next attempt
+  async function runAttempt() {
+    if (status.generating) {
+      return;
+    }
+
+    status.generating = true;
+    status.nextAttemptAt = null;
+
+    try {
+      // Reset the daily counter if it's a new (UTC) day
+      const currentDate = new Date().toISOString().split('T')[0];
+      if (status.generatedDate !== currentDate) {
+        status.puzzlesGeneratedToday = 0;
+        status.generatedDate = currentDate;
+      }
+
+      status.bufferDepth = await puzzleSchedule.countQueuedSlots();
+
+      if (status.bufferDepth >= bufferTarget) {
+        scheduleAttempt(CHECK_INTERVAL);
+        return;
+      }
+
+      if (status.puzzlesGeneratedToday >= maxPuzzlesPerDay) {
+        console.log(`Daily puzzle generation limit reached (${status.puzzlesGeneratedToday}/${maxPuzzlesPerDay}) - buffer at ${status.bufferDepth}/${bufferTarget}`);
+        scheduleAttempt(CHECK_INTERVAL);
+        return;
+      }
+
+      console.log(`Pre-generating puzzle (buffer ${status.bufferDepth}/${bufferTarget})...`);
+      await generateAndQueue();
+
+      status.bufferDepth++;
+      status.puzzlesGenerated++;
+      status.puzzlesGeneratedToday++;
+      status.consecutiveFailures = 0;
+      status.lastSuccess = new Date();
+
+      // Keep going until the buffer is full
+      scheduleAttempt(0);
+    } catch (error) {
+      status.consecutiveFailures++;
+      status.lastFailure = { message: error.message, at: new Date() };
+
+      const delay = getRetryDelay(status.consecutiveFailures);
+      console.error(`Puzzle pre-generation failed (${status.consecutiveFailures} in a row), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+      scheduleAttempt(delay);
+    } finally {
+      status.generating = false;
+    }
+  }
+
+  return {
+    // Start filling the buffer
+    start() {
+      if (status.running) {
+        return;
+      }
+      status.running = true;
+      console.log(`Puzzle pre-generation worker started (buffer target ${bufferTarget})`);
+      scheduleAttempt(0);
+    },
+
+    // Stop the worker (an attempt already in progress finishes, but no new one starts)
+    stop() {
+      status.running = false;
+      status.nextAttemptAt = null;
+      clearTimeout(timer);
+    },
+
+    // Check the buffer now (e.g. after a slot has gone live), unless waiting out a failure
+    poke() {
+      if (status.running && !status.generating && status.consecutiveFailures === 0) {
+        scheduleAttempt(0);
+      }
+    },
+
+    // Get the worker's status (for the admin dashboard)
+    getStatus() {
+      return { ...status };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_BUFFER_TARGET,
+  CHECK_INTERVAL,
+  findPuzzleProblem,
+  getRetryDelay,
+  createPregenerationWorker
+};
@@ -0,0 +1,283 @@
+/**
+ * Anthropic association provider - asks Claude for word associations, puzzle themes and hints
+ *
+ * The model, request timeout and number of retries are configurable. Connection errors, timeouts,
+ * rate limits and server errors are retried with exponential backoff (or after the delay the API
+ * asks for) - other errors (e.g. an invalid API key) fail immediately. Retries are made here rather
+ * than by the Anthropic SDK, so every attempt goes through options.onApiCallMade and counts
+ * towards the API limits.
+ *
+ * JSON replies go through the response parser. A reply that still can't be used is sent back
+ * to Claude with a corrective prompt, and the outcome of every parse is reported through
+ * options.onParseResult ('clean', 'repaired', 'corrected' or 'failed').
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+const { parseStructuredResponse } = require('../response-parser');
+
+// Defaults when ANTHROPIC_MODEL, PROVIDER_TIMEOUT_MS and PROVIDER_MAX_RETRIES are not set
+const DEFAULT_MODEL = 'claude-3-5-sonnet-20240620';
+const DEFAULT_TIMEOUT_MS = 30 * 1000; // 30 seconds per attempt
+const DEFAULT_MAX_RETRIES = 2;
+
+// Backoff between retries: doubling from the initial delay up to the maximum, less up to 25% jitter
+const INITIAL_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 8000;
+
+// Longest delay asked for by the API that is waited for (longer ones use the backoff instead)
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+// Corrective prompts sent after a reply that can't be parsed
+const MAX_CORRECTIONS = 1;
+
+// Version of the associations prompt, stored with cached associations
+// Bump it whenever the prompt changes in a way that changes the answers
+const ASSOCIATIONS_PROMPT_VERSION = 1;
+
+// Shape of an associations reply
+const ASSOCIATIONS_SCHEMA = {
+  type: 'array',
+  minItems: 3,
+  items: {
+    type: 'object',
+    required: ['word', 'hint'],
+    properties: {
+      word: { type: 'string', minLength: 1 },
+      hint: { type: 'string' }
+    }
+  }
+};
+
+// Shape of a theme reply
+const THEME_SCHEMA = {
+  type: 'object',
+  required: ['theme', 'description'],
+  properties: {
+    theme: { type: 'string', minLength: 1 },
+    description: { type: 'string' }
+  }
+};
+
+// Whether a failed request is worth another attempt (the same errors the Anthropic SDK retries)
+function isRetryable(error) {
+  const shouldRetry = error.headers && error.headers['x-should-retry'];
+  if (shouldRetry === 'true' || shouldRetry === 'false') {
+    return shouldRetry === 'true';
+  }
+  return error instanceof Anthropic.APIConnectionError || [408, 409, 429].includes(error.status) || error.status >= 500;
+}
+
+// Time to wait before a retry - the delay the API asked for, or exponential backoff with jitter
+function getRetryDelayMs(error, retry) {
+  const retryAfterSeconds = parseFloat(error.headers && error.headers['retry-after']);
+  if (retryAfterSeconds >= 0 && retryAfterSeconds * 1000 < MAX_RETRY_AFTER_MS) {
+    return retryAfterSeconds * 1000;
+  }
+  return Math.min(INITIAL_RETRY_DELAY_MS * 2 ** retry, MAX_RETRY_DELAY_MS) * (1 - Math.random() * 0.25);
+}
+
+/**
+ * Creates an Anthropic provider
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - API key (default ANTHROPIC_API_KEY)
+ * @param {string} [options.model] - Model name (default ANTHROPIC_MODEL or claude-3-5-sonnet-20240620)
+ * @param {number} [options.timeoutMs] - Timeout for each attempt (default PROVIDER_TIMEOUT_MS or 30000)
+ * @param {number} [options.maxRetries] - Retries after a failed attempt (default PROVIDER_MAX_RETRIES or 2)
+ * @param {object} [options.client] - Client with messages.create() to use instead of the Anthropic SDK (e.g. a stub in tests)
+ * @returns {object} - The provider
+ */
+function createAnthropicProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) {
+    throw new Error('ANTHROPIC_API_KEY is not set - required for word associations');
+  }
+
+  const model = options.model || process.env.ANTHROPIC_MODEL || DEFAULT_MODEL;
+  const timeoutMs = options.timeoutMs || parseInt(process.env.PROVIDER_TIMEOUT_MS || DEFAULT_TIMEOUT_MS);
+  const maxRetries = options.maxRetries !== undefined
+    ? options.maxRetries
+    : parseInt(process.env.PROVIDER_MAX_RETRIES || DEFAULT_MAX_RETRIES);
+
+  // The SDK doesn't retry - complete() does, counting each attempt
+  const anthropic = options.client || new Anthropic({
+    apiKey,
+    timeout: timeoutMs,
+    maxRetries: 0
+  });
+
+  // Send a conversation and return the text of the reply, retrying failures worth retrying
+  async function complete(messages, maxTokens, requestOptions = {}) {
+    for (let retry = 0; ; retry++) {
+      // Count every attempt first, so a limit callback can stop it before it is sent
+      if (typeof requestOptions.onApiCallMade === 'function') {
+        requestOptions.onApiCallMade();
+      }
+
+      try {
+        const message = await anthropic.messages.create({
+          model,
+          max_tokens: maxTokens,
+          messages
+        });
+
+        return message.content[0].text;
+      } catch (error) {
+        if (retry >= maxRetries || !isRetryable(error)) {
+          throw error;
+        }
+
+        const delayMs = getRetryDelayMs(error, retry);
+        console.warn(`Request to ${model} failed (${error.message}) - retrying in ${Math.round(delayMs)}ms`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  // Report how a reply was parsed
+  function reportParseResult(requestOptions, outcome) {
+    if (requestOptions && typeof requestOptions.onParseResult === 'function') {
+      requestOptions.onParseResult(outcome);
+    }
+  }
+
+  /**
+   * Sends a prompt that asks for JSON and parses the reply, correcting it with follow-up prompts if needed
+   * @param {string} prompt - The prompt
+   * @param {number} maxTokens - Token limit for each reply
+   * @param {object} schema - Schema the reply must match (see response-parser.js)
+   * @param {object} [requestOptions] - onApiCallMade and onParseResult callbacks
+   * @param {object} [parseOptions] - Options for parseStructuredResponse, plus checkReply: called with
+   *   the raw reply before parsing, to throw on replies that shouldn't be corrected
+   * @returns {Promise<*>} - The parsed value
+   */
+  async function completeJson(prompt, maxTokens, schema, requestOptions = {}, parseOptions = {}) {
+    const messages = [{ role: "user", content: prompt }];
+
+    for (let attempt = 0; ; attempt++) {
+      const responseText = await complete(messages, maxTokens, requestOptions);
+      if (parseOptions.checkReply) {
+        parseOptions.checkReply(responseText);
+      }
+
+      try {
+        const { value, repaired } = parseStructuredResponse(responseText, schema, parseOptions);
+        reportParseResult(requestOptions, attempt > 0 ? 'corrected' : repaired ? 'repaired' : 'clean');
+        return value;
+      } catch (parseError) {
+        if (attempt >= MAX_CORRECTIONS) {
+          reportParseResult(requestOptions, 'failed');
+          throw parseError;
+        }
+
+        console.warn(`Unusable reply from ${model} (${parseError.message}) - asking for a corrected one`);
+        messages.push(
+          { role: "assistant", content: responseText.trim() || "(empty reply)" },
+          { role: "user", content: `${parseError.message}. Reply again with ONLY the corrected JSON - no code fences, comments or explanation text.` }
+        );
+      }
+    }
+  }
+
+  return {
+    name: 'anthropic',
+    usesLanguageModel: true,
+    promptVersions: { anthropic: ASSOCIATIONS_PROMPT_VERSION },
+
+    // Get 5-10 associations for a word
+    async getAssociations(word, requestOptions) {
+      const associationsArray = await completeJson(`Give me 5-10 common word associations for "${word}" that most people would naturally think of.
+
+          Return a JSON array with EXACTLY this format:
+          [
+            {"word": "association1", "hint": "brief explanation"},
+            {"word": "association2", "hint": "brief explanation"}
+          ]
+
+          Important formatting rules:
+          1. Use double quotes for all strings
+          2. Ensure all JSON is properly formatted
+          3. No trailing commas
+          4. No comments or explanation text
+          5. ALWAYS use singular forms for words (e.g., "balloon" instead of "balloons")
+
+          If you cannot come up with at least 3 good word associations, include "__ERROR__" as one of the words.
+
+          Ensure associations are intuitive and would be recognized by most adults.`, 400, ASSOCIATIONS_SCHEMA, requestOptions, {
+        dropInvalidItems: true,
+        // Check for the error token - this indicates Claude had issues, so don't ask it to correct the reply
+        checkReply: (responseText) => {
+          if (responseText.includes('"__ERROR__"')) {
+            throw new Error(`"__ERROR__" token found in associations for "${word}". Claude couldn't generate enough associations.`);
+          }
+        }
+      });
+
+      return {
+        wordArray: associationsArray.map(item => item.word),
+        detailedArray: associationsArray,
+        source: { provider: 'anthropic', model, promptVersion: ASSOCIATIONS_PROMPT_VERSION }
+      };
+    },
+
+    // Create a theme connecting the start and target words
+    async generateTheme(startWord, targetWord, requestOptions) {
+      try {
+        return await completeJson(`I'm creating a word association puzzle starting with "${startWord}" and ending with "${targetWord}".
+
+          Create an interesting theme that connects these words and provides context for the puzzle.
+
+          Return ONLY a JSON object with this format:
+          {
+            "theme": "Short theme name, 2-4 words maximum",
+            "description": "Brief description of the theme (10-15 words max)"
+          }
+
+          Themes should be conceptual frameworks that give players a hint about the connection between "${startWord}" and "${targetWord}".`, 150, THEME_SCHEMA, requestOptions);
+      } catch (error) {
+        // Only fall back on replies that couldn't be parsed - API errors (e.g. limits) still propagate
+        if (!error.isParseError) {
+          throw error;
+        }
+        console.error('Error parsing theme response:', error.message);
+        console.log('Raw theme response:', error.responseText);
+        return {
+          theme: "Word Connections",
+          description: "Find the hidden connections between words"
+        };
+      }
+    },
+
+    // Get a subtle hint for moving from the current word toward the target
+    async getHint(startWord, targetWord, currentWord, requestOptions) {
+      const hint = await complete([{ role: "user", content: `I am playing a word association game. I need to find a path from "${startWord}" to "${targetWord}" by finding words that are associated with each other. I'm currently at "${currentWord}".
+
+Give me a subtle hint for a word that's associated with "${currentWord}" and will help me move toward "${targetWord}".
+
+Your hint should:
+1. NOT directly reveal any next words
+2. Be short (1-2 sentences max)
+3. Nudge me in the right direction
+4. Not be too obvious
+
+Return ONLY the hint text with no extra explanations or formatting.` }], 150, requestOptions);
+
+      return hint.trim();
+    },
+
+    // Describe the provider's configuration (for the admin dashboard)
+    getInfo() {
+      return {
+        provider: 'anthropic',
+        model,
+        timeoutMs,
+        maxRetries
+      };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  ASSOCIATIONS_PROMPT_VERSION,
+  createAnthropicProvider
+};
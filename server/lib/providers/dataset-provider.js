@@ -0,0 +1,301 @@
+/**
+ * Dataset association provider - answers from a local word-association dataset, with no LLM calls
+ *
+ * The dataset file (DATASET_PATH) is read once, in one of these formats (chosen by extension):
+ *   .csv / .tsv  free-association norms: one "cue,response[,strength]" row per pair, an optional header row
+ *                (responses are ranked by strength, or by how often the pair appears when there is none)
+ *   .txt         thesaurus: one "headword,related1,related2,..." line per word
+ *   .json        exported graph: { "word": ["related", ...] } or { "word": [{ "word", "hint" }, ...] }
+ *                (the filesystem association cache, data/association-cache.json, can be used as is)
+ *
+ * Words missing from the dataset, or with fewer than 3 associations, are errors, so a tiered
+ * provider can fall through to the next tier. Themes and hints are built from templates and
+ * the dataset's own graph rather than generated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Defaults when DATASET_MAX_ASSOCIATIONS and DATASET_MIN_STRENGTH are not set
+const DEFAULT_MAX_ASSOCIATIONS = 10;
+const DEFAULT_MIN_STRENGTH = 0;
+
+// How far to search the dataset graph for a hint
+const MAX_HINT_DEPTH = 6;
+
+// Normalize a word from the dataset
+function normalizeWord(word) {
+  return String(word).toLowerCase().trim();
+}
+
+// Split a delimited line, allowing double-quoted fields
+function splitLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+
+  return fields.map(value => value.trim());
+}
+
+// Parse free-association norms into { cue: [{ word, strength }] }
+function parseNorms(text, delimiter, minStrength) {
+  const graph = {};
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '' || line.startsWith('#')) {
+      return;
+    }
+
+    const [cue, response, strengthField] = splitLine(line, delimiter);
+    const strength = strengthField === undefined || strengthField === '' ? 1 : parseFloat(strengthField);
+
+    // Skip a header row (e.g. "cue,response,strength")
+    if (index === 0 && (isNaN(strength) || normalizeWord(cue) === 'cue')) {
+      return;
+    }
+
+    if (!cue || !response || isNaN(strength) || strength < minStrength) {
+      return;
+    }
+
+    const cueWord = normalizeWord(cue);
+    const responseWord = normalizeWord(response);
+    if (cueWord === responseWord) {
+      return;
+    }
+
+    graph[cueWord] = graph[cueWord] || {};
+    graph[cueWord][responseWord] = (graph[cueWord][responseWord] || 0) + strength;
+  });
+
+  const associations = {};
+  Object.entries(graph).forEach(([cue, responses]) => {
+    associations[cue] = Object.entries(responses)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([word, strength]) => ({ word, strength }));
+  });
+
+  return associations;
+}
+
+// Parse a thesaurus into { headword: [{ word }] }
+function parseThesaurus(text) {
+  const associations = {};
+
+  text.split(/\r?\n/).forEach(line => {
+    const [headword, ...related] = splitLine(line, ',').map(normalizeWord).filter(word => word !== '');
+    if (!headword || line.startsWith('#')) {
+      return;
+    }
+
+    associations[headword] = [...new Set(related)]
+      .filter(word => word !== headword)
+      .map(word => ({ word }));
+  });
+
+  return associations;
+}
+
+// Parse an exported graph into { word: [{ word, hint }] }
+function parseGraph(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('expected an object mapping each word to its associations');
+  }
+
+  // A versioned association cache: { version, entries: { word: { words, hints } } }
+  if (data.version !== undefined && data.entries && typeof data.entries === 'object') {
+    const graph = {};
+    Object.entries(data.entries).forEach(([key, entry]) => {
+      if (entry && Array.isArray(entry.words)) {
+        graph[key] = entry.words.map((word, index) => ({ word, hint: (entry.hints || [])[index] || undefined }));
+      }
+    });
+    return parseGraph(graph);
+  }
+
+  const associations = {};
+
+  Object.keys(data).filter(key => !key.endsWith('_detailed')).forEach(key => {
+    // Prefer the detailed version of an association cache entry (it has hints)
+    const items = Array.isArray(data[`${key}_detailed`]) ? data[`${key}_detailed`] : data[key];
+    if (!Array.isArray(items)) {
+      return;
+    }
+
+    const word = normalizeWord(key);
+    associations[word] = items
+      .map(item => (typeof item === 'string' ? { word: item } : item))
+      .filter(item => item && typeof item.word === 'string' && item.word.trim() !== '')
+      .map(item => ({ ...item, word: normalizeWord(item.word) }))
+      .filter(item => item.word !== word);
+  });
+
+  return associations;
+}
+
+// Load a dataset file into { word: [{ word, hint?, strength? }] }
+function loadDataset(datasetPath, minStrength) {
+  const text = fs.readFileSync(datasetPath, 'utf8');
+  const extension = path.extname(datasetPath).toLowerCase();
+
+  try {
+    switch (extension) {
+      case '.csv':
+        return parseNorms(text, ',', minStrength);
+      case '.tsv':
+        return parseNorms(text, '\t', minStrength);
+      case '.txt':
+        return parseThesaurus(text);
+      case '.json':
+        return parseGraph(JSON.parse(text));
+      default:
+        throw new Error(`unsupported file type "${extension}" - expected .csv, .tsv, .txt or .json`);
+    }
+  } catch (error) {
+    throw new Error(`Invalid association dataset ${datasetPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Creates a dataset provider
+ * @param {object} [options]
+ * @param {string} [options.datasetPath] - Dataset file (default DATASET_PATH)
+ * @param {object} [options.associations] - Parsed dataset ({ word: [{ word, hint? }] }), used instead of reading a file
+ * @param {number} [options.maxAssociations] - Most associations returned per word (default DATASET_MAX_ASSOCIATIONS or 10)
+ * @param {number} [options.minStrength] - Norms below this strength are ignored (default DATASET_MIN_STRENGTH or 0)
+ * @returns {object} - The provider
+ */
+function createDatasetProvider(options = {}) {
+  const datasetPath = options.datasetPath || process.env.DATASET_PATH;
+  if (!datasetPath && !options.associations) {
+    throw new Error('DATASET_PATH is not set - required for the dataset association provider');
+  }
+
+  const maxAssociations = options.maxAssociations ||
+    parseInt(process.env.DATASET_MAX_ASSOCIATIONS || DEFAULT_MAX_ASSOCIATIONS);
+  const minStrength = options.minStrength !== undefined
+    ? options.minStrength
+    : parseFloat(process.env.DATASET_MIN_STRENGTH || DEFAULT_MIN_STRENGTH);
+
+  const associations = options.associations || loadDataset(path.resolve(datasetPath), minStrength);
+  console.log(`Loaded association dataset with ${Object.keys(associations).length} words`);
+
+  // Get the (ranked, capped) associations for a normalized word
+  function lookup(word) {
+    return (associations[word] || []).slice(0, maxAssociations);
+  }
+
+  // Find the first word on the shortest dataset path between two words, or null if there is none
+  function findNextWord(fromWord, toWord) {
+    const previous = new Map([[fromWord, null]]);
+    let frontier = [fromWord];
+
+    for (let depth = 0; depth < MAX_HINT_DEPTH && frontier.length > 0; depth++) {
+      const nextFrontier = [];
+
+      for (const word of frontier) {
+        for (const item of lookup(word)) {
+          if (previous.has(item.word)) {
+            continue;
+          }
+          previous.set(item.word, word);
+
+          if (item.word === toWord) {
+            // Walk back to the step taken from the starting word
+            let step = toWord;
+            while (previous.get(step) !== fromWord) {
+              step = previous.get(step);
+            }
+            return step;
+          }
+          nextFrontier.push(item.word);
+        }
+      }
+
+      frontier = nextFrontier;
+    }
+
+    return null;
+  }
+
+  return {
+    name: 'dataset',
+    usesLanguageModel: false,
+    promptVersions: {},
+
+    // Get a word's associations from the dataset
+    async getAssociations(word) {
+      const normalizedWord = normalizeWord(word);
+      const items = lookup(normalizedWord);
+
+      if (items.length === 0) {
+        throw new Error(`No associations for "${word}" in the dataset`);
+      }
+      if (items.length < 3) {
+        throw new Error(`Too few valid associations for "${word}" (${items.length}). Need at least 3 associations.`);
+      }
+
+      const detailedArray = items.map(item => ({
+        word: item.word,
+        hint: item.hint || `commonly associated with "${normalizedWord}"`
+      }));
+
+      return {
+        wordArray: detailedArray.map(item => item.word),
+        detailedArray,
+        source: { provider: 'dataset', model: options.associations ? null : path.basename(datasetPath), promptVersion: null }
+      };
+    },
+
+    // Build a plain theme from the start and target words
+    async generateTheme(startWord, targetWord) {
+      return {
+        theme: "Word Connections",
+        description: `Find your way from "${startWord}" to "${targetWord}" one association at a time`
+      };
+    },
+
+    // Hint at the next word on the shortest dataset path to the target, by its first letter
+    async getHint(startWord, targetWord, currentWord) {
+      const nextWord = findNextWord(normalizeWord(currentWord), normalizeWord(targetWord));
+
+      if (!nextWord) {
+        return `Think about what "${currentWord}" brings to mind, and which of those ideas sits closer to "${targetWord}".`;
+      }
+      return `Look for a word linked to "${currentWord}" that starts with "${nextWord[0].toUpperCase()}".`;
+    },
+
+    // Describe the provider's configuration (for the admin dashboard)
+    getInfo() {
+      return {
+        provider: 'dataset',
+        dataset: options.associations ? null : datasetPath,
+        words: Object.keys(associations).length,
+        maxAssociations
+      };
+    }
+  };
+}
+
+module.exports = {
+  loadDataset,
+  createDatasetProvider
+};
@@ -0,0 +1,80 @@
+/**
+ * Association provider module - selects where word associations, puzzle themes and hints come from
+ *
+ * Every provider implements the same async interface:
+ *   getAssociations(word, options)                          -> { wordArray, detailedArray, source }
+ *   generateTheme(startWord, targetWord, options)           -> { theme, description }
+ *   getHint(startWord, targetWord, currentWord, options)    -> hint text
+ *   getInfo()
+ *
+ * options.onApiCallMade is called before every paid API request the provider makes, retries included (e.g. to
+ * enforce limits), so answers from local data never count against the API limits.
+ * source ({ provider, model, promptVersion }) records where the associations came from and is
+ * stored with them in the association cache. A provider's promptVersions property maps each
+ * provider name it answers for to its current associations prompt version, so cached entries
+ * from an older prompt can be found and refreshed.
+ * getAssociations throws when the provider can't come up with at least 3 associations,
+ * so a bad answer is never cached.
+ *
+ * The provider is chosen with the ASSOCIATION_PROVIDER environment variable:
+ *   anthropic (default) - Claude via the Anthropic API (ANTHROPIC_MODEL, PROVIDER_TIMEOUT_MS, PROVIDER_MAX_RETRIES)
+ *   dataset             - a local word-association dataset at DATASET_PATH, no LLM calls
+ *   mock                - deterministic canned associations from MOCK_ASSOCIATIONS_PATH, no network access
+ * A comma-separated list (e.g. "dataset,anthropic") asks each provider in turn - see tiered-provider.js.
+ * Any provider can be wrapped so its answers are moderated before use - see moderated-provider.js.
+ */
+
+const { createTieredProvider } = require('./tiered-provider');
+const { createModeratedProvider } = require('./moderated-provider');
+
+// Provider factories, loaded only when selected
+const PROVIDERS = {
+  anthropic: (options) => require('./anthropic-provider').createAnthropicProvider(options),
+  dataset: (options) => require('./dataset-provider').createDatasetProvider(options),
+  mock: (options) => require('./mock-provider').createMockProvider(options)
+};
+
+// The active provider (created on first use so dotenv has been loaded by then)
+let provider = null;
+
+/**
+ * Gets the provider selected by ASSOCIATION_PROVIDER
+ * @returns {object} - The association provider
+ */
+function getProvider() {
+  if (!provider) {
+    const providerNames = (process.env.ASSOCIATION_PROVIDER || 'anthropic')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(name => name !== '');
+
+    provider = providerNames.length > 1
+      ? createTieredProvider(providerNames.map(name => createProvider(name)))
+      : createProvider(providerNames[0]);
+    console.log(`Using ${provider.name} association provider`);
+  }
+
+  return provider;
+}
+
+/**
+ * Creates a provider by name, regardless of ASSOCIATION_PROVIDER
+ * @param {string} providerName - 'anthropic', 'dataset' or 'mock'
+ * @param {object} [options] - Provider-specific options (see each provider's factory)
+ * @returns {object} - A new association provider
+ */
+function createProvider(providerName, options = {}) {
+  const create = PROVIDERS[providerName];
+  if (!create) {
+    throw new Error(`Unknown association provider "${providerName}" - expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return create(options);
+}
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  createProvider,
+  createTieredProvider,
+  createModeratedProvider
+};
@@ -0,0 +1,142 @@
+/**
+ * Mock association provider - serves canned associations from a fixture file, with no network access
+ *
+ * The fixture is a JSON file (MOCK_ASSOCIATIONS_PATH, default server/tests/fixtures/mock-associations.json):
+ *   {
+ *     "associations": { "ocean": [{ "word": "wave", "hint": "..." }, ...] },
+ *     "themes": [{ "theme": "...", "description": "..." }]
+ *   }
+ *
+ * Everything is deterministic: words missing from the fixture get associations picked from the
+ * fixture's vocabulary by a hash of the word, and themes are picked by a hash of the word pair.
+ * The same word therefore always gets the same associations, across runs and across instances.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Default fixture file
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, '..', '..', 'tests', 'fixtures', 'mock-associations.json');
+
+// Number of associations given to words that aren't in the fixture
+const GENERATED_ASSOCIATION_COUNT = 6;
+
+// Theme used when the fixture has none
+const DEFAULT_THEME = {
+  theme: "Word Connections",
+  description: "Find the hidden connections between words"
+};
+
+// Hash a string to a non-negative integer (FNV-1a)
+function hashString(value) {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Load and check a fixture file
+function loadFixture(fixturePath) {
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+  if (!fixture || typeof fixture.associations !== 'object' || Array.isArray(fixture.associations)) {
+    throw new Error(`Invalid mock associations fixture ${fixturePath} - expected an "associations" object`);
+  }
+
+  return fixture;
+}
+
+/**
+ * Creates a mock provider
+ * @param {object} [options]
+ * @param {string} [options.fixturePath] - Fixture file (default MOCK_ASSOCIATIONS_PATH or tests/fixtures/mock-associations.json)
+ * @param {object} [options.fixture] - Fixture contents, used instead of reading a file
+ * @returns {object} - The provider
+ */
+function createMockProvider(options = {}) {
+  const fixturePath = options.fixturePath || process.env.MOCK_ASSOCIATIONS_PATH || DEFAULT_FIXTURE_PATH;
+  const fixture = options.fixture || loadFixture(fixturePath);
+
+  // Canned associations keyed by normalized word
+  const associations = {};
+  Object.entries(fixture.associations).forEach(([word, items]) => {
+    associations[word.toLowerCase().trim()] = items;
+  });
+
+  const themes = Array.isArray(fixture.themes) && fixture.themes.length > 0 ? fixture.themes : [DEFAULT_THEME];
+
+  // Every word in the fixture, sorted so generated associations don't depend on file order
+  const vocabulary = [...new Set([
+    ...Object.keys(associations),
+    ...Object.values(associations).flat().map(item => item.word.toLowerCase().trim())
+  ])].sort();
+
+  if (vocabulary.length <= GENERATED_ASSOCIATION_COUNT) {
+    throw new Error(`Mock associations fixture is too small - it needs more than ${GENERATED_ASSOCIATION_COUNT} distinct words`);
+  }
+
+  // Pick associations for a word that isn't in the fixture
+  function generateAssociations(word) {
+    const picked = [];
+    let index = hashString(word) % vocabulary.length;
+
+    while (picked.length < GENERATED_ASSOCIATION_COUNT) {
+      const candidate = vocabulary[index];
+      if (candidate !== word && !picked.includes(candidate)) {
+        picked.push(candidate);
+      }
+      index = (index + 1) % vocabulary.length;
+    }
+
+    return picked.map(candidate => ({ word: candidate, hint: `"${candidate}" is linked with "${word}"` }));
+  }
+
+  return {
+    name: 'mock',
+    usesLanguageModel: false,
+    promptVersions: {},
+
+    // Get the canned (or generated) associations for a word
+    async getAssociations(word) {
+      const normalizedWord = word.toLowerCase().trim();
+      const detailedArray = associations[normalizedWord] || generateAssociations(normalizedWord);
+
+      if (detailedArray.length < 3) {
+        throw new Error(`Too few valid associations for "${word}" (${detailedArray.length}). Need at least 3 associations.`);
+      }
+
+      return {
+        wordArray: detailedArray.map(item => item.word),
+        detailedArray: detailedArray.map(item => ({ ...item })),
+        source: { provider: 'mock', model: options.fixture ? null : path.basename(fixturePath), promptVersion: null }
+      };
+    },
+
+    // Pick a fixture theme for the word pair
+    async generateTheme(startWord, targetWord) {
+      const theme = themes[hashString(`${startWord}→${targetWord}`) % themes.length];
+      return { ...theme };
+    },
+
+    // Give a fixed hint that names the current and target words
+    async getHint(startWord, targetWord, currentWord) {
+      return `Think about what "${currentWord}" brings to mind, and which of those ideas sits closer to "${targetWord}".`;
+    },
+
+    // Describe the provider's configuration (for the admin dashboard)
+    getInfo() {
+      return {
+        provider: 'mock',
+        fixture: options.fixture ? null : fixturePath,
+        cannedWords: Object.keys(associations).length
+      };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_FIXTURE_PATH,
+  createMockProvider
+};
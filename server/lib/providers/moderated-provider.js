@@ -0,0 +1,114 @@
+/**
+ * Moderated association provider - checks everything another provider answers before it is used
+ *
+ * Associations (and their hints), themes and hints are checked by a moderator (see lib/moderation.js).
+ * Flagged associations are dropped, and the provider is asked again if too few are left; flagged
+ * themes and hints are asked for again. Whatever is still flagged after MODERATION_MAX_ATTEMPTS
+ * tries is an error, like any other unusable answer, so it is never cached or shown to players.
+ * Everything flagged is passed to onFlagged (e.g. to quarantine it for admins).
+ */
+
+// Default number of times to ask the provider for an answer that passes moderation
+const DEFAULT_MAX_ATTEMPTS = 2;
+
+// Fewest associations a word needs (as every provider requires)
+const MIN_ASSOCIATIONS = 3;
+
+/**
+ * Creates a moderated provider
+ * @param {object} provider - The provider to moderate
+ * @param {object} moderator - The moderator (see lib/moderation.js)
+ * @param {object} [options]
+ * @param {function} [options.onFlagged] - Called with { kind, text, context, reason, source, provider } for flagged content
+ * @param {number} [options.maxAttempts] - Times to ask for an answer that passes (default MODERATION_MAX_ATTEMPTS or 2)
+ * @returns {object} - The provider
+ */
+function createModeratedProvider(provider, moderator, options = {}) {
+  const maxAttempts = options.maxAttempts || parseInt(process.env.MODERATION_MAX_ATTEMPTS || DEFAULT_MAX_ATTEMPTS);
+
+  // Check some content, reporting it if it's flagged
+  async function isFlagged(kind, text, context) {
+    const flag = await moderator.check(text, kind);
+    if (flag && options.onFlagged) {
+      options.onFlagged({ kind, text, context, reason: flag.reason, source: flag.source, provider: provider.name });
+    }
+    return Boolean(flag);
+  }
+
+  // Ask the provider until an answer passes, up to maxAttempts times
+  async function askUntilClean(description, ask, moderate) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const answer = await moderate(await ask());
+      if (answer !== null) {
+        return answer;
+      }
+      if (attempt < maxAttempts) {
+        console.log(`${provider.name} provider's ${description} didn't pass moderation - asking again`);
+      }
+    }
+    throw new Error(`No ${description} passed moderation after ${maxAttempts} ${maxAttempts === 1 ? 'attempt' : 'attempts'}`);
+  }
+
+  return {
+    name: provider.name,
+    usesLanguageModel: provider.usesLanguageModel,
+    promptVersions: provider.promptVersions,
+
+    // Get associations, dropping flagged ones (an association is flagged if its word or its hint is)
+    async getAssociations(word, requestOptions) {
+      return askUntilClean(`associations for "${word}"`, () => provider.getAssociations(word, requestOptions), async result => {
+        const hintsByWord = {};
+        (result.detailedArray || []).forEach(item => {
+          if (item && item.word) {
+            hintsByWord[item.word.toLowerCase().trim()] = item.hint || '';
+          }
+        });
+
+        // Check every association at once, as a classifier may be a network call per check
+        const verdicts = await Promise.all(result.wordArray.map(async association => {
+          const hint = hintsByWord[association.toLowerCase().trim()] || '';
+          return await isFlagged('association', association, { word }) || Boolean(hint && await isFlagged('association', hint, { word, association }));
+        }));
+        const flagged = new Set(result.wordArray.filter((association, i) => verdicts[i]).map(association => association.toLowerCase().trim()));
+
+        const wordArray = result.wordArray.filter(association => !flagged.has(association.toLowerCase().trim()));
+        if (wordArray.length < MIN_ASSOCIATIONS) {
+          return null;
+        }
+        if (flagged.size > 0) {
+          console.log(`Dropped ${flagged.size} flagged ${flagged.size === 1 ? 'association' : 'associations'} for "${word}"`);
+        }
+
+        return {
+          ...result,
+          wordArray,
+          detailedArray: (result.detailedArray || []).filter(item => !item || !item.word || !flagged.has(item.word.toLowerCase().trim()))
+        };
+      });
+    },
+
+    // Get a theme whose name and description both pass
+    async generateTheme(startWord, targetWord, requestOptions) {
+      return askUntilClean('theme', () => provider.generateTheme(startWord, targetWord, requestOptions), async themeData => {
+        const text = [themeData.theme, themeData.description].filter(Boolean).join(' - ');
+        return await isFlagged('theme', text, { startWord, targetWord }) ? null : themeData;
+      });
+    },
+
+    // Get a hint that passes
+    async getHint(startWord, targetWord, currentWord, requestOptions) {
+      return askUntilClean('hint', () => provider.getHint(startWord, targetWord, currentWord, requestOptions), async hint => {
+        return await isFlagged('hint', hint, { startWord, targetWord, currentWord }) ? null : hint;
+      });
+    },
+
+    // Describe the provider and the moderation (for the admin dashboard)
+    getInfo() {
+      return { ...provider.getInfo(), moderation: moderator.getInfo() };
+    }
+  };
+}
+
+module.exports = {
+  createModeratedProvider
+};
@@ -0,0 +1,83 @@
+/**
+ * Tiered association provider - asks several providers in turn, e.g. a local dataset before Claude
+ *
+ * Associations come from the first tier that can answer, so words covered by an earlier
+ * (cheaper) tier never cost an API call. Themes and hints come from tiers that use a
+ * language model first, falling back to the other tiers' templates if those fail.
+ */
+
+/**
+ * Creates a tiered provider
+ * @param {object[]} tiers - Providers to ask, in order
+ * @returns {object} - The provider
+ */
+function createTieredProvider(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new Error('A tiered association provider needs at least one tier');
+  }
+
+  // Tiers to ask for themes and hints - language models first
+  const textTiers = [
+    ...tiers.filter(tier => tier.usesLanguageModel),
+    ...tiers.filter(tier => !tier.usesLanguageModel)
+  ];
+
+  // Number of answers given by each tier, for the admin dashboard
+  const answeredBy = {};
+  tiers.forEach(tier => {
+    answeredBy[tier.name] = 0;
+  });
+
+  // Ask each tier in turn, returning the first answer
+  async function askTiers(tierList, description, ask) {
+    let lastError;
+
+    for (const tier of tierList) {
+      try {
+        const result = await ask(tier);
+        answeredBy[tier.name]++;
+        return result;
+      } catch (error) {
+        lastError = error;
+        if (tier !== tierList[tierList.length - 1]) {
+          console.log(`${tier.name} provider couldn't get ${description} (${error.message}) - trying the next tier`);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  return {
+    name: tiers.map(tier => tier.name).join('+'),
+    usesLanguageModel: tiers.some(tier => tier.usesLanguageModel),
+    promptVersions: Object.assign({}, ...tiers.map(tier => tier.promptVersions)),
+
+    // Get associations from the first tier that has them
+    async getAssociations(word, requestOptions) {
+      return askTiers(tiers, `associations for "${word}"`, tier => tier.getAssociations(word, requestOptions));
+    },
+
+    // Get a theme, preferring tiers that use a language model
+    async generateTheme(startWord, targetWord, requestOptions) {
+      return askTiers(textTiers, 'a theme', tier => tier.generateTheme(startWord, targetWord, requestOptions));
+    },
+
+    // Get a hint, preferring tiers that use a language model
+    async getHint(startWord, targetWord, currentWord, requestOptions) {
+      return askTiers(textTiers, 'a hint', tier => tier.getHint(startWord, targetWord, currentWord, requestOptions));
+    },
+
+    // Describe each tier and how often it answered (for the admin dashboard)
+    getInfo() {
+      return {
+        provider: 'tiered',
+        tiers: tiers.map(tier => ({ ...tier.getInfo(), answered: answeredBy[tier.name] }))
+      };
+    }
+  };
+}
+
+module.exports = {
+  createTieredProvider
+};
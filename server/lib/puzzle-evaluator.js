@@ -0,0 +1,145 @@
+/**
+ * Puzzle evaluator - scores how fair and fun a puzzle is on the cached association graph
+ *
+ * Four things are scored from 0 to 1 and weighted into a score out of 100:
+ *   - steps:     the fewest moves to the target - too few is trivial, too many is a slog
+ *   - routes:    how many different shortest routes there are - a single route can hide behind one link
+ *   - dead ends: the share of explored words offered along a shortest route that have no route to the target
+ *                (words whose associations aren't cached yet are unknown, not dead ends)
+ *   - obscurity: the share of words on a shortest route that only one cached word offers
+ *                (a word hardly anything links to is one players are unlikely to think of)
+ *
+ * Puzzles scoring below PUZZLE_MIN_QUALITY (default 50) are rejected by the generator and the
+ * pre-generation worker.
+ */
+
+const { canonicalKey } = require('./association-cache');
+const { createPathOracle } = require('./path-oracle');
+const { measureDifficulty } = require('./difficulty');
+
+// Score a puzzle needs by default to be published
+const DEFAULT_MIN_QUALITY = 50;
+
+// How much each part counts towards the score
+const WEIGHTS = {
+  steps: 0.3,
+  routes: 0.25,
+  deadEnds: 0.25,
+  obscurity: 0.2
+};
+
+// Par range that scores full marks for steps
+const IDEAL_MIN_STEPS = 3;
+const IDEAL_MAX_STEPS = 8;
+
+// Number of shortest routes that scores full marks for routes
+const IDEAL_ROUTES = 3;
+
+// Score a puzzle needs to be published (PUZZLE_MIN_QUALITY, if it's a number)
+const MIN_QUALITY = isNaN(parseInt(process.env.PUZZLE_MIN_QUALITY, 10))
+  ? DEFAULT_MIN_QUALITY
+  : parseInt(process.env.PUZZLE_MIN_QUALITY, 10);
+
+// Score the par: nothing for 1-2 moves, full marks in the ideal range, then losing a fifth per extra move
+function scoreSteps(steps) {
+  if (steps < IDEAL_MIN_STEPS) {
+    return 0;
+  }
+  return Math.max(1 - (Math.max(steps - IDEAL_MAX_STEPS, 0) * 0.2), 0);
+}
+
+// Count how many cached words offer each word
+function countOfferedBy(associationCache) {
+  const counts = new Map();
+  associationCache.words().forEach(word => {
+    new Set((associationCache.get(word) || []).map(canonicalKey)).forEach(key => {
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+  });
+  return counts;
+}
+
+/**
+ * Evaluates a puzzle on the cached association graph
+ * @param {object} associationCache - The association cache
+ * @param {object} puzzle - { startWord, targetWord }
+ * @returns {object} - { score (0-100), steps, routes, deadEndRatio, obscurity, problems: [descriptions] }
+ */
+function evaluatePuzzle(associationCache, puzzle) {
+  const oracle = createPathOracle(associationCache, puzzle.targetWord);
+  const metrics = measureDifficulty(associationCache, puzzle.startWord, puzzle.targetWord, oracle);
+
+  if (!metrics) {
+    return {
+      score: 0,
+      steps: null,
+      routes: 0,
+      deadEndRatio: null,
+      obscurity: null,
+      problems: ['the target can\'t be reached from the start word']
+    };
+  }
+
+  const route = oracle.shortestPath(puzzle.startWord);
+  const onRoute = new Set(route.map(canonicalKey));
+
+  // Explored words offered along the route (other than the route itself) that lead nowhere
+  const offered = new Set();
+  route.slice(0, -1).forEach(word => {
+    (associationCache.get(word) || []).forEach(association => {
+      const key = canonicalKey(association);
+      if (!onRoute.has(key) && associationCache.has(key)) {
+        offered.add(key);
+      }
+    });
+  });
+  const deadEnds = [...offered].filter(key => oracle.distanceFrom(key) === null).length;
+  const deadEndRatio = offered.size > 0 ? deadEnds / offered.size : 0;
+
+  // Words on the route (after the start) that only one cached word offers
+  const offeredBy = countOfferedBy(associationCache);
+  const routeWords = route.slice(1).map(canonicalKey);
+  const obscureWords = routeWords.filter(key => (offeredBy.get(key) || 0) <= 1);
+  const obscurity = routeWords.length > 0 ? obscureWords.length / routeWords.length : 0;
+
+  const parts = {
+    steps: scoreSteps(metrics.steps),
+    routes: Math.min(metrics.routes, IDEAL_ROUTES) / IDEAL_ROUTES,
+    deadEnds: 1 - deadEndRatio,
+    obscurity: 1 - obscurity
+  };
+  const score = Math.round(100 * Object.keys(WEIGHTS).reduce((total, part) => total + WEIGHTS[part] * parts[part], 0));
+
+  const problems = [];
+  if (metrics.steps < IDEAL_MIN_STEPS) {
+    problems.push(`the target is only ${metrics.steps} ${metrics.steps === 1 ? 'move' : 'moves'} from the start`);
+  } else if (metrics.steps > IDEAL_MAX_STEPS) {
+    problems.push(`the shortest route takes ${metrics.steps} moves`);
+  }
+  if (metrics.routes === 1 && obscureWords.length > 0) {
+    problems.push(`the only shortest route goes through "${obscureWords[0]}", which only one word links to`);
+  }
+  if (deadEndRatio > 0.5) {
+    problems.push(`${Math.round(deadEndRatio * 100)}% of the words offered along the way are dead ends`);
+  }
+
+  return {
+    score,
+    steps: metrics.steps,
+    routes: metrics.routes,
+    deadEndRatio: Math.round(deadEndRatio * 100) / 100,
+    obscurity: Math.round(obscurity * 100) / 100,
+    problems
+  };
+}
+
+// Check whether an evaluation reaches the minimum score
+function isAcceptable(quality, minQuality = MIN_QUALITY) {
+  return Boolean(quality) && quality.score >= minQuality;
+}
+
+module.exports = {
+  MIN_QUALITY,
+  evaluatePuzzle,
+  isAcceptable
+};
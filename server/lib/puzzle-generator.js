@@ -1,124 +1,75 @@
 /**
  * Shared puzzle generator module - used by both the server and the offline puzzle generation script
+ *
+ * Associations and themes come from an association provider (see lib/providers).
  */
 
-const { promisify } = require('util');
-const path = require('path');
-const fs = require('fs');
+const { getStorage } = require('./storage');
+const { canonicalKey, createAssociationCache } = require('./association-cache');
+const { getPuzzleOracle } = require('./path-oracle');
+const {
+  DIFFICULTY_PROFILES,
+  PUZZLE_DIFFICULTY,
+  measureDifficulty,
+  fitsProfile,
+  rateDifficulty,
+  stepsOutside
+} = require('./difficulty');
+const { MIN_QUALITY, evaluatePuzzle, isAcceptable } = require('./puzzle-evaluator');
+const { generateSeed, createRandom, randomInt, shuffle } = require('./random');
+const { WORD_CONSTRAINTS, loadRecentWords, createWordFilter } = require('./word-constraints');
 
-// Path for cache file
-const CACHE_FILE_PATH = path.join(__dirname, '..', 'data', 'association-cache.json');
-
-// Promisify fs functions
-const writeFileAsync = promisify(fs.writeFile);
-const readFileAsync = promisify(fs.readFile);
-const mkdirAsync = promisify(fs.mkdir);
+// Most puzzles generated in one go before giving up on reaching the minimum quality score
+const MAX_QUALITY_ATTEMPTS = 3;
 
 // Cache stats for monitoring
 const cacheStats = {
   hits: 0,
   misses: 0,
-  lastSaved: null
+  lastSaved: null,
+  // Outcomes of parsing structured (JSON) replies from the provider
+  parse: {
+    clean: 0,     // valid JSON as sent
+    repaired: 0,  // usable after stripping fences/prose or fixing syntax
+    corrected: 0, // usable after a corrective prompt
+    failed: 0     // unusable
+  }
 };
 
-// API utility function
-async function getAssociationsFromAI(anthropic, word, onApiCallMade) {
-  try {
-    // If there's a callback for API tracking, call it
-    if (typeof onApiCallMade === 'function') {
-      onApiCallMade();
-    }
-    
-    const message = await anthropic.messages.create({
-      model: "claude-3-5-sonnet-20240620",
-      max_tokens: 400,
-      messages: [
-        {
-          role: "user",
-          content: `Give me 5-10 common word associations for "${word}" that most people would naturally think of.
-          
-          Return a JSON array with EXACTLY this format:
-          [
-            {"word": "association1", "hint": "brief explanation"},
-            {"word": "association2", "hint": "brief explanation"}
-          ]
-          
-          Important formatting rules:
-          1. Use double quotes for all strings
-          2. Ensure all JSON is properly formatted
-          3. No trailing commas
-          4. No comments or explanation text
-          5. ALWAYS use singular forms for words (e.g., "balloon" instead of "balloons")
-          
-          If you cannot come up with at least 3 good word associations, include "__ERROR__" as one of the words.
-          
-          Ensure associations are intuitive and would be recognized by most adults.`
-        }
-      ]
-    });
+// Record how a provider reply was parsed
+function recordParseResult(outcome) {
+  if (cacheStats.parse[outcome] !== undefined) {
+    cacheStats.parse[outcome]++;
+  }
+}
 
-    // Parse the response
-    const responseText = message.content[0].text;
-    
-    // Parse the JSON response
-    let associationsArray = JSON.parse(responseText);
-    
-    // Validate the structure of the parsed array
-    if (!Array.isArray(associationsArray)) {
-      throw new Error("Invalid association array structure: not an array");
-    }
-    
-    // Check for the error token - this indicates Claude had issues
-    const hasErrorToken = associationsArray.some(item => 
-      item && typeof item === 'object' && item.word === "__ERROR__"
-    );
-    
-    if (hasErrorToken) {
-      // Don't hide this error - expose it clearly
-      throw new Error(`"__ERROR__" token found in associations for "${word}". Claude couldn't generate enough associations.`);
-    }
-    
-    // Validate each item in the array
-    const validItems = associationsArray.filter(item => 
-      item && 
-      typeof item === 'object' && 
-      typeof item.word === 'string' && 
-      item.word.trim() !== '' &&
-      typeof item.hint === 'string'
-    );
-    
-    if (validItems.length < 3) {
-      throw new Error(`Too few valid associations for "${word}" (${validItems.length}). Need at least 3 associations.`);
-    }
-    
-    associationsArray = validItems;
-    
-    // Extract just the words for backward compatibility
-    const wordOnlyArray = associationsArray.map(item => item.word);
-    
-    return {
-      wordArray: wordOnlyArray,
-      detailedArray: associationsArray
-    };
+// Share of parsed replies that were unusable (0-1), or 0 before any were parsed
+function getParseFailureRate() {
+  const total = Object.values(cacheStats.parse).reduce((sum, count) => sum + count, 0);
+  return total > 0 ? cacheStats.parse.failed / total : 0;
+}
+
+// Get associations from the provider
+// onApiCallMade is called by the provider before every API request it makes (e.g. to enforce limits)
+async function getAssociationsFromProvider(provider, word, onApiCallMade) {
+  try {
+    return await provider.getAssociations(word, { onApiCallMade, onParseResult: recordParseResult });
   } catch (error) {
-    console.error('Error getting AI associations:', error);
+    console.error(`Error getting associations from ${provider.name} provider:`, error);
     throw error;
   }
 }
 
-// Cache management functions
+// Cache management functions (persisted through the configured storage backend)
 async function saveAssociationCache(associationCache) {
   try {
-    // Ensure the data directory exists
-    await mkdirAsync(path.dirname(CACHE_FILE_PATH), { recursive: true }).catch(() => {});
-    
-    // Save cache to file
-    await writeFileAsync(CACHE_FILE_PATH, JSON.stringify(associationCache, null, 2), 'utf8');
+    const storage = getStorage();
+    await storage.saveAssociationCache(associationCache.toJSON());
     
     // Update last saved timestamp
     cacheStats.lastSaved = new Date();
     
-    console.log(`Association cache saved to ${CACHE_FILE_PATH} (${Object.keys(associationCache).length} entries)`);
+    console.log(`Association cache saved to ${storage.name} storage (${associationCache.size} words)`);
     return true;
   } catch (error) {
     console.error('Error saving association cache:', error);
@@ -126,59 +77,38 @@ async function saveAssociationCache(associationCache) {
   }
 }
 
+// Load the association cache (migrating stored keys to canonical form)
 async function loadAssociationCache() {
   try {
-    // Check if cache file exists
-    if (!fs.existsSync(CACHE_FILE_PATH)) {
-      console.log(`No cache file found at ${CACHE_FILE_PATH}. Starting with empty cache.`);
-      return {};
-    }
-    
-    // Read and parse cache file
-    const data = await readFileAsync(CACHE_FILE_PATH, 'utf8');
-    const loadedCache = JSON.parse(data);
-    
-    // Validate and use the loaded cache
-    if (loadedCache && typeof loadedCache === 'object') {
-      console.log(`Association cache loaded from ${CACHE_FILE_PATH} (${Object.keys(loadedCache).length} entries)`);
-      return loadedCache;
-    } else {
-      console.error('Invalid cache file format. Starting with empty cache.');
-      return {};
-    }
+    return createAssociationCache(await getStorage().loadAssociationCache());
   } catch (error) {
     console.error('Error loading association cache:', error);
-    return {};
+    return createAssociationCache();
   }
 }
 
 // Get associations with caching
-async function getAssociations(associationCache, word, anthropic, onApiCallMade) {
-  // Normalize the word (lowercase and trim)
-  const normalizedWord = word.toLowerCase().trim();
+async function getAssociations(associationCache, word, provider, onApiCallMade) {
+  // Canonical form of the word (case, whitespace and plurals don't matter)
+  const key = canonicalKey(word);
   
-  // Check if any case variation of the word exists in the cache
-  const cacheKey = Object.keys(associationCache).find(key => 
-    key.toLowerCase().trim() === normalizedWord
-  );
-  
-  // If word is in cache (with any case), return cached result
-  if (cacheKey) {
+  // If word is in cache, return cached result
+  const cached = associationCache.get(key);
+  if (cached) {
     cacheStats.hits++;
-    console.log(`Cache HIT for '${normalizedWord}' (${cacheStats.hits} hits, ${cacheStats.misses} misses)`);
-    return associationCache[cacheKey];
+    console.log(`Cache HIT for '${key}' (${cacheStats.hits} hits, ${cacheStats.misses} misses)`);
+    return cached;
   }
   
-  // Otherwise, get from AI and cache the result
+  // Otherwise, get from the provider and cache the result
   try {
     cacheStats.misses++;
-    console.log(`Cache MISS for '${normalizedWord}' (${cacheStats.hits} hits, ${cacheStats.misses} misses)`);
+    console.log(`Cache MISS for '${key}' (${cacheStats.hits} hits, ${cacheStats.misses} misses)`);
     
-    const result = await getAssociationsFromAI(anthropic, normalizedWord, onApiCallMade);
+    const result = await getAssociationsFromProvider(provider, key, onApiCallMade);
     
     // Cache both versions for future use
-    associationCache[normalizedWord] = result.wordArray;
-    associationCache[`${normalizedWord}_detailed`] = result.detailedArray;
+    associationCache.set(key, result.wordArray, result.detailedArray, result.source);
     
     return result.wordArray;
   } catch (error) {
@@ -188,7 +118,7 @@ async function getAssociations(associationCache, word, anthropic, onApiCallMade)
 }
 
 // Helper function to check if a word is a valid target
-async function isValidTargetWord(associationCache, candidateTarget, previousWords, anthropic, onApiCallMade) {
+async function isValidTargetWord(associationCache, candidateTarget, previousWords, provider, onApiCallMade) {
   // For a valid target, we only need to confirm it's connected to the last word in the path
   if (previousWords.length === 0) {
     return true; // No previous words to check
@@ -196,16 +126,13 @@ async function isValidTargetWord(associationCache, candidateTarget, previousWord
   
   // Get the last word in the previous words
   const lastWord = previousWords[previousWords.length - 1];
-  const key = lastWord.toLowerCase().trim();
   
   // Get associations for the last word
-  let associations;
-  if (associationCache[key]) {
-    associations = associationCache[key];
-  } else {
+  let associations = associationCache.get(lastWord);
+  if (!associations) {
     try {
       console.log(`Getting associations for last word: ${lastWord}`);
-      associations = await getAssociations(associationCache, lastWord, anthropic, onApiCallMade);
+      associations = await getAssociations(associationCache, lastWord, provider, onApiCallMade);
     } catch (error) {
       console.error(`Error getting associations for "${lastWord}":`, error);
       
@@ -232,15 +159,32 @@ async function isValidTargetWord(associationCache, candidateTarget, previousWord
   }
 }
 
+// Stop generating once the abort signal fires (e.g. on shutdown), so no more API calls are spent on a puzzle
+// that won't be saved
+function throwIfAborted(abortSignal) {
+  if (abortSignal && abortSignal.aborted) {
+    throw new Error('Puzzle generation aborted');
+  }
+}
+
 // Helper function to find a path through the word association graph
 // Implements a hybrid approach: Primarily Depth-First Search with periodic breadth prioritization
-async function findPathThroughGraph(associationCache, startWord, anthropic, onApiCallMade, abortSignal) {
-  console.log(`Starting path search from "${startWord}"`);
+// A target is accepted once the graph measures the puzzle as fitting the difficulty profile (see lib/difficulty.js);
+// if none fits, the closest one found is used
+// random orders the exploration (see lib/random.js) - pass a seeded one to make the search reproducible
+// wordFilter (see lib/word-constraints.js) rules out target words, e.g. blocked or recently used ones, and
+// keeps words the moderation blocklist hides from players off the path entirely
+async function findPathThroughGraph(associationCache, startWord, provider, onApiCallMade, abortSignal, difficulty = PUZZLE_DIFFICULTY, random = Math.random, wordFilter = null) {
+  console.log(`Starting ${difficulty} path search from "${startWord}"`);
   
   // Define parameters
-  const MIN_PATH_LENGTH = 5; // at least 5 words total (4 steps) - the minimum acceptable puzzle length
-  const PREFERRED_PATH_LENGTH = 7; // preferred path length for optimal puzzle difficulty
-  const MAX_DEPTH = 10;      // maximum path depth to explore - prevents excessive branching
+  const profile = DIFFICULTY_PROFILES[difficulty];
+  if (!profile) {
+    throw new Error(`Unknown difficulty "${difficulty}"`);
+  }
+  const MIN_PATH_LENGTH = profile.minSteps + 1; // the shortest path (in words) that could give the profile's par
+  const PREFERRED_PATH_LENGTH = Math.round((profile.minSteps + profile.maxSteps) / 2) + 1; // the middle of the profile's range
+  const MAX_DEPTH = profile.maxDepth; // maximum path depth to explore - prevents excessive branching
   const MAX_EXPLORATIONS = 250; // maximum number of paths to check - prevents excessive API usage
   
   // Set up error handling for the entire function
@@ -250,7 +194,7 @@ async function findPathThroughGraph(associationCache, startWord, anthropic, onAp
     
     // Get associations for the start word
     console.log(`Getting associations for start word: ${startWord}`);
-    const startAssociations = await getAssociations(associationCache, startWord, anthropic, onApiCallMade);
+    const startAssociations = await getAssociations(associationCache, startWord, provider, onApiCallMade);
     console.log(`Cached ${startAssociations.length} associations for ${startWord}`);
     
     // Stack for depth-first traversal (last in, first out)
@@ -260,16 +204,6 @@ async function findPathThroughGraph(associationCache, startWord, anthropic, onAp
       depth: 1
     }];
     
-    // Function to shuffle an array for randomizing exploration
-    const shuffle = array => {
-      // Fisher-Yates shuffle algorithm
-      for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [array[i], array[j]] = [array[j], array[i]];
-      }
-      return array;
-    };
-    
     // Function to prioritize paths to focus on promising ones
     const prioritizeStack = () => {
       if (stack.length > 10) { // Only sort if stack is substantial
@@ -323,21 +257,18 @@ async function findPathThroughGraph(associationCache, startWord, anthropic, onAp
     };
     
     // Keep track of visited words
-    const visited = new Set([startWord.toLowerCase().trim()]);
+    const visited = new Set([canonicalKey(startWord)]);
     
     // Track exploration stats
     let explored = 0;
     let validTargetsChecked = 0;
     let pathsAbandoned = 0; // Track paths abandoned due to low diversity
-    let validShorterPath = null; // Track a valid path that meets minimum but not preferred length
+    let closestMatch = null; // Track the valid path whose measured difficulty comes closest to the profile
     
     // Process the stack for depth-first traversal
     while (stack.length > 0 && explored < MAX_EXPLORATIONS) {
       // Check for abort signal
-      if (abortSignal && abortSignal.aborted) {
-        console.log('Path finding aborted by abort signal');
-        return validShorterPath || null; // Return shorter path if available, otherwise null
-      }
+      throwIfAborted(abortSignal);
       
       // Periodically prioritize the stack to focus on promising paths
       if (explored % 20 === 0 && stack.length > 5) {
@@ -361,9 +292,15 @@ async function findPathThroughGraph(associationCache, startWord, anthropic, onAp
           
       // Check if we should validate this path as a potential target
       
+      // Words the constraints rule out are never targets (the path through them is still explored)
+      const targetProblem = path.length >= MIN_PATH_LENGTH && wordFilter ? wordFilter.check(currentWord) : null;
+      if (targetProblem) {
+        console.log(`✗ Skipping target "${currentWord}": ${targetProblem}`);
+      }
+      
       // If we've reached AT LEAST the minimum length required, consider this as a target
       // Paths of at least MIN_PATH_LENGTH are valid puzzles - we're just checking if current word works as a target
-      if (path.length >= MIN_PATH_LENGTH) {
+      if (path.length >= MIN_PATH_LENGTH && !targetProblem) {
         validTargetsChecked++;
         
         // Debug info about path length
@@ -371,33 +308,39 @@ async function findPathThroughGraph(associationCache, startWord, anthropic, onAp
         
         try {
           // Check if this word would be a good target
-          const isValidTarget = await isValidTargetWord(associationCache, currentWord, path.slice(0, -1), anthropic, onApiCallMade);
+          const isValidTarget = await isValidTargetWord(associationCache, currentWord, path.slice(0, -1), provider, onApiCallMade);
           
           if (isValidTarget) {
+            // The path found isn't necessarily the shortest, so measure the puzzle from the whole graph
+            const metrics = measureDifficulty(associationCache, startWord, currentWord);
+            
             console.log(`====== FOUND VALID SOLUTION PATH ======`);
             console.log(`✓ Target word: "${currentWord}"`);
             console.log(`✓ Path length: ${path.length} words (${path.length-1} steps)`);
             console.log(`✓ Full path: ${path.join(' → ')}`);
+            console.log(`✓ Measured: par ${metrics.steps}, branching ${metrics.branching}, ${metrics.routes} shortest route(s)`);
             
-            // If path is of preferred length, return it immediately
-            if (path.length >= PREFERRED_PATH_LENGTH) {
-              console.log(`✓ Found path of preferred length (${path.length} ≥ ${PREFERRED_PATH_LENGTH})`);
+            // If the puzzle fits the profile, return it immediately
+            if (fitsProfile(metrics, difficulty)) {
+              console.log(`✓ Fits the ${difficulty} profile`);
               console.log(`======================================`);
-              return { path, targetWord: currentWord };
+              return { path, targetWord: currentWord, metrics };
             }
             
-            // Otherwise, store it as a valid path but continue searching for preferred length
-            console.log(`✓ Found valid path but continuing to search for preferred length path (${path.length} < ${PREFERRED_PATH_LENGTH})`);
+            // Otherwise, remember the closest one but continue searching for a better fit
+            console.log(`✓ Found valid path but continuing to search for one that fits the ${difficulty} profile`);
             console.log(`======================================`);
-            validShorterPath = { path, targetWord: currentWord };
+            if (!closestMatch || stepsOutside(metrics, difficulty) < stepsOutside(closestMatch.metrics, difficulty)) {
+              closestMatch = { path, targetWord: currentWord, metrics };
+            }
             
-            // Don't return yet - keep searching for a longer path
+            // Don't return yet - keep searching for a path that fits
           }
         } catch (error) {
           // Check if error is due to API limit being reached
           if (error.message && error.message.includes('API call limit')) {
             console.warn(`⚠️ ${error.message} - aborting path search during target validation`);
-            return validShorterPath || null; // Return shorter path if available, otherwise null
+            return closestMatch; // Return the closest path if available, otherwise null
           }
           
           console.error(`Error validating target "${currentWord}":`, error);
@@ -413,13 +356,11 @@ async function findPathThroughGraph(associationCache, startWord, anthropic, onAp
       let associations;
       try {
         // Check if we already have associations in cache first
-        const key = currentWord.toLowerCase().trim();
-        if (associationCache[key]) {
-          associations = associationCache[key];
-        } else {
+        associations = associationCache.get(currentWord);
+        if (!associations) {
           // Otherwise, fetch new associations
           console.log(`Getting associations for: ${currentWord}`);
-          associations = await getAssociations(associationCache, currentWord, anthropic, onApiCallMade);
+          associations = await getAssociations(associationCache, currentWord, provider, onApiCallMade);
           console.log(`Cached ${associations.length} associations for ${currentWord}`);
         }
       } catch (error) {
@@ -434,10 +375,10 @@ async function findPathThroughGraph(associationCache, startWord, anthropic, onAp
         continue; // Skip this word if we can't get associations for other reasons
       }
       
-      // Filter to avoid visited words
+      // Filter to avoid visited words, and words players would never be offered
       const validNextWords = associations.filter(word => {
-        const normalizedWord = word.toLowerCase().trim();
-        return !visited.has(normalizedWord);
+        const normalizedWord = canonicalKey(word);
+        return !visited.has(normalizedWord) && !(wordFilter && wordFilter.isBlocked(word));
       });
       
       // Extra logging about potential paths
@@ -455,10 +396,10 @@ async function findPathThroughGraph(associationCache, startWord, anthropic, onAp
       
       // Add ALL valid next words to the stack, but shuffle them first to avoid bias toward alphabetical ordering
       // In DFS, the order we add items is important since later additions will be explored first
-      const shuffledNextWords = shuffle([...validNextWords]);
+      const shuffledNextWords = shuffle([...validNextWords], random);
       
       for (const nextWord of shuffledNextWords) {
-        const normalizedWord = nextWord.toLowerCase().trim();
+        const normalizedWord = canonicalKey(nextWord);
         visited.add(normalizedWord); // Mark as visited
         
         // Create a new path by adding this word
@@ -472,11 +413,11 @@ async function findPathThroughGraph(associationCache, startWord, anthropic, onAp
       }
     }
     
-    // If we have a valid shorter path, use it as fallback
-    if (validShorterPath) {
-      console.log(`No preferred-length path found after exploring ${explored} paths, using valid shorter path of length ${validShorterPath.path.length}`);
-      console.log(`✓ Final path: ${validShorterPath.path.join(' → ')}`);
-      return validShorterPath;
+    // If we have a valid path that doesn't fit the profile, use the closest as fallback
+    if (closestMatch) {
+      console.log(`No ${difficulty} path found after exploring ${explored} paths, using the closest (par ${closestMatch.metrics.steps})`);
+      console.log(`✓ Final path: ${closestMatch.path.join(' → ')}`);
+      return closestMatch;
     }
     
     // If we're here, we didn't find any valid path
@@ -489,36 +430,83 @@ async function findPathThroughGraph(associationCache, startWord, anthropic, onAp
   }
 }
 
+// Pick the word a puzzle starts from: a random cached word the constraints allow, or a default word if the cache is empty
+function pickSeedWord(associationCache, random, wordFilter) {
+  // Get all words in the cache
+  const cacheWords = associationCache.words();
+  
+  if (cacheWords.length > 0) {
+    const allowedWords = cacheWords.filter(word => wordFilter.isAllowed(word));
+    if (allowedWords.length === 0) {
+      throw new Error(`None of the ${cacheWords.length} cached words is allowed as a start word.`);
+    }
+    
+    // Choose a random word from the cache
+    const seedWord = allowedWords[randomInt(random, allowedWords.length)];
+    console.log(`Using random word from cache: "${seedWord}" (${allowedWords.length} of ${cacheWords.length} cached words allowed)`);
+    return seedWord;
+  }
+  
+  // Default word if cache is empty
+  console.log(`Cache is empty, using default word: "environment"`);
+  return "environment";
+}
+
 // Function to generate a puzzle
-async function generatePuzzle(associationCache, anthropic, onApiCallMade, abortSignal) {
+// options.difficulty picks the difficulty profile (easy, medium, hard or expert - default PUZZLE_DIFFICULTY or medium)
+// Puzzles scoring below PUZZLE_MIN_QUALITY (see lib/puzzle-evaluator.js) are rejected and another is tried,
+// up to MAX_QUALITY_ATTEMPTS times
+// options.seed makes generation reproducible: the same seed and the same cache (and provider replies) give the same puzzle.
+// A random seed is used when none is given; either way it's recorded with the puzzle. Recent puzzles' words are only
+// ruled out when no seed is given, as saving a seeded puzzle would otherwise stop its seed from generating it again.
+// Start and target words must pass the word constraints (see lib/word-constraints.js) - options.wordFilter
+// replaces the ones read from the environment and the repository. options.moderator (see lib/moderation.js) adds
+// its blocklist to those, so puzzles only use words that are served to players
+async function generatePuzzle(associationCache, provider, onApiCallMade, abortSignal, options = {}) {
   try {
-    console.log("Generating new puzzle using graph traversal approach...");
-    
-    // Step 1: Get a seed word from cache or use default
-    let seedWord;
-    
-    // Get all real words from the cache (not metadata/detailed entries)
-    const cacheWords = Object.keys(associationCache).filter(key => !key.includes('_detailed'));
-    
-    if (cacheWords.length > 0) {
-      // Choose a random word from the cache
-      seedWord = cacheWords[Math.floor(Math.random() * cacheWords.length)];
-      console.log(`Using random word from cache: "${seedWord}"`);
-    } else {
-      // Default word if cache is empty
-      seedWord = "environment";
-      console.log(`Cache is empty, using default word: "${seedWord}"`);
+    const difficulty = options.difficulty || PUZZLE_DIFFICULTY;
+    const minQuality = MIN_QUALITY;
+    const seed = options.seed !== undefined ? String(options.seed) : generateSeed();
+    const random = createRandom(seed);
+    let wordFilter = options.wordFilter;
+    if (!wordFilter) {
+      const recentWords = options.seed !== undefined ? [] : await loadRecentWords(WORD_CONSTRAINTS.recentPuzzles);
+      wordFilter = createWordFilter(associationCache, WORD_CONSTRAINTS, recentWords, options.moderator);
     }
+    console.log(`Generating new ${difficulty} puzzle using graph traversal approach (seed "${seed}")...`);
     
-    console.log(`Using seed word: ${seedWord}`);
-    
-    // Step 2: Find a valid path from this seed word
-    const result = await findPathThroughGraph(associationCache, seedWord, anthropic, onApiCallMade, abortSignal);
+    let seedWord;
+    let result;
+    let quality;
     
-    // Handle case where path finding failed
-    if (!result) {
-      // Throw appropriate error
-      throw new Error(`Failed to find a valid path from "${seedWord}".`);
+    for (let attempt = 1; attempt <= MAX_QUALITY_ATTEMPTS; attempt++) {
+      // Step 1: Get a seed word from cache or use default
+      seedWord = pickSeedWord(associationCache, random, wordFilter);
+      console.log(`Using seed word: ${seedWord}`);
+      
+      // Step 2: Find a valid path from this seed word
+      result = await findPathThroughGraph(associationCache, seedWord, provider, onApiCallMade, abortSignal, difficulty, random, wordFilter);
+      
+      // Handle case where path finding failed
+      if (!result) {
+        // Throw appropriate error
+        throw new Error(`Failed to find a valid path from "${seedWord}".`);
+      }
+      
+      // Step 3: Score the puzzle before spending an API call on its theme
+      quality = evaluatePuzzle(associationCache, { startWord: seedWord, targetWord: result.targetWord });
+      if (isAcceptable(quality, minQuality)) {
+        console.log(`✓ Quality score ${quality.score} (minimum ${minQuality})`);
+        break;
+      }
+      
+      console.log(`✗ Rejected ${seedWord} → ${result.targetWord}: quality score ${quality.score} is below ${minQuality}` +
+        (quality.problems.length > 0 ? ` (${quality.problems.join('; ')})` : ''));
+      
+      if (attempt === MAX_QUALITY_ATTEMPTS || (abortSignal && abortSignal.aborted)) {
+        throw new Error(`No puzzle reached the minimum quality score of ${minQuality} ` +
+          `(last scored ${quality.score} after ${attempt} ${attempt === 1 ? 'attempt' : 'attempts'}).`);
+      }
     }
     
     const validPath = result.path;
@@ -527,47 +515,16 @@ async function generatePuzzle(associationCache, anthropic, onApiCallMade, abortS
     console.log(`Final path: ${validPath.join(' → ')}`);
     console.log(`Target word: ${targetWord}`);
     
-    // Step 3: Generate a theme based on the start and target words
+    // Step 4: Generate a theme based on the start and target words
+    throwIfAborted(abortSignal);
     console.log("Generating theme based on start and target words...");
-    if (onApiCallMade) onApiCallMade();
+    const themeData = await provider.generateTheme(seedWord, targetWord, { onApiCallMade, onParseResult: recordParseResult });
+    console.log(`Generated theme: ${themeData.theme}`);
     
-    const themeMessage = await anthropic.messages.create({
-      model: "claude-3-5-sonnet-20240620",
-      max_tokens: 150,
-      messages: [
-        {
-          role: "user",
-          content: `I'm creating a word association puzzle starting with "${seedWord}" and ending with "${targetWord}".
-          
-          Create an interesting theme that connects these words and provides context for the puzzle.
-          
-          Return ONLY a JSON object with this format:
-          {
-            "theme": "Short theme name, 2-4 words maximum",
-            "description": "Brief description of the theme (10-15 words max)",
-            "difficulty": "medium|hard|expert"
-          }
-          
-          Themes should be conceptual frameworks that give players a hint about the connection between "${seedWord}" and "${targetWord}".`
-        }
-      ]
-    });
-
-    const themeText = themeMessage.content[0].text;
-    let themeData;
-    
-    try {
-      themeData = JSON.parse(themeText);
-      console.log(`Generated theme: ${themeData.theme} (${themeData.difficulty})`);
-    } catch (parseError) {
-      console.error('Error parsing theme response:', parseError);
-      console.log('Raw theme response:', themeText);
-      themeData = {
-        theme: "Word Connections",
-        description: "Find the hidden connections between words",
-        difficulty: "medium"
-      };
-    }
+    // The path found above isn't necessarily the shortest, so par and difficulty are measured from the whole cached graph
+    // (again, as the search may have cached more words since the target was found), leaving out blocked words
+    const isOffered = association => !wordFilter.isBlocked(association);
+    const metrics = measureDifficulty(associationCache, seedWord, targetWord, getPuzzleOracle(associationCache, { targetWord }, isOffered));
     
     // Create the final puzzle object
     const puzzle = {
@@ -575,9 +532,15 @@ async function generatePuzzle(associationCache, anthropic, onApiCallMade, abortS
       targetWord: targetWord,
       theme: themeData.theme,
       description: themeData.description || "",
-      difficulty: themeData.difficulty || "hard",
+      difficulty: rateDifficulty(metrics) || difficulty,
+      requestedDifficulty: difficulty,
+      difficultyMetrics: metrics,
       hiddenSolution: validPath,
       minExpectedSteps: validPath.length - 1,
+      par: metrics ? metrics.steps : validPath.length - 1,
+      quality,
+      seed,
+      warmerColder: process.env.WARMER_COLDER_DEFAULT === 'true',
       gameDate: new Date().toISOString().split('T')[0]
     };
     
@@ -585,10 +548,13 @@ async function generatePuzzle(associationCache, anthropic, onApiCallMade, abortS
     console.log("\n=== PUZZLE GENERATED SUCCESSFULLY ===");
     console.log(`Start word: ${puzzle.startWord}`);
     console.log(`Target word: ${puzzle.targetWord}`);
-    console.log(`Theme: ${puzzle.theme} (${puzzle.difficulty})`);
+    console.log(`Theme: ${puzzle.theme}`);
+    console.log(`Difficulty: ${puzzle.difficulty} (asked for ${difficulty})`);
+    console.log(`Quality score: ${quality.score}`);
+    console.log(`Seed: ${seed}`);
     console.log(`Description: ${puzzle.description}`);
     console.log(`Path: ${puzzle.hiddenSolution.join(' → ')}`);
-    console.log(`Min steps: ${puzzle.minExpectedSteps}`);
+    console.log(`Min steps: ${puzzle.minExpectedSteps} (par ${puzzle.par})`);
     
     return puzzle;
   } catch (error) {
@@ -598,12 +564,13 @@ async function generatePuzzle(associationCache, anthropic, onApiCallMade, abortS
 }
 
 module.exports = {
-  CACHE_FILE_PATH,
   cacheStats,
+  recordParseResult,
+  getParseFailureRate,
   loadAssociationCache,
   saveAssociationCache,
   getAssociations,
-  getAssociationsFromAI,
+  getAssociationsFromProvider,
   isValidTargetWord,
   findPathThroughGraph,
   generatePuzzle
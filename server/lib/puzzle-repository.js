@@ -2,28 +2,50 @@
  * Puzzle repository module for saving and loading puzzles
  */
 
-const fs = require('fs');
-const path = require('path');
-const { promisify } = require('util');
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
 
-// Promisify fs functions
-const readFileAsync = promisify(fs.readFile);
-const writeFileAsync = promisify(fs.writeFile);
-const mkdirAsync = promisify(fs.mkdir);
-const readdirAsync = promisify(fs.readdir);
+// How often the ID index may be rebuilt when an unknown ID is requested
+const ID_INDEX_REFRESH_INTERVAL = 60 * 1000;
 
-// Path for saved puzzles
-const PUZZLES_DIR = path.join(__dirname, '..', 'data', 'puzzles');
+// Index of puzzle IDs to filenames (built on first lookup)
+let puzzleIdIndex = null;
+let puzzleIdIndexBuiltAt = 0;
 
-// Ensure the puzzles directory exists
-async function ensurePuzzlesDir() {
-  try {
-    await mkdirAsync(PUZZLES_DIR, { recursive: true });
-    return true;
-  } catch (error) {
-    console.error('Error creating puzzles directory:', error);
-    return false;
-  }
+// Archive summaries of saved puzzles, keyed by filename (null for invalid puzzles)
+// Saved puzzles only change through updatePuzzle, so each file only has to be read once
+const archiveSummaries = new Map();
+
+// The latest pending stats update for each puzzle ID, so updates to the same puzzle run one at a time
+const statsUpdates = new Map();
+
+// Generate a new puzzle ID
+function generatePuzzleId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+// Get the ID of a saved puzzle from its filename (the filename without the extension)
+// Used for puzzles saved before IDs were assigned at save time
+function getPuzzleIdFromFilename(filename) {
+  return filename.replace(/\.json$/, '');
+}
+
+// Check that a string looks like a puzzle ID (safe to use as a key or in a filename)
+function isValidPuzzleId(puzzleId) {
+  return typeof puzzleId === 'string' && /^[A-Za-z0-9_-]{1,100}$/.test(puzzleId);
+}
+
+// Create an empty stats object for a puzzle
+function createEmptyStats() {
+  return {
+    totalPlays: 0,
+    completions: [],
+    averageSteps: 0,
+    backSteps: [],
+    averageBackSteps: 0,
+    totalSteps: [],
+    averageTotalSteps: 0
+  };
 }
 
 // Save a puzzle to the repository
@@ -34,9 +56,6 @@ async function savePuzzle(puzzle) {
       throw new Error('Invalid puzzle format - missing required properties');
     }
     
-    // Make sure the directory exists
-    await ensurePuzzlesDir();
-    
     // Get current date and time for timestamping
     const now = new Date();
     const dateStr = puzzle.gameDate || now.toISOString().split('T')[0];
@@ -46,20 +65,30 @@ async function savePuzzle(puzzle) {
     
     // Generate a filename based on date, time, start word, and target word
     const filename = `${dateStr}_${timeStr}_${puzzle.startWord}_${puzzle.targetWord}.json`;
-    const filePath = path.join(PUZZLES_DIR, filename);
     
-    // Add timestamp to puzzle data
+    // Assign the puzzle a stable ID (kept if the puzzle already has one)
+    const id = puzzle.id || generatePuzzleId();
+    
+    // Add ID and timestamp to puzzle data
+    // The quality evaluation (see lib/puzzle-evaluator.js) is kept so saved puzzles can be compared later
     const puzzleWithTimestamp = {
       ...puzzle,
+      id,
+      quality: puzzle.quality || null,
       generatedAt: now.toISOString(),
       timestamp: now.getTime()
     };
     
     // Save the puzzle with timestamp
-    await writeFileAsync(filePath, JSON.stringify(puzzleWithTimestamp, null, 2), 'utf8');
-    console.log(`Puzzle saved to repository: ${filename}`);
+    await getStorage().savePuzzle(filename, puzzleWithTimestamp);
+    console.log(`Puzzle saved to repository: ${filename} (ID ${id}, quality ${puzzle.quality ? puzzle.quality.score : 'not scored'})`);
     
-    return { success: true, filename };
+    // Keep the ID index current
+    if (puzzleIdIndex) {
+      puzzleIdIndex.set(id, filename);
+    }
+    
+    return { success: true, filename, id };
   } catch (error) {
     console.error('Error saving puzzle to repository:', error);
     return { success: false, error: error.message };
@@ -69,24 +98,96 @@ async function savePuzzle(puzzle) {
 // Load a specific puzzle by filename
 async function loadPuzzleByFilename(filename) {
   try {
-    const filePath = path.join(PUZZLES_DIR, filename);
-    const data = await readFileAsync(filePath, 'utf8');
-    return JSON.parse(data);
+    const puzzle = await getStorage().loadPuzzle(filename);
+    
+    // Every loaded puzzle carries its ID so stats can be keyed by it
+    if (puzzle && !puzzle.id) {
+      puzzle.id = getPuzzleIdFromFilename(filename);
+    }
+    
+    return puzzle;
   } catch (error) {
     console.error(`Error loading puzzle ${filename}:`, error);
     return null;
   }
 }
 
+// Build the index of puzzle IDs to filenames
+async function buildPuzzleIdIndex() {
+  const index = new Map();
+  
+  for (const file of await getStorage().listPuzzles()) {
+    const puzzle = await loadPuzzleByFilename(file);
+    if (puzzle) {
+      index.set(puzzle.id, file);
+    }
+  }
+  
+  puzzleIdIndex = index;
+  puzzleIdIndexBuiltAt = Date.now();
+  return index;
+}
+
+// Load a puzzle by its ID, or null if no puzzle has that ID
+async function getPuzzleById(puzzleId) {
+  try {
+    if (!isValidPuzzleId(puzzleId)) {
+      return null;
+    }
+    
+    if (!puzzleIdIndex) {
+      await buildPuzzleIdIndex();
+    }
+    
+    let filename = puzzleIdIndex.get(puzzleId);
+    
+    // The puzzle may have been saved by another process (e.g. the generate script),
+    // so rebuild the index - but not on every miss
+    if (!filename && Date.now() - puzzleIdIndexBuiltAt > ID_INDEX_REFRESH_INTERVAL) {
+      await buildPuzzleIdIndex();
+      filename = puzzleIdIndex.get(puzzleId);
+    }
+    
+    if (!filename) {
+      return null;
+    }
+    
+    const puzzle = await loadPuzzleByFilename(filename);
+    
+    // Make sure minExpectedSteps is consistent with the path
+    if (puzzle && Array.isArray(puzzle.hiddenSolution) &&
+        (puzzle.minExpectedSteps === undefined || puzzle.minExpectedSteps === null)) {
+      puzzle.minExpectedSteps = puzzle.hiddenSolution.length - 1;
+    }
+    
+    return puzzle;
+  } catch (error) {
+    console.error(`Error loading puzzle with ID ${puzzleId}:`, error);
+    return null;
+  }
+}
+
+// Change some fields of a saved puzzle (e.g. its settings), keeping its file, ID and generation time
+// Returns the updated puzzle, or null if no puzzle has that ID
+async function updatePuzzle(puzzleId, changes) {
+  const puzzle = await getPuzzleById(puzzleId);
+  if (!puzzle) {
+    return null;
+  }
+  
+  const filename = puzzleIdIndex.get(puzzleId);
+  const updated = { ...puzzle, ...changes, id: puzzle.id };
+  await getStorage().savePuzzle(filename, updated);
+  archiveSummaries.delete(filename);
+  
+  return updated;
+}
+
 // Get a random saved puzzle
 async function getRandomPuzzle() {
   try {
-    // Make sure the directory exists
-    await ensurePuzzlesDir();
-    
     // Get all puzzle files
-    const files = await readdirAsync(PUZZLES_DIR);
-    const puzzleFiles = files.filter(file => file.endsWith('.json'));
+    const puzzleFiles = await getStorage().listPuzzles();
     
     if (puzzleFiles.length === 0) {
       console.log('No saved puzzles found in repository');
@@ -136,14 +237,8 @@ async function getRandomPuzzle() {
 // List all available puzzles
 async function listPuzzles() {
   try {
-    // Make sure the directory exists
-    await ensurePuzzlesDir();
-    
     // Get all puzzle files
-    const files = await readdirAsync(PUZZLES_DIR);
-    const puzzleFiles = files.filter(file => file.endsWith('.json'));
-    
-    return puzzleFiles;
+    return await getStorage().listPuzzles();
   } catch (error) {
     console.error('Error listing puzzles:', error);
     return [];
@@ -151,14 +246,11 @@ async function listPuzzles() {
 }
 
 // Get a fallback puzzle (newest if available)
-async function getFallbackPuzzle() {
+// Puzzles with an ID in excludeIds are skipped (e.g. ones that were live recently)
+async function getFallbackPuzzle({ excludeIds = [] } = {}) {
   try {
-    // Make sure the directory exists
-    await ensurePuzzlesDir();
-    
     // Get all puzzle files
-    const files = await readdirAsync(PUZZLES_DIR);
-    const puzzleFiles = files.filter(file => file.endsWith('.json'));
+    const puzzleFiles = await getStorage().listPuzzles();
     
     if (puzzleFiles.length === 0) {
       console.log('No saved puzzles found for fallback');
@@ -176,9 +268,16 @@ async function getFallbackPuzzle() {
     
     // Try to get a valid puzzle from the most recent files
     // If the first one is invalid, try others until we find a valid one
-    for (let i = 0; i < Math.min(puzzleFiles.length, 5); i++) {
+    let filesChecked = 0;
+    for (let i = 0; i < puzzleFiles.length && filesChecked < 5; i++) {
       const puzzle = await loadPuzzleByFilename(puzzleFiles[i]);
       
+      // Skip excluded puzzles without counting them as checked
+      if (puzzle && excludeIds.includes(puzzle.id)) {
+        continue;
+      }
+      filesChecked++;
+      
       // Validate the puzzle
       if (puzzle && puzzle.startWord && puzzle.targetWord) {
         // Verify that hiddenSolution is properly formed
@@ -202,7 +301,7 @@ async function getFallbackPuzzle() {
       }
     }
     
-    console.warn(`Failed to find any valid fallback puzzles after checking ${Math.min(puzzleFiles.length, 5)} files`);
+    console.warn(`Failed to find any valid fallback puzzles after checking ${filesChecked} files`);
     return null;
   } catch (error) {
     console.error('Error getting fallback puzzle:', error);
@@ -210,81 +309,11 @@ async function getFallbackPuzzle() {
   }
 }
 
-// Get a puzzle from the current hour, or null if none exists
-async function getPuzzleFromCurrentHour() {
-  try {
-    // Make sure the directory exists
-    await ensurePuzzlesDir();
-    
-    // Get current date and hour
-    const now = new Date();
-    const currentDate = now.toISOString().split('T')[0]; // YYYY-MM-DD
-    const currentHour = now.getHours();
-    
-    // Get all puzzle files
-    const files = await readdirAsync(PUZZLES_DIR);
-    const puzzleFiles = files.filter(file => file.endsWith('.json'));
-    
-    // Sort newest first
-    puzzleFiles.sort().reverse();
-    
-    // Look through files to find one from the current hour
-    for (const file of puzzleFiles) {
-      const puzzle = await loadPuzzleByFilename(file);
-      
-      if (puzzle && puzzle.generatedAt) {
-        const puzzleTime = new Date(puzzle.generatedAt);
-        const puzzleDate = puzzleTime.toISOString().split('T')[0];
-        const puzzleHour = puzzleTime.getHours();
-        
-        // Check if puzzle is from the current date and hour
-        if (puzzleDate === currentDate && puzzleHour === currentHour) {
-          console.log(`Found puzzle from current hour (${currentHour}:00): ${file}`);
-          
-          // Validate puzzle data before returning
-          if (puzzle && puzzle.startWord && puzzle.targetWord) {
-            // Verify that hiddenSolution is properly formed - this is critical
-            if (!Array.isArray(puzzle.hiddenSolution) || puzzle.hiddenSolution.length < 2) {
-              console.warn(`Warning: Puzzle ${file} has invalid hiddenSolution - creating fallback path`);
-              // Create a minimal valid path from start to target
-              puzzle.hiddenSolution = [puzzle.startWord, puzzle.targetWord];
-              // Also update minExpectedSteps to match path length
-              puzzle.minExpectedSteps = 1;
-            } else {
-              console.log(`Hidden path: ${puzzle.hiddenSolution.join(' → ')}`);
-              // Make sure minExpectedSteps is consistent with the path
-              if (puzzle.minExpectedSteps === undefined || puzzle.minExpectedSteps === null) {
-                puzzle.minExpectedSteps = puzzle.hiddenSolution.length - 1;
-                console.log(`Set missing minExpectedSteps to ${puzzle.minExpectedSteps}`);
-              }
-            }
-            
-            return puzzle;
-          } else {
-            console.warn(`Warning: Invalid puzzle data in ${file}`);
-            continue; // Try the next file
-          }
-        }
-      }
-    }
-    
-    console.log(`No puzzle found from current hour (${currentHour}:00)`);
-    return null;
-  } catch (error) {
-    console.error('Error finding puzzle from current hour:', error);
-    return null;
-  }
-}
-
 // Get recent puzzles, sorted by generation time
 async function getRecentPuzzles(limit = 5) {
   try {
-    // Make sure the directory exists
-    await ensurePuzzlesDir();
-    
     // Get all puzzle files
-    const files = await readdirAsync(PUZZLES_DIR);
-    const puzzleFiles = files.filter(file => file.endsWith('.json'));
+    const puzzleFiles = await getStorage().listPuzzles();
     
     // Sort newest first
     puzzleFiles.sort().reverse();
@@ -311,13 +340,152 @@ async function getRecentPuzzles(limit = 5) {
   }
 }
 
+// Get the hidden solutions of every saved puzzle (e.g. so cache refreshes keep the associations they go through)
+async function getHiddenSolutions() {
+  const solutions = [];
+  for (const file of await listPuzzles()) {
+    const puzzle = await loadPuzzleByFilename(file);
+    if (puzzle && Array.isArray(puzzle.hiddenSolution)) {
+      solutions.push(puzzle.hiddenSolution);
+    }
+  }
+  return solutions;
+}
+
+// Summarize a saved puzzle for the archive (NOT including the solution!)
+function summarizeForArchive(filename, puzzle) {
+  return {
+    id: puzzle.id,
+    startWord: puzzle.startWord,
+    targetWord: puzzle.targetWord,
+    theme: puzzle.theme,
+    description: puzzle.description,
+    difficulty: puzzle.difficulty,
+    // Older puzzles may lack a gameDate, but their filename starts with the date
+    gameDate: puzzle.gameDate || filename.split('_')[0],
+    minExpectedSteps: puzzle.minExpectedSteps ?? (Array.isArray(puzzle.hiddenSolution) ? puzzle.hiddenSolution.length - 1 : null),
+    par: puzzle.par,
+    generatedAt: puzzle.generatedAt || null
+  };
+}
+
+// Get summaries of all valid saved puzzles, oldest first
+async function getPuzzleSummaries() {
+  const puzzleFiles = await listPuzzles();
+  puzzleFiles.sort();
+  
+  const summaries = [];
+  for (const file of puzzleFiles) {
+    if (!archiveSummaries.has(file)) {
+      const puzzle = await loadPuzzleByFilename(file);
+      const isValid = puzzle && puzzle.startWord && puzzle.targetWord;
+      archiveSummaries.set(file, isValid ? summarizeForArchive(file, puzzle) : null);
+    }
+    
+    if (archiveSummaries.get(file)) {
+      summaries.push(archiveSummaries.get(file));
+    }
+  }
+  
+  return summaries;
+}
+
+// Get a page of saved puzzles for the archive, newest first
+// Filters: date (exact YYYY-MM-DD game date), theme (case-insensitive substring),
+// difficulty (case-insensitive) and excludeIds (e.g. the puzzle currently being played)
+async function getArchivePuzzles({ page = 1, pageSize = 20, date, theme, difficulty, excludeIds = [] } = {}) {
+  try {
+    // Get all puzzles, newest first
+    const summaries = (await getPuzzleSummaries()).reverse();
+    
+    const themeFilter = theme ? theme.toLowerCase() : null;
+    const difficultyFilter = difficulty ? difficulty.toLowerCase() : null;
+    
+    const matches = [];
+    for (const summary of summaries) {
+      if (excludeIds.includes(summary.id)) continue;
+      if (date && summary.gameDate !== date) continue;
+      if (themeFilter && !(summary.theme || '').toLowerCase().includes(themeFilter)) continue;
+      if (difficultyFilter && (summary.difficulty || '').toLowerCase() !== difficultyFilter) continue;
+      
+      matches.push(summary);
+    }
+    
+    const start = (page - 1) * pageSize;
+    
+    return {
+      page,
+      pageSize,
+      total: matches.length,
+      totalPages: Math.ceil(matches.length / pageSize),
+      puzzles: matches.slice(start, start + pageSize)
+    };
+  } catch (error) {
+    console.error('Error getting archive puzzles:', error);
+    return { page, pageSize, total: 0, totalPages: 0, puzzles: [] };
+  }
+}
+
+// Get the stats saved for a puzzle, or empty stats if it hasn't been played yet
+async function getPuzzleStats(puzzleId) {
+  try {
+    const stats = await getStorage().loadStats(puzzleId);
+    return stats ? { ...createEmptyStats(), ...stats } : createEmptyStats();
+  } catch (error) {
+    console.error(`Error loading stats for puzzle ${puzzleId}:`, error);
+    return createEmptyStats();
+  }
+}
+
+// Save the stats for a puzzle alongside it in the repository
+async function savePuzzleStats(puzzleId, stats) {
+  try {
+    await getStorage().saveStats(puzzleId, stats);
+    return true;
+  } catch (error) {
+    console.error(`Error saving stats for puzzle ${puzzleId}:`, error);
+    return false;
+  }
+}
+
+// Load, change and save a puzzle's stats, waiting for any earlier update to the same puzzle first
+// so concurrent updates (e.g. two players finishing an archive puzzle at once) aren't lost
+// update changes the stats in place; returns the updated stats
+function updatePuzzleStats(puzzleId, update) {
+  const previous = statsUpdates.get(puzzleId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    const stats = await getPuzzleStats(puzzleId);
+    update(stats);
+    await savePuzzleStats(puzzleId, stats);
+    return stats;
+  });
+  
+  statsUpdates.set(puzzleId, next);
+  const forget = () => {
+    if (statsUpdates.get(puzzleId) === next) {
+      statsUpdates.delete(puzzleId);
+    }
+  };
+  next.then(forget, forget);
+  
+  return next;
+}
+
 module.exports = {
   savePuzzle,
   loadPuzzleByFilename,
+  getPuzzleById,
+  updatePuzzle,
+  isValidPuzzleId,
   getRandomPuzzle,
   listPuzzles,
+  getHiddenSolutions,
   getFallbackPuzzle,
   getRecentPuzzles,
-  getPuzzleFromCurrentHour,
-  PUZZLES_DIR
+  getArchivePuzzles,
+  getPuzzleStats,
+  savePuzzleStats,
+  updatePuzzleStats,
+  createEmptyStats,
+  getPuzzleIdFromFilename
 };
\ No newline at end of file
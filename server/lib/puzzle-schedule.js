@@ -0,0 +1,228 @@
+/**
+ * Puzzle schedule module - assigns puzzles to fixed UTC time slots
+ *
+ * Time is divided into slots of ROTATION_PERIOD_MINUTES (default 60) counted from the Unix epoch,
+ * so every server instance agrees on when a slot starts and ends. The schedule maps each slot
+ * (keyed by its start time as an ISO string) to the puzzle that is live during it:
+ *   { "2025-04-19T13:00:00.000Z": { puzzleId, source, assignedAt } }
+ *
+ * Pre-generated puzzles are queued by assigning them to upcoming slots. A slot that reaches
+ * its start time without a puzzle falls back to the newest saved puzzle that wasn't live recently,
+ * so instances sharing the same storage still agree on the live puzzle.
+ *
+ * Changes load, modify and save the whole schedule one at a time (see updateSchedule), and drop
+ * slots that ended more than SCHEDULE_HISTORY_WINDOW ago so the schedule doesn't grow forever.
+ */
+
+const { getStorage } = require('./storage');
+const puzzleRepository = require('./puzzle-repository');
+
+// Default rotation period when ROTATION_PERIOD_MINUTES is not set
+const DEFAULT_ROTATION_PERIOD_MINUTES = 60;
+
+// Minutes in a day - the rotation period must divide it so slots line up with UTC midnight
+const MINUTES_PER_DAY = 24 * 60;
+
+// Puzzles live within this long before a slot aren't reused as its fallback
+const FALLBACK_REPEAT_WINDOW = 24 * 60 * 60 * 1000;
+
+// Slots that ended longer ago than this are dropped from the schedule (at least FALLBACK_REPEAT_WINDOW)
+const SCHEDULE_HISTORY_WINDOW = 7 * 24 * 60 * 60 * 1000;
+
+// Rotation period in minutes
+const ROTATION_PERIOD_MINUTES = parseInt(process.env.ROTATION_PERIOD_MINUTES || DEFAULT_ROTATION_PERIOD_MINUTES);
+
+if (isNaN(ROTATION_PERIOD_MINUTES) || ROTATION_PERIOD_MINUTES < 1 || MINUTES_PER_DAY % ROTATION_PERIOD_MINUTES !== 0) {
+  throw new Error(`Invalid ROTATION_PERIOD_MINUTES "${process.env.ROTATION_PERIOD_MINUTES}" - must divide ${MINUTES_PER_DAY} (e.g. 15, 30, 60, 120, 1440)`);
+}
+
+// Rotation period in milliseconds
+const ROTATION_PERIOD_MS = ROTATION_PERIOD_MINUTES * 60 * 1000;
+
+// Get the start of the slot containing a time
+function getSlotStart(time = Date.now()) {
+  return new Date(Math.floor(new Date(time).getTime() / ROTATION_PERIOD_MS) * ROTATION_PERIOD_MS);
+}
+
+// Get the key of the slot containing a time (its start as an ISO string)
+function getSlotKey(time = Date.now()) {
+  return getSlotStart(time).toISOString();
+}
+
+// Get the end of a slot (the start of the next one)
+function getSlotEnd(slotKey) {
+  return new Date(new Date(slotKey).getTime() + ROTATION_PERIOD_MS);
+}
+
+// Check that a string is the key of a slot (an ISO time on a slot boundary)
+function isValidSlotKey(slotKey) {
+  if (typeof slotKey !== 'string') {
+    return false;
+  }
+
+  const time = new Date(slotKey);
+  return !isNaN(time.getTime()) && time.toISOString() === slotKey && getSlotKey(time) === slotKey;
+}
+
+// Get the keys of the current slot and the ones after it
+function getUpcomingSlotKeys(count, time = Date.now()) {
+  const period = ROTATION_PERIOD_MS;
+  const start = getSlotStart(time).getTime();
+
+  const slotKeys = [];
+  for (let i = 0; i < count; i++) {
+    slotKeys.push(new Date(start + i * period).toISOString());
+  }
+  return slotKeys;
+}
+
+// Load the whole schedule from storage
+// Always read from storage so edits made by other instances are seen
+async function loadSchedule() {
+  return getStorage().loadSchedule();
+}
+
+// The last schedule change made by this instance - each change waits for the one before it
+let scheduleUpdate = Promise.resolve();
+
+// Drop slots that ended longer ago than the history window
+function pruneSchedule(schedule, time = Date.now()) {
+  Object.keys(schedule)
+    .filter(slotKey => getSlotEnd(slotKey).getTime() < time - SCHEDULE_HISTORY_WINDOW)
+    .forEach(slotKey => delete schedule[slotKey]);
+}
+
+// Load, change and save the schedule, waiting for any earlier change first so concurrent changes
+// (e.g. the pre-generation worker queuing a puzzle while an admin assigns a slot) aren't lost
+// update changes the schedule in place; returns what update returns
+function updateSchedule(update) {
+  const next = scheduleUpdate.catch(() => {}).then(async () => {
+    const schedule = await loadSchedule();
+    const result = update(schedule);
+    pruneSchedule(schedule);
+    await getStorage().saveSchedule(schedule);
+    return result;
+  });
+
+  scheduleUpdate = next;
+  return next;
+}
+
+// Get the schedule entry for a slot, or null if no puzzle is assigned to it
+async function getSlot(slotKey) {
+  const schedule = await loadSchedule();
+  return schedule[slotKey] || null;
+}
+
+/**
+ * Assigns a puzzle to a slot, replacing any puzzle already assigned to it
+ * @param {string} slotKey - Key of the slot
+ * @param {string} puzzleId - ID of a saved puzzle
+ * @param {string} source - Why the puzzle was assigned ('generated', 'admin' or 'fallback')
+ * @returns {Promise<object>} - The new schedule entry
+ */
+async function assignSlot(slotKey, puzzleId, source) {
+  if (!isValidSlotKey(slotKey)) {
+    throw new Error(`Invalid schedule slot "${slotKey}"`);
+  }
+
+  const entry = { puzzleId, source, assignedAt: new Date().toISOString() };
+  await updateSchedule(schedule => {
+    schedule[slotKey] = entry;
+  });
+
+  return entry;
+}
+
+// Assign a puzzle to the first upcoming slot (after the current one) that has no puzzle yet
+// Returns the key of the slot the puzzle was queued in
+function queuePuzzle(puzzleId, source = 'generated') {
+  return updateSchedule(schedule => {
+    // Skip the current slot - it is already live
+    let slotTime = getSlotEnd(getSlotKey()).getTime();
+    while (schedule[new Date(slotTime).toISOString()]) {
+      slotTime += ROTATION_PERIOD_MS;
+    }
+
+    const slotKey = new Date(slotTime).toISOString();
+    schedule[slotKey] = { puzzleId, source, assignedAt: new Date().toISOString() };
+    return slotKey;
+  });
+}
+
+// Remove the puzzle assigned to a slot
+// Returns false if the slot had no puzzle
+function clearSlot(slotKey) {
+  return updateSchedule(schedule => {
+    if (!schedule[slotKey]) {
+      return false;
+    }
+
+    delete schedule[slotKey];
+    return true;
+  });
+}
+
+// Count the upcoming slots (after the current one) that already have a puzzle
+async function countQueuedSlots(time = Date.now()) {
+  const schedule = await loadSchedule();
+  const currentSlotKey = getSlotKey(time);
+
+  return Object.keys(schedule).filter(slotKey => slotKey > currentSlotKey).length;
+}
+
+// Get the IDs of the puzzles assigned to the current or upcoming slots
+async function getScheduledPuzzleIds(time = Date.now()) {
+  const schedule = await loadSchedule();
+  const currentSlotKey = getSlotKey(time);
+
+  return Object.entries(schedule)
+    .filter(([slotKey]) => slotKey >= currentSlotKey)
+    .map(([, entry]) => entry.puzzleId);
+}
+
+/**
+ * Gets the puzzle for a slot, falling back to a saved puzzle (and saving that choice) if none is assigned
+ * The fallback is the newest saved puzzle that isn't queued and wasn't live recently -
+ * or the newest one that isn't queued if every puzzle was live recently
+ * @param {string} slotKey - Key of the slot
+ * @returns {Promise<object|null>} - The schedule entry, or null if there are no saved puzzles
+ */
+async function resolveSlot(slotKey) {
+  const entry = await getSlot(slotKey);
+  if (entry) {
+    return entry;
+  }
+
+  // Puzzles assigned to this slot or later (queued), and to any slot from a day before it onwards (recent)
+  const slotTime = new Date(slotKey).getTime();
+  const queuedIds = await getScheduledPuzzleIds(slotTime);
+  const recentIds = await getScheduledPuzzleIds(slotTime - FALLBACK_REPEAT_WINDOW);
+
+  const puzzle = await puzzleRepository.getFallbackPuzzle({ excludeIds: recentIds }) ||
+    await puzzleRepository.getFallbackPuzzle({ excludeIds: queuedIds });
+  if (!puzzle || !puzzle.id) {
+    return null;
+  }
+
+  console.warn(`No puzzle scheduled for ${slotKey} - falling back to saved puzzle ${puzzle.id}`);
+  return assignSlot(slotKey, puzzle.id, 'fallback');
+}
+
+module.exports = {
+  ROTATION_PERIOD_MS,
+  SCHEDULE_HISTORY_WINDOW,
+  getSlotStart,
+  getSlotKey,
+  getSlotEnd,
+  isValidSlotKey,
+  getUpcomingSlotKeys,
+  loadSchedule,
+  getSlot,
+  assignSlot,
+  queuePuzzle,
+  clearSlot,
+  countQueuedSlots,
+  getScheduledPuzzleIds,
+  resolveSlot
+};
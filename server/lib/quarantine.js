@@ -0,0 +1,149 @@
+/**
+ * Quarantine - keeps associations, hints and themes flagged by moderation for admins to review
+ *
+ * Flagged content never reaches players; it is kept here instead, persisted through the storage
+ * backend as:
+ *   {
+ *     "entries": [
+ *       { "id": "...", "kind": "association", "text": "...", "context": { "word": "..." },
+ *         "reason": "...", "source": "blocklist", "provider": "anthropic", "count": 2,
+ *         "firstFlaggedAt": "...", "lastFlaggedAt": "..." }
+ *     ]
+ *   }
+ * The same content flagged again in the same context bumps its count rather than adding an entry
+ * (only new entries are logged).
+ * Once QUARANTINE_MAX_ENTRIES entries are kept, the least recently flagged are dropped.
+ */
+
+const crypto = require('crypto');
+
+// Default number of entries kept when QUARANTINE_MAX_ENTRIES is not set
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// Kinds of content that can be quarantined
+const QUARANTINE_KINDS = ['association', 'hint', 'theme'];
+
+// Key identifying the same content flagged in the same context
+function entryKey(kind, text, context) {
+  return JSON.stringify([kind, String(text).toLowerCase().trim(), context || {}]);
+}
+
+/**
+ * Creates a quarantine
+ * @param {object} [stored] - The quarantine as loaded from storage ({ entries: [...] })
+ * @param {object} [options]
+ * @param {number} [options.maxEntries] - Most entries kept (default QUARANTINE_MAX_ENTRIES or 1000)
+ * @returns {object} - The quarantine
+ */
+function createQuarantine(stored = {}, options = {}) {
+  const maxEntries = options.maxEntries || parseInt(process.env.QUARANTINE_MAX_ENTRIES || DEFAULT_MAX_ENTRIES);
+
+  // Entries by key, least recently flagged first
+  const entries = new Map();
+  (Array.isArray(stored.entries) ? stored.entries : []).forEach(entry => {
+    if (entry && entry.id && QUARANTINE_KINDS.includes(entry.kind)) {
+      entries.set(entryKey(entry.kind, entry.text, entry.context), entry);
+    }
+  });
+
+  // Bumped whenever entries change; the quarantine is dirty until that revision has been saved
+  let revision = 0;
+  let savedRevision = 0;
+
+  return {
+    get size() {
+      return entries.size;
+    },
+
+    get revision() {
+      return revision;
+    },
+
+    get dirty() {
+      return revision !== savedRevision;
+    },
+
+    // Whether the same content has already been quarantined in the same context
+    has(kind, text, context) {
+      return entries.has(entryKey(kind, text, context));
+    },
+
+    /**
+     * Quarantines flagged content
+     * @param {object} flagged - { kind, text, context, reason, source, provider }
+     * @returns {object} - The entry
+     */
+    add(flagged) {
+      if (!QUARANTINE_KINDS.includes(flagged.kind)) {
+        throw new Error(`Unknown quarantine kind "${flagged.kind}"`);
+      }
+
+      const now = new Date().toISOString();
+      const key = entryKey(flagged.kind, flagged.text, flagged.context);
+      const existing = entries.get(key);
+      const entry = existing
+        ? { ...existing, reason: flagged.reason, source: flagged.source, count: existing.count + 1, lastFlaggedAt: now }
+        : {
+          id: crypto.randomBytes(6).toString('hex'),
+          kind: flagged.kind,
+          text: String(flagged.text),
+          context: flagged.context || {},
+          reason: flagged.reason || null,
+          source: flagged.source || null,
+          provider: flagged.provider || null,
+          count: 1,
+          firstFlaggedAt: now,
+          lastFlaggedAt: now
+        };
+
+      // Re-insert so the Map stays ordered by when entries were last flagged
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      revision++;
+
+      if (!existing) {
+        console.log(`Quarantined ${entry.kind} "${entry.text}" (${entry.reason})`);
+      }
+      return entry;
+    },
+
+    // List entries, most recently flagged first, optionally of one kind
+    list(kind = null, limit = Infinity) {
+      return [...entries.values()]
+        .filter(entry => !kind || entry.kind === kind)
+        .reverse()
+        .slice(0, limit);
+    },
+
+    // Remove an entry by ID, returning whether there was one
+    remove(id) {
+      for (const [key, entry] of entries) {
+        if (entry.id === id) {
+          entries.delete(key);
+          revision++;
+          return true;
+        }
+      }
+      return false;
+    },
+
+    // Get the quarantine in its stored format
+    toJSON() {
+      return { entries: [...entries.values()] };
+    },
+
+    // Record that the quarantine as it was at a revision has been saved - call once the save succeeds,
+    // so a failed save is retried and changes made while saving are saved next time
+    markSaved(saved = revision) {
+      savedRevision = Math.max(savedRevision, saved);
+    }
+  };
+}
+
+module.exports = {
+  QUARANTINE_KINDS,
+  createQuarantine
+};
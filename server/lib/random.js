@@ -0,0 +1,65 @@
+/**
+ * Seeded random numbers - makes puzzle generation reproducible
+ *
+ * A generator is a function returning numbers in [0, 1), like Math.random. One created from a seed
+ * string always gives the same sequence, so the same seed and the same association cache give the
+ * same puzzle. Puzzles record the seed they were generated with.
+ */
+
+const crypto = require('crypto');
+
+// Make a new random seed, for when none is asked for
+function generateSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Hash a seed string to a 32-bit number (cyrb53, folded to 32 bits)
+function hashSeed(seed) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < seed.length; i++) {
+    const code = seed.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (h1 ^ h2) >>> 0;
+}
+
+/**
+ * Creates a seeded random number generator (mulberry32)
+ * @param {string} seed - Any string, e.g. a date
+ * @returns {function} - Returns the next number in [0, 1) each call
+ */
+function createRandom(seed) {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Pick a whole number from 0 up to (not including) max
+function randomInt(random, max) {
+  return Math.floor(random() * max);
+}
+
+// Shuffle an array in place (Fisher-Yates) and return it
+function shuffle(array, random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = randomInt(random, i + 1);
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+module.exports = {
+  generateSeed,
+  createRandom,
+  randomInt,
+  shuffle
+};
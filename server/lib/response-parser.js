@@ -0,0 +1,205 @@
+/**
+ * Response parser module - extracts structured JSON from language model replies
+ *
+ * Replies often wrap the JSON in prose or markdown code fences, or contain small syntax slips.
+ * parseStructuredResponse strips fences, finds the first JSON array or object, repairs common
+ * problems (trailing commas, curly quotes, comments) and validates the result against a schema.
+ *
+ * Schemas are a small subset of JSON Schema:
+ *   { type: 'array', minItems, items }
+ *   { type: 'object', required: [...], properties: { name: schema } }
+ *   { type: 'string', minLength, enum: [...] }
+ */
+
+// Create the error thrown when a reply can't be turned into valid structured data
+// The message is written so it can be sent back to the model as a correction
+function createParseError(message, responseText) {
+  const error = new Error(message);
+  error.isParseError = true;
+  error.responseText = responseText;
+  return error;
+}
+
+// Remove markdown code fences, keeping the fenced content
+function stripCodeFences(text) {
+  const fenced = text.match(/```[a-zA-Z]*\s*\n?([\s\S]*?)```/);
+  return fenced ? fenced[1] : text;
+}
+
+// Find the balanced array or object starting at an index (matching brackets outside strings)
+// Returns null if it is never closed
+function matchBrackets(text, start) {
+  const closing = { '[': ']', '{': '}' };
+  const stack = [];
+  let inString = false;
+  let quote = null;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"' || char === '“') {
+      inString = true;
+      quote = char === '“' ? '”' : char;
+    } else if (char === '[' || char === '{') {
+      stack.push(closing[char]);
+    } else if (char === ']' || char === '}') {
+      if (stack.pop() !== char) {
+        return null;
+      }
+      if (stack.length === 0) {
+        return text.slice(start, i + 1);
+      }
+    }
+  }
+
+  return null;
+}
+
+// Find the first JSON array or object ('array', 'object' or either) in a string
+// Bracketed prose before the JSON (e.g. "[note]") is skipped; returns null if there is none
+function extractJson(text, kind) {
+  const openers = kind === 'array' ? '[' : kind === 'object' ? '{' : '[{';
+  let firstCandidate = null;
+
+  for (let i = 0; i < text.length; i++) {
+    if (!openers.includes(text[i])) {
+      continue;
+    }
+
+    const candidate = matchBrackets(text, i);
+    if (!candidate) {
+      continue;
+    }
+    firstCandidate = firstCandidate || candidate;
+
+    try {
+      JSON.parse(repairJson(candidate));
+      return candidate;
+    } catch (error) {
+      // Not JSON - keep looking
+    }
+  }
+
+  return firstCandidate;
+}
+
+// Fix common JSON slips: curly quotes, comments and trailing commas
+function repairJson(text) {
+  return text
+    .replace(/[“”]/g, '"')
+    .replace(/^\s*\/\/.*$/gm, '')
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/,\s*([\]}])/g, '$1');
+}
+
+// Check a value against a schema, returning a list of problems (empty if valid)
+function validateSchema(value, schema, location = 'response') {
+  const problems = [];
+
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) {
+      return [`${location} should be an array`];
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push(`${location} should have at least ${schema.minItems} items (got ${value.length})`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        problems.push(...validateSchema(item, schema.items, `${location}[${index}]`));
+      });
+    }
+  } else if (schema.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return [`${location} should be an object`];
+    }
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        problems.push(`${location} is missing "${key}"`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        problems.push(...validateSchema(value[key], propertySchema, `${location}.${key}`));
+      }
+    });
+  } else if (schema.type === 'string') {
+    if (typeof value !== 'string') {
+      return [`${location} should be a string`];
+    }
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      problems.push(`${location} should not be empty`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      problems.push(`${location} should be one of: ${schema.enum.join(', ')}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Parses structured data out of a model reply
+ * @param {string} responseText - The reply text
+ * @param {object} schema - Schema the data must match
+ * @param {object} [options]
+ * @param {boolean} [options.dropInvalidItems] - For array schemas, drop items that don't match instead of failing
+ * @returns {object} - { value, repaired } where repaired says whether the reply needed cleaning up
+ *   (prose or fences around the JSON, syntax fixes or dropped items)
+ * @throws {Error} - If no valid data could be extracted (flagged with error.isParseError, with the reply as error.responseText)
+ */
+function parseStructuredResponse(responseText, schema, options = {}) {
+  if (typeof responseText !== 'string' || responseText.trim() === '') {
+    throw createParseError('The reply was empty', responseText);
+  }
+
+  const kind = schema.type === 'array' || schema.type === 'object' ? schema.type : null;
+  const unfenced = stripCodeFences(responseText);
+  const jsonText = extractJson(unfenced, kind);
+  if (!jsonText) {
+    throw createParseError(`The reply did not contain a JSON ${kind || 'value'}`, responseText);
+  }
+
+  // Parse as is first, then after repairs
+  let value;
+  let repaired = jsonText.trim() !== responseText.trim();
+  try {
+    value = JSON.parse(jsonText);
+  } catch (error) {
+    try {
+      value = JSON.parse(repairJson(jsonText));
+      repaired = true;
+    } catch (repairError) {
+      throw createParseError(`The reply was not valid JSON (${error.message})`, responseText);
+    }
+  }
+
+  if (options.dropInvalidItems && schema.type === 'array' && Array.isArray(value) && schema.items) {
+    const validItems = value.filter(item => validateSchema(item, schema.items).length === 0);
+    repaired = repaired || validItems.length !== value.length;
+    value = validItems;
+  }
+
+  const problems = validateSchema(value, schema);
+  if (problems.length > 0) {
+    throw createParseError(`The JSON did not match the expected format: ${problems.slice(0, 3).join('; ')}`, responseText);
+  }
+
+  return { value, repaired };
+}
+
+module.exports = {
+  stripCodeFences,
+  extractJson,
+  repairJson,
+  validateSchema,
+  parseStructuredResponse
+};
@@ -0,0 +1,288 @@
+/**
+ * Filesystem storage backend - keeps everything as JSON files under server/data
+ *
+ * Files are written to a temporary file and renamed over the target, so a crash mid-write never
+ * leaves a truncated file behind. Every save of the association and hint caches also keeps a
+ * snapshot in data/backups (the newest CACHE_BACKUP_COUNT of each, default 5). A cache file that
+ * can't be parsed on load is moved aside and restored from the newest good snapshot.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+// Promisify fs functions
+const readFileAsync = promisify(fs.readFile);
+const writeFileAsync = promisify(fs.writeFile);
+const mkdirAsync = promisify(fs.mkdir);
+const readdirAsync = promisify(fs.readdir);
+const statAsync = promisify(fs.stat);
+const openAsync = promisify(fs.open);
+const fsyncAsync = promisify(fs.fsync);
+const closeAsync = promisify(fs.close);
+const renameAsync = promisify(fs.rename);
+const unlinkAsync = promisify(fs.unlink);
+
+// Default data directory
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+// Default number of snapshots kept of each cache file
+const DEFAULT_BACKUP_COUNT = 5;
+
+// Create a filesystem storage backend rooted at dataDir
+function createFilesystemStorage(dataDir = DATA_DIR) {
+  const puzzlesDir = path.join(dataDir, 'puzzles');
+  const statsDir = path.join(dataDir, 'stats');
+  const cacheFilePath = path.join(dataDir, 'association-cache.json');
+  const hintCacheFilePath = path.join(dataDir, 'hint-cache.json');
+  const scheduleFilePath = path.join(dataDir, 'schedule.json');
+  const quarantineFilePath = path.join(dataDir, 'quarantine.json');
+  const backupsDir = path.join(dataDir, 'backups');
+  const backupCount = parseInt(process.env.CACHE_BACKUP_COUNT || DEFAULT_BACKUP_COUNT);
+
+  // Counter that keeps temporary filenames unique within this process
+  let tempFileCounter = 0;
+
+  // Read a JSON file, returning null if it doesn't exist
+  async function readJsonFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    const data = await readFileAsync(filePath, 'utf8');
+    return JSON.parse(data);
+  }
+
+  // Write a JSON file atomically, creating its directory if needed
+  // The data is written and flushed to a temporary file next to the target, then renamed over it
+  async function writeJsonFile(filePath, data) {
+    await mkdirAsync(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.${process.pid}-${++tempFileCounter}.tmp`;
+    try {
+      await writeFileAsync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+
+      const fd = await openAsync(tempPath, 'r+');
+      try {
+        await fsyncAsync(fd);
+      } finally {
+        await closeAsync(fd);
+      }
+
+      await renameAsync(tempPath, filePath);
+    } catch (error) {
+      await unlinkAsync(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  // List a cache file's snapshots, newest first
+  async function listBackups(filePath) {
+    if (!fs.existsSync(backupsDir)) {
+      return [];
+    }
+
+    const prefix = `${path.basename(filePath, '.json')}-`;
+    const files = await readdirAsync(backupsDir);
+    return files
+      .filter(file => file.startsWith(prefix) && file.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map(file => path.join(backupsDir, file));
+  }
+
+  // Save a cache file and a snapshot of it, dropping the oldest snapshots
+  async function writeCacheFile(filePath, data) {
+    await writeJsonFile(filePath, data);
+
+    if (backupCount <= 0) {
+      return;
+    }
+
+    try {
+      // Timestamped names sort oldest to newest
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      await writeJsonFile(path.join(backupsDir, `${path.basename(filePath, '.json')}-${timestamp}.json`), data);
+
+      const oldBackups = (await listBackups(filePath)).slice(backupCount);
+      await Promise.all(oldBackups.map(backupPath => unlinkAsync(backupPath)));
+    } catch (error) {
+      console.error(`Error backing up ${filePath}:`, error);
+    }
+  }
+
+  // Read a cache file, returning null if it is missing and throwing if it is corrupt
+  async function readCacheFile(filePath) {
+    const loaded = await readJsonFile(filePath);
+    if (loaded !== null && (typeof loaded !== 'object' || Array.isArray(loaded))) {
+      throw new Error('expected a JSON object');
+    }
+    return loaded;
+  }
+
+  // Replace a corrupt cache file with its newest readable snapshot
+  // The corrupt file is kept next to it for inspection; returns the restored data or null if no snapshot is usable
+  async function restoreFromBackup(filePath, label) {
+    const corruptPath = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    await renameAsync(filePath, corruptPath);
+    console.error(`${label} file is corrupt - moved it to ${corruptPath}`);
+
+    for (const backupPath of await listBackups(filePath)) {
+      try {
+        const restored = await readCacheFile(backupPath);
+        if (restored !== null) {
+          await writeJsonFile(filePath, restored);
+          console.warn(`${label} restored from backup ${backupPath}`);
+          return restored;
+        }
+      } catch (error) {
+        console.error(`Skipping unreadable ${label} backup ${backupPath}: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  // Turn a stats key into a safe filename
+  function statsFilePath(puzzleKey) {
+    const safeKey = String(puzzleKey).toLowerCase().replace(/[^a-z0-9_-]/g, '_');
+    return path.join(statsDir, `${safeKey}.json`);
+  }
+
+  // Load a JSON object cache file, starting empty if it is missing
+  // A corrupt file is restored from the newest good snapshot, or starts empty if there is none
+  async function loadObjectFile(filePath, label) {
+    try {
+      let loaded;
+      try {
+        loaded = await readCacheFile(filePath);
+      } catch (error) {
+        console.error(`Error reading ${label} file: ${error.message}`);
+        loaded = await restoreFromBackup(filePath, label);
+
+        if (loaded === null) {
+          console.error(`No usable ${label} backup found. Starting with empty cache.`);
+          return {};
+        }
+      }
+
+      if (loaded === null) {
+        console.log(`No ${label} file found at ${filePath}. Starting with empty cache.`);
+        return {};
+      }
+
+      // Versioned files keep their entries under "entries"
+      const entryCount = Object.keys(loaded.version !== undefined && loaded.entries ? loaded.entries : loaded).length;
+      console.log(`${label} loaded from ${filePath} (${entryCount} entries)`);
+      return loaded;
+    } catch (error) {
+      console.error(`Error loading ${label}:`, error);
+      return {};
+    }
+  }
+
+  return {
+    name: 'filesystem',
+
+    async savePuzzle(filename, puzzle) {
+      await writeJsonFile(path.join(puzzlesDir, filename), puzzle);
+    },
+
+    async loadPuzzle(filename) {
+      try {
+        return await readJsonFile(path.join(puzzlesDir, filename));
+      } catch (error) {
+        console.error(`Error loading puzzle ${filename}:`, error);
+        return null;
+      }
+    },
+
+    async listPuzzles() {
+      await mkdirAsync(puzzlesDir, { recursive: true });
+      const files = await readdirAsync(puzzlesDir);
+      return files.filter(file => file.endsWith('.json')).sort();
+    },
+
+    async loadAssociationCache() {
+      return loadObjectFile(cacheFilePath, 'Association cache');
+    },
+
+    async saveAssociationCache(associationCache) {
+      await writeCacheFile(cacheFilePath, associationCache);
+    },
+
+    async loadStats(puzzleKey) {
+      try {
+        return await readJsonFile(statsFilePath(puzzleKey));
+      } catch (error) {
+        console.error(`Error loading stats for ${puzzleKey}:`, error);
+        return null;
+      }
+    },
+
+    async saveStats(puzzleKey, stats) {
+      await writeJsonFile(statsFilePath(puzzleKey), stats);
+    },
+
+    // Keys are listed as stored, i.e. made safe for use as filenames (loadStats accepts them as they are)
+    async listStats() {
+      await mkdirAsync(statsDir, { recursive: true });
+      const files = await readdirAsync(statsDir);
+      return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length)).sort();
+    },
+
+    async loadHintCache() {
+      return loadObjectFile(hintCacheFilePath, 'Hint cache');
+    },
+
+    async saveHintCache(hintCache) {
+      await writeCacheFile(hintCacheFilePath, hintCache);
+    },
+
+    async loadSchedule() {
+      try {
+        return (await readJsonFile(scheduleFilePath)) || {};
+      } catch (error) {
+        console.error('Error loading puzzle schedule:', error);
+        return {};
+      }
+    },
+
+    async saveSchedule(schedule) {
+      await writeJsonFile(scheduleFilePath, schedule);
+    },
+
+    async loadQuarantine() {
+      try {
+        return (await readJsonFile(quarantineFilePath)) || {};
+      } catch (error) {
+        console.error('Error loading moderation quarantine:', error);
+        return {};
+      }
+    },
+
+    async saveQuarantine(quarantine) {
+      await writeJsonFile(quarantineFilePath, quarantine);
+    },
+
+    // Describe where data is kept (for the admin dashboard)
+    async getInfo() {
+      let cacheFile = { exists: false, size: 0, lastModified: null };
+
+      if (fs.existsSync(cacheFilePath)) {
+        const stats = await statAsync(cacheFilePath);
+        cacheFile = {
+          exists: true,
+          size: (stats.size / 1024 / 1024).toFixed(2) + ' MB',
+          lastModified: stats.mtime
+        };
+      }
+
+      return { backend: 'filesystem', location: dataDir, cacheFile };
+    }
+  };
+}
+
+module.exports = {
+  DATA_DIR,
+  createFilesystemStorage
+};
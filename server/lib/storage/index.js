@@ -0,0 +1,74 @@
+/**
+ * Storage module - selects the backend used for puzzles, the association cache,
+ * per-puzzle stats, the hint cache, the puzzle schedule and the moderation quarantine
+ *
+ * Every backend implements the same async interface:
+ *   savePuzzle(filename, puzzle)        loadPuzzle(filename)      listPuzzles()
+ *   loadAssociationCache()              saveAssociationCache(cache)
+ *   loadStats(puzzleKey)                saveStats(puzzleKey, stats)   listStats()
+ *   loadHintCache()                     saveHintCache(hintCache)
+ *   loadSchedule()                      saveSchedule(schedule)
+ *   loadQuarantine()                    saveQuarantine(quarantine)
+ *   getInfo()
+ *
+ * The backend is chosen with the STORAGE_BACKEND environment variable:
+ *   filesystem (default) - JSON files under server/data
+ *   sqlite               - embedded database at SQLITE_PATH (default server/data/ai-association.sqlite)
+ */
+
+// Backend factories, loaded only when selected
+const BACKENDS = {
+  filesystem: () => require('./filesystem-storage').createFilesystemStorage(),
+  sqlite: () => require('./sqlite-storage').createSqliteStorage()
+};
+
+// The active backend (created on first use so dotenv has been loaded by then)
+let storage = null;
+
+/**
+ * Gets the storage backend selected by STORAGE_BACKEND
+ * @returns {object} - The storage backend
+ */
+function getStorage() {
+  if (!storage) {
+    const backendName = (process.env.STORAGE_BACKEND || 'filesystem').toLowerCase();
+    const createBackend = BACKENDS[backendName];
+
+    if (!createBackend) {
+      throw new Error(`Unknown STORAGE_BACKEND "${backendName}" - expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    storage = createBackend();
+    console.log(`Using ${storage.name} storage backend`);
+  }
+
+  return storage;
+}
+
+/**
+ * Creates a storage backend by name, regardless of STORAGE_BACKEND
+ * @param {string} backendName - 'filesystem' or 'sqlite'
+ * @returns {object} - A new storage backend
+ */
+function createStorage(backendName) {
+  const createBackend = BACKENDS[backendName];
+  if (!createBackend) {
+    throw new Error(`Unknown storage backend "${backendName}"`);
+  }
+  return createBackend();
+}
+
+/**
+ * Replaces the active storage backend (e.g. with one in a temporary directory, in tests)
+ * @param {object} backend - The storage backend to use from now on
+ */
+function setStorage(backend) {
+  storage = backend;
+}
+
+module.exports = {
+  BACKENDS,
+  getStorage,
+  createStorage,
+  setStorage
+};
@@ -0,0 +1,280 @@
+/**
+ * SQLite storage backend - keeps everything in a single embedded database file
+ * Uses the node:sqlite module built into Node.js, so no native dependency is needed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DatabaseSync } = require('node:sqlite');
+
+// Default database location (override with SQLITE_PATH)
+const DEFAULT_DB_PATH = path.join(__dirname, '..', '..', 'data', 'ai-association.sqlite');
+
+// Create a SQLite storage backend using the database at dbPath
+function createSqliteStorage(dbPath = process.env.SQLITE_PATH || DEFAULT_DB_PATH) {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+  const db = new DatabaseSync(dbPath);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS puzzles (
+      filename TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS associations (
+      key TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS puzzle_stats (
+      puzzle_key TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS hints (
+      key TEXT PRIMARY KEY,
+      hint TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS hint_entries (
+      key TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS schedule (
+      slot TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS quarantine (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS meta (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+  `);
+
+  const statements = {
+    savePuzzle: db.prepare('INSERT OR REPLACE INTO puzzles (filename, data) VALUES (?, ?)'),
+    loadPuzzle: db.prepare('SELECT data FROM puzzles WHERE filename = ?'),
+    listPuzzles: db.prepare('SELECT filename FROM puzzles ORDER BY filename'),
+    loadAssociations: db.prepare('SELECT key, data FROM associations'),
+    clearAssociations: db.prepare('DELETE FROM associations'),
+    saveAssociation: db.prepare('INSERT INTO associations (key, data) VALUES (?, ?)'),
+    loadStats: db.prepare('SELECT data FROM puzzle_stats WHERE puzzle_key = ?'),
+    saveStats: db.prepare('INSERT OR REPLACE INTO puzzle_stats (puzzle_key, data, updated_at) VALUES (?, ?, ?)'),
+    listStats: db.prepare('SELECT puzzle_key FROM puzzle_stats ORDER BY puzzle_key'),
+    loadHints: db.prepare('SELECT key, hint FROM hints'),
+    clearHints: db.prepare('DELETE FROM hints'),
+    saveHint: db.prepare('INSERT INTO hints (key, hint) VALUES (?, ?)'),
+    loadHintEntries: db.prepare('SELECT key, data FROM hint_entries'),
+    clearHintEntries: db.prepare('DELETE FROM hint_entries'),
+    saveHintEntry: db.prepare('INSERT INTO hint_entries (key, data) VALUES (?, ?)'),
+    loadSchedule: db.prepare('SELECT slot, data FROM schedule'),
+    clearSchedule: db.prepare('DELETE FROM schedule'),
+    saveScheduleSlot: db.prepare('INSERT INTO schedule (slot, data) VALUES (?, ?)'),
+    loadQuarantine: db.prepare('SELECT data FROM quarantine ORDER BY rowid'),
+    clearQuarantine: db.prepare('DELETE FROM quarantine'),
+    saveQuarantineEntry: db.prepare('INSERT INTO quarantine (id, data) VALUES (?, ?)'),
+    countAssociations: db.prepare('SELECT COUNT(*) AS count FROM associations'),
+    loadMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    saveMeta: db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)'),
+    deleteMeta: db.prepare('DELETE FROM meta WHERE key = ?')
+  };
+
+  // Run a set of statements atomically
+  function transaction(fn) {
+    db.exec('BEGIN');
+    try {
+      fn();
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  return {
+    name: 'sqlite',
+
+    async savePuzzle(filename, puzzle) {
+      statements.savePuzzle.run(filename, JSON.stringify(puzzle));
+    },
+
+    async loadPuzzle(filename) {
+      try {
+        const row = statements.loadPuzzle.get(filename);
+        return row ? JSON.parse(row.data) : null;
+      } catch (error) {
+        console.error(`Error loading puzzle ${filename}:`, error);
+        return null;
+      }
+    },
+
+    async listPuzzles() {
+      return statements.listPuzzles.all().map(row => row.filename);
+    },
+
+    // Versioned caches are stored one row per word, with the format version in the meta table
+    // Without a version, the rows are the keys of the original flat format
+    async loadAssociationCache() {
+      try {
+        const entries = {};
+        for (const row of statements.loadAssociations.all()) {
+          entries[row.key] = JSON.parse(row.data);
+        }
+        console.log(`Association cache loaded from ${dbPath} (${Object.keys(entries).length} entries)`);
+
+        const versionRow = statements.loadMeta.get('association_cache_version');
+        return versionRow ? { version: parseInt(versionRow.value), entries } : entries;
+      } catch (error) {
+        console.error('Error loading association cache:', error);
+        return {};
+      }
+    },
+
+    // Replace the stored cache with the in-memory one (so cleared entries are removed too)
+    async saveAssociationCache(associationCache) {
+      const versioned = associationCache.version !== undefined;
+      const entries = versioned ? associationCache.entries : associationCache;
+
+      transaction(() => {
+        statements.clearAssociations.run();
+        for (const [key, value] of Object.entries(entries)) {
+          statements.saveAssociation.run(key, JSON.stringify(value));
+        }
+
+        if (versioned) {
+          statements.saveMeta.run('association_cache_version', String(associationCache.version));
+        } else {
+          statements.deleteMeta.run('association_cache_version');
+        }
+      });
+    },
+
+    async loadStats(puzzleKey) {
+      try {
+        const row = statements.loadStats.get(String(puzzleKey));
+        return row ? JSON.parse(row.data) : null;
+      } catch (error) {
+        console.error(`Error loading stats for ${puzzleKey}:`, error);
+        return null;
+      }
+    },
+
+    async saveStats(puzzleKey, stats) {
+      statements.saveStats.run(String(puzzleKey), JSON.stringify(stats), Date.now());
+    },
+
+    async listStats() {
+      return statements.listStats.all().map(row => row.puzzle_key);
+    },
+
+    // Versioned hint caches are stored one row per hint in hint_entries, with the format version in the meta table
+    // Without a version, the hints table holds the original flat format
+    async loadHintCache() {
+      try {
+        const versionRow = statements.loadMeta.get('hint_cache_version');
+        if (versionRow) {
+          const entries = {};
+          for (const row of statements.loadHintEntries.all()) {
+            entries[row.key] = JSON.parse(row.data);
+          }
+          console.log(`Hint cache loaded from ${dbPath} (${Object.keys(entries).length} entries)`);
+          return { version: parseInt(versionRow.value), entries };
+        }
+
+        const hintCache = {};
+        for (const row of statements.loadHints.all()) {
+          hintCache[row.key] = row.hint;
+        }
+        console.log(`Hint cache loaded from ${dbPath} (${Object.keys(hintCache).length} entries)`);
+        return hintCache;
+      } catch (error) {
+        console.error('Error loading hint cache:', error);
+        return {};
+      }
+    },
+
+    async saveHintCache(hintCache) {
+      const versioned = hintCache.version !== undefined;
+
+      transaction(() => {
+        statements.clearHints.run();
+        statements.clearHintEntries.run();
+
+        if (versioned) {
+          for (const [key, entry] of Object.entries(hintCache.entries)) {
+            statements.saveHintEntry.run(key, JSON.stringify(entry));
+          }
+          statements.saveMeta.run('hint_cache_version', String(hintCache.version));
+        } else {
+          for (const [key, hint] of Object.entries(hintCache)) {
+            statements.saveHint.run(key, hint);
+          }
+          statements.deleteMeta.run('hint_cache_version');
+        }
+      });
+    },
+
+    async loadSchedule() {
+      try {
+        const schedule = {};
+        for (const row of statements.loadSchedule.all()) {
+          schedule[row.slot] = JSON.parse(row.data);
+        }
+        return schedule;
+      } catch (error) {
+        console.error('Error loading puzzle schedule:', error);
+        return {};
+      }
+    },
+
+    async saveSchedule(schedule) {
+      transaction(() => {
+        statements.clearSchedule.run();
+        for (const [slot, entry] of Object.entries(schedule)) {
+          statements.saveScheduleSlot.run(slot, JSON.stringify(entry));
+        }
+      });
+    },
+
+    async loadQuarantine() {
+      try {
+        return { entries: statements.loadQuarantine.all().map(row => JSON.parse(row.data)) };
+      } catch (error) {
+        console.error('Error loading moderation quarantine:', error);
+        return {};
+      }
+    },
+
+    async saveQuarantine(quarantine) {
+      transaction(() => {
+        statements.clearQuarantine.run();
+        for (const entry of quarantine.entries || []) {
+          statements.saveQuarantineEntry.run(entry.id, JSON.stringify(entry));
+        }
+      });
+    },
+
+    // Describe where data is kept (for the admin dashboard)
+    async getInfo() {
+      let cacheFile = { exists: false, size: 0, lastModified: null };
+
+      if (fs.existsSync(dbPath)) {
+        const stats = fs.statSync(dbPath);
+        cacheFile = {
+          exists: true,
+          size: (stats.size / 1024 / 1024).toFixed(2) + ' MB',
+          lastModified: stats.mtime,
+          entries: statements.countAssociations.get().count
+        };
+      }
+
+      return { backend: 'sqlite', location: dbPath, cacheFile };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_DB_PATH,
+  createSqliteStorage
+};
@@ -0,0 +1,213 @@
+/**
+ * Word constraints - which words may be a puzzle's start or target word
+ *
+ * Applied when the generator picks a seed word and when it validates a target. A word is rejected if:
+ *   - it's a blocked word (BLOCKED_WORDS) or belongs to a blocked topic (BLOCKED_TOPICS - see TOPIC_WORDS)
+ *   - fewer than MIN_WORD_FREQUENCY cached words offer it (how often a word comes up in the
+ *     association graph stands in for how common it is)
+ *   - its part of speech isn't allowed (WORD_PARTS_OF_SPEECH - guessed from the word's ending, so rough)
+ *   - it was the start or target word of one of the last RECENT_WORD_PUZZLES saved puzzles (unless a seed is given)
+ *   - it's a proper noun or acronym (spelled with a capital letter in the cache), unless ALLOW_PROPER_NOUNS=true
+ */
+
+const { canonicalKey } = require('./association-cache');
+const puzzleRepository = require('./puzzle-repository');
+
+// Words belonging to each topic that can be blocked
+const TOPIC_WORDS = {
+  politics: [
+    'republican', 'democrat', 'democratic', 'conservative', 'liberal', 'election', 'vote', 'ballot', 'campaign',
+    'senate', 'senator', 'congress', 'president', 'politician', 'politics', 'parliament', 'government',
+    'communism', 'communist', 'socialism', 'socialist', 'capitalism', 'fascism', 'propaganda', 'impeachment'
+  ],
+  religion: [
+    'god', 'jesus', 'christ', 'allah', 'bible', 'quran', 'koran', 'torah', 'church', 'mosque', 'synagogue',
+    'prayer', 'religion', 'christian', 'muslim', 'jewish', 'hindu', 'buddhist', 'heaven', 'hell',
+    'sin', 'devil', 'satan', 'crucifixion'
+  ],
+  violence: [
+    'murder', 'kill', 'killing', 'gun', 'shooting', 'bomb', 'terrorism', 'terrorist', 'war', 'massacre',
+    'genocide', 'torture', 'assault', 'suicide', 'weapon', 'execution', 'rape', 'abuse'
+  ],
+  drugs: [
+    'cocaine', 'heroin', 'meth', 'marijuana', 'cannabis', 'overdose', 'addiction', 'narcotic', 'opioid'
+  ],
+  tragedy: [
+    'death', 'funeral', 'cancer', 'disease', 'pandemic', 'famine', 'holocaust', 'slavery', 'disaster',
+    'chernobyl', 'tsunami', 'earthquake'
+  ]
+};
+
+// Defaults when the settings aren't set
+const DEFAULT_BLOCKED_TOPICS = ['politics', 'religion', 'violence', 'drugs', 'tragedy'];
+const DEFAULT_MIN_FREQUENCY = 1;
+const DEFAULT_PARTS_OF_SPEECH = ['noun', 'verb', 'adjective'];
+const DEFAULT_RECENT_PUZZLES = 20;
+
+// Parts of speech a word can be guessed to be
+const PARTS_OF_SPEECH = ['noun', 'verb', 'adjective', 'adverb'];
+
+// Endings that usually mark an adjective
+const ADJECTIVE_ENDINGS = ['ous', 'ful', 'ive', 'less', 'able', 'ible', 'ish', 'ical'];
+
+// Words ending in -ly that aren't adverbs
+const NON_ADVERB_LY_WORDS = new Set([
+  'family', 'supply', 'ally', 'belly', 'bully', 'jelly', 'rally', 'lily', 'holly', 'fly', 'butterfly',
+  'dragonfly', 'firefly', 'monopoly', 'anomaly', 'assembly', 'melancholy', 'italy', 'july', 'reply', 'jolly'
+]);
+
+// Words ending in -ing or -ed that are usually nouns
+const NON_VERB_WORDS = new Set([
+  'morning', 'evening', 'ceiling', 'king', 'ring', 'wing', 'spring', 'string', 'thing', 'nothing', 'something',
+  'everything', 'wedding', 'building', 'painting', 'clothing', 'pudding', 'ding', 'sibling', 'seedling',
+  'bed', 'red', 'shed', 'seed', 'need', 'speed', 'weed', 'feed', 'greed', 'breed', 'sled', 'hundred'
+]);
+
+// Split a comma-separated setting into trimmed, lower-case values
+function parseList(value) {
+  return String(value || '').split(',').map(item => item.trim().toLowerCase()).filter(item => item !== '');
+}
+
+// Read a whole-number setting, falling back to a default when it isn't a number
+function parseCount(value, defaultValue) {
+  const count = parseInt(value, 10);
+  return isNaN(count) ? defaultValue : count;
+}
+
+// Read the constraints from the environment
+function readWordConstraints() {
+  const topics = process.env.BLOCKED_TOPICS !== undefined ? parseList(process.env.BLOCKED_TOPICS) : DEFAULT_BLOCKED_TOPICS;
+  const unknownTopic = topics.find(topic => !Object.prototype.hasOwnProperty.call(TOPIC_WORDS, topic));
+  if (unknownTopic) {
+    throw new Error(`Unknown blocked topic "${unknownTopic}" (topics: ${Object.keys(TOPIC_WORDS).join(', ')})`);
+  }
+
+  const partsOfSpeech = process.env.WORD_PARTS_OF_SPEECH !== undefined
+    ? parseList(process.env.WORD_PARTS_OF_SPEECH)
+    : DEFAULT_PARTS_OF_SPEECH;
+  const unknownPart = partsOfSpeech.find(part => !PARTS_OF_SPEECH.includes(part));
+  if (unknownPart) {
+    throw new Error(`Unknown part of speech "${unknownPart}" (parts of speech: ${PARTS_OF_SPEECH.join(', ')})`);
+  }
+
+  return {
+    blockedWords: parseList(process.env.BLOCKED_WORDS),
+    blockedTopics: topics,
+    minFrequency: parseCount(process.env.MIN_WORD_FREQUENCY, DEFAULT_MIN_FREQUENCY),
+    partsOfSpeech,
+    recentPuzzles: parseCount(process.env.RECENT_WORD_PUZZLES, DEFAULT_RECENT_PUZZLES),
+    allowProperNouns: process.env.ALLOW_PROPER_NOUNS === 'true'
+  };
+}
+
+// Constraints from the environment
+const WORD_CONSTRAINTS = readWordConstraints();
+
+// Guess a word's part of speech from its ending (multi-word phrases are taken as nouns)
+function guessPartOfSpeech(word) {
+  const key = canonicalKey(word);
+  if (key.includes(' ')) {
+    return 'noun';
+  }
+  if (key.length > 4 && key.endsWith('ly') && !NON_ADVERB_LY_WORDS.has(key)) {
+    return 'adverb';
+  }
+  if (!NON_VERB_WORDS.has(key) && ((key.length > 5 && key.endsWith('ing')) || (key.length > 4 && key.endsWith('ed') && !key.endsWith('eed')))) {
+    return 'verb';
+  }
+  if (key.length > 5 && ADJECTIVE_ENDINGS.some(ending => key.endsWith(ending))) {
+    return 'adjective';
+  }
+  return 'noun';
+}
+
+// Load the start and target words of the most recent saved puzzles
+async function loadRecentWords(count) {
+  if (count <= 0) {
+    return [];
+  }
+  const recent = await puzzleRepository.getRecentPuzzles(count);
+  return recent.flatMap(item => [item.puzzle.startWord, item.puzzle.targetWord]).filter(Boolean);
+}
+
+/**
+ * Creates a word filter for puzzle generation
+ * @param {object} associationCache - The association cache (frequencies and proper nouns are read from it)
+ * @param {object} [constraints] - Constraints like WORD_CONSTRAINTS (default: from the environment)
+ * @param {string[]} [recentWords] - Start and target words of recent puzzles (see loadRecentWords)
+ * @param {object} [moderator] - A moderator (see lib/moderation.js) whose blocklist rules words out, as it does when they're served
+ * @returns {object} - The filter: check(word) returns why a word isn't allowed, or null if it is;
+ *   isBlocked(word) says whether the moderator's blocklist rules a word out of the path altogether
+ */
+function createWordFilter(associationCache, constraints = WORD_CONSTRAINTS, recentWords = [], moderator = null) {
+  const blocked = new Map();
+  constraints.blockedTopics.forEach(topic => {
+    TOPIC_WORDS[topic].forEach(word => blocked.set(canonicalKey(word), `it belongs to the blocked topic "${topic}"`));
+  });
+  constraints.blockedWords.forEach(word => blocked.set(canonicalKey(word), 'it is a blocked word'));
+  const recent = new Set(recentWords.map(canonicalKey));
+
+  // What the cache says about each word, rebuilt whenever the cache changes
+  let graphRevision = null;
+  let offeredBy = new Map();
+  let capitalized = new Set();
+  function readGraph() {
+    if (graphRevision === associationCache.revision) {
+      return;
+    }
+    offeredBy = new Map();
+    capitalized = new Set();
+    associationCache.words().forEach(word => {
+      const associations = associationCache.get(word) || [];
+      new Set(associations.map(canonicalKey)).forEach(key => offeredBy.set(key, (offeredBy.get(key) || 0) + 1));
+      associations.filter(association => /^[A-Z]/.test(association)).forEach(association => capitalized.add(canonicalKey(association)));
+    });
+    graphRevision = associationCache.revision;
+  }
+
+  function checkBlocklist(word) {
+    return moderator ? moderator.checkBlocklist(word) : null;
+  }
+
+  function check(word) {
+    const flag = checkBlocklist(word);
+    if (flag) {
+      return `moderation blocks it (${flag.reason})`;
+    }
+    const key = canonicalKey(word);
+    if (blocked.has(key)) {
+      return blocked.get(key);
+    }
+    if (recent.has(key)) {
+      return `it was used in one of the last ${constraints.recentPuzzles} puzzles`;
+    }
+    const partOfSpeech = guessPartOfSpeech(key);
+    if (!constraints.partsOfSpeech.includes(partOfSpeech)) {
+      return `it looks like a word of type "${partOfSpeech}"`;
+    }
+
+    readGraph();
+    if (!constraints.allowProperNouns && (capitalized.has(key) || /^[A-Z]/.test(String(word).trim()))) {
+      return 'it is a proper noun or acronym';
+    }
+    const frequency = offeredBy.get(key) || 0;
+    if (frequency < constraints.minFrequency) {
+      return `only ${frequency} cached ${frequency === 1 ? 'word offers' : 'words offer'} it (minimum ${constraints.minFrequency})`;
+    }
+    return null;
+  }
+
+  return {
+    check,
+    isAllowed: word => check(word) === null,
+    isBlocked: word => Boolean(checkBlocklist(word))
+  };
+}
+
+module.exports = {
+  TOPIC_WORDS,
+  WORD_CONSTRAINTS,
+  guessPartOfSpeech,
+  loadRecentWords,
+  createWordFilter
+};
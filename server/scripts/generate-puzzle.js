@@ -5,25 +5,23 @@ const path = require('path');
 const fs = require('fs');
 const { promisify } = require('util');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') }); // Load environment variables from server/.env file
-const Anthropic = require('@anthropic-ai/sdk');
 
 // Import shared puzzle generator
 const puzzleGenerator = require('../lib/puzzle-generator');
+const { getProvider } = require('../lib/providers');
+const { createModerator } = require('../lib/moderation');
+const { createAssociationCache } = require('../lib/association-cache');
 
-// Verify environment variables
-if (!process.env.ANTHROPIC_API_KEY) {
-  console.error("ERROR: Missing ANTHROPIC_API_KEY environment variable");
-  console.error("Make sure the .env file exists in the server directory and contains ANTHROPIC_API_KEY");
+// Initialize the association provider (ASSOCIATION_PROVIDER=dataset or mock runs without any LLM calls)
+let provider;
+try {
+  provider = getProvider();
+} catch (error) {
+  console.error(`ERROR: ${error.message}`);
+  console.error("Make sure the .env file exists in the server directory and configures the association provider");
   process.exit(1);
 }
 
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
-
-console.log("API key loaded successfully from .env file");
-
 // Path for generated puzzle file
 const PUZZLE_FILE_PATH = path.join(__dirname, '..', 'data', 'generated-puzzle.json');
 
@@ -51,20 +49,23 @@ function onApiCallMade() {
 
 // Main function
 async function main() {
-  let associationCache = {};
+  let associationCache = createAssociationCache();
   
   try {
     console.log(`Starting puzzle generation with API call limit: ${API_CALL_LIMIT}`);
     
     // Load existing cache if available
     associationCache = await puzzleGenerator.loadAssociationCache();
-    console.log(`Initial cache size: ${Object.keys(associationCache).length} entries`);
+    console.log(`Initial cache size: ${associationCache.size} words`);
     
     // Generate a puzzle
+    // PUZZLE_SEED (e.g. a date) makes the puzzle reproducible from the same cache
     const puzzle = await puzzleGenerator.generatePuzzle(
       associationCache, 
-      anthropic, 
-      onApiCallMade
+      provider, 
+      onApiCallMade,
+      undefined,
+      { seed: process.env.PUZZLE_SEED, moderator: createModerator() }
     );
     
     // Save updated cache to disk (final save)
@@ -77,7 +78,7 @@ async function main() {
     // Summary
     console.log(`\n=== EXECUTION SUMMARY ===`);
     console.log(`API calls made: ${apiCallCounter}/${API_CALL_LIMIT}`);
-    console.log(`Final cache size: ${Object.keys(associationCache).length} entries`);
+    console.log(`Final cache size: ${associationCache.size} words`);
     console.log(`Cache hits: ${puzzleGenerator.cacheStats.hits}, misses: ${puzzleGenerator.cacheStats.misses}`);
     
     return puzzle;
@@ -87,10 +88,10 @@ async function main() {
     // Save the cache before exit
     try {
       // Make sure we have a valid associationCache to save
-      if (associationCache && Object.keys(associationCache).length > 0) {
+      if (associationCache && associationCache.size > 0) {
         console.warn("Ensuring cache is saved before exit...");
         await puzzleGenerator.saveAssociationCache(associationCache);
-        console.log(`Cache saved with ${Object.keys(associationCache).length} entries despite error`);
+        console.log(`Cache saved with ${associationCache.size} words despite error`);
       }
     } catch (saveError) {
       console.error("Failed to save cache during error handling:", saveError);
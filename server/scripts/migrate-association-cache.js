@@ -0,0 +1,54 @@
+// Standalone script to upgrade the stored association cache to the current format, with canonical keys
+// Run with: node scripts/migrate-association-cache.js [--dry-run]
+// The original flat format is converted to versioned entries, mixed-case and plural keys are renamed,
+// and duplicates that share a canonical key are merged
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') }); // Load environment variables from server/.env file
+
+const { getStorage } = require('../lib/storage');
+const { CACHE_FORMAT_VERSION, canonicalKey, upgradeStoredCache, createAssociationCache } = require('../lib/association-cache');
+
+// Only report what would change
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Main function
+async function main() {
+  const storage = getStorage();
+  
+  try {
+    const stored = await storage.loadAssociationCache();
+    const { entries, fromVersion, renamed, merged, dropped } = upgradeStoredCache(stored);
+    const storedKeys = fromVersion === 1
+      ? Object.keys(stored).filter(key => !key.endsWith('_detailed'))
+      : Object.keys(stored.entries || {});
+    const upgraded = fromVersion < CACHE_FORMAT_VERSION && storedKeys.length > 0;
+    
+    // List the keys that change
+    storedKeys
+      .filter(key => canonicalKey(key) !== key)
+      .forEach(key => console.log(`  "${key}" → "${canonicalKey(key)}"`));
+    
+    if (!DRY_RUN && (upgraded || renamed + merged + dropped > 0)) {
+      await storage.saveAssociationCache(createAssociationCache(stored).toJSON());
+    }
+    
+    // Summary
+    console.log(`\n=== ASSOCIATION CACHE MIGRATION ${DRY_RUN ? '(DRY RUN) ' : ''}===`);
+    console.log(`Stored format version: ${fromVersion} (current: ${CACHE_FORMAT_VERSION})`);
+    console.log(`Stored words: ${storedKeys.length}`);
+    console.log(`Words after migration: ${entries.size}`);
+    console.log(`Keys renamed: ${renamed}`);
+    console.log(`Duplicates merged: ${merged}`);
+    console.log(`Invalid entries dropped: ${dropped}`);
+    if (!upgraded && renamed + merged + dropped === 0) {
+      console.log('Cache is already up to date - nothing to do');
+    }
+  } catch (error) {
+    console.error('Failed to migrate association cache:', error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -0,0 +1,79 @@
+// Standalone script to copy puzzles, per-puzzle stats, the caches, the puzzle schedule and the moderation quarantine between storage backends
+// Run with: node scripts/migrate-storage.js [FROM_BACKEND] [TO_BACKEND]
+// Example:  node scripts/migrate-storage.js filesystem sqlite
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') }); // Load environment variables from server/.env file
+
+const { createStorage } = require('../lib/storage');
+
+// Get backends from command line arguments or use defaults
+const FROM_BACKEND = process.argv[2] || 'filesystem';
+const TO_BACKEND = process.argv[3] || 'sqlite';
+
+// Main function
+async function main() {
+  if (FROM_BACKEND === TO_BACKEND) {
+    console.error('Source and destination backends must be different');
+    process.exit(1);
+  }
+  
+  console.log(`Copying data from ${FROM_BACKEND} storage to ${TO_BACKEND} storage...`);
+  
+  const source = createStorage(FROM_BACKEND);
+  const destination = createStorage(TO_BACKEND);
+  
+  try {
+    // Copy puzzles
+    const puzzleFiles = await source.listPuzzles();
+    let puzzlesCopied = 0;
+    for (const filename of puzzleFiles) {
+      const puzzle = await source.loadPuzzle(filename);
+      if (puzzle) {
+        await destination.savePuzzle(filename, puzzle);
+        puzzlesCopied++;
+      }
+    }
+    
+    // Copy per-puzzle stats
+    const statsKeys = await source.listStats();
+    let statsCopied = 0;
+    for (const puzzleKey of statsKeys) {
+      const stats = await source.loadStats(puzzleKey);
+      if (stats) {
+        await destination.saveStats(puzzleKey, stats);
+        statsCopied++;
+      }
+    }
+    
+    // Copy caches
+    const associationCache = await source.loadAssociationCache();
+    await destination.saveAssociationCache(associationCache);
+    
+    const hintCache = await source.loadHintCache();
+    await destination.saveHintCache(hintCache);
+    
+    // Copy the puzzle schedule
+    const schedule = await source.loadSchedule();
+    await destination.saveSchedule(schedule);
+    
+    // Copy the moderation quarantine
+    const quarantine = await source.loadQuarantine();
+    await destination.saveQuarantine({ entries: quarantine.entries || [] });
+    
+    // Summary
+    console.log(`\n=== MIGRATION SUMMARY ===`);
+    console.log(`Puzzles copied: ${puzzlesCopied}/${puzzleFiles.length}`);
+    console.log(`Puzzle stats copied: ${statsCopied}/${statsKeys.length}`);
+    console.log(`Association cache entries: ${Object.keys(associationCache.entries || associationCache).length}`);
+    console.log(`Hint cache entries: ${Object.keys(hintCache.entries || hintCache).length}`);
+    console.log(`Scheduled slots: ${Object.keys(schedule).length}`);
+    console.log(`Quarantined entries: ${(quarantine.entries || []).length}`);
+  } catch (error) {
+    console.error('Failed to migrate storage:', error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
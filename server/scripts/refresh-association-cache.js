@@ -0,0 +1,87 @@
+// Standalone script to refresh stale association cache entries
+// Run with: node scripts/refresh-association-cache.js [--dry-run] [--limit N] [--budget N]
+// Stale entries are low quality, from an older associations prompt, or older than ASSOCIATION_MAX_AGE_DAYS.
+// --limit is the most entries to refresh (default 50) and --budget the most API calls to make (default 100).
+// Stop the server first (or use POST /api/admin/cache-refresh instead) - it saves its own copy of the cache.
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') }); // Load environment variables from server/.env file
+
+const puzzleGenerator = require('../lib/puzzle-generator');
+const puzzleRepository = require('../lib/puzzle-repository');
+const { getProvider } = require('../lib/providers');
+const { createCacheRefresher, DEFAULT_REFRESH_LIMIT } = require('../lib/cache-refresher');
+
+// Read a numeric option such as "--limit 20"
+function getNumberOption(name, defaultValue) {
+  const index = process.argv.indexOf(name);
+  if (index === -1) {
+    return defaultValue;
+  }
+
+  const value = parseInt(process.argv[index + 1], 10);
+  if (isNaN(value) || value < 1) {
+    console.error(`${name} must be a positive number`);
+    process.exit(1);
+  }
+  return value;
+}
+
+// Only list the stale entries
+const DRY_RUN = process.argv.includes('--dry-run');
+const LIMIT = getNumberOption('--limit', DEFAULT_REFRESH_LIMIT);
+const API_CALL_BUDGET = getNumberOption('--budget', 100);
+
+// Main function
+async function main() {
+  let provider;
+  try {
+    provider = getProvider();
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+
+  let apiCallCounter = 0;
+  const associationCache = await puzzleGenerator.loadAssociationCache();
+
+  const refresher = createCacheRefresher({
+    getCache: () => associationCache,
+    fetchAssociations: (word, onApiCall) => puzzleGenerator.getAssociationsFromProvider(provider, word, onApiCall),
+    saveCache: (cache) => puzzleGenerator.saveAssociationCache(cache),
+    onApiCallMade: () => {
+      apiCallCounter++;
+    },
+    getRemainingBudget: () => API_CALL_BUDGET - apiCallCounter,
+    budgetReserve: 0,
+    promptVersions: provider.promptVersions,
+    getPuzzlePaths: () => puzzleRepository.getHiddenSolutions()
+  });
+
+  const staleEntries = refresher.findStale();
+  staleEntries.slice(0, LIMIT).forEach(item => {
+    console.log(`  ${item.word} (${item.reason}${item.createdAt ? `, created ${item.createdAt}` : ''})`);
+  });
+
+  if (!DRY_RUN) {
+    await refresher.refresh({ limit: LIMIT });
+  }
+
+  // Summary
+  const status = refresher.getStatus();
+  console.log(`\n=== ASSOCIATION CACHE REFRESH ${DRY_RUN ? '(DRY RUN) ' : ''}===`);
+  console.log(`Cached words: ${associationCache.size}`);
+  console.log(`Stale entries: ${staleEntries.length}`);
+  if (!DRY_RUN) {
+    console.log(`Refreshed: ${status.refreshed}`);
+    console.log(`Failed: ${status.failed}`);
+    console.log(`API calls: ${status.apiCallsSpent}/${API_CALL_BUDGET}`);
+    console.log(`Stopped: ${status.stoppedReason}`);
+  }
+}
+
+// Run the script
+main().catch(error => {
+  console.error('Failed to refresh association cache:', error);
+  process.exit(1);
+});
@@ -0,0 +1,193 @@
+// Test the game routes end to end, against the mock provider and puzzles in a temporary directory
+// Run with: node tests/api-routes-test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.ASSOCIATION_PROVIDER = 'mock';
+
+const { setStorage } = require('../lib/storage');
+const { createFilesystemStorage } = require('../lib/storage/filesystem-storage');
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-routes-test-'));
+setStorage(createFilesystemStorage(dataDir));
+
+const puzzleRepository = require('../lib/puzzle-repository');
+const { app, generatePuzzle } = require('../index');
+const { check, fail, finish } = require('./helpers');
+
+console.log("=== API ROUTES TEST ===");
+
+// Puzzles on the mock provider's fixture associations
+const oceanPuzzle = {
+  id: 'ocean1',
+  startWord: 'ocean',
+  targetWord: 'sand',
+  hiddenSolution: ['ocean', 'wave', 'beach', 'sand'],
+  theme: 'Seaside',
+  gameDate: '2026-10-01'
+};
+const naturePuzzle = {
+  id: 'nature1',
+  startWord: 'environment',
+  targetWord: 'river',
+  hiddenSolution: ['environment', 'nature', 'river'],
+  theme: 'Outdoors',
+  gameDate: '2026-10-02',
+  par: 4
+};
+const warmerPuzzle = { ...oceanPuzzle, id: 'warmer1', gameDate: '2026-10-03', warmerColder: true };
+
+let baseUrl;
+
+// Send a request to the app, returning the status and the parsed body
+async function request(method, url, { token, body } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers['X-Session-Token'] = token;
+  }
+  const response = await fetch(`${baseUrl}${url}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+  return { status: response.status, body: await response.json() };
+}
+
+// Start a game session for a puzzle, returning its token
+async function startSession(puzzleId) {
+  return (await request('POST', '/api/session', { body: { puzzleId } })).body.token;
+}
+
+const server = app.listen(0);
+
+(async () => {
+  try {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    await puzzleRepository.savePuzzle(oceanPuzzle);
+    await puzzleRepository.savePuzzle(naturePuzzle);
+    await puzzleRepository.savePuzzle(warmerPuzzle);
+
+    // Without a session or a puzzle ID, requests are for the current game (none is live in this test)
+    check("There is no current game to play", (await request('GET', '/api/associations/ocean')).status === 503);
+
+    // The saved caches aren't loaded in tests, so they mustn't be overwritten
+    check("The association cache isn't saved before it has loaded", (await request('POST', '/api/admin/save-cache')).status === 503);
+
+    // Listing the quarantine needs a usable limit
+    check("The quarantine is listed with the default limit", (await request('GET', '/api/admin/quarantine')).status === 200);
+    check("A quarantine limit that isn't a number is rejected", (await request('GET', '/api/admin/quarantine?limit=ten')).status === 400);
+    check("A quarantine limit below 1 is rejected", (await request('GET', '/api/admin/quarantine?limit=0')).status === 400);
+
+    // A session's requests are for its own puzzle
+    const token = await startSession(oceanPuzzle.id);
+    check("A session can be started for an archive puzzle", Boolean(token));
+    const own = await request('GET', '/api/associations/ocean', { token });
+    check("Associations use the session's puzzle when no puzzle ID is given",
+      own.status === 200 && own.body.associations.includes('wave'));
+    const named = await request('GET', `/api/associations/ocean?puzzleId=${oceanPuzzle.id}`, { token });
+    check("Associations accept the session's own puzzle ID", named.status === 200);
+
+    // ...and never for a different one
+    const otherAssociations = await request('GET', `/api/associations/ocean?puzzleId=${naturePuzzle.id}`, { token });
+    check("Associations for a different puzzle than the session's are rejected",
+      otherAssociations.status === 409 && otherAssociations.body.error === 'Puzzle mismatch');
+    const otherHint = await request('GET', `/api/hint/ocean?puzzleId=${naturePuzzle.id}`, { token });
+    check("Hints for a different puzzle than the session's are rejected",
+      otherHint.status === 409 && otherHint.body.error === 'Puzzle mismatch');
+    const otherVerify = await request('POST', '/api/verify', { token, body: { puzzleId: naturePuzzle.id } });
+    check("Verifying a different puzzle than the session's is rejected", otherVerify.status === 409);
+
+    const hint = await request('GET', '/api/hint/ocean', { token });
+    check("Hints use the session's puzzle", hint.status === 200 && hint.body.level === 1 && hint.body.hint.includes('Seaside'));
+
+    // Playing through to the target
+    for (const word of ['wave', 'beach']) {
+      await request('GET', `/api/associations/${word}`, { token });
+    }
+    const verified = await request('POST', '/api/verify', { token });
+    check("A path played through the session is verified", verified.status === 200 && verified.body.path.join() === oceanPuzzle.hiddenSolution.join());
+    check("The session can't be submitted twice", (await request('POST', '/api/verify', { token })).status === 409);
+
+    // Moves are checked against what the player was offered, so changes to the cache since don't undo them
+    const clearedToken = await startSession(oceanPuzzle.id);
+    for (const word of ['ocean', 'wave', 'beach']) {
+      await request('GET', `/api/associations/${word}`, { token: clearedToken });
+    }
+    await request('POST', '/api/admin/clear-cache');
+    const afterClear = await request('POST', '/api/verify', { token: clearedToken });
+    check("A path played before the cache was cleared is still verified", afterClear.status === 200 && afterClear.body.success);
+
+    const strandedToken = await startSession(oceanPuzzle.id);
+    await request('GET', '/api/associations/ocean', { token: strandedToken });
+    const stranded = await request('POST', '/api/verify', { token: strandedToken });
+    check("A final step the player wasn't offered is rejected",
+      stranded.status === 400 && stranded.body.invalidStep.from === 'ocean' && stranded.body.invalidStep.to === 'sand');
+
+    // Distance hints are only given at the session's current word, and are charged once per word
+    check("Distance hints need a session",
+      (await request('GET', `/api/hint/ocean?kind=distance&puzzleId=${oceanPuzzle.id}`)).status === 401);
+    const distanceToken = await startSession(oceanPuzzle.id);
+    for (const word of ['wave', 'beach']) {
+      await request('GET', `/api/associations/${word}`, { token: distanceToken });
+    }
+    check("Distance hints can't be asked about other words than the current one",
+      (await request('GET', '/api/hint/sand?kind=distance', { token: distanceToken })).status === 409);
+    const distance = await request('GET', '/api/hint/beach?kind=distance&previousWord=ocean', { token: distanceToken });
+    check("Distance hints say how many moves are left", distance.status === 200 && distance.body.distance === 1);
+    check("Distance hints are charged", distance.body.cost === 1 && distance.body.hintPenalty === 1);
+    const repeated = await request('GET', '/api/hint/beach?kind=distance', { token: distanceToken });
+    check("Asking again at the same word is free", repeated.body.cost === 0 && repeated.body.hintPenalty === 1);
+
+    // Warmer/colder is only given on puzzles that have it turned on
+    check("No trend is given when warmer/colder is off", !('trend' in distance.body) && !distance.body.hint.includes('Warmer'));
+    const warmerToken = await startSession(warmerPuzzle.id);
+    for (const word of ['wave', 'beach']) {
+      await request('GET', `/api/associations/${word}`, { token: warmerToken });
+    }
+    const warmer = await request('GET', '/api/hint/beach?kind=distance', { token: warmerToken });
+    check("The trend of the last move is given when warmer/colder is on", warmer.body.trend === 'closer');
+    const noBands = await request('GET', '/api/associations/beach?bands=true', { token: distanceToken });
+    const bands = await request('GET', '/api/associations/beach?bands=true', { token: warmerToken });
+    check("Bands are only given when warmer/colder is on", noBands.body.bands === null && bands.body.bands.sand === 'closer');
+
+    // The setting can be changed for a saved puzzle
+    const settings = await request('PUT', `/api/admin/puzzles/${oceanPuzzle.id}/settings`, { body: { warmerColder: true } });
+    const turnedOn = await request('GET', '/api/hint/beach?kind=distance', { token: distanceToken });
+    check("Turning warmer/colder on for a puzzle gives the trend", settings.status === 200 && turnedOn.body.trend === 'closer');
+    check("The setting must be true or false",
+      (await request('PUT', `/api/admin/puzzles/${oceanPuzzle.id}/settings`, { body: { warmerColder: 'yes' } })).status === 400);
+
+    // The archive shows the par saved with each puzzle, working it out once for puzzles saved without one
+    const archive = (await request('GET', '/api/archive?pageSize=50')).body.puzzles;
+    const archivedOcean = archive.find(puzzle => puzzle.id === oceanPuzzle.id);
+    check("The archive shows a puzzle's saved par", archive.find(puzzle => puzzle.id === naturePuzzle.id).par === 4);
+    check("Puzzles saved without a par get one in the archive", archivedOcean.par === 2);
+    check("A par worked out for the archive is saved with the puzzle", (await puzzleRepository.getPuzzleById(oceanPuzzle.id)).par === 2);
+
+    // The current game's completions are saved through the repository like any puzzle's, so plays recorded
+    // elsewhere (e.g. by another instance) and concurrent ones all count
+    await generatePuzzle();
+    const live = (await request('GET', '/api/admin/cache-stats')).body.currentGame;
+    const livePuzzle = await puzzleRepository.getPuzzleById(live.id);
+    await puzzleRepository.updatePuzzleStats(live.id, stats => {
+      stats.totalPlays = 5;
+    });
+    const liveTokens = [await startSession(), await startSession()];
+    for (const liveToken of liveTokens) {
+      for (const word of livePuzzle.hiddenSolution.slice(1, -1)) {
+        await request('GET', `/api/associations/${encodeURIComponent(word)}`, { token: liveToken });
+      }
+    }
+    const completions = await Promise.all(liveTokens.map(liveToken => request('POST', '/api/verify', { token: liveToken })));
+    check("The current game can be completed", completions.every(completion => completion.status === 200));
+    check("Completions of the current game are added to its saved stats",
+      (await puzzleRepository.getPuzzleStats(live.id)).totalPlays === 7);
+    check("The current game's stats are refreshed from the saved ones",
+      (await request('GET', '/api/admin/cache-stats')).body.currentGame.stats.totalPlays === 7);
+  } catch (error) {
+    fail(error);
+  } finally {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  finish();
+})();
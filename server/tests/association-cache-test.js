@@ -0,0 +1,85 @@
+// Test that association cache keys are normalized and old caches are upgraded
+// Run with: node tests/association-cache-test.js
+
+const { CACHE_FORMAT_VERSION, canonicalKey, upgradeStoredCache, createAssociationCache } = require('../lib/association-cache');
+const { check, finish } = require('./helpers');
+
+console.log("=== ASSOCIATION CACHE TEST ===");
+
+// Canonical keys
+check("Case and whitespace are normalized", canonicalKey('  Ice   Cream ') === 'ice cream');
+check("Regular plurals are singularized", canonicalKey('Balloons') === 'balloon');
+check("-ies plurals become -y", canonicalKey('berries') === 'berry' && canonicalKey('cities') === 'city');
+check("-ies plurals of -ie words keep the -ie", canonicalKey('movies') === 'movie' && canonicalKey('cookies') === 'cookie' &&
+  canonicalKey('pies') === 'pie' && canonicalKey('ties') === 'tie');
+check("Plurals that mean something else than their singular are kept",
+  canonicalKey('dice') === 'dice' && canonicalKey('goods') === 'goods' && canonicalKey('arms') === 'arms');
+check("Their singulars are still separate words", canonicalKey('die') === 'die' && canonicalKey('arm') === 'arm');
+check("-es plurals after sibilants lose -es", canonicalKey('beaches') === 'beach' && canonicalKey('boxes') === 'box');
+check("Irregular plurals are singularized", canonicalKey('teeth') === 'tooth' && canonicalKey('children') === 'child');
+check("Singular words ending in s are kept", canonicalKey('glass') === 'glass' && canonicalKey('bus') === 'bus' && canonicalKey('news') === 'news');
+check("Only the last word of a phrase is singularized", canonicalKey('oil spills') === 'oil spill');
+check("Empty words have an empty key", canonicalKey('   ') === '' && canonicalKey(null) === '');
+
+// Lookups
+const cache = createAssociationCache();
+cache.set('Balloons', ['party', 'air', 'string'], [{ word: 'party', hint: 'decoration' }], { provider: 'mock', model: 'fixture.json', promptVersion: null });
+check("Lookups ignore case and plurals", cache.get('balloon') === cache.get(' BALLOONS ') && cache.get('balloon').length === 3);
+check("Detailed associations are kept", cache.getDetailed('balloon')[0].hint === 'decoration');
+check("Missing words return null", cache.get('kite') === null && !cache.has('kite'));
+check("Words are listed by canonical key", cache.words().join() === 'balloon' && cache.size === 1);
+
+const entry = cache.getEntry('balloons');
+check("Entries record where they came from", entry.provider === 'mock' && entry.model === 'fixture.json' && entry.promptVersion === null);
+check("Entries record when they were created", !isNaN(Date.parse(entry.createdAt)));
+check("Hints are stored alongside the words", entry.hints.join() === 'decoration,,');
+
+const stored = cache.toJSON();
+check("Stored format is versioned", stored.version === CACHE_FORMAT_VERSION && Object.keys(stored).join() === 'version,entries');
+check("Stored entries hold words and hints", stored.entries.balloon.words.length === 3 && stored.entries.balloon.hints.length === 3);
+
+// Words that look like the old detailed keys are ordinary entries now
+cache.set('report_detailed', ['summary', 'analysis', 'chart']);
+const reloaded = createAssociationCache(JSON.parse(JSON.stringify(cache.toJSON())));
+check("Versioned caches reload unchanged", reloaded.size === 2 && reloaded.getEntry('balloon').createdAt === entry.createdAt);
+check("Words ending in _detailed are kept", reloaded.get('report_detailed').length === 3);
+
+cache.clear();
+check("Clearing empties the cache", cache.size === 0);
+
+// Upgrading a cache stored in the original flat format, with mixed keys
+const legacy = {
+  Gears: ['machine', 'clock', 'bike'],
+  Gears_detailed: [{ word: 'machine', hint: 'inside' }, { word: 'clock', hint: 'ticks' }, { word: 'bike', hint: 'shifts' }],
+  teeth: ['dentist', 'smile', 'bite'],
+  tooth: ['fairy', 'brush', 'enamel'],
+  tooth_detailed: [{ word: 'fairy', hint: 'coin' }, { word: 'brush', hint: 'clean' }, { word: 'enamel', hint: 'coat' }],
+  orphan_detailed: [],
+  broken: 'not a list'
+};
+const migration = upgradeStoredCache(legacy);
+check("The flat format is detected as version 1", migration.fromVersion === 1);
+check("Non-canonical keys are renamed", migration.entries.has('gear') && migration.renamed === 2);
+check("Hints come from the detailed entries of renamed keys", migration.entries.get('gear').hints[0] === 'inside');
+check("Duplicates keep the entry already under the canonical key", migration.entries.get('tooth').words[0] === 'fairy' && migration.merged === 1);
+check("Invalid and orphaned entries are dropped", !migration.entries.has('broken') && migration.dropped === 2);
+check("Upgraded entries have unknown sources", migration.entries.get('gear').provider === null && migration.entries.get('gear').createdAt === null);
+
+const migrated = createAssociationCache(legacy);
+check("Loading a flat cache upgrades it", migrated.get('Gear') !== null && migrated.size === 2 && migrated.toJSON().version === CACHE_FORMAT_VERSION);
+check("Detailed associations survive the upgrade", migrated.getDetailed('gear')[1].hint === 'ticks');
+
+// The cache shipped in data/ is stored as it was fetched, with plural keys the loader canonicalizes
+const shipped = createAssociationCache(require('../data/association-cache.json'));
+check("The shipped cache's plural keys load under their singulars",
+  ['gear', 'tooth', 'sport'].every(key => shipped.words().includes(key)) && !shipped.words().includes('sports'));
+
+let newerError = null;
+try {
+  upgradeStoredCache({ version: CACHE_FORMAT_VERSION + 1, entries: {} });
+} catch (error) {
+  newerError = error;
+}
+check("Caches from a newer format version are rejected", newerError !== null);
+
+finish();
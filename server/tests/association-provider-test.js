@@ -0,0 +1,122 @@
+// Test the association providers without network access
+// Run with: node tests/association-provider-test.js
+
+const { createProvider } = require('../lib/providers');
+const { check, finish } = require('./helpers');
+
+(async () => {
+  console.log("=== ASSOCIATION PROVIDER TEST ===");
+
+  // Mock provider with the default fixture file
+  const provider = createProvider('mock');
+  const ocean = await provider.getAssociations('Ocean ');
+  check("Canned associations are served for a fixture word", ocean.wordArray.includes('wave') && ocean.wordArray.includes('whale'));
+  check("Detailed associations carry hints", ocean.detailedArray.every(item => typeof item.hint === 'string' && item.hint !== ''));
+
+  const unknown = await provider.getAssociations('zeppelin');
+  const unknownAgain = await createProvider('mock').getAssociations('zeppelin');
+  check("Words missing from the fixture still get at least 3 associations", unknown.wordArray.length >= 3);
+  check("Generated associations are the same on every run", unknown.wordArray.join() === unknownAgain.wordArray.join());
+  check("Generated associations don't include the word itself", !unknown.wordArray.includes('zeppelin'));
+
+  const theme = await provider.generateTheme('ocean', 'whale');
+  const themeAgain = await provider.generateTheme('ocean', 'whale');
+  check("Themes have a name and description", !!(theme.theme && theme.description));
+  check("Themes are the same for the same word pair", theme.theme === themeAgain.theme);
+
+  const hint = await provider.getHint('ocean', 'whale', 'fish');
+  check("Hints mention the current word", hint.includes('fish'));
+
+  // Mock provider with an inline fixture
+  const small = createProvider('mock', {
+    fixture: {
+      associations: {
+        cat: [{ word: 'dog', hint: 'pets' }, { word: 'mouse', hint: 'chases' }, { word: 'milk', hint: 'drinks' }, { word: 'yarn', hint: 'plays with' }],
+        dog: [{ word: 'bone', hint: 'chews' }, { word: 'leash', hint: 'walks' }]
+      }
+    }
+  });
+  let rejected = false;
+  try {
+    await small.getAssociations('dog');
+  } catch (error) {
+    rejected = true;
+  }
+  check("Fixture words with fewer than 3 associations are rejected", rejected);
+  check("Inline fixtures are used instead of the file", (await small.getAssociations('cat')).wordArray.join() === 'dog,mouse,milk,yarn');
+
+  // Provider selection
+  rejected = false;
+  try {
+    createProvider('nonexistent');
+  } catch (error) {
+    rejected = true;
+  }
+  check("Unknown provider names are rejected", rejected);
+
+  const savedKey = process.env.ANTHROPIC_API_KEY;
+  delete process.env.ANTHROPIC_API_KEY;
+  rejected = false;
+  try {
+    createProvider('anthropic');
+  } catch (error) {
+    rejected = true;
+  }
+  check("Anthropic provider requires an API key", rejected);
+
+  const anthropicInfo = createProvider('anthropic', { apiKey: 'test-key', model: 'test-model', timeoutMs: 5000, maxRetries: 0 }).getInfo();
+  check("Anthropic provider reports its model, timeout and retries",
+    anthropicInfo.model === 'test-model' && anthropicInfo.timeoutMs === 5000 && anthropicInfo.maxRetries === 0);
+  if (savedKey !== undefined) {
+    process.env.ANTHROPIC_API_KEY = savedKey;
+  }
+
+  // Retries, with a stub client that fails with the given errors before replying
+  function createFailingProvider(errors, maxRetries = 2) {
+    const failing = { requests: 0 };
+    failing.provider = createProvider('anthropic', {
+      apiKey: 'test-key',
+      maxRetries,
+      client: {
+        messages: {
+          create: async () => {
+            const error = errors[failing.requests++];
+            if (error) {
+              throw Object.assign(new Error(`status ${error.status}`), error);
+            }
+            return { content: [{ text: 'Think of the tide' }] };
+          }
+        }
+      }
+    });
+    return failing;
+  }
+  const overloaded = { status: 529, headers: { 'retry-after': '0' } };
+
+  let attempts = 0;
+  const retried = createFailingProvider([overloaded, overloaded]);
+  const retriedHint = await retried.provider.getHint('ocean', 'sand', 'wave', { onApiCallMade: () => attempts++ });
+  check("Server errors are retried", retriedHint === 'Think of the tide' && retried.requests === 3);
+  check("Every attempt counts as an API call", attempts === 3);
+
+  const exhausted = createFailingProvider([overloaded, overloaded, overloaded]);
+  const exhaustedError = await exhausted.provider.getHint('ocean', 'sand', 'wave').then(() => null, error => error);
+  check("Requests fail once the retries are used up", exhaustedError && exhaustedError.status === 529 && exhausted.requests === 3);
+
+  const invalid = createFailingProvider([{ status: 401, headers: {} }]);
+  const invalidError = await invalid.provider.getHint('ocean', 'sand', 'wave').then(() => null, error => error);
+  check("Other errors aren't retried", invalidError && invalidError.status === 401 && invalid.requests === 1);
+
+  attempts = 0;
+  const limited = createFailingProvider([overloaded]);
+  const limitError = await limited.provider.getHint('ocean', 'sand', 'wave', {
+    onApiCallMade: () => {
+      if (++attempts > 1) {
+        throw new Error('Daily API limit reached');
+      }
+    }
+  }).then(() => null, error => error);
+  check("A limit reached before a retry stops it", limitError && limitError.message.includes('limit') && limited.requests === 1);
+
+  finish();
+})();
@@ -0,0 +1,137 @@
+// Test that stale association cache entries are found and refreshed within the API budget
+// Run with: node tests/cache-refresher-test.js
+
+const { getStaleReason, createAssociationCache } = require('../lib/association-cache');
+const { createCacheRefresher } = require('../lib/cache-refresher');
+const { check, fail, finish } = require('./helpers');
+
+console.log("=== CACHE REFRESHER TEST ===");
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2026-10-19T12:00:00.000Z');
+const words = ['one', 'two', 'three', 'four', 'five'];
+const hints = ['a', 'b', 'c', 'd', 'e'];
+
+// Build a stored entry
+function entry(overrides) {
+  return { words, hints, provider: 'anthropic', model: 'test-model', createdAt: now.toISOString(), promptVersion: 2, ...overrides };
+}
+
+// Associations as fetched by a refresh
+function freshAssociations() {
+  return {
+    wordArray: ['six', 'seven', 'eight', 'nine', 'ten'],
+    detailedArray: ['six', 'seven', 'eight', 'nine', 'ten'].map(item => ({ word: item, hint: `${item} hint` })),
+    source: { provider: 'anthropic', model: 'test-model', promptVersion: 2 }
+  };
+}
+
+const policy = { maxAgeMs: 30 * DAY, promptVersions: { anthropic: 2 }, now };
+
+// Staleness
+check("Recent entries from the current prompt are fresh", getStaleReason(entry(), policy) === null);
+check("Entries past the maximum age are expired",
+  getStaleReason(entry({ createdAt: new Date(now.getTime() - 31 * DAY).toISOString() }), policy) === 'expired');
+check("Entries without a creation time have an unknown age", getStaleReason(entry({ createdAt: null }), policy) === 'unknown-age');
+check("Entries from an older prompt are outdated", getStaleReason(entry({ promptVersion: 1 }), policy) === 'outdated-prompt');
+check("Prompt versions only apply to their own provider",
+  getStaleReason(entry({ provider: 'dataset', promptVersion: null }), policy) === null);
+check("Entries with too few words are low quality", getStaleReason(entry({ words: ['one', 'two', 'three'], hints: ['a', 'b', 'c'] }), policy) === 'low-quality');
+check("Entries missing most hints are low quality", getStaleReason(entry({ hints: ['a', '', '', '', ''] }), policy) === 'low-quality');
+
+const cache = createAssociationCache({
+  version: 2,
+  entries: {
+    fresh: entry(),
+    old: entry({ createdAt: new Date(now.getTime() - 40 * DAY).toISOString() }),
+    older: entry({ createdAt: new Date(now.getTime() - 50 * DAY).toISOString() }),
+    legacy: entry({ provider: null, createdAt: null, promptVersion: null }),
+    outdated: entry({ promptVersion: 1 }),
+    thin: entry({ words: ['one', 'two', 'three'], hints: ['a', 'b', 'c'] })
+  }
+});
+
+const stale = cache.findStale(policy);
+check("Only stale entries are listed", stale.length === 5 && !stale.some(item => item.word === 'fresh'));
+check("Stale entries are ordered by urgency, oldest first",
+  stale.map(item => item.word).join() === 'thin,outdated,legacy,older,old');
+
+// Refreshing within a budget
+async function runRefreshTests() {
+  let remainingBudget = 3;
+  let saves = 0;
+  const fetched = [];
+
+  const refresher = createCacheRefresher({
+    getCache: () => cache,
+    fetchAssociations: async (word, onApiCallMade) => {
+      onApiCallMade();
+      fetched.push(word);
+      if (word === 'outdated') {
+        throw new Error('Provider unavailable');
+      }
+      return freshAssociations();
+    },
+    saveCache: async () => {
+      saves++;
+    },
+    onApiCallMade: () => {
+      remainingBudget--;
+    },
+    getRemainingBudget: () => remainingBudget,
+    budgetReserve: 0,
+    maxAgeMs: policy.maxAgeMs,
+    promptVersions: policy.promptVersions
+  });
+
+  const run = refresher.refresh({ limit: 10 });
+  check("A refresh starts in the background", run !== null && refresher.getStatus().running);
+  check("Only one refresh runs at a time", refresher.refresh() === null);
+  await run;
+
+  const status = refresher.getStatus();
+  check("Refreshing stops when the budget runs out", fetched.length === 3 && status.stoppedReason === 'budget');
+  check("Refreshed entries are replaced", cache.get('thin')[0] === 'six' && cache.getEntry('legacy').promptVersion === 2);
+  check("Entries that fail to refresh are kept", cache.get('outdated')[0] === 'one' && status.failed === 1);
+  check("Untouched entries stay stale", cache.get('old')[0] === 'one');
+  check("Refreshed entries are no longer stale", !refresher.findStale().some(item => item.word === 'thin' || item.word === 'legacy'));
+  check("The cache is saved after a refresh", saves === 1);
+  check("API calls are counted", status.apiCallsSpent === 3 && status.refreshed === 2);
+
+  // A run capped by its limit
+  remainingBudget = 100;
+  await refresher.refresh({ limit: 1 });
+  check("Runs stop at their limit", refresher.getStatus().refreshed + refresher.getStatus().failed === 1 &&
+    refresher.getStatus().stoppedReason === 'limit');
+
+  // Entries of unknown age are only refreshed a few per run, and keep the associations puzzles go through
+  const legacyCache = createAssociationCache({
+    version: 2,
+    entries: {
+      first: entry({ createdAt: null }),
+      second: entry({ createdAt: null }),
+      third: entry({ createdAt: null }),
+      thin: entry({ words: ['one', 'two', 'three'], hints: ['a', 'b', 'c'] })
+    }
+  });
+  const legacyRefresher = createCacheRefresher({
+    getCache: () => legacyCache,
+    fetchAssociations: async () => freshAssociations(),
+    saveCache: async () => {},
+    unknownAgeLimit: 2,
+    getPuzzlePaths: async () => [['thin', 'Threes', 'first'], ['first', 'two']]
+  });
+  await legacyRefresher.refresh({ limit: 10 });
+  const legacyStatus = legacyRefresher.getStatus();
+  check("Only a few entries of unknown age are refreshed per run",
+    legacyStatus.refreshed === 3 && legacyCache.get('third')[0] === 'one' && legacyStatus.stoppedReason === 'limit');
+  check("Refreshed words keep the associations puzzles go through",
+    legacyCache.get('thin').join() === 'six,seven,eight,nine,ten,three' && legacyCache.get('first').includes('two'));
+  check("Kept associations keep their hints",
+    legacyCache.getDetailed('thin').find(item => item.word === 'three').hint === 'c' && legacyStatus.keptLinks === 2);
+  check("Associations no puzzle goes through are replaced", !legacyCache.get('thin').includes('one'));
+}
+
+runRefreshTests()
+  .catch(fail)
+  .finally(finish);
@@ -0,0 +1,144 @@
+// Test the dataset and tiered association providers without network access
+// Run with: node tests/dataset-provider-test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puzzleGenerator = require('../lib/puzzle-generator');
+const { createProvider, createTieredProvider } = require('../lib/providers');
+const { createAssociationCache } = require('../lib/association-cache');
+const { WORD_CONSTRAINTS, createWordFilter } = require('../lib/word-constraints');
+const { check, fail, finish } = require('./helpers');
+
+// Write a dataset file to a temporary directory
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'association-dataset-'));
+function writeDataset(filename, contents) {
+  const filePath = path.join(tempDir, filename);
+  fs.writeFileSync(filePath, contents, 'utf8');
+  return filePath;
+}
+
+(async () => {
+  console.log("=== DATASET PROVIDER TEST ===");
+
+  try {
+    // Free-association norms, ranked by strength
+    const norms = createProvider('dataset', {
+      datasetPath: writeDataset('norms.csv', [
+        'cue,response,strength',
+        'Ocean,wave,0.2',
+        'ocean,water,0.5',
+        'ocean,blue,0.1',
+        'ocean,ocean,0.9',
+        'ocean,"sea, open",0.3',
+        'ocean,shell,0.01'
+      ].join('\n')),
+      minStrength: 0.05
+    });
+    const ocean = await norms.getAssociations('OCEAN');
+    check("Norms are ranked by strength", ocean.wordArray.join('|') === 'water|sea, open|wave|blue');
+    check("Norms below the minimum strength are dropped", !ocean.wordArray.includes('shell'));
+    check("A cue is never its own association", !ocean.wordArray.includes('ocean'));
+
+    let rejected = false;
+    try {
+      await norms.getAssociations('desert');
+    } catch (error) {
+      rejected = true;
+    }
+    check("Words missing from the dataset are errors", rejected);
+
+    // Thesaurus lines
+    const thesaurus = createProvider('dataset', {
+      datasetPath: writeDataset('thesaurus.txt', 'happy,glad,cheerful,joyful,happy\nsad,blue\n')
+    });
+    check("Thesaurus headwords get their related words", (await thesaurus.getAssociations('happy')).wordArray.join() === 'glad,cheerful,joyful');
+
+    rejected = false;
+    try {
+      await thesaurus.getAssociations('sad');
+    } catch (error) {
+      rejected = true;
+    }
+    check("Words with fewer than 3 associations are errors", rejected);
+
+    // Exported graph (the association cache format)
+    const graph = createProvider('dataset', {
+      datasetPath: writeDataset('graph.json', JSON.stringify({
+        tree: ['leaf', 'root', 'branch'],
+        tree_detailed: [{ word: 'leaf', hint: 'grows on it' }, { word: 'root', hint: 'under it' }, { word: 'branch', hint: 'part of it' }],
+        leaf: ['green', 'autumn', 'tea'],
+        branch: ['office', 'twig', 'bank'],
+        twig: ['stick', 'bird', 'nest']
+      })),
+      maxAssociations: 3
+    });
+    const tree = await graph.getAssociations('tree');
+    check("Detailed graph entries keep their hints", tree.detailedArray[0].hint === 'grows on it');
+    const hint = await graph.getHint('tree', 'nest', 'tree');
+    check("Hints point at the first letter of the next word on the dataset path", hint.includes('"B"'));
+
+    // A real puzzle from the committed association cache, with no LLM calls
+    // (a fixed seed, and word constraints that ignore recently saved puzzles, so the same puzzle is generated every run)
+    const cacheDataset = createProvider('dataset', { datasetPath: path.join(__dirname, '..', 'data', 'association-cache.json') });
+    const generationCache = createAssociationCache();
+    let apiCalls = 0;
+    const puzzle = await puzzleGenerator.generatePuzzle(generationCache, cacheDataset, () => apiCalls++, undefined, {
+      seed: 'dataset-provider-test',
+      wordFilter: createWordFilter(generationCache, WORD_CONSTRAINTS, [])
+    }).catch(error => {
+      fail(error);
+      return null;
+    });
+    check("A puzzle can be generated from the dataset alone", Boolean(puzzle) && puzzle.hiddenSolution.length >= 5);
+    check("Generating from the dataset makes no API calls", apiCalls === 0);
+
+    // Tiered: the dataset first, then a (fake) language model
+    let llmCalls = 0;
+    const fakeLanguageModel = {
+      name: 'llm',
+      usesLanguageModel: true,
+      async getAssociations(word, options) {
+        options.onApiCallMade();
+        llmCalls++;
+        return { wordArray: ['x', 'y', 'z'], detailedArray: [] };
+      },
+      async generateTheme(startWord, targetWord, options) {
+        options.onApiCallMade();
+        llmCalls++;
+        return { theme: 'From the model', description: '' };
+      },
+      async getHint() {
+        throw new Error('model unavailable');
+      },
+      getInfo() {
+        return { provider: 'llm' };
+      }
+    };
+
+    const tiered = createTieredProvider([graph, fakeLanguageModel]);
+    let counted = 0;
+    const requestOptions = { onApiCallMade: () => counted++ };
+
+    await tiered.getAssociations('tree', requestOptions);
+    check("Words in the dataset don't reach the language model", llmCalls === 0 && counted === 0);
+
+    const unknown = await tiered.getAssociations('volcano', requestOptions);
+    check("Words missing from the dataset fall through to the next tier", unknown.wordArray.join() === 'x,y,z' && counted === 1);
+
+    const theme = await tiered.generateTheme('tree', 'nest', requestOptions);
+    check("Themes come from the language model first", theme.theme === 'From the model');
+
+    const tieredHint = await tiered.getHint('tree', 'nest', 'tree', requestOptions);
+    check("Hints fall back to the dataset when the model fails", tieredHint.includes('"B"'));
+
+    const tiers = tiered.getInfo().tiers;
+    check("Tier info counts the answers from each tier", tiers[0].answered === 2 && tiers[1].answered === 2);
+  } catch (error) {
+    fail(error);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  finish();
+})();
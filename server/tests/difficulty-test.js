@@ -0,0 +1,51 @@
+// Test that puzzle difficulty is measured from the association graph and rated against the profiles
+// Run with: node tests/difficulty-test.js
+
+const { createAssociationCache } = require('../lib/association-cache');
+const {
+  DIFFICULTY_LEVELS,
+  isValidDifficulty,
+  measureDifficulty,
+  fitsProfile,
+  rateDifficulty
+} = require('../lib/difficulty');
+const { check, finish, requireWithEnv } = require('./helpers');
+
+console.log("=== DIFFICULTY TEST ===");
+
+// Profiles
+check("Profiles run from easy to expert", DIFFICULTY_LEVELS.join() === 'easy,medium,hard,expert');
+check("Profile names are checked", isValidDifficulty('hard') && !isValidDifficulty('impossible') && !isValidDifficulty('toString'));
+
+check("The default difficulty comes from PUZZLE_DIFFICULTY",
+  requireWithEnv('../lib/difficulty', { PUZZLE_DIFFICULTY: 'Expert' }).PUZZLE_DIFFICULTY === 'expert');
+check("Unknown default difficulties fall back to medium",
+  requireWithEnv('../lib/difficulty', { PUZZLE_DIFFICULTY: 'impossible' }).PUZZLE_DIFFICULTY === 'medium');
+
+// Two shortest routes from sun to moon (through sky or star), and a longer one through day and night
+const cache = createAssociationCache();
+cache.set('sun', ['sky', 'star', 'day', 'beach']);
+cache.set('sky', ['moon', 'cloud']);
+cache.set('star', ['Moons', 'film', 'night']);
+cache.set('day', ['night', 'week']);
+cache.set('night', ['moon', 'dark']);
+
+const metrics = measureDifficulty(cache, 'sun', 'moon');
+check("Steps are the shortest route's length", metrics.steps === 2);
+check("Every shortest route is counted", metrics.routes === 2);
+check("Branching averages the choices along a shortest route", metrics.branching === 3);
+check("Puzzles without a cached route can't be measured", measureDifficulty(cache, 'beach', 'moon') === null);
+
+// Fitting and rating
+const easy = { steps: 3, branching: 5, routes: 3 };
+const hard = { steps: 7, branching: 7, routes: 2 };
+check("Short puzzles with several routes fit the easy profile", fitsProfile(easy, 'easy') && !fitsProfile(easy, 'hard'));
+check("Long puzzles with few routes and many choices fit the hard profile", fitsProfile(hard, 'hard'));
+check("Puzzles are rated by the hardest profile they fit", rateDifficulty({ steps: 4, branching: 6, routes: 3 }) === 'medium');
+check("A single route makes a long puzzle expert", rateDifficulty({ steps: 8, branching: 8, routes: 1 }) === 'expert');
+check("Too many routes keep a long puzzle below expert", rateDifficulty({ steps: 8, branching: 8, routes: 5 }) === 'hard');
+check("Puzzles that fit no profile get the nearest by steps", rateDifficulty({ steps: 2, branching: 9, routes: 1 }) === 'easy' &&
+  rateDifficulty({ steps: 15, branching: 3, routes: 9 }) === 'expert');
+check("Unmeasured puzzles have no rating", rateDifficulty(null) === null);
+
+finish();
@@ -0,0 +1,93 @@
+// Test that filesystem storage writes atomically, keeps cache snapshots and recovers corrupt caches
+// Run with: node tests/filesystem-storage-test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.CACHE_BACKUP_COUNT = '3';
+const { createFilesystemStorage } = require('../lib/storage/filesystem-storage');
+const { check, fail, finish } = require('./helpers');
+
+console.log("=== FILESYSTEM STORAGE TEST ===");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+const cacheFilePath = path.join(dataDir, 'association-cache.json');
+const backupsDir = path.join(dataDir, 'backups');
+
+// Build a cache with a given number of entries
+function cacheWithWords(count) {
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    entries[`word${i}`] = { words: ['a', 'b', 'c'], hints: ['', '', ''] };
+  }
+  return { version: 2, entries };
+}
+
+async function runStorageTests() {
+  const storage = createFilesystemStorage(dataDir);
+
+  // Atomic writes
+  await storage.savePuzzle('puzzle.json', { startWord: 'sun', targetWord: 'moon' });
+  check("Puzzles are written", (await storage.loadPuzzle('puzzle.json')).targetWord === 'moon');
+  check("No temporary files are left behind", !fs.readdirSync(path.join(dataDir, 'puzzles')).some(file => file.endsWith('.tmp')));
+
+  // Per-puzzle stats
+  check("No stats are listed before any are saved", (await storage.listStats()).length === 0);
+  await storage.saveStats('a1b2c3', { completions: 2 });
+  await storage.saveStats('2025-04-18_scandal_swan', { completions: 1 });
+  const statsKeys = await storage.listStats();
+  check("Saved stats are listed by puzzle key", statsKeys.join() === '2025-04-18_scandal_swan,a1b2c3');
+  check("Listed stats can be loaded", (await storage.loadStats(statsKeys[1])).completions === 2);
+
+  // Moderation quarantine
+  check("A missing quarantine loads empty", Object.keys(await storage.loadQuarantine()).length === 0);
+  await storage.saveQuarantine({ entries: [{ id: 'abc', kind: 'hint', text: 'gloop' }] });
+  check("The quarantine is written", (await storage.loadQuarantine()).entries[0].id === 'abc');
+
+  // Rolling snapshots
+  for (let i = 1; i <= 5; i++) {
+    await storage.saveAssociationCache(cacheWithWords(i));
+    await new Promise(resolve => setTimeout(resolve, 5)); // Distinct snapshot timestamps
+  }
+  const backups = fs.readdirSync(backupsDir).sort();
+  check("Only the newest snapshots are kept", backups.length === 3 && backups.every(file => file.startsWith('association-cache-')));
+  check("The newest snapshot matches the saved cache",
+    Object.keys(JSON.parse(fs.readFileSync(path.join(backupsDir, backups[2]), 'utf8')).entries).length === 5);
+  check("A good cache file loads as saved", Object.keys((await storage.loadAssociationCache()).entries).length === 5);
+
+  // A cache file truncated mid-write
+  const text = fs.readFileSync(cacheFilePath, 'utf8');
+  fs.writeFileSync(cacheFilePath, text.slice(0, text.length / 2));
+  const restored = await storage.loadAssociationCache();
+  check("A truncated cache is restored from the newest snapshot", Object.keys(restored.entries).length === 5);
+  check("The restored cache is written back", JSON.parse(fs.readFileSync(cacheFilePath, 'utf8')).version === 2);
+  check("The corrupt file is kept for inspection", fs.readdirSync(dataDir).some(file => file.startsWith('association-cache.json.corrupt-')));
+
+  // A corrupt newest snapshot is skipped
+  fs.writeFileSync(cacheFilePath, '[]');
+  fs.writeFileSync(path.join(backupsDir, backups[2]), '{"version": 2, "entr');
+  const fallback = await storage.loadAssociationCache();
+  check("Unreadable snapshots are skipped", Object.keys(fallback.entries).length === 4);
+
+  // Nothing to restore from
+  fs.rmSync(backupsDir, { recursive: true });
+  fs.writeFileSync(cacheFilePath, '{');
+  check("A corrupt cache without snapshots starts empty", Object.keys(await storage.loadAssociationCache()).length === 0);
+
+  // Missing files aren't restored (e.g. deleted to reset the cache)
+  await storage.saveAssociationCache(cacheWithWords(2));
+  fs.rmSync(cacheFilePath);
+  check("A missing cache starts empty even with snapshots", Object.keys(await storage.loadAssociationCache()).length === 0);
+
+  await storage.saveHintCache({ 'a-b-c': 'hint' });
+  check("Hint cache snapshots are kept too", fs.readdirSync(backupsDir).some(file => file.startsWith('hint-cache-')));
+}
+
+runStorageTests()
+  .catch(fail)
+  .finally(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    finish();
+  });
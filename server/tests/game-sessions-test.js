@@ -0,0 +1,128 @@
+// Test that game sessions replay the move log correctly
+// Run with: node tests/game-sessions-test.js
+
+const gameSessions = require('../lib/game-sessions');
+const { check, finish, requireWithEnv } = require('./helpers');
+
+console.log("=== GAME SESSION TEST ===");
+
+// Small association graph for the test puzzle
+const graph = {
+  "start": ["a", "b", "c"],
+  "a": ["d", "start"],
+  "b": ["target", "start"],
+  "d": ["a", "e"],
+  "e": ["start", "d", "target"]
+};
+
+// Apply a move the same way the server does - using the current word's associations
+function move(session, word) {
+  const currentWord = session.path[session.path.length - 1];
+  return gameSessions.recordMove(session, word, graph[currentWord] || []);
+}
+
+const { token, session } = gameSessions.createSession({
+  startWord: "Start",
+  targetWord: "Target",
+  gameDate: "2025-04-18"
+});
+
+// Token handling
+check("Token resolves to its session", gameSessions.getSession(token) === session);
+check("Tampered token is rejected", gameSessions.getSession(token.slice(0, -2) + 'xx') === null);
+check("Unknown session is rejected", gameSessions.getSession('abc.def') === null);
+check("Words are sanitized", session.startWord === "start" && session.targetWord === "target");
+
+// Moves
+check("Forward move to an association", move(session, "a") === 'forward');
+check("Forward move to another association", move(session, "d") === 'forward');
+check("Requesting the current word is not a move", move(session, "d") === 'stay');
+check("Move to an unrelated word is rejected", move(session, "target") === null);
+check("Returning to the previous word is a back step", move(session, "a") === 'back');
+check("Second back step", move(session, "start") === 'back');
+check("Forward move after going back", move(session, "b") === 'forward');
+check("Final move onto the target", move(session, "target") === 'forward');
+
+// Summary computed from the move log
+const summary = gameSessions.summarizeSession(session);
+check("Path is replayed from the log", summary.path.join(',') === "start,b,target");
+check("Path length", summary.pathLength === 2);
+check("Back steps", summary.backSteps === 2);
+check("Total moves", summary.totalSteps === 6);
+check("A game without hints scores its path length", summary.hintsUsed === 0 && summary.score === 2);
+
+// Hint levels escalate at the same word and start again at the next one
+const { session: hinted } = gameSessions.createSession({ startWord: "start", targetWord: "target" });
+
+// Take the next hint, as the server does once it has been given
+function takeHint(session) {
+  const hint = gameSessions.getNextHint(session);
+  gameSessions.recordHint(session, hint);
+  return hint;
+}
+
+check("Looking at the next hint doesn't take it",
+  gameSessions.getNextHint(hinted).level.level === 1 && gameSessions.getNextHint(hinted).level.level === 1);
+check("The first hint is level 1", takeHint(hinted).level.name === 'theme');
+check("The next hint at the same word is level 2", takeHint(hinted).level.level === 2);
+move(hinted, "b");
+check("Moving on starts again at level 1", takeHint(hinted).level.level === 1);
+move(hinted, "start");
+takeHint(hinted);
+const topHint = takeHint(hinted);
+check("Returning to a word carries on from its last level", topHint.level.name === 'next-step' && topHint.charged);
+const repeated = takeHint(hinted);
+check("Hints past the top level repeat it without charging", repeated.level.level === 4 && !repeated.charged);
+move(hinted, "b");
+move(hinted, "target");
+
+const hintedSummary = gameSessions.summarizeSession(hinted);
+check("Hints are counted", hintedSummary.hintsUsed === 5 && hintedSummary.highestHintLevel === 4);
+check("Each hint's cost is added to the score", hintedSummary.hintPenalty === 1 + 2 + 1 + 3 + 4 && hintedSummary.score === 2 + 11);
+
+// Offered associations are kept per word, for checking moves from it later
+const { session: offered } = gameSessions.createSession({ startWord: "start", targetWord: "target" });
+check("Nothing is offered before associations are sent", gameSessions.getOffered(offered, "start") === null);
+gameSessions.recordOffered(offered, "start", ["Alpha", " beta "]);
+check("Offered associations are kept sanitized", gameSessions.getOffered(offered, "start").join() === "alpha,beta");
+check("Moves are checked against what was offered", move(offered, "alpha") === null &&
+  gameSessions.recordMove(offered, "alpha", gameSessions.getOffered(offered, "start")) === 'forward');
+
+// Distance hints are charged the first time at each word
+const { session: measured } = gameSessions.createSession({ startWord: "start", targetWord: "target" });
+check("A distance hint is charged", gameSessions.recordDistanceHint(measured) === 1);
+check("Another distance hint at the same word is free", gameSessions.recordDistanceHint(measured) === 0);
+move(measured, "a");
+check("A distance hint at the next word is charged", gameSessions.recordDistanceHint(measured) === 1);
+const measuredSummary = gameSessions.summarizeSession(measured);
+check("Distance hints are counted and added to the score",
+  measuredSummary.distanceHintsUsed === 2 && measuredSummary.hintsUsed === 2 &&
+  measuredSummary.highestHintLevel === 0 && measuredSummary.score === 1 + 2);
+
+// Paths never loop - a word already on the path can only be reached by going back
+const { session: looping } = gameSessions.createSession({ startWord: "start", targetWord: "target" });
+move(looping, "a");
+move(looping, "d");
+move(looping, "e");
+check("Moving forward to an earlier word on the path is rejected", move(looping, "start") === null);
+check("A rejected move isn't recorded", looping.path.join(',') === "start,a,d,e" && looping.moves.length === 3);
+check("Moving forward to the word just left is a back step, not a loop", move(looping, "d") === 'back');
+
+// Expiry
+const { token: expiredToken, session: expired } = gameSessions.createSession({ startWord: "start", targetWord: "target" });
+expired.createdAt = Date.now() - gameSessions.SESSION_TTL - 1;
+const countBefore = gameSessions.getSessionCount();
+check("Expired sessions are removed", gameSessions.pruneExpiredSessions() === 1 && gameSessions.getSessionCount() === countBefore - 1);
+check("Expired tokens are rejected", gameSessions.getSession(expiredToken) === null);
+
+// Only MAX_GAME_SESSIONS sessions are kept, the oldest are dropped first
+const limitedSessions = requireWithEnv('../lib/game-sessions', { MAX_GAME_SESSIONS: '3' });
+const tokens = [];
+for (let i = 0; i < 4; i++) {
+  tokens.push(limitedSessions.createSession({ startWord: "start", targetWord: "target" }).token);
+}
+check("Sessions stay within the limit", limitedSessions.getSessionCount() === 3);
+check("The oldest sessions are dropped", limitedSessions.getSession(tokens[0]) === null);
+check("The newest sessions are kept", tokens.slice(1).every(newer => limitedSessions.getSession(newer) !== null));
+
+finish();
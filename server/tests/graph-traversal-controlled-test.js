@@ -235,6 +235,7 @@ async function runTest() {
 // Run the test
 runTest().then(success => {
   console.log(`\nTest ${success ? 'passed' : 'failed'}`);
+  if (!success) process.exitCode = 1;
   console.log(`Cache stats: ${cacheStats.hits} hits, ${cacheStats.misses} misses`);
   console.log(`Cache size: ${Object.keys(associationCache).length} entries`);
 });
\ No newline at end of file
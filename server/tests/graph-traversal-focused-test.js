@@ -215,5 +215,6 @@ async function runTest() {
 // Run the test
 runTest().then(results => {
   console.log(`\nTest summary: ${results.passedTests} passed out of ${results.totalTests}`);
+  if (results.passedTests < results.totalTests) process.exitCode = 1;
   console.log(`Cache stats: ${cacheStats.hits} hits, ${cacheStats.misses} misses`);
 });
\ No newline at end of file
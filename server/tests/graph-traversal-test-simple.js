@@ -153,5 +153,6 @@ findValidPath().then(result => {
   } else {
     console.log(`\n=== TEST FAILED ===`);
     console.log(`No valid path found`);
+    process.exitCode = 1;
   }
 });
\ No newline at end of file
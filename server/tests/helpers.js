@@ -0,0 +1,66 @@
+/**
+ * Test helpers - shared by the test scripts in this directory
+ *
+ * Each script logs its checks with check(), reports errors that stop it early with fail(), and
+ * calls finish() once at the end to print the result. A failing script exits with code 1.
+ * requireWithEnv() loads a module with settings from environment variables.
+ */
+
+let failures = 0;
+
+// Load a fresh copy of a module (a path relative to this directory) with environment variables set,
+// as settings are read once when a module loads. The variables are restored afterwards.
+function requireWithEnv(modulePath, values) {
+  const resolved = require.resolve(modulePath);
+  const saved = {};
+  Object.keys(values).forEach(name => {
+    saved[name] = process.env[name];
+    if (values[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = values[name];
+    }
+  });
+  delete require.cache[resolved];
+  try {
+    return require(resolved);
+  } finally {
+    delete require.cache[resolved];
+    Object.keys(saved).forEach(name => {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    });
+  }
+}
+
+// Log the outcome of a check, counting it if it failed
+function check(description, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) failures++;
+}
+
+// Report an error that stopped some checks from running
+function fail(error) {
+  console.error("Unexpected error:", error);
+  failures++;
+}
+
+// Print the result and set the exit code
+function finish() {
+  if (failures === 0) {
+    console.log("\n=== TEST PASSED ===");
+  } else {
+    console.log(`\n=== TEST FAILED (${failures} checks) ===`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  check,
+  fail,
+  finish,
+  requireWithEnv
+};
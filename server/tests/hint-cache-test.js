@@ -0,0 +1,65 @@
+// Test that hints are cached, evicted, invalidated per puzzle and upgraded from the flat format
+// Run with: node tests/hint-cache-test.js
+
+const { HINT_CACHE_FORMAT_VERSION, hintKey, upgradeStoredHints, createHintCache } = require('../lib/hint-cache');
+const { check, finish } = require('./helpers');
+
+console.log("=== HINT CACHE TEST ===");
+
+// Keys
+check("Keys ignore case and spacing", hintKey(' Scandal', 'SWAN', 'ice  cream') === 'scandal|swan|ice cream');
+check("Hyphenated words don't collide", hintKey('x-ray', 'bone', 'film') !== hintKey('x', 'ray-bone', 'film'));
+
+// Lookups and stats
+const cache = createHintCache({}, { maxEntries: 3 });
+check("Missing hints return null", cache.get('scandal', 'swan', 'pen') === null);
+cache.set('scandal', 'swan', 'pen', 'Think of feathers', { puzzleId: 'p1', provider: 'mock' });
+check("Cached hints are returned", cache.get('Scandal', 'swan', 'PEN') === 'Think of feathers');
+
+const stats = cache.getStats();
+check("Hits and misses are counted", stats.hits === 1 && stats.misses === 1 && stats.hitRate === 0.5);
+
+// Least recently used eviction
+cache.set('scandal', 'swan', 'celebrity', 'Famous birds?', { puzzleId: 'p1' });
+cache.set('sun', 'moon', 'day', 'Opposites', { puzzleId: 'p2' });
+cache.get('scandal', 'swan', 'pen'); // Most recently used now
+cache.set('sun', 'moon', 'sky', 'Look up', { puzzleId: 'p2' });
+check("The cache stays within its size", cache.size === 3 && cache.getStats().evictions === 1);
+check("The least recently used hint is evicted", cache.get('scandal', 'swan', 'celebrity') === null);
+check("Recently used hints are kept", cache.get('scandal', 'swan', 'pen') === 'Think of feathers');
+
+// Stored format
+const stored = cache.toJSON();
+const storedEntry = stored.entries[hintKey('sun', 'moon', 'sky')];
+check("Stored format is versioned", stored.version === HINT_CACHE_FORMAT_VERSION && Object.keys(stored.entries).length === 3);
+check("Entries record their puzzle, provider and times",
+  storedEntry.puzzleId === 'p2' && storedEntry.provider === null && !isNaN(Date.parse(storedEntry.createdAt)));
+
+const reloaded = createHintCache(JSON.parse(JSON.stringify(stored)));
+check("Versioned caches reload unchanged", reloaded.size === 3 && reloaded.get('sun', 'moon', 'sky') === 'Look up');
+
+// Per-puzzle invalidation
+const removed = reloaded.invalidatePuzzle({ id: 'p2', startWord: 'sun', targetWord: 'moon' });
+check("A puzzle's hints are invalidated together", removed === 2 && reloaded.size === 1);
+check("Other puzzles' hints are kept", reloaded.get('scandal', 'swan', 'pen') === 'Think of feathers');
+check("Invalidations are counted", reloaded.getStats().invalidations === 2);
+
+// Upgrading the original flat format
+const legacy = {
+  'sun-moon-day': 'Opposites',
+  'x-ray-bone-film': 'Ambiguous key',
+  'sun-star-sky': ''
+};
+const upgrade = upgradeStoredHints(legacy);
+check("The flat format is detected as version 1", upgrade.fromVersion === 1);
+check("Flat keys are split into words", upgrade.entries.get(hintKey('sun', 'moon', 'day')).hint === 'Opposites');
+check("Ambiguous and empty entries are dropped", upgrade.entries.size === 1 && upgrade.dropped === 2);
+
+const upgraded = createHintCache(legacy);
+check("Upgraded hints without a puzzle ID are invalidated by start and target word",
+  upgraded.invalidatePuzzle({ id: 'p9', startWord: 'Sun', targetWord: 'Moon' }) === 1);
+
+upgraded.clear();
+check("Clearing empties the cache and its stats", upgraded.size === 0 && upgraded.getStats().invalidations === 0);
+
+finish();
@@ -0,0 +1,173 @@
+// Test that provider answers are moderated and flagged content is quarantined
+// Run with: node tests/moderation-test.js
+
+const { createModerator } = require('../lib/moderation');
+const { createQuarantine } = require('../lib/quarantine');
+const { createModeratedProvider } = require('../lib/providers');
+const { check, fail, finish, requireWithEnv } = require('./helpers');
+
+console.log("=== MODERATION TEST ===");
+
+// A provider that gives each answer in its lists in turn (repeating the last), counting the calls
+function createScriptedProvider(script) {
+  const calls = { getAssociations: 0, generateTheme: 0, getHint: 0 };
+  const next = (name) => script[name][Math.min(calls[name]++, script[name].length - 1)];
+  return {
+    calls,
+    name: 'scripted',
+    usesLanguageModel: true,
+    promptVersions: { scripted: 1 },
+    async getAssociations() {
+      const words = next('getAssociations');
+      return {
+        wordArray: words.map(item => item.word),
+        detailedArray: words,
+        source: { provider: 'scripted', model: null, promptVersion: 1 }
+      };
+    },
+    async generateTheme() {
+      return next('generateTheme');
+    },
+    async getHint() {
+      return next('getHint');
+    },
+    getInfo() {
+      return { provider: 'scripted' };
+    }
+  };
+}
+
+(async () => {
+  try {
+    // Blocklist
+    const { DEFAULT_BLOCKLIST, BLOCKLIST } = requireWithEnv('../lib/moderation', { MODERATION_BLOCKLIST: 'Gloop, bad phrase' });
+    check("The blocklist adds MODERATION_BLOCKLIST to the defaults",
+      BLOCKLIST.includes('gloop') && BLOCKLIST.includes('bad phrase') && BLOCKLIST.length === DEFAULT_BLOCKLIST.length + 2);
+
+    const moderator = createModerator({ blocklist: ['gloop', 'bad phrase'], classifier: null });
+    check("Blocked words are flagged in any case", moderator.checkBlocklist('A GLOOP!').reason.includes('gloop'));
+    check("Blocked phrases are flagged", moderator.checkBlocklist('this is a bad phrase indeed') !== null);
+    check("Only whole words are flagged", moderator.checkBlocklist('gloopy sploosh') === null);
+    check("Clean text passes", (await moderator.check('sunshine', 'association')) === null);
+
+    // Classifier
+    const classified = createModerator({
+      blocklist: [],
+      classifier: async (text, kind) => ({ flagged: text.includes('mean') && kind === 'hint', reason: 'unkind' })
+    });
+    const flag = await classified.check('a mean hint', 'hint');
+    check("The classifier can flag content", flag && flag.source === 'classifier' && flag.reason === 'unkind');
+    check("The classifier is told what kind of content it is checking", (await classified.check('a mean word', 'association')) === null);
+
+    const broken = createModerator({ blocklist: ['gloop'], classifier: async () => { throw new Error('offline'); } });
+    check("A failing classifier lets content through", (await broken.check('fine', 'hint')) === null);
+    check("The blocklist still applies when the classifier fails", (await broken.check('gloop', 'hint')) !== null);
+    check("Classifier failures are counted", broken.getInfo().classifierErrors === 1);
+
+    // Quarantine
+    const quarantine = createQuarantine({}, { maxEntries: 2 });
+    const logged = [];
+    const log = console.log;
+    console.log = message => logged.push(message);
+    let first;
+    try {
+      first = quarantine.add({ kind: 'association', text: 'Gloop', context: { word: 'slime' }, reason: 'blocked', source: 'blocklist' });
+      quarantine.add({ kind: 'association', text: 'gloop', context: { word: 'slime' }, reason: 'blocked', source: 'blocklist' });
+    } finally {
+      console.log = log;
+    }
+    check("The same content flagged again is counted, not repeated", quarantine.size === 1 && quarantine.list()[0].count === 2);
+    check("Only new entries are logged", logged.length === 1);
+    check("Quarantined content can be looked up",
+      quarantine.has('association', 'GLOOP', { word: 'slime' }) && !quarantine.has('association', 'gloop', { word: 'goo' }));
+
+    // Saving - the quarantine stays dirty until the revision that was saved is marked saved
+    check("Changes make the quarantine dirty", quarantine.dirty);
+    const savedRevision = quarantine.revision;
+    quarantine.toJSON();
+    check("Getting the stored format doesn't mark it saved", quarantine.dirty);
+    quarantine.add({ kind: 'association', text: 'gloop', context: { word: 'slime' }, reason: 'blocked', source: 'blocklist' });
+    quarantine.markSaved(savedRevision);
+    check("Changes made while saving are still to be saved", quarantine.dirty);
+    quarantine.markSaved();
+    check("The quarantine is clean once its latest revision is saved", !quarantine.dirty);
+    quarantine.add({ kind: 'hint', text: 'a mean hint', context: {}, reason: 'unkind', source: 'classifier' });
+    check("Entries can be listed by kind", quarantine.list('hint').length === 1 && quarantine.list('theme').length === 0);
+    quarantine.add({ kind: 'theme', text: 'Bad Phrase', context: {}, reason: 'blocked', source: 'blocklist' });
+    check("The least recently flagged entries are dropped over the limit", quarantine.size === 2 && !quarantine.list().some(entry => entry.id === first.id));
+    check("Unknown kinds can't be quarantined", (() => {
+      try {
+        quarantine.add({ kind: 'puzzle', text: 'x' });
+        return false;
+      } catch (error) {
+        return true;
+      }
+    })());
+
+    const reloaded = createQuarantine(JSON.parse(JSON.stringify(quarantine.toJSON())));
+    check("The quarantine survives a save and reload", reloaded.size === 2 && !reloaded.dirty);
+    check("Entries can be dismissed", reloaded.remove(reloaded.list()[0].id) && reloaded.size === 1 && reloaded.dirty);
+    check("Dismissing an unknown entry does nothing", !reloaded.remove('missing'));
+
+    // Moderated provider
+    const flagged = [];
+    const scripted = createScriptedProvider({
+      getAssociations: [
+        [{ word: 'sun', hint: 'bright' }, { word: 'gloop', hint: '' }, { word: 'sea', hint: 'a bad phrase' }, { word: 'sky', hint: '' }],
+        [{ word: 'sun', hint: 'bright' }, { word: 'sea', hint: 'waves' }, { word: 'sky', hint: '' }, { word: 'sand', hint: '' }]
+      ],
+      generateTheme: [{ theme: 'Gloop World', description: '' }, { theme: 'Seaside', description: 'By the sea' }],
+      getHint: ['gloop'] // always flagged
+    });
+    const provider = createModeratedProvider(scripted, moderator, { onFlagged: entry => flagged.push(entry), maxAttempts: 2 });
+    check("The moderated provider keeps the provider's name", provider.name === 'scripted' && provider.promptVersions.scripted === 1);
+
+    const associations = await provider.getAssociations('beach');
+    check("Too few clean associations are asked for again", scripted.calls.getAssociations === 2);
+    check("Flagged associations and associations with flagged hints are reported",
+      flagged.some(entry => entry.text === 'gloop' && entry.context.word === 'beach') &&
+      flagged.some(entry => entry.text === 'a bad phrase' && entry.context.association === 'sea'));
+    check("Clean associations are returned", associations.wordArray.join() === 'sun,sea,sky,sand' && associations.detailedArray.length === 4);
+
+    const theme = await provider.generateTheme('sun', 'sea');
+    check("Flagged themes are asked for again", theme.theme === 'Seaside' && scripted.calls.generateTheme === 2);
+
+    const hintError = await provider.getHint('sun', 'sea', 'sky').then(() => null, error => error);
+    check("Hints still flagged after every attempt are an error", Boolean(hintError) && hintError.message.includes('moderation') &&
+      scripted.calls.getHint === 2);
+    check("Flagged content records where it came from", flagged.every(entry => entry.provider === 'scripted' && entry.source === 'blocklist'));
+    check("Moderation stats are shown with the provider info", provider.getInfo().moderation.flagged === flagged.length);
+
+    const dropped = createModeratedProvider(createScriptedProvider({
+      getAssociations: [[{ word: 'sun', hint: '' }, { word: 'gloop', hint: '' }, { word: 'sky', hint: '' }, { word: 'sea', hint: '' }]],
+      generateTheme: [],
+      getHint: []
+    }), moderator);
+    const enough = await dropped.getAssociations('beach');
+    check("Flagged associations are dropped when enough clean ones are left", enough.wordArray.join() === 'sun,sky,sea');
+
+    // A slow classifier checks a batch of associations at once rather than one after another
+    let checking = 0;
+    let mostAtOnce = 0;
+    const slow = createModeratedProvider(createScriptedProvider({
+      getAssociations: [[{ word: 'sun', hint: 'bright' }, { word: 'sky', hint: 'blue' }, { word: 'sea', hint: 'a mean hint' }, { word: 'sand', hint: '' }]],
+      generateTheme: [],
+      getHint: []
+    }), createModerator({
+      blocklist: [],
+      classifier: async text => {
+        mostAtOnce = Math.max(mostAtOnce, ++checking);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        checking--;
+        return { flagged: text.includes('mean'), reason: 'unkind' };
+      }
+    }));
+    const batch = await slow.getAssociations('beach');
+    check("Associations are classified concurrently", mostAtOnce === 4);
+    check("Concurrent classification keeps the associations in order", batch.wordArray.join() === 'sun,sky,sand');
+  } catch (error) {
+    fail(error);
+  }
+
+  finish();
+})();
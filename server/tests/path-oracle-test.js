@@ -0,0 +1,64 @@
+// Test that shortest distances, next steps and warmer/colder comparisons come from the whole cached graph
+// Run with: node tests/path-oracle-test.js
+
+const { createAssociationCache } = require('../lib/association-cache');
+const { computeDistances, createPathOracle, getPuzzleOracle } = require('../lib/path-oracle');
+const { check, finish } = require('./helpers');
+
+console.log("=== PATH ORACLE TEST ===");
+
+// sun -> day -> night -> moon is the long way round; sun -> sky -> moon is the shortest
+const cache = createAssociationCache();
+cache.set('sun', ['day', 'sky', 'beach']);
+cache.set('day', ['night', 'week']);
+cache.set('night', ['Moons', 'dark']);
+cache.set('sky', ['cloud', 'moon']);
+cache.set('beach', ['sand', 'sea']);
+cache.set('sand', ['desert']);
+cache.set('cloud', ['rain', 'sky']);
+
+const distances = computeDistances(cache, 'moon');
+check("The target is no moves away", distances.get('moon') === 0);
+check("Distances are the fewest moves", distances.get('sun') === 2 && distances.get('day') === 2 && distances.get('night') === 1);
+check("Words with no route to the target are left out", !distances.has('beach') && !distances.has('sand'));
+
+const oracle = createPathOracle(cache, 'moon');
+check("Lookups ignore case and plurals", oracle.distanceFrom(' Nights ') === 1 && oracle.distanceFrom('Moons') === 0);
+check("Uncached words have an unknown distance", oracle.distanceFrom('week') === null);
+check("Next steps are associations one move closer", oracle.nextSteps('sun').join() === 'sky');
+check("Shortest paths end with the target as given", oracle.shortestPath('sun').join() === 'sun,sky,moon');
+check("Shortest paths through a plural still end with the target", oracle.shortestPath('night').join() === 'night,moon');
+check("No path is given from unreachable words", oracle.shortestPath('beach') === null);
+check("Moves towards the target are closer", oracle.compare('sun', 'sky') === 'closer');
+check("Moves away from the target are further", oracle.compare('sky', 'cloud') === 'further');
+check("Moves between equal distances are the same", oracle.compare('sun', 'day') === 'same');
+check("Comparisons with unknown distances are unknown", oracle.compare('sun', 'beach') === null);
+check("Reachable words are counted", oracle.reachableWords === 5);
+
+// Memoized oracles
+const puzzle = { startWord: 'sun', targetWord: 'moon' };
+const memoized = getPuzzleOracle(cache, puzzle);
+check("Oracles are reused while the cache is unchanged", getPuzzleOracle(cache, { targetWord: 'Moons' }) === memoized);
+
+cache.set('beach', ['sand', 'moon']);
+const rebuilt = getPuzzleOracle(cache, puzzle);
+check("Oracles are rebuilt when the cache changes", rebuilt !== memoized && rebuilt.distanceFrom('beach') === 1);
+check("New routes shorten distances", rebuilt.nextSteps('sun').join() === 'sky,beach');
+
+cache.delete('sky');
+check("Removed words no longer count as routes", getPuzzleOracle(cache, puzzle).shortestPath('sun').join() === 'sun,beach,moon');
+
+const otherCache = createAssociationCache();
+check("Each cache has its own oracles", getPuzzleOracle(otherCache, puzzle).distanceFrom('sun') === null);
+
+// Filtered graphs, e.g. leaving out what the moderation blocklist hides
+const isOffered = association => association !== 'beach';
+const filtered = getPuzzleOracle(cache, puzzle, isOffered);
+check("Oracles are rebuilt for a different filter", filtered !== getPuzzleOracle(cache, puzzle));
+check("Filtered associations aren't routes", filtered.shortestPath('sun').join() === 'sun,day,night,moon');
+check("Filtered associations aren't next steps", filtered.nextSteps('sun').join() === 'day');
+check("Oracles are reused for the same filter", getPuzzleOracle(cache, puzzle, isOffered) === getPuzzleOracle(cache, puzzle, isOffered));
+check("Filtered distances leave out the filtered words' routes",
+  computeDistances(cache, 'moon', (association, word) => word !== 'night').get('day') === undefined);
+
+finish();
@@ -0,0 +1,170 @@
+// Test that the pre-generation worker fills its buffer with complete puzzles and backs off after failures
+// Run with: node tests/pregeneration-worker-test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  CHECK_INTERVAL,
+  findPuzzleProblem,
+  getRetryDelay,
+  createPregenerationWorker
+} = require('../lib/pregeneration-worker');
+const { MIN_QUALITY } = require('../lib/puzzle-evaluator');
+const { setStorage } = require('../lib/storage');
+const { createFilesystemStorage } = require('../lib/storage/filesystem-storage');
+const puzzleRepository = require('../lib/puzzle-repository');
+const puzzleSchedule = require('../lib/puzzle-schedule');
+const { check, fail, finish } = require('./helpers');
+
+console.log("=== PRE-GENERATION WORKER TEST ===");
+
+const validPuzzle = {
+  startWord: "Scandal",
+  targetWord: "swan",
+  hiddenSolution: ["scandal", "celebrity", "autograph", "pen", "swan"]
+};
+
+check("Complete puzzle is valid", findPuzzleProblem(validPuzzle) === null);
+check("Missing puzzle is invalid", findPuzzleProblem(null) !== null);
+check("Missing target word is invalid", findPuzzleProblem({ ...validPuzzle, targetWord: undefined }) !== null);
+check("Missing hidden solution is invalid", findPuzzleProblem({ ...validPuzzle, hiddenSolution: undefined }) !== null);
+check("Too short hidden solution is invalid", findPuzzleProblem({ ...validPuzzle, hiddenSolution: ["scandal", "swan"] }) !== null);
+check("Hidden solution from another start word is invalid",
+  findPuzzleProblem({ ...validPuzzle, hiddenSolution: ["rumor", "celebrity", "swan"] }) !== null);
+check("Hidden solution ending elsewhere is invalid",
+  findPuzzleProblem({ ...validPuzzle, hiddenSolution: ["scandal", "celebrity", "pen"] }) !== null);
+check("Hidden solution that repeats a word is invalid",
+  findPuzzleProblem({ ...validPuzzle, hiddenSolution: ["scandal", "pen", "celebrity", "pen", "swan"] }) !== null);
+check("Puzzle scored below the minimum quality is invalid",
+  findPuzzleProblem({ ...validPuzzle, quality: { score: MIN_QUALITY - 1 } }) !== null);
+check("Puzzle scored at the minimum quality is valid",
+  findPuzzleProblem({ ...validPuzzle, quality: { score: MIN_QUALITY } }) === null);
+
+// Retry delays
+check("The first retry waits 30 seconds", getRetryDelay(1) === 30 * 1000);
+check("Retry delays double after each failure", getRetryDelay(2) === 60 * 1000 && getRetryDelay(3) === 120 * 1000);
+check("Retry delays stop growing at 30 minutes", getRetryDelay(10) === 30 * 60 * 1000 && getRetryDelay(50) === 30 * 60 * 1000);
+
+// The worker, with puzzles saved and queued in a temporary directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pregeneration-test-'));
+
+// Use empty storage for one part of the test
+function useEmptyStorage(name) {
+  setStorage(createFilesystemStorage(path.join(dataDir, name)));
+}
+
+// A fake generator that makes one API call per puzzle, giving a different puzzle each time
+function createFakeGenerator(makePuzzle = index => ({
+  startWord: `start${index}`,
+  targetWord: `target${index}`,
+  hiddenSolution: [`start${index}`, 'middle', `target${index}`]
+})) {
+  const generator = async (onApiCallMade) => {
+    onApiCallMade();
+    return makePuzzle(++generator.calls);
+  };
+  generator.calls = 0;
+  return generator;
+}
+
+// Wait until the worker is waiting out a delay (a full buffer, its daily budget or a failure)
+async function waitUntilIdle(worker, condition = () => true) {
+  const deadline = Date.now() + 10000;
+  while (Date.now() < deadline) {
+    const status = worker.getStatus();
+    if (!status.generating && status.nextAttemptAt && status.nextAttemptAt.getTime() > Date.now() + 1000 && condition(status)) {
+      return status;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for the pre-generation worker');
+}
+
+(async () => {
+  try {
+    // Filling the buffer
+    useEmptyStorage('buffer');
+    const generatePuzzle = createFakeGenerator();
+    let apiCalls = 0;
+    const worker = createPregenerationWorker({ generatePuzzle, onApiCallMade: () => apiCalls++, bufferTarget: 2 });
+    worker.start();
+    let status = await waitUntilIdle(worker, current => current.bufferDepth >= 2);
+    worker.stop();
+    check("The worker generates puzzles until the buffer is full", generatePuzzle.calls === 2 && status.puzzlesGenerated === 2);
+    check("Generated puzzles are queued in upcoming slots", await puzzleSchedule.countQueuedSlots() === 2);
+    check("A full buffer is checked again later", status.nextAttemptAt.getTime() - Date.now() > CHECK_INTERVAL - 1000);
+    check("API calls are counted and passed on", status.apiCallsSpent === 2 && apiCalls === 2);
+    const queued = Object.entries(await puzzleSchedule.loadSchedule());
+    const queuedPuzzles = await Promise.all(queued.map(([, entry]) => puzzleRepository.getPuzzleById(entry.puzzleId)));
+    check("Queued puzzles are dated by their slot",
+      queued.length === 2 && queuedPuzzles.every((puzzle, i) => puzzle.gameDate === queued[i][0].split('T')[0]));
+
+    // Backoff
+    useEmptyStorage('backoff');
+    const failingWorker = createPregenerationWorker({
+      generatePuzzle: async () => { throw new Error('provider unavailable'); },
+      bufferTarget: 2
+    });
+    failingWorker.start();
+    status = await waitUntilIdle(failingWorker);
+    check("Failures are reported", status.consecutiveFailures === 1 && status.lastFailure.message === 'provider unavailable');
+    const retryIn = status.nextAttemptAt.getTime() - Date.now();
+    check("A failed attempt is retried after the backoff delay", retryIn > getRetryDelay(1) - 1000 && retryIn <= getRetryDelay(1));
+    failingWorker.poke();
+    check("Poking doesn't cut a backoff short", failingWorker.getStatus().nextAttemptAt.getTime() === status.nextAttemptAt.getTime());
+    failingWorker.stop();
+    check("Nothing is queued after a failure", await puzzleSchedule.countQueuedSlots() === 0);
+
+    const invalidWorker = createPregenerationWorker({
+      generatePuzzle: createFakeGenerator(index => ({ startWord: `start${index}`, targetWord: `target${index}`, hiddenSolution: [] })),
+      bufferTarget: 2
+    });
+    invalidWorker.start();
+    status = await waitUntilIdle(invalidWorker);
+    invalidWorker.stop();
+    check("Invalid puzzles count as failures and aren't queued",
+      status.consecutiveFailures === 1 && status.lastFailure.message.includes('invalid') && await puzzleSchedule.countQueuedSlots() === 0);
+
+    const rejectingWorker = createPregenerationWorker({
+      generatePuzzle: createFakeGenerator(),
+      validatePuzzle: async () => 'not an association',
+      bufferTarget: 2
+    });
+    rejectingWorker.start();
+    status = await waitUntilIdle(rejectingWorker);
+    rejectingWorker.stop();
+    check("Puzzles failing the extra validation aren't queued",
+      status.lastFailure.message.includes('not an association') && await puzzleSchedule.countQueuedSlots() === 0);
+
+    // Daily budget
+    useEmptyStorage('budget');
+    const budgetGenerator = createFakeGenerator();
+    const budgetWorker = createPregenerationWorker({ generatePuzzle: budgetGenerator, bufferTarget: 3, maxPuzzlesPerDay: 1 });
+    budgetWorker.start();
+    status = await waitUntilIdle(budgetWorker, current => current.puzzlesGeneratedToday >= 1);
+    budgetWorker.stop();
+    check("The worker stops generating for the day at its budget",
+      budgetGenerator.calls === 1 && status.bufferDepth === 1 && status.consecutiveFailures === 0);
+
+    // Falling back when the buffer is empty
+    useEmptyStorage('fallback');
+    const slotKey = puzzleSchedule.getSlotKey();
+    check("With no saved puzzles there is nothing to fall back to", await puzzleSchedule.resolveSlot(slotKey) === null);
+    const seedWorker = createPregenerationWorker({ generatePuzzle: createFakeGenerator(), bufferTarget: 1 });
+    seedWorker.start();
+    await waitUntilIdle(seedWorker, current => current.bufferDepth >= 1);
+    seedWorker.stop();
+    const queuedSlot = Object.keys(await puzzleSchedule.loadSchedule())[0];
+    const emptySlot = puzzleSchedule.getUpcomingSlotKeys(3)[2];
+    const fallback = await puzzleSchedule.resolveSlot(emptySlot);
+    check("A slot the worker didn't fill falls back to a saved puzzle",
+      fallback && fallback.source === 'fallback' && fallback.puzzleId === (await puzzleSchedule.getSlot(queuedSlot)).puzzleId);
+  } catch (error) {
+    fail(error);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  finish();
+})();
@@ -0,0 +1,58 @@
+// Test that puzzles are scored on the cached association graph and low scores are rejected
+// Run with: node tests/puzzle-evaluator-test.js
+
+const { createAssociationCache } = require('../lib/association-cache');
+const { evaluatePuzzle } = require('../lib/puzzle-evaluator');
+const { check, finish, requireWithEnv } = require('./helpers');
+
+console.log("=== PUZZLE EVALUATOR TEST ===");
+
+// Three shortest routes from sun to moon (through sky, star or day, then night), each word offered by several words
+const cache = createAssociationCache();
+cache.set('sun', ['sky', 'star', 'day']);
+cache.set('sky', ['night', 'star', 'cloud']);
+cache.set('star', ['night', 'sky']);
+cache.set('day', ['night', 'sky']);
+cache.set('night', ['dusk', 'dark']);
+cache.set('dusk', ['moon', 'dark']);
+cache.set('dark', ['moon', 'dusk']);
+cache.set('cloud', ['night', 'sky']);
+
+const good = evaluatePuzzle(cache, { startWord: 'sun', targetWord: 'moon' });
+check("Steps are the shortest route's length", good.steps === 4);
+check("Shortest routes are counted", good.routes >= 3);
+check("A puzzle with several well-linked routes scores highly", good.score >= 80);
+check("A good puzzle has no problems", good.problems.length === 0);
+
+// A single route through words only one cached word offers, with explored dead ends on the way
+const sparse = createAssociationCache();
+sparse.set('sun', ['sky', 'beach', 'sand', 'heat']);
+sparse.set('sky', ['eclipse', 'blue', 'kite']);
+sparse.set('eclipse', ['moon']);
+sparse.set('beach', ['sand', 'wave']);
+sparse.set('kite', ['string', 'wind']);
+
+const poor = evaluatePuzzle(sparse, { startWord: 'sun', targetWord: 'moon' });
+check("Explored words along the route that lead nowhere are dead ends", poor.deadEndRatio === 1);
+sparse.delete('kite');
+sparse.delete('beach');
+check("Unexplored words aren't counted as dead ends", evaluatePuzzle(sparse, { startWord: 'sun', targetWord: 'moon' }).deadEndRatio === 0);
+check("Words only one cached word offers are obscure", poor.obscurity > 0);
+check("A puzzle hanging on one obscure route scores lower", poor.score < good.score);
+check("Problems describe why a puzzle scored low", poor.problems.some(problem => problem.includes('only shortest route')));
+
+const trivial = evaluatePuzzle(cache, { startWord: 'dusk', targetWord: 'moon' });
+check("One-move puzzles are flagged as too short", trivial.problems.some(problem => problem.includes('only 1 move')));
+
+const unreachable = evaluatePuzzle(cache, { startWord: 'sun', targetWord: 'comet' });
+check("Unreachable targets score 0", unreachable.score === 0 && unreachable.steps === null && unreachable.problems.length === 1);
+
+// Threshold
+check("The minimum score defaults to 50",
+  requireWithEnv('../lib/puzzle-evaluator', { PUZZLE_MIN_QUALITY: undefined }).MIN_QUALITY === 50);
+const { MIN_QUALITY, isAcceptable } = requireWithEnv('../lib/puzzle-evaluator', { PUZZLE_MIN_QUALITY: '70' });
+check("The minimum score comes from PUZZLE_MIN_QUALITY", MIN_QUALITY === 70);
+check("Scores below the minimum are rejected", !isAcceptable({ score: 69 }) && isAcceptable({ score: 70 }));
+check("A minimum can be passed in", isAcceptable({ score: 40 }, 30) && !isAcceptable(null, 0));
+
+finish();
@@ -0,0 +1,51 @@
+// Test that concurrent updates to a puzzle's stats are all kept
+// Run with: node tests/puzzle-repository-test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puzzleRepository = require('../lib/puzzle-repository');
+const { setStorage } = require('../lib/storage');
+const { createFilesystemStorage } = require('../lib/storage/filesystem-storage');
+const { check, fail, finish } = require('./helpers');
+
+console.log("=== PUZZLE REPOSITORY TEST ===");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repository-test-'));
+setStorage(createFilesystemStorage(dataDir));
+
+(async () => {
+  try {
+    // Players finishing the same archive puzzle at once
+    const updates = [];
+    for (let i = 0; i < 20; i++) {
+      updates.push(puzzleRepository.updatePuzzleStats('a1b2c3', stats => {
+        stats.totalPlays++;
+        stats.completions.push(i);
+      }));
+    }
+    const results = await Promise.all(updates);
+    const stats = await puzzleRepository.getPuzzleStats('a1b2c3');
+    check("Concurrent updates to the same puzzle are all saved", stats.totalPlays === 20 && stats.completions.length === 20);
+    check("Updates are applied in the order they were made", stats.completions.join() === [...Array(20).keys()].join());
+    check("Each update returns the stats after it", results[0].totalPlays === 1 && results[19].totalPlays === 20);
+
+    // A failed update doesn't stop the ones after it
+    const failed = puzzleRepository.updatePuzzleStats('a1b2c3', () => { throw new Error('bad update'); })
+      .then(() => null, error => error);
+    const after = puzzleRepository.updatePuzzleStats('a1b2c3', current => { current.totalPlays++; });
+    check("A failed update is reported", (await failed).message === 'bad update');
+    check("Updates after a failed one still run", (await after).totalPlays === 21);
+
+    // Other puzzles' stats are kept apart
+    await puzzleRepository.updatePuzzleStats('d4e5f6', current => { current.totalPlays++; });
+    check("Each puzzle has its own stats", (await puzzleRepository.getPuzzleStats('d4e5f6')).totalPlays === 1 &&
+      (await puzzleRepository.getPuzzleStats('a1b2c3')).totalPlays === 21);
+  } catch (error) {
+    fail(error);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  finish();
+})();
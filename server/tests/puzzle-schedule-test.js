@@ -0,0 +1,107 @@
+// Test that schedule slots are computed the same way on every instance
+// Run with: node tests/puzzle-schedule-test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puzzleSchedule = require('../lib/puzzle-schedule');
+const { setStorage } = require('../lib/storage');
+const { createFilesystemStorage } = require('../lib/storage/filesystem-storage');
+const { check, fail, finish, requireWithEnv } = require('./helpers');
+
+console.log("=== PUZZLE SCHEDULE TEST ===");
+
+// Hourly slots (the default)
+const time = new Date('2025-04-19T13:47:12.345Z');
+
+check("Slot starts on the UTC hour", puzzleSchedule.getSlotKey(time) === '2025-04-19T13:00:00.000Z');
+check("Slot ends an hour later", puzzleSchedule.getSlotEnd('2025-04-19T13:00:00.000Z').toISOString() === '2025-04-19T14:00:00.000Z');
+check("Last slot of the day ends at UTC midnight", puzzleSchedule.getSlotEnd('2025-04-19T23:00:00.000Z').toISOString() === '2025-04-20T00:00:00.000Z');
+
+const upcoming = puzzleSchedule.getUpcomingSlotKeys(3, time);
+check("Upcoming slots start with the current slot", upcoming[0] === '2025-04-19T13:00:00.000Z');
+check("Upcoming slots are consecutive", upcoming[1] === '2025-04-19T14:00:00.000Z' && upcoming[2] === '2025-04-19T15:00:00.000Z');
+
+// Slot key validation
+check("Slot boundary is a valid key", puzzleSchedule.isValidSlotKey('2025-04-19T13:00:00.000Z'));
+check("Time inside a slot is not a valid key", !puzzleSchedule.isValidSlotKey('2025-04-19T13:30:00.000Z'));
+check("Non-ISO date is not a valid key", !puzzleSchedule.isValidSlotKey('2025-04-19 13:00'));
+check("Garbage is not a valid key", !puzzleSchedule.isValidSlotKey('tomorrow'));
+
+// Configurable rotation period
+const halfHourly = requireWithEnv('../lib/puzzle-schedule', { ROTATION_PERIOD_MINUTES: '30' });
+check("30 minute slots start on the half hour", halfHourly.getSlotKey(time) === '2025-04-19T13:30:00.000Z');
+check("Half hour is a valid key with 30 minute slots", halfHourly.isValidSlotKey('2025-04-19T13:30:00.000Z'));
+
+const daily = requireWithEnv('../lib/puzzle-schedule', { ROTATION_PERIOD_MINUTES: '1440' });
+check("Daily slots start at UTC midnight", daily.getSlotKey(time) === '2025-04-19T00:00:00.000Z');
+
+let rejected = false;
+try {
+  requireWithEnv('../lib/puzzle-schedule', { ROTATION_PERIOD_MINUTES: '7' });
+} catch (error) {
+  rejected = true;
+}
+check("Period that doesn't divide a day is rejected", rejected);
+
+// Fallback picks for slots nothing was queued for, from saved puzzles in a temporary directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-test-'));
+
+(async () => {
+  try {
+    const puzzleIds = ['a', 'b', 'c', 'd', 'e'];
+    const slotKey = puzzleSchedule.getSlotKey();
+
+    setStorage(createFilesystemStorage(path.join(dataDir, 'empty')));
+    check("No puzzles means no pick", await puzzleSchedule.resolveSlot(slotKey) === null);
+
+    const storage = createFilesystemStorage(path.join(dataDir, 'puzzles'));
+    for (const [index, id] of puzzleIds.entries()) {
+      await storage.savePuzzle(`2025-04-1${index}_00-00-00_start${id}_target${id}.json`,
+        { id, startWord: `start${id}`, targetWord: `target${id}`, hiddenSolution: [`start${id}`, 'middle', `target${id}`] });
+    }
+    setStorage(storage);
+
+    const pick = (await puzzleSchedule.resolveSlot(slotKey)).puzzleId;
+    check("Fallback pick is one of the puzzles", puzzleIds.includes(pick));
+    check("Same slot always picks the same puzzle", (await puzzleSchedule.resolveSlot(slotKey)).puzzleId === pick);
+
+    // Another instance sharing the storage sees the pick that was saved
+    setStorage(createFilesystemStorage(path.join(dataDir, 'puzzles')));
+    check("Other instances get the same pick", (await puzzleSchedule.getSlot(slotKey)).puzzleId === pick);
+
+    const picks = new Set();
+    for (const key of puzzleSchedule.getUpcomingSlotKeys(puzzleIds.length, new Date(slotKey))) {
+      picks.add((await puzzleSchedule.resolveSlot(key)).puzzleId);
+    }
+    check("Different slots pick different puzzles", picks.size === puzzleIds.length);
+
+    // Changes made at the same time are applied one after another, so none are lost
+    setStorage(createFilesystemStorage(path.join(dataDir, 'concurrent')));
+    const queued = await Promise.all(puzzleIds.map(id => puzzleSchedule.queuePuzzle(id)));
+    check("Puzzles queued at the same time get different slots", new Set(queued).size === puzzleIds.length);
+    const nextSlot = puzzleSchedule.getUpcomingSlotKeys(2)[1];
+    await Promise.all([
+      puzzleSchedule.clearSlot(nextSlot),
+      puzzleSchedule.assignSlot(slotKey, 'a', 'admin')
+    ]);
+    const afterChanges = await puzzleSchedule.loadSchedule();
+    check("Concurrent changes to different slots are all kept",
+      !afterChanges[nextSlot] && afterChanges[slotKey].puzzleId === 'a' && Object.keys(afterChanges).length === puzzleIds.length);
+
+    // Old slots are dropped when the schedule changes
+    const oldSlot = puzzleSchedule.getSlotKey(Date.now() - puzzleSchedule.SCHEDULE_HISTORY_WINDOW - 2 * 60 * 60 * 1000);
+    const recentSlot = puzzleSchedule.getSlotKey(Date.now() - 2 * 60 * 60 * 1000);
+    await puzzleSchedule.assignSlot(oldSlot, 'b', 'admin');
+    await puzzleSchedule.assignSlot(recentSlot, 'c', 'admin');
+    const pruned = await puzzleSchedule.loadSchedule();
+    check("Slots older than the history window are dropped", !pruned[oldSlot]);
+    check("Recent slots are kept", pruned[recentSlot].puzzleId === 'c');
+  } catch (error) {
+    fail(error);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  finish();
+})();
@@ -0,0 +1,75 @@
+// Test that seeded random numbers repeat, and that the same seed and cache generate the same puzzle
+// Run with: node tests/random-test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateSeed, createRandom, randomInt, shuffle } = require('../lib/random');
+const { createProvider } = require('../lib/providers');
+const { createAssociationCache } = require('../lib/association-cache');
+const puzzleGenerator = require('../lib/puzzle-generator');
+const puzzleRepository = require('../lib/puzzle-repository');
+const { setStorage } = require('../lib/storage');
+const { createFilesystemStorage } = require('../lib/storage/filesystem-storage');
+const { check, fail, finish } = require('./helpers');
+
+console.log("=== SEEDED RANDOM TEST ===");
+
+// Take the first few numbers from a generator
+function sample(random, count = 5) {
+  return Array.from({ length: count }, () => random());
+}
+
+// Saved puzzles go to a temporary directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'random-test-'));
+setStorage(createFilesystemStorage(dataDir));
+
+(async () => {
+  try {
+    // Generators
+    const first = sample(createRandom('2026-10-19'));
+    check("The same seed gives the same numbers", first.join() === sample(createRandom('2026-10-19')).join());
+    check("Different seeds give different numbers", first.join() !== sample(createRandom('2026-10-20')).join());
+    check("Numbers are between 0 and 1", sample(createRandom('range'), 1000).every(n => n >= 0 && n < 1));
+    check("Whole numbers stay below the maximum", sample(createRandom('ints'), 200).every(n => randomInt(() => n, 7) < 7));
+    check("New seeds are different each time", generateSeed() !== generateSeed());
+
+    const shuffled = shuffle(['a', 'b', 'c', 'd', 'e', 'f'], createRandom('shuffle'));
+    check("Shuffling keeps every item", [...shuffled].sort().join() === 'a,b,c,d,e,f');
+    check("Shuffling with the same seed gives the same order",
+      shuffled.join() === shuffle(['a', 'b', 'c', 'd', 'e', 'f'], createRandom('shuffle')).join());
+
+    // Generation - two fresh caches seeded with the same words, filled by the offline mock provider
+    const provider = createProvider('mock');
+    async function generate(seed) {
+      const cache = createAssociationCache();
+      for (const word of ['environment', 'music', 'ocean']) {
+        cache.set(word, (await provider.getAssociations(word)).wordArray);
+      }
+      return puzzleGenerator.generatePuzzle(cache, provider, () => {}, undefined, { seed });
+    }
+
+    const puzzle = await generate('2026-10-19');
+    const again = await generate('2026-10-19');
+    check("The seed is recorded with the puzzle", puzzle.seed === '2026-10-19');
+    check("The same seed and cache give the same puzzle",
+      puzzle.startWord === again.startWord && puzzle.targetWord === again.targetWord &&
+      puzzle.hiddenSolution.join() === again.hiddenSolution.join() && puzzle.quality.score === again.quality.score);
+
+    const unseeded = await generate(undefined);
+    check("Puzzles generated without a seed record the one they used", typeof unseeded.seed === 'string' && unseeded.seed.length > 0);
+
+    // Saving a seeded puzzle makes its words recent, which mustn't stop the seed from generating it again
+    await puzzleRepository.savePuzzle(puzzle);
+    const regenerated = await generate('2026-10-19');
+    check("A saved seeded puzzle can be generated again from its seed",
+      regenerated.startWord === puzzle.startWord && regenerated.targetWord === puzzle.targetWord &&
+      regenerated.hiddenSolution.join() === puzzle.hiddenSolution.join());
+  } catch (error) {
+    fail(error);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  finish();
+})();
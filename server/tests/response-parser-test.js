@@ -0,0 +1,98 @@
+// Test that structured replies are extracted, repaired and corrected
+// Run with: node tests/response-parser-test.js
+
+const { parseStructuredResponse, extractJson } = require('../lib/response-parser');
+const { createProvider } = require('../lib/providers');
+const { check, finish } = require('./helpers');
+
+// Parse a reply, returning the error message instead of throwing
+function tryParse(text, schema, options) {
+  try {
+    return parseStructuredResponse(text, schema, options);
+  } catch (error) {
+    return { error: error.message, isParseError: error.isParseError };
+  }
+}
+
+const wordsSchema = {
+  type: 'array',
+  minItems: 3,
+  items: { type: 'object', required: ['word'], properties: { word: { type: 'string', minLength: 1 } } }
+};
+const themeSchema = { type: 'object', required: ['theme'], properties: { theme: { type: 'string', minLength: 1 } } };
+const words = '[{"word": "sun"}, {"word": "moon"}, {"word": "star"}]';
+
+(async () => {
+  console.log("=== RESPONSE PARSER TEST ===");
+
+  const clean = tryParse(words, wordsSchema);
+  check("Clean JSON parses without repairs", clean.value && clean.value.length === 3 && clean.repaired === false);
+
+  const fenced = tryParse("Here you go:\n```json\n" + words + "\n```\nHope that helps!", wordsSchema);
+  check("Code fences and prose are stripped", fenced.value && fenced.value.length === 3 && fenced.repaired === true);
+
+  const trailing = tryParse('[{"word": "sun",}, {"word": "moon"}, {"word": "star"},]', wordsSchema);
+  check("Trailing commas are repaired", trailing.value && trailing.value[0].word === 'sun');
+
+  const curly = tryParse('{“theme”: “Night Sky”}', themeSchema);
+  check("Curly quotes are repaired", curly.value && curly.value.theme === 'Night Sky');
+
+  check("Bracketed prose before the JSON is skipped", extractJson('Notes [draft]: {"theme": "x"}', null) === '{"theme": "x"}');
+  check("Brackets inside strings don't end the JSON", extractJson('{"theme": "a ] b"} tail', 'object') === '{"theme": "a ] b"}');
+
+  const dropped = tryParse('[{"word": "sun"}, {"word": ""}, {"word": "moon"}, {"word": "star"}]', wordsSchema, { dropInvalidItems: true });
+  check("Invalid items can be dropped", dropped.value && dropped.value.length === 3 && dropped.repaired === true);
+
+  const tooFew = tryParse('[{"word": "sun"}]', wordsSchema);
+  check("Schema violations are parse errors", tooFew.isParseError && tooFew.error.includes('at least 3'));
+
+  const missing = tryParse('The theme is Night Sky', themeSchema);
+  check("Replies without JSON are parse errors", missing.isParseError && missing.error.includes('JSON object'));
+
+  // Corrective retry through the Anthropic provider, with a stub client
+  const replies = ['Sorry, here is a list: sun, moon, star', '[{"word": "sun", "hint": "a"}, {"word": "moon", "hint": "b"}, {"word": "star", "hint": "c"}]'];
+  const requests = [];
+  const provider = createProvider('anthropic', {
+    apiKey: 'test-key',
+    client: {
+      messages: {
+        create: async (request) => {
+          requests.push(request);
+          return { content: [{ text: replies[requests.length - 1] || replies[0] }] };
+        }
+      }
+    }
+  });
+
+  const outcomes = [];
+  let apiCalls = 0;
+  const requestOptions = { onApiCallMade: () => apiCalls++, onParseResult: outcome => outcomes.push(outcome) };
+
+  const result = await provider.getAssociations('sky', requestOptions);
+  check("An unusable reply is corrected with a follow-up prompt", result.wordArray.join() === 'sun,moon,star');
+  check("The follow-up prompt includes the bad reply and the problem",
+    requests[1].messages.length === 3 && requests[1].messages[1].role === 'assistant' && requests[1].messages[2].content.includes('JSON array'));
+  check("Corrective prompts count as API calls", apiCalls === 2);
+  check("Corrected replies are reported", outcomes.join() === 'corrected');
+
+  // A reply that stays unusable
+  replies.length = 0;
+  replies.push('still not JSON');
+  requests.length = 0;
+  outcomes.length = 0;
+  let failed = false;
+  try {
+    await provider.getAssociations('sky', requestOptions);
+  } catch (error) {
+    failed = error.isParseError === true;
+  }
+  check("Replies that stay unusable fail after one correction", failed && requests.length === 2);
+  check("Failed parses are reported", outcomes.join() === 'failed');
+
+  // Themes fall back instead of failing the puzzle
+  outcomes.length = 0;
+  const theme = await provider.generateTheme('sun', 'star', requestOptions);
+  check("An unusable theme falls back to the generic theme", theme.theme === 'Word Connections' && outcomes.join() === 'failed');
+
+  finish();
+})();
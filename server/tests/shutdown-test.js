@@ -0,0 +1,83 @@
+// Test what shutting down does: generation in progress stops without spending more API calls,
+// and failed saves are reported so the server can exit with an error
+// Run with: node tests/shutdown-test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.ASSOCIATION_PROVIDER = 'mock';
+
+const { setStorage } = require('../lib/storage');
+const { createFilesystemStorage } = require('../lib/storage/filesystem-storage');
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shutdown-test-'));
+const storage = createFilesystemStorage(dataDir);
+setStorage(storage);
+
+const { createProvider } = require('../lib/providers');
+const { createAssociationCache } = require('../lib/association-cache');
+const puzzleGenerator = require('../lib/puzzle-generator');
+const { loadCaches, flushState } = require('../index');
+const { check, fail, finish } = require('./helpers');
+
+console.log("=== SHUTDOWN TEST ===");
+
+(async () => {
+  try {
+    // The mock provider, aborting on its second fetch and counting theme requests (the paid call made once a path is found)
+    const mock = createProvider('mock');
+    const controller = new AbortController();
+    let fetches = 0;
+    let themesRequested = 0;
+    const provider = {
+      ...mock,
+      getAssociations: (word, options) => {
+        if (++fetches === 2) {
+          controller.abort();
+        }
+        return mock.getAssociations(word, options);
+      },
+      generateTheme: (...args) => {
+        themesRequested++;
+        return mock.generateTheme(...args);
+      }
+    };
+    const cache = createAssociationCache();
+    for (const word of ['environment', 'music', 'ocean']) {
+      cache.set(word, (await mock.getAssociations(word)).wordArray);
+    }
+
+    // Aborting part way through the search stops generation rather than settling for the closest path
+    let aborted = null;
+    try {
+      await puzzleGenerator.generatePuzzle(cache, provider, () => {}, controller.signal, { seed: 'shutdown' });
+    } catch (error) {
+      aborted = error;
+    }
+    check("Aborted generation fails", aborted !== null && /aborted/.test(aborted.message));
+    check("Aborted generation doesn't ask for a theme", themesRequested === 0);
+    check("Aborted generation stops calling the provider", fetches === 2);
+
+    // Saving the state kept in memory, only once the saved caches have loaded
+    const cacheFile = path.join(dataDir, 'association-cache.json');
+    check("Nothing is saved before the caches have loaded", await flushState() === true && !fs.existsSync(cacheFile));
+    await loadCaches();
+    check("Saving succeeds when every save does", await flushState() === true && fs.existsSync(cacheFile));
+
+    setStorage({
+      ...storage,
+      saveAssociationCache: async () => {
+        throw new Error('disk full');
+      }
+    });
+    check("A failed association cache save is reported, not taken as saved", await flushState() === false);
+  } catch (error) {
+    fail(error);
+  } finally {
+    setStorage(storage);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  finish();
+})();
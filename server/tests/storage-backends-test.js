@@ -0,0 +1,103 @@
+// Test that every storage backend saves and loads the same data the same way
+// The sqlite backend needs node:sqlite (Node 22.5+) and is skipped where it can't be loaded
+// Run with: node tests/storage-backends-test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFilesystemStorage } = require('../lib/storage/filesystem-storage');
+const { check, fail, finish } = require('./helpers');
+
+console.log("=== STORAGE BACKENDS TEST ===");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-backends-test-'));
+
+// Create each backend in its own directory, or null where it can't be loaded
+const backends = {
+  filesystem: dir => createFilesystemStorage(dir),
+  sqlite: dir => {
+    let createSqliteStorage;
+    try {
+      ({ createSqliteStorage } = require('../lib/storage/sqlite-storage'));
+    } catch (error) {
+      console.log(`Skipping sqlite - node:sqlite can't be loaded on Node ${process.versions.node} (needs 22.5+)`);
+      return null;
+    }
+    return createSqliteStorage(path.join(dir, 'test.sqlite'));
+  }
+};
+
+async function runBackendTests(name, storage) {
+  console.log(`\n--- ${name} ---`);
+
+  // Puzzles
+  check(`${name}: no puzzles are listed before any are saved`, (await storage.listPuzzles()).length === 0);
+  check(`${name}: a missing puzzle loads as null`, await storage.loadPuzzle('missing.json') === null);
+  await storage.savePuzzle('b.json', { startWord: 'sun', targetWord: 'moon' });
+  await storage.savePuzzle('a.json', { startWord: 'ocean', targetWord: 'sand' });
+  await storage.savePuzzle('b.json', { startWord: 'sun', targetWord: 'star' });
+  check(`${name}: saved puzzles are listed in order`, (await storage.listPuzzles()).join() === 'a.json,b.json');
+  check(`${name}: saving a puzzle again replaces it`, (await storage.loadPuzzle('b.json')).targetWord === 'star');
+
+  // Association cache, in the versioned format
+  const associationCache = { version: 2, entries: { ocean: { words: ['wave', 'sand'], hints: ['', ''] } } };
+  await storage.saveAssociationCache(associationCache);
+  const loadedCache = await storage.loadAssociationCache();
+  check(`${name}: the association cache keeps its version`, loadedCache.version === 2);
+  check(`${name}: association cache entries are saved`, loadedCache.entries.ocean.words.join() === 'wave,sand');
+  await storage.saveAssociationCache({ version: 2, entries: { sun: { words: ['moon'], hints: [''] } } });
+  check(`${name}: saving the association cache drops cleared entries`,
+    Object.keys((await storage.loadAssociationCache()).entries).join() === 'sun');
+
+  // Per-puzzle stats
+  check(`${name}: missing stats load as null`, await storage.loadStats('missing') === null);
+  await storage.saveStats('a1b2c3', { completions: 2 });
+  await storage.saveStats('2025-04-18_scandal_swan', { completions: 1 });
+  await storage.saveStats('a1b2c3', { completions: 3 });
+  check(`${name}: saved stats are listed by puzzle key`, (await storage.listStats()).join() === '2025-04-18_scandal_swan,a1b2c3');
+  check(`${name}: saving stats again replaces them`, (await storage.loadStats('a1b2c3')).completions === 3);
+
+  // Hint cache, in the versioned format
+  await storage.saveHintCache({ version: 1, entries: { 'ocean|sand|wave': { hint: 'Think of the shore', puzzleId: 'a1' } } });
+  const loadedHints = await storage.loadHintCache();
+  check(`${name}: the hint cache keeps its version`, loadedHints.version === 1);
+  check(`${name}: hint cache entries are saved`, loadedHints.entries['ocean|sand|wave'].hint === 'Think of the shore');
+
+  // Schedule
+  check(`${name}: a missing schedule loads empty`, Object.keys(await storage.loadSchedule()).length === 0);
+  await storage.saveSchedule({ '2026-10-19T10:00': { puzzleId: 'a1' }, '2026-10-19T11:00': { puzzleId: 'b2' } });
+  await storage.saveSchedule({ '2026-10-19T11:00': { puzzleId: 'b2' } });
+  const schedule = await storage.loadSchedule();
+  check(`${name}: the schedule is replaced when saved`,
+    Object.keys(schedule).join() === '2026-10-19T11:00' && schedule['2026-10-19T11:00'].puzzleId === 'b2');
+
+  // Moderation quarantine
+  check(`${name}: a missing quarantine loads empty`, ((await storage.loadQuarantine()).entries || []).length === 0);
+  await storage.saveQuarantine({ entries: [{ id: 'abc', kind: 'hint', text: 'gloop' }, { id: 'def', kind: 'word', text: 'blarg' }] });
+  check(`${name}: the quarantine keeps its order`,
+    (await storage.loadQuarantine()).entries.map(entry => entry.id).join() === 'abc,def');
+
+  // Where the data is kept
+  const info = await storage.getInfo();
+  check(`${name}: the info names the backend`, info.backend === name && info.cacheFile.exists);
+}
+
+(async () => {
+  try {
+    for (const [name, createBackend] of Object.entries(backends)) {
+      const dir = path.join(dataDir, name);
+      fs.mkdirSync(dir);
+      const storage = createBackend(dir);
+      if (storage) {
+        await runBackendTests(name, storage);
+      }
+    }
+  } catch (error) {
+    fail(error);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  finish();
+})();
@@ -0,0 +1,110 @@
+// Test that start and target words are checked against the word constraints
+// Run with: node tests/word-constraints-test.js
+
+const { createAssociationCache } = require('../lib/association-cache');
+const {
+  TOPIC_WORDS,
+  WORD_CONSTRAINTS,
+  guessPartOfSpeech,
+  createWordFilter
+} = require('../lib/word-constraints');
+const puzzleGenerator = require('../lib/puzzle-generator');
+const { createProvider } = require('../lib/providers');
+const { createModerator } = require('../lib/moderation');
+const { check, fail, finish, requireWithEnv } = require('./helpers');
+
+console.log("=== WORD CONSTRAINTS TEST ===");
+
+(async () => {
+  try {
+    // Settings
+    const defaults = WORD_CONSTRAINTS;
+    check("Sensitive topics are blocked by default", defaults.blockedTopics.includes('politics') && defaults.blockedTopics.includes('religion'));
+    const configured = requireWithEnv('../lib/word-constraints', {
+      BLOCKED_WORDS: 'Shoe, sock',
+      BLOCKED_TOPICS: '',
+      MIN_WORD_FREQUENCY: '2',
+      WORD_PARTS_OF_SPEECH: 'noun',
+      RECENT_WORD_PUZZLES: '5',
+      ALLOW_PROPER_NOUNS: 'true'
+    }).WORD_CONSTRAINTS;
+    check("Settings are read from the environment",
+      configured.blockedWords.join() === 'shoe,sock' && configured.blockedTopics.length === 0 &&
+      configured.minFrequency === 2 && configured.partsOfSpeech.join() === 'noun' &&
+      configured.recentPuzzles === 5 && configured.allowProperNouns);
+
+    let topicError = null;
+    try {
+      requireWithEnv('../lib/word-constraints', { BLOCKED_TOPICS: 'sports' });
+    } catch (error) {
+      topicError = error;
+    }
+    check("Unknown topics are an error", Boolean(topicError) && topicError.message.includes('sports'));
+
+    // Parts of speech
+    check("Words ending in -ly are guessed to be adverbs", guessPartOfSpeech('quickly') === 'adverb' && guessPartOfSpeech('family') === 'noun');
+    check("Words ending in -ing are guessed to be verbs", guessPartOfSpeech('listening') === 'verb' && guessPartOfSpeech('wedding') === 'noun');
+    check("Adjective endings are recognised", guessPartOfSpeech('dangerous') === 'adjective');
+    check("Other words are guessed to be nouns", guessPartOfSpeech('shoe') === 'noun' && guessPartOfSpeech('ice cream') === 'noun');
+
+    // Filtering
+    const cache = createAssociationCache();
+    cache.set('politics', ['Republican', 'election', 'shoe']);
+    cache.set('fashion', ['shoe', 'dress', 'quickly', 'Paris']);
+    cache.set('walk', ['shoe', 'dress', 'park']);
+
+    const constraints = { ...defaults, blockedWords: ['dress'], minFrequency: 1, partsOfSpeech: ['noun'], recentPuzzles: 20 };
+    const filter = createWordFilter(cache, constraints, ['Park', 'sun']);
+    check("Ordinary words are allowed", filter.isAllowed('shoe'));
+    check("Words from blocked topics are rejected",
+      TOPIC_WORDS.politics.includes('republican') && filter.check('republican').includes('politics'));
+    check("Blocked words are rejected", filter.check('dress') !== null);
+    check("Start and target words of recent puzzles are rejected", filter.check('park').includes('last 20 puzzles'));
+    check("Words of other parts of speech are rejected", filter.check('quickly') !== null);
+    check("Proper nouns are rejected", filter.check('paris').includes('proper noun'));
+    check("Words no cached word offers are rejected", filter.check('fashion').includes('only 0'));
+
+    cache.set('city', ['fashion', 'park']);
+    check("Frequencies follow changes to the cache", filter.isAllowed('fashion'));
+
+    // Generation - start and target words both pass the filter
+    const provider = createProvider('mock');
+    async function createGeneratorCache() {
+      const generatorCache = createAssociationCache();
+      for (const word of ['environment', 'music', 'ocean']) {
+        generatorCache.set(word, (await provider.getAssociations(word)).wordArray);
+      }
+      return generatorCache;
+    }
+    const generatorCache = await createGeneratorCache();
+    const generatorFilter = createWordFilter(generatorCache, { ...defaults, blockedWords: ['music', 'ocean'], minFrequency: 0 }, []);
+    const puzzle = await puzzleGenerator.generatePuzzle(generatorCache, provider, () => {}, undefined,
+      { seed: 'constraints', wordFilter: generatorFilter });
+    check("Blocked words aren't picked as the start word",
+      !['music', 'ocean'].includes(puzzle.startWord) && generatorFilter.isAllowed(puzzle.startWord));
+    check("The target word passes the constraints", generatorFilter.isAllowed(puzzle.targetWord));
+
+    const blockedCache = await createGeneratorCache();
+    const nothingAllowed = createWordFilter(blockedCache, { ...defaults, blockedWords: ['environment', 'music', 'ocean'], minFrequency: 0 }, []);
+    const generationError = await puzzleGenerator.generatePuzzle(blockedCache, provider, () => {}, undefined, { wordFilter: nothingAllowed })
+      .then(() => null, error => error);
+    check("Generation fails when no cached word is allowed to start",
+      Boolean(generationError) && generationError.message.includes('allowed as a start word'));
+
+    // Moderation - words the blocklist hides from players are kept out of puzzles altogether
+    const moderator = createModerator({ blocklist: ['piano', 'hand'], classifier: null });
+    const moderatedCache = await createGeneratorCache();
+    const moderatedFilter = createWordFilter(moderatedCache, { ...defaults, minFrequency: 0 }, [], moderator);
+    check("Blocklisted words are ruled out", moderatedFilter.check('Piano').includes('blocked term "piano"'));
+    check("Blocklisted words are blocked from the path", moderatedFilter.isBlocked('hand') && !moderatedFilter.isBlocked('harbor'));
+    check("Words are only blocked when a moderator is given", !generatorFilter.isBlocked('piano'));
+    const moderatedPuzzle = await puzzleGenerator.generatePuzzle(moderatedCache, provider, () => {}, undefined,
+      { seed: 'moderation', wordFilter: moderatedFilter });
+    check("The hidden solution avoids blocklisted words",
+      moderatedPuzzle.hiddenSolution.every(word => !moderator.checkBlocklist(word)));
+  } catch (error) {
+    fail(error);
+  }
+
+  finish();
+})();